@@ -3,6 +3,7 @@
  */
 import { StableRecordIdentifier } from '@ember-data/types/q/identifier';
 
+import { V2CacheStoreWrapper } from '../q/cache-store-wrapper';
 import { CollectionResourceRelationship, SingleResourceRelationship } from '../q/ember-data-json-api';
 import { ResourceBlob } from './aliases';
 import { Change } from './change';
@@ -12,6 +13,14 @@ import { Mutation } from './mutations';
 import { Operation } from './operations';
 import { ValidationError } from './validation-error';
 
+export interface DumpOptions {
+  /*
+   * Whether to include local (unpersisted) changes
+   * in addition to the remote state.
+   */
+  includeLocalState?: boolean;
+}
+
 /**
  * The interface for EmberData Caches.
  *
@@ -152,9 +161,10 @@ export interface Cache {
    *
    * @method fork
    * @public
+   * @param {CacheStoreWrapper} storeWrapper the wrapper for the Store which will own the fork
    * @returns Promise<Cache>
    */
-  fork(): Promise<Cache>;
+  fork(storeWrapper: V2CacheStoreWrapper): Promise<Cache>;
 
   /**
    * Merge a fork back into a parent Cache.
@@ -213,11 +223,15 @@ export interface Cache {
    * which may be fed back into a new instance of the same Cache
    * via `cache.hydrate`.
    *
+   * Local (unpersisted) changes are only included when
+   * `options.includeLocalState` is `true`.
+   *
    * @method dump
+   * @param {object} [options]
    * @returns {Promise<ReadableStream>}
    * @public
    */
-  dump(): Promise<ReadableStream<unknown>>;
+  dump(options?: DumpOptions): Promise<ReadableStream<unknown>>;
 
   /**
    * hydrate a Cache from a Stream with content previously serialized
@@ -409,6 +423,23 @@ export interface Cache {
    */
   isEmpty(identifier: StableRecordIdentifier): boolean;
 
+  /**
+   * Query the cache for whether the given field of a resource has been
+   * loaded. Resources received in response to a request for sparse
+   * fieldsets only have the requested fields loaded.
+   *
+   * This method is optional, caches which do not implement it are
+   * treated as having loaded every field of a resource.
+   *
+   * @method isFieldLoaded
+   * @public
+   * @optional
+   * @param identifier
+   * @param field
+   * @returns {boolean}
+   */
+  isFieldLoaded?(identifier: StableRecordIdentifier, field: string): boolean;
+
   /**
    * Query the cache for whether a given resource was created locally and not
    * yet persisted.
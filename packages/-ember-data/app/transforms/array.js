@@ -0,0 +1 @@
+export { ArrayTransform as default } from '@ember-data/serializer/-private';
@@ -0,0 +1 @@
+export { DecimalTransform as default } from '@ember-data/serializer/-private';
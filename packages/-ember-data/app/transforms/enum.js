@@ -0,0 +1 @@
+export { EnumTransform as default } from '@ember-data/serializer/-private';
@@ -0,0 +1 @@
+export { JsonTransform as default } from '@ember-data/serializer/-private';
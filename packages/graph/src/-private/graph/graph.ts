@@ -17,6 +17,8 @@ import type {
   RemoteRelationshipOperation,
   UnknownOperation,
 } from './-operations';
+import type { RelationshipState } from './-state';
+import { createState } from './-state';
 import {
   assertValidRelationshipPayload,
   forAllRelatedIdentifiers,
@@ -81,6 +83,8 @@ export class Graph {
   declare _updatedRelationships: Set<ManyRelationship>;
   declare _transaction: Set<ManyRelationship | BelongsToRelationship> | null;
   declare _removing: StableRecordIdentifier | null;
+  declare _parent: Graph | null;
+  declare _forkBase: Map<StableRecordIdentifier, Dict<RelationshipEdge> | undefined> | null;
 
   constructor(store: CacheStoreWrapper) {
     this._definitionCache = Object.create(null) as EdgeCache;
@@ -94,10 +98,97 @@ export class Graph {
     this._updatedRelationships = new Set();
     this._transaction = null;
     this._removing = null;
+    this._parent = null;
+    this._forkBase = null;
+  }
+
+  /*
+   * Configures this graph as a copy-on-write fork of `parent`.
+   *
+   * The fork shares the parent's definition caches, but nodes are
+   * copied from the parent only the first time they are accessed
+   * so that subsequent mutations remain local to the fork. The
+   * state each node had when it was copied is retained so that
+   * `merge` can tell which relationships the fork changed.
+   */
+  forkFrom(parent: Graph): void {
+    assert(`Cannot fork a graph that already contains relationship data`, this.identifiers.size === 0);
+    this._parent = parent;
+    this._forkBase = new Map();
+    this._definitionCache = parent._definitionCache;
+    this._potentialPolymorphicTypes = parent._potentialPolymorphicTypes;
+  }
+
+  /*
+   * Returns the edges for the given identifier, if any
+   * exist yet. For forks this pulls in the state of the
+   * parent graph on first access.
+   */
+  peekNode(identifier: StableRecordIdentifier): Dict<RelationshipEdge> | undefined {
+    if (this._parent !== null && !this._forkBase!.has(identifier)) {
+      const parentNode = this._parent.peekNodeReadonly(identifier);
+      this._forkBase!.set(identifier, parentNode ? copyNode(parentNode) : undefined);
+      if (parentNode && !this.identifiers.has(identifier)) {
+        this.identifiers.set(identifier, copyNode(parentNode));
+      }
+    }
+    return this.identifiers.get(identifier);
+  }
+
+  /*
+   * Returns the edges for the given identifier without
+   * copying them into a fork. The edges may belong to the
+   * parent graph and so must not be mutated.
+   */
+  peekNodeReadonly(identifier: StableRecordIdentifier): Dict<RelationshipEdge> | undefined {
+    if (this._parent !== null && !this._forkBase!.has(identifier)) {
+      return this._parent.peekNodeReadonly(identifier);
+    }
+    return this.identifiers.get(identifier);
+  }
+
+  /*
+   * Applies the relationships a fork of this graph changed,
+   * replacing the current state of those relationships and
+   * notifying of the change. Relationships the fork only read
+   * are left as they are, retaining any changes this graph
+   * received after the fork was made.
+   *
+   * Nodes the fork removed are not removed here, the unloads
+   * which removed them are applied by the cache instead.
+   * Relationships which have been merged are only merged again
+   * if the fork changes them again.
+   */
+  merge(fork: Graph): void {
+    assert(`Expected to merge a graph forked from this graph`, fork._parent === this);
+    fork._forkBase!.forEach((base, identifier) => {
+      const forkedNode = fork.identifiers.get(identifier);
+      if (!forkedNode) {
+        return;
+      }
+      let node = this.peekNode(identifier);
+      Object.keys(forkedNode).forEach((key) => {
+        const edge = forkedNode[key];
+        const baseEdge = base?.[key];
+        if (edge ? isSameEdge(edge, baseEdge) : !baseEdge) {
+          return;
+        }
+        if (!node) {
+          node = Object.create(null) as Dict<RelationshipEdge>;
+          this.identifiers.set(identifier, node);
+        }
+        node[key] = edge ? copyEdge(edge) : undefined;
+        if (edge && !isImplicit(edge)) {
+          notifyChange(this, identifier, key);
+        }
+      });
+      // later merges only apply what the fork changes from here on
+      fork._forkBase!.set(identifier, copyNode(forkedNode));
+    });
   }
 
   has(identifier: StableRecordIdentifier, propertyName: string): boolean {
-    let relationships = this.identifiers.get(identifier);
+    let relationships = this.peekNode(identifier);
     if (!relationships) {
       return false;
     }
@@ -106,7 +197,7 @@ export class Graph {
 
   get(identifier: StableRecordIdentifier, propertyName: string): RelationshipEdge {
     assert(`expected propertyName`, propertyName);
-    let relationships = this.identifiers.get(identifier);
+    let relationships = this.peekNode(identifier);
     if (!relationships) {
       relationships = Object.create(null) as Dict<RelationshipEdge>;
       this.identifiers.set(identifier, relationships);
@@ -191,7 +282,7 @@ export class Graph {
   */
 
   isReleasable(identifier: StableRecordIdentifier): boolean {
-    const relationships = this.identifiers.get(identifier);
+    const relationships = this.peekNode(identifier);
     if (!relationships) {
       return true;
     }
@@ -211,7 +302,7 @@ export class Graph {
       // eslint-disable-next-line no-console
       console.log(`graph: unload ${String(identifier)}`);
     }
-    const relationships = this.identifiers.get(identifier);
+    const relationships = this.peekNode(identifier);
 
     if (relationships) {
       // cleans up the graph but retains some nodes
@@ -284,7 +375,7 @@ export class Graph {
 
     switch (op.op) {
       case 'mergeIdentifiers': {
-        const relationships = this.identifiers.get(op.record);
+        const relationships = this.peekNode(op.record);
         if (relationships) {
           mergeIdentifier(this, op, relationships);
         }
@@ -302,7 +393,7 @@ export class Graph {
       case 'deleteRecord': {
         assert(`Can only perform the operation deleteRelationship on remote state`, isRemote);
         const identifier = op.record;
-        const relationships = this.identifiers.get(identifier);
+        const relationships = this.peekNode(identifier);
 
         if (relationships) {
           Object.keys(relationships).forEach((key) => {
@@ -422,6 +513,8 @@ export class Graph {
     }
 
     this.identifiers.clear();
+    this._parent = null;
+    this._forkBase = null;
     this.store = null as unknown as CacheStoreWrapper;
     this.isDestroyed = true;
   }
@@ -591,3 +684,114 @@ function removeCompletelyFromInverse(
     relationship.localMembers.clear();
   }
 }
+
+function copyNode(node: Dict<RelationshipEdge>): Dict<RelationshipEdge> {
+  const copy = Object.create(null) as Dict<RelationshipEdge>;
+  Object.keys(node).forEach((key) => {
+    const edge = node[key];
+    if (edge) {
+      copy[key] = copyEdge(edge);
+    }
+  });
+  return copy;
+}
+
+function copyEdge(edge: RelationshipEdge): RelationshipEdge {
+  if (isImplicit(edge)) {
+    return {
+      definition: edge.definition,
+      identifier: edge.identifier,
+      localMembers: new Set(edge.localMembers),
+      remoteMembers: new Set(edge.remoteMembers),
+    };
+  }
+
+  if (isBelongsTo(edge)) {
+    const copy = new BelongsToRelationship(edge.definition, edge.identifier);
+    copy._state = edge._state ? Object.assign({}, edge._state) : null;
+    copy.localState = edge.localState;
+    copy.remoteState = edge.remoteState;
+    copy.meta = edge.meta;
+    copy.links = edge.links;
+    return copy;
+  }
+
+  const many = edge as ManyRelationship;
+  const copy = new ManyRelationship(many.definition, many.identifier);
+  copy._state = many._state ? Object.assign({}, many._state) : null;
+  copy.localMembers = new Set(many.localMembers);
+  copy.remoteMembers = new Set(many.remoteMembers);
+  copy.localState = many.localState.slice();
+  copy.remoteState = many.remoteState.slice();
+  copy.meta = many.meta;
+  copy.links = many.links;
+  return copy;
+}
+
+// a relationship of the same kind which has not yet received any state
+function emptyEdge(edge: RelationshipEdge): RelationshipEdge {
+  if (isImplicit(edge)) {
+    return {
+      definition: edge.definition,
+      identifier: edge.identifier,
+      localMembers: new Set(),
+      remoteMembers: new Set(),
+    };
+  }
+  const { definition, identifier } = edge as ManyRelationship | BelongsToRelationship;
+  return isBelongsTo(edge)
+    ? new BelongsToRelationship(definition, identifier)
+    : new ManyRelationship(definition, identifier);
+}
+
+function isSameEdge(edge: RelationshipEdge, base: RelationshipEdge | undefined): boolean {
+  const other = base || emptyEdge(edge);
+  if (isImplicit(edge)) {
+    const implicit = other as ImplicitRelationship;
+    return isSameSet(edge.localMembers, implicit.localMembers) && isSameSet(edge.remoteMembers, implicit.remoteMembers);
+  }
+
+  const explicit = other as ManyRelationship | BelongsToRelationship;
+  if (edge.meta !== explicit.meta || edge.links !== explicit.links || !isSameState(edge._state, explicit._state)) {
+    return false;
+  }
+  if (isBelongsTo(edge)) {
+    const belongsTo = other as BelongsToRelationship;
+    return edge.localState === belongsTo.localState && edge.remoteState === belongsTo.remoteState;
+  }
+
+  const many = edge as ManyRelationship;
+  const otherMany = other as ManyRelationship;
+  return (
+    isSameList(many.localState, otherMany.localState) &&
+    isSameList(many.remoteState, otherMany.remoteState) &&
+    isSameSet(many.localMembers, otherMany.localMembers) &&
+    isSameSet(many.remoteMembers, otherMany.remoteMembers)
+  );
+}
+
+function isSameState(a: RelationshipState | null, b: RelationshipState | null): boolean {
+  if (a === b) {
+    return true;
+  }
+  const empty = createState();
+  const stateA = a || empty;
+  const stateB = b || empty;
+  return (Object.keys(empty) as Array<keyof RelationshipState>).every((key) => stateA[key] === stateB[key]);
+}
+
+function isSameList(a: StableRecordIdentifier[], b: StableRecordIdentifier[]): boolean {
+  return a.length === b.length && a.every((identifier, index) => identifier === b[index]);
+}
+
+function isSameSet(a: Set<StableRecordIdentifier>, b: Set<StableRecordIdentifier>): boolean {
+  let isSame = a.size === b.size;
+  if (isSame) {
+    a.forEach((identifier) => {
+      if (!b.has(identifier)) {
+        isSame = false;
+      }
+    });
+  }
+  return isSame;
+}
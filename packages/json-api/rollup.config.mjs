@@ -16,6 +16,7 @@ export default {
     '@embroider/macros',
     '@ember-data/store/-private',
     '@ember-data/graph/-private',
+    '@ember-data/request',
     '@ember/service',
     'ember-inflector',
     '@ember/debug',
@@ -31,7 +32,7 @@ export default {
   plugins: [
     // These are the modules that users should be able to import from your
     // addon. Anything not listed here may get optimized away.
-    addon.publicEntrypoints(['index.js']),
+    addon.publicEntrypoints(['index.js', 'request.js']),
 
     nodeResolve({ extensions: ['.ts', '.js'] }),
     babel({
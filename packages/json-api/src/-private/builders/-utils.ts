@@ -0,0 +1,246 @@
+/**
+ * @module @ember-data/json-api/request
+ */
+import { assert } from '@ember/debug';
+
+import { pluralize as inflect } from 'ember-inflector';
+
+import { serializeQueryParams } from '@ember-data/request';
+import { isStableIdentifier, recordIdentifierFor } from '@ember-data/store/-private';
+import type { StoreRequestInfo } from '@ember-data/store/-private/cache-handler';
+import type { Cache } from '@ember-data/types/cache/cache';
+import type { StableRecordIdentifier } from '@ember-data/types/q/identifier';
+import type { RecordInstance } from '@ember-data/types/q/record-instance';
+import type { Dict } from '@ember-data/types/q/utils';
+
+export interface BuildURLConfig {
+  host: string | null;
+  namespace: string | null;
+  /* converts a resource type into the path segment for its url, defaults to pluralizing the type */
+  pathForType?: (type: string) => string;
+  /* plurals for types which ember-inflector does not pluralize as desired, e.g. `{ staff: 'staff' }` */
+  plurals?: Dict<string>;
+}
+
+export interface UrlOptions {
+  host?: string;
+  namespace?: string;
+  /* the path segment for the resource type, defaults to the result of `pathForType` */
+  resourcePath?: string;
+}
+
+/* the fields to load for each type, e.g. `{ user: ['name', 'friends'] }` */
+export interface SparseFieldsOptions {
+  fields?: Dict<string | string[]>;
+}
+
+export interface CacheOptions {
+  reload?: boolean;
+  backgroundReload?: boolean;
+}
+
+export type QueryParamsSerializationValue =
+  | string
+  | number
+  | boolean
+  | null
+  | undefined
+  | QueryParamsSerializationValue[];
+export type QueryParamsSource = Dict<QueryParamsSerializationValue | Dict<QueryParamsSerializationValue>>;
+
+export type MutableRequestInfo = { -readonly [K in keyof StoreRequestInfo]: StoreRequestInfo[K] };
+
+export type ResourceIdentifier = { type: string; id: string } | { type: string; lid: string };
+
+export type ResourceObject = ResourceIdentifier & {
+  attributes?: Dict<unknown>;
+  relationships?: Dict<{ data: ResourceIdentifier | ResourceIdentifier[] | null }>;
+};
+
+interface PeekedResource {
+  attributes?: Dict<unknown>;
+  relationships?: Dict<{ data?: StableRecordIdentifier | StableRecordIdentifier[] | null }>;
+}
+
+const CONFIG: BuildURLConfig = {
+  host: '',
+  namespace: '',
+};
+
+/**
+ * Sets the `host`, `namespace` and pluralization used by all
+ * request builders.
+ *
+ * ```ts
+ * import { setBuildURLConfig } from '@ember-data/json-api/request';
+ *
+ * setBuildURLConfig({
+ *   host: 'https://api.example.com',
+ *   namespace: 'api/v1',
+ *   plurals: { staff: 'staff' },
+ * });
+ * ```
+ *
+ * `pathForType` may be provided to fully control how a type is
+ * converted into a url path segment.
+ *
+ * @method setBuildURLConfig
+ * @for @ember-data/json-api/request
+ * @static
+ * @public
+ * @param {BuildURLConfig} config
+ */
+export function setBuildURLConfig(config: BuildURLConfig): void {
+  Object.assign(CONFIG, config);
+}
+
+/**
+ * Pluralizes a resource type using the `plurals` given to
+ * `setBuildURLConfig` and otherwise `ember-inflector`.
+ *
+ * @method pluralize
+ * @for @ember-data/json-api/request
+ * @static
+ * @public
+ * @param {string} type
+ * @returns {string}
+ */
+export function pluralize(type: string): string {
+  return CONFIG.plurals?.[type] || inflect(type);
+}
+
+/**
+ * Builds the url for a resource type, or for a single resource
+ * when an `id` is given, from the configured `host` and `namespace`.
+ *
+ * ```ts
+ * buildBaseURL('user', '1'); // => '/api/v1/users/1'
+ * ```
+ *
+ * @method buildBaseURL
+ * @for @ember-data/json-api/request
+ * @static
+ * @public
+ * @param {string} type
+ * @param {string | null} id
+ * @param {UrlOptions} options
+ * @returns {string}
+ */
+export function buildBaseURL(type: string, id?: string | null, options: UrlOptions = {}): string {
+  let host = options.host ?? CONFIG.host;
+  const namespace = options.namespace ?? CONFIG.namespace;
+  const path = options.resourcePath || (CONFIG.pathForType ? CONFIG.pathForType(type) : pluralize(type));
+
+  if (!host || host === '/') {
+    host = '';
+  }
+
+  const url: string[] = [];
+  if (host) {
+    url.push(host.replace(/\/$/, ''));
+  }
+  if (namespace) {
+    url.push(namespace.replace(/^\/|\/$/g, ''));
+  }
+  url.push(path);
+  if (id) {
+    url.push(encodeURIComponent(id));
+  }
+
+  const urlString = url.join('/');
+  return host ? urlString : `/${urlString}`;
+}
+
+/**
+ * Serializes query params into a query string. Keys are sorted so
+ * that the same params always produce the same url, which keeps
+ * requests cacheable. Nested objects use bracket notation
+ * (`filter[name]=Chris`) and arrays are comma separated
+ * (`include=author,comments`).
+ *
+ * @method buildQueryParams
+ * @for @ember-data/json-api/request
+ * @static
+ * @public
+ * @param {QueryParamsSource} params
+ * @returns {string}
+ */
+export function buildQueryParams(params: QueryParamsSource): string {
+  return serializeQueryParams(params);
+}
+
+export function withQueryParams(url: string, params: QueryParamsSource): string {
+  const query = buildQueryParams(params);
+  return query ? `${url}${url.includes('?') ? '&' : '?'}${query}` : url;
+}
+
+export function jsonApiHeaders(hasBody: boolean): StoreRequestInfo['headers'] {
+  const headers = new Headers();
+  headers.append('Accept', 'application/vnd.api+json');
+  if (hasBody) {
+    headers.append('Content-Type', 'application/vnd.api+json');
+  }
+  return headers as StoreRequestInfo['headers'];
+}
+
+export function copyCacheOptions(options: CacheOptions, request: MutableRequestInfo): void {
+  if (options.reload !== undefined || options.backgroundReload !== undefined) {
+    request.cacheOptions = {};
+    if (options.reload !== undefined) {
+      request.cacheOptions.reload = options.reload;
+    }
+    if (options.backgroundReload !== undefined) {
+      request.cacheOptions.backgroundReload = options.backgroundReload;
+    }
+  }
+}
+
+export function identifierFor(record: RecordInstance | StableRecordIdentifier): StableRecordIdentifier {
+  const identifier = isStableIdentifier(record as Object)
+    ? (record as StableRecordIdentifier)
+    : recordIdentifierFor(record as RecordInstance);
+  assert(`Expected a record or an identifier`, identifier);
+  return identifier;
+}
+
+// records which have not been saved are referenced by their `lid`
+// so that the server can link them to one another within the request
+export function refFor(identifier: StableRecordIdentifier): ResourceIdentifier {
+  return identifier.id ? { type: identifier.type, id: identifier.id } : { type: identifier.type, lid: identifier.lid };
+}
+
+function relationshipsFor(peeked: PeekedResource | null) {
+  const relationships: NonNullable<ResourceObject['relationships']> = {};
+  const source = peeked?.relationships || {};
+  Object.keys(source).forEach((key) => {
+    const data = source[key]!.data;
+    if (data !== undefined) {
+      relationships[key] = { data: Array.isArray(data) ? data.map(refFor) : data ? refFor(data) : null };
+    }
+  });
+  return relationships;
+}
+
+/*
+ * Serializes the current state of a record in the cache into a JSON:API
+ * resource object. When `changedOnly` is true only the attributes which
+ * have local changes are included.
+ */
+export function serializeResource(
+  cache: Cache,
+  identifier: StableRecordIdentifier,
+  changedOnly: boolean = false
+): ResourceObject {
+  const peeked = cache.peek(identifier) as PeekedResource | null;
+  let attributes: Dict<unknown>;
+  if (changedOnly) {
+    attributes = {};
+    const changed = cache.changedAttrs(identifier);
+    Object.keys(changed).forEach((key) => {
+      attributes[key] = changed[key][1];
+    });
+  } else {
+    attributes = Object.assign({}, peeked?.attributes);
+  }
+  return Object.assign(refFor(identifier), { attributes, relationships: relationshipsFor(peeked) });
+}
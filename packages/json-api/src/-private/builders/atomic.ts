@@ -0,0 +1,88 @@
+/**
+ * @module @ember-data/json-api/request
+ */
+import { assert } from '@ember/debug';
+
+import type { StoreRequestInfo } from '@ember-data/store/-private/cache-handler';
+import type { Cache } from '@ember-data/types/cache/cache';
+import type { StableRecordIdentifier } from '@ember-data/types/q/identifier';
+import type { RecordInstance } from '@ember-data/types/q/record-instance';
+
+import type { ResourceIdentifier, ResourceObject, UrlOptions } from './-utils';
+import { buildBaseURL, identifierFor, refFor, serializeResource } from './-utils';
+
+const ATOMIC_MEDIA_TYPE = 'application/vnd.api+json;ext="https://jsonapi.org/ext/atomic"';
+
+export interface AtomicOperation {
+  op: 'add' | 'update' | 'remove';
+  ref?: ResourceIdentifier;
+  data?: ResourceObject;
+}
+
+function operationFor(cache: Cache, identifier: StableRecordIdentifier): AtomicOperation {
+  if (cache.isDeleted(identifier)) {
+    assert(`Cannot delete a record that has not been saved`, identifier.id);
+    return { op: 'remove', ref: refFor(identifier) };
+  }
+
+  if (cache.isNew(identifier)) {
+    return { op: 'add', data: serializeResource(cache, identifier) };
+  }
+  return { op: 'update', data: serializeResource(cache, identifier, true) };
+}
+
+/**
+ * Builds a request which saves many records in a single transaction
+ * using the JSON:API [Atomic Operations](https://jsonapi.org/ext/atomic/)
+ * extension.
+ *
+ * ```ts
+ * import { saveRecords } from '@ember-data/json-api/request';
+ *
+ * const post = store.createRecord('post', { title: 'Hello' });
+ * const comment = store.createRecord('comment', { body: 'First!', post });
+ *
+ * await store.request(saveRecords(store.cache, [post, comment]));
+ * ```
+ *
+ * New records produce an `add` operation, deleted records a `remove`
+ * operation and all other records an `update` operation containing
+ * their changed attributes. New records are referenced by their `lid`
+ * so that the server may relate them to one another, and the records
+ * in the response are matched back to the records of the request by
+ * their `lid` or else by the order of the operations.
+ *
+ * The request is sent to `/operations`, which may be changed with the
+ * `resourcePath` option.
+ *
+ * @method saveRecords
+ * @for @ember-data/json-api/request
+ * @static
+ * @public
+ * @param {Cache} cache
+ * @param {Array<RecordInstance | StableRecordIdentifier>} records
+ * @param {UrlOptions} options
+ * @returns {StoreRequestInfo}
+ */
+export function saveRecords(
+  cache: Cache,
+  records: Array<RecordInstance | StableRecordIdentifier>,
+  options: UrlOptions = {}
+): StoreRequestInfo {
+  assert(`Expected at least one record to save`, records.length > 0);
+  const identifiers = records.map(identifierFor);
+  const headers = new Headers();
+  headers.append('Accept', ATOMIC_MEDIA_TYPE);
+  headers.append('Content-Type', ATOMIC_MEDIA_TYPE);
+
+  return {
+    url: buildBaseURL('operations', null, Object.assign({ resourcePath: 'operations' }, options)),
+    method: 'POST',
+    headers: headers as StoreRequestInfo['headers'],
+    op: 'saveRecords',
+    records: identifiers,
+    data: {
+      'atomic:operations': identifiers.map((identifier) => operationFor(cache, identifier)),
+    },
+  };
+}
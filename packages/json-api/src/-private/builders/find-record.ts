@@ -0,0 +1,70 @@
+/**
+ * @module @ember-data/json-api/request
+ */
+import type { StoreRequestInfo } from '@ember-data/store/-private/cache-handler';
+
+import type { CacheOptions, MutableRequestInfo, SparseFieldsOptions, UrlOptions } from './-utils';
+import { buildBaseURL, copyCacheOptions, jsonApiHeaders, withQueryParams } from './-utils';
+
+export interface FindRecordOptions extends UrlOptions, CacheOptions, SparseFieldsOptions {
+  include?: string | string[];
+}
+
+type FindRecordIdentifier = { type: string; id: string };
+
+/**
+ * Builds a request to fetch a single resource.
+ *
+ * ```ts
+ * import { findRecord } from '@ember-data/json-api/request';
+ *
+ * const { content } = await store.request(findRecord('user', '1', { include: ['friends'] }));
+ * ```
+ *
+ * An identifier may be given in place of the `type` and `id`
+ *
+ * ```ts
+ * await store.request(findRecord({ type: 'user', id: '1' }, { reload: true }));
+ * ```
+ *
+ * **Options**
+ *
+ * - `include` the relationships to include
+ * - `fields` the sparse fieldsets to load, keyed by type
+ * - `reload` and `backgroundReload` whether to bypass or update the cache
+ * - `host`, `namespace` and `resourcePath` override the configured url
+ *
+ * @method findRecord
+ * @for @ember-data/json-api/request
+ * @static
+ * @public
+ * @param {string | {type: string, id: string}} type the type of the resource, or an identifier
+ * @param {string | FindRecordOptions} id the id of the resource, or options when an identifier is given
+ * @param {FindRecordOptions} options
+ * @returns {StoreRequestInfo}
+ */
+export function findRecord(identifier: FindRecordIdentifier, options?: FindRecordOptions): StoreRequestInfo;
+export function findRecord(type: string, id: string, options?: FindRecordOptions): StoreRequestInfo;
+export function findRecord(
+  arg1: string | FindRecordIdentifier,
+  arg2?: string | FindRecordOptions,
+  arg3?: FindRecordOptions
+): StoreRequestInfo {
+  const identifier = typeof arg1 === 'string' ? { type: arg1, id: arg2 as string } : arg1;
+  const options = (typeof arg1 === 'string' ? arg3 : (arg2 as FindRecordOptions | undefined)) || {};
+
+  let url = buildBaseURL(identifier.type, identifier.id, options);
+  if (options.include || options.fields) {
+    url = withQueryParams(url, { include: options.include, fields: options.fields });
+  }
+
+  const request: MutableRequestInfo = {
+    url,
+    method: 'GET',
+    headers: jsonApiHeaders(false),
+    op: 'findRecord',
+  };
+  copyCacheOptions(options, request);
+
+  return request;
+}
@@ -0,0 +1,53 @@
+/**
+ * @module @ember-data/json-api/request
+ */
+import type { StoreRequestInfo } from '@ember-data/store/-private/cache-handler';
+
+import type { CacheOptions, MutableRequestInfo, QueryParamsSource, SparseFieldsOptions, UrlOptions } from './-utils';
+import { buildBaseURL, copyCacheOptions, jsonApiHeaders, withQueryParams } from './-utils';
+
+export type QueryOptions = UrlOptions & CacheOptions & SparseFieldsOptions;
+
+/**
+ * Builds a request to fetch a collection of resources.
+ *
+ * ```ts
+ * import { query } from '@ember-data/json-api/request';
+ *
+ * const { content } = await store.request(
+ *   query('user', { filter: { name: 'Chris' }, include: ['friends'] })
+ * );
+ * ```
+ *
+ * The params are serialized into the query string with sorted keys,
+ * nested objects using bracket notation and arrays comma separated.
+ *
+ * **Options**
+ *
+ * - `fields` the sparse fieldsets to load, keyed by type
+ * - `reload` and `backgroundReload` whether to bypass or update the cache
+ * - `host`, `namespace` and `resourcePath` override the configured url
+ *
+ * @method query
+ * @for @ember-data/json-api/request
+ * @static
+ * @public
+ * @param {string} type the type of the resources
+ * @param {QueryParamsSource} params
+ * @param {QueryOptions} options
+ * @returns {StoreRequestInfo}
+ */
+export function query(type: string, params: QueryParamsSource = {}, options: QueryOptions = {}): StoreRequestInfo {
+  const request: MutableRequestInfo = {
+    url: withQueryParams(
+      buildBaseURL(type, null, options),
+      options.fields ? Object.assign({}, params, { fields: options.fields }) : params
+    ),
+    method: 'GET',
+    headers: jsonApiHeaders(false),
+    op: 'query',
+  };
+  copyCacheOptions(options, request);
+
+  return request;
+}
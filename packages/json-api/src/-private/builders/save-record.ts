@@ -0,0 +1,155 @@
+/**
+ * @module @ember-data/json-api/request
+ */
+import { assert } from '@ember/debug';
+
+import type Store from '@ember-data/store';
+import { isStableIdentifier, storeFor } from '@ember-data/store/-private';
+import type { StoreRequestInfo } from '@ember-data/store/-private/cache-handler';
+import type { Cache } from '@ember-data/types/cache/cache';
+import type { StableRecordIdentifier } from '@ember-data/types/q/identifier';
+import type { RecordInstance } from '@ember-data/types/q/record-instance';
+
+import type { UrlOptions } from './-utils';
+import { buildBaseURL, identifierFor, jsonApiHeaders, serializeResource } from './-utils';
+
+export interface SaveRecordOptions extends UrlOptions {
+  /* the store whose cache the record is serialized from, needed for identifiers */
+  store?: Store;
+}
+
+export interface UpdateRecordOptions extends SaveRecordOptions {
+  /* whether to use `PATCH` (the default) or `PUT` */
+  patch?: boolean;
+}
+
+// a record knows its store, an identifier may belong to any store
+function cacheFor(record: RecordInstance | StableRecordIdentifier, options: SaveRecordOptions): Cache {
+  const store = options.store || (isStableIdentifier(record as Object) ? null : storeFor(record as RecordInstance));
+  assert(
+    `Expected the store of the record to be given via 'options.store' when building a request for an identifier`,
+    store
+  );
+  return store.cache;
+}
+
+/**
+ * Builds a request to create a new record.
+ *
+ * ```ts
+ * import { createRecord } from '@ember-data/json-api/request';
+ *
+ * const user = store.createRecord('user', { name: 'Chris' });
+ * await store.request(createRecord(user));
+ * ```
+ *
+ * The `data` of the request is the record serialized from the cache
+ * of its store as a JSON:API document, the record is referenced by
+ * its `lid`. An identifier does not know which store it belongs to,
+ * so one must be given via `options.store`.
+ *
+ * ```ts
+ * await store.request(createRecord(identifier, { store }));
+ * ```
+ *
+ * @method createRecord
+ * @for @ember-data/json-api/request
+ * @static
+ * @public
+ * @param {RecordInstance | StableRecordIdentifier} record
+ * @param {SaveRecordOptions} options
+ * @returns {StoreRequestInfo}
+ */
+export function createRecord(
+  record: RecordInstance | StableRecordIdentifier,
+  options: SaveRecordOptions = {}
+): StoreRequestInfo {
+  const identifier = identifierFor(record);
+  const cache = cacheFor(record, options);
+
+  return {
+    url: buildBaseURL(identifier.type, null, options),
+    method: 'POST',
+    headers: jsonApiHeaders(true),
+    op: 'createRecord',
+    records: [identifier],
+    data: { data: serializeResource(cache, identifier) },
+  };
+}
+
+/**
+ * Builds a request to save the changes to an existing record.
+ *
+ * ```ts
+ * import { updateRecord } from '@ember-data/json-api/request';
+ *
+ * user.name = 'James';
+ * await store.request(updateRecord(user));
+ * ```
+ *
+ * The request uses `PATCH` unless `{ patch: false }` is given, in
+ * which case it uses `PUT`. The `data` of the request is the record
+ * serialized from the cache of its store as a JSON:API document, a
+ * `PATCH` only includes the attributes which have changed. As with
+ * `createRecord`, identifiers need `options.store`.
+ *
+ * @method updateRecord
+ * @for @ember-data/json-api/request
+ * @static
+ * @public
+ * @param {RecordInstance | StableRecordIdentifier} record
+ * @param {UpdateRecordOptions} options
+ * @returns {StoreRequestInfo}
+ */
+export function updateRecord(
+  record: RecordInstance | StableRecordIdentifier,
+  options: UpdateRecordOptions = {}
+): StoreRequestInfo {
+  const identifier = identifierFor(record);
+  assert(`Cannot update a record that has not been saved`, identifier.id);
+  const cache = cacheFor(record, options);
+  const patch = options.patch !== false;
+
+  return {
+    url: buildBaseURL(identifier.type, identifier.id, options),
+    method: patch ? 'PATCH' : 'PUT',
+    headers: jsonApiHeaders(true),
+    op: 'updateRecord',
+    records: [identifier],
+    data: { data: serializeResource(cache, identifier, patch) },
+  };
+}
+
+/**
+ * Builds a request to delete a record.
+ *
+ * ```ts
+ * import { deleteRecord } from '@ember-data/json-api/request';
+ *
+ * user.deleteRecord();
+ * await store.request(deleteRecord(user));
+ * ```
+ *
+ * @method deleteRecord
+ * @for @ember-data/json-api/request
+ * @static
+ * @public
+ * @param {RecordInstance | StableRecordIdentifier} record
+ * @param {UrlOptions} options
+ * @returns {StoreRequestInfo}
+ */
+export function deleteRecord(
+  record: RecordInstance | StableRecordIdentifier,
+  options: UrlOptions = {}
+): StoreRequestInfo {
+  const identifier = identifierFor(record);
+  assert(`Cannot delete a record that has not been saved`, identifier.id);
+
+  return {
+    url: buildBaseURL(identifier.type, identifier.id, options),
+    method: 'DELETE',
+    headers: jsonApiHeaders(false),
+    op: 'deleteRecord',
+    records: [identifier],
+  };
+}
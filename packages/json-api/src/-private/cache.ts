@@ -11,14 +11,19 @@ import type { ImplicitRelationship } from '@ember-data/graph/-private/graph/inde
 import type BelongsToRelationship from '@ember-data/graph/-private/relationships/state/belongs-to';
 import type ManyRelationship from '@ember-data/graph/-private/relationships/state/has-many';
 import { LOG_MUTATIONS, LOG_OPERATIONS } from '@ember-data/private-build-infra/debugging';
+import { getSparseFields } from '@ember-data/store/-private';
 import type { IdentifierCache } from '@ember-data/store/-private/caches/identifier-cache';
 import type { ResourceBlob } from '@ember-data/types/cache/aliases';
+import type { DumpOptions } from '@ember-data/types/cache/cache';
 import type { Change } from '@ember-data/types/cache/change';
 import type {
   CollectionResourceDataDocument,
+  RequestInfo,
+  ResourceDataDocument,
   ResourceDocument,
   ResourceErrorDocument,
   ResourceMetaDocument,
+  ResponseInfo,
   SingleResourceDataDocument,
   StructuredDataDocument,
   StructuredDocument,
@@ -64,6 +69,8 @@ interface CachedResource {
   isNew: boolean;
   isDeleted: boolean;
   isDeletionCommitted: boolean;
+  // the fields received so far when only sparse fieldsets have been loaded, otherwise null
+  loadedFields: Set<string> | null;
 }
 
 function makeCache(): CachedResource {
@@ -76,6 +83,7 @@ function makeCache(): CachedResource {
     isNew: false,
     isDeleted: false,
     isDeletionCommitted: false,
+    loadedFields: null,
   };
 }
 
@@ -116,6 +124,8 @@ export default class JSONAPICache implements Cache {
   declare __cache: Map<StableRecordIdentifier, CachedResource>;
   declare __destroyedCache: Map<StableRecordIdentifier, CachedResource>;
   declare __documents: Map<string, StructuredDocument<ResourceDocument>>;
+  declare __parent: JSONAPICache | null;
+  declare __unloaded: Set<StableRecordIdentifier> | null;
 
   constructor(storeWrapper: V2CacheStoreWrapper) {
     this.version = '2';
@@ -123,6 +133,8 @@ export default class JSONAPICache implements Cache {
     this.__cache = new Map();
     this.__destroyedCache = new Map();
     this.__documents = new Map();
+    this.__parent = null;
+    this.__unloaded = null;
   }
 
   // Cache Management
@@ -159,7 +171,8 @@ export default class JSONAPICache implements Cache {
    *
    * StructuredDocument's with urls will be cached as full documents with
    * associated resource membership order and contents preserved but linked
-   * into the cache.
+   * into the cache. Documents are cached under the `cacheOptions.key` of
+   * the request if it has one, else under its url.
    *
    * @method put
    * @param {StructuredDocument} doc
@@ -177,10 +190,11 @@ export default class JSONAPICache implements Cache {
     let included = jsonApiDoc.included;
     let i: number, length: number;
     const { identifierCache } = this.__storeWrapper;
+    const fields = getSparseFields(doc.request);
 
     if (included) {
       for (i = 0, length = included.length; i < length; i++) {
-        putOne(this, identifierCache, included[i]);
+        putOne(this, identifierCache, included[i], fields);
       }
     }
 
@@ -189,7 +203,7 @@ export default class JSONAPICache implements Cache {
       let identifiers: StableExistingRecordIdentifier[] = [];
 
       for (i = 0; i < length; i++) {
-        identifiers.push(putOne(this, identifierCache, jsonApiDoc.data[i]));
+        identifiers.push(putOne(this, identifierCache, jsonApiDoc.data[i], fields));
       }
       return this._putDocument(doc as StructuredDataDocument<CollectionResourceDocument>, identifiers);
     }
@@ -203,7 +217,7 @@ export default class JSONAPICache implements Cache {
       typeof jsonApiDoc.data === 'object'
     );
 
-    let identifier = putOne(this, identifierCache, jsonApiDoc.data);
+    let identifier = putOne(this, identifierCache, jsonApiDoc.data, fields);
     return this._putDocument(doc as StructuredDataDocument<SingleResourceDocument>, identifier);
   }
 
@@ -223,10 +237,11 @@ export default class JSONAPICache implements Cache {
     const resourceDocument: SingleResourceDataDocument | CollectionResourceDataDocument = {
       data,
     };
-    if (!doc.request?.url) {
+    const lid = getDocumentKey(doc.request);
+    if (!lid) {
       return resourceDocument;
     }
-    resourceDocument.lid = doc.request.url;
+    resourceDocument.lid = lid;
     const jsonApiDoc = doc.content;
     const { links, meta } = jsonApiDoc;
     if (links) {
@@ -237,7 +252,7 @@ export default class JSONAPICache implements Cache {
     }
     // @ts-expect-error
     doc.content = resourceDocument;
-    this.__documents.set(doc.request.url!, doc as StructuredDocument<ResourceDocument>);
+    this.__documents.set(lid, doc as StructuredDocument<ResourceDocument>);
 
     return resourceDocument;
   }
@@ -266,7 +281,7 @@ export default class JSONAPICache implements Cache {
       }
     }
     if (op.op === 'mergeIdentifiers') {
-      const cache = this.__cache.get(op.record);
+      const cache = this.__safePeekMutable(op.record);
       if (cache) {
         this.__cache.set(op.value, cache);
         this.__cache.delete(op.record);
@@ -344,7 +359,7 @@ export default class JSONAPICache implements Cache {
       const relationships = {};
 
       const graph = graphFor(this.__storeWrapper);
-      const rels = graph.identifiers.get(identifier);
+      const rels = graph.peekNodeReadonly(identifier);
       if (rels) {
         Object.keys(rels).forEach((key) => {
           const rel = rels[key]!;
@@ -381,7 +396,7 @@ export default class JSONAPICache implements Cache {
    * @public
    */
   peekRequest(identifier: StableDocumentIdentifier): StructuredDocument<ResourceDocument> | null {
-    return this.__documents.get(identifier.lid) || null;
+    return this.__documents.get(identifier.lid) || this.__parent?.peekRequest(identifier) || null;
   }
 
   /**
@@ -400,12 +415,15 @@ export default class JSONAPICache implements Cache {
     calculateChanges?: boolean | undefined
   ): void | string[] {
     let changedKeys: string[] | undefined;
-    const peeked = this.__safePeek(identifier, false);
+    const peeked = this.__safePeekMutable(identifier);
     const existed = !!peeked;
     const cached = peeked || this._createCache(identifier);
 
     const isLoading = _isLoading(peeked, this.__storeWrapper, identifier) || !recordIsLoaded(peeked);
     let isUpdate = !_isEmpty(peeked) && !isLoading;
+    if (cacheIsEmpty(cached)) {
+      cached.loadedFields = null;
+    }
 
     if (LOG_OPERATIONS) {
       try {
@@ -460,12 +478,27 @@ export default class JSONAPICache implements Cache {
    * preferring instead to fork at the Store level, which will
    * utilize this method to fork the cache.
    *
+   * The fork is copy-on-write: reads for resources, documents and
+   * relationships the fork has not modified fall through to this
+   * cache, while any mutation is applied only to the fork.
+   *
    * @method fork
    * @internal
+   * @param {CacheStoreWrapper} storeWrapper the wrapper for the Store which will own the fork
    * @returns Promise<Cache>
    */
-  fork(): Promise<Cache> {
-    throw new Error(`Not Implemented`);
+  fork(storeWrapper: V2CacheStoreWrapper): Promise<Cache> {
+    assert(`Expected a new CacheStoreWrapper to fork the cache into`, storeWrapper !== this.__storeWrapper);
+    const cache = new JSONAPICache(storeWrapper);
+    cache.__parent = this;
+    cache.__unloaded = new Set();
+
+    const graph = peekGraph(this.__storeWrapper);
+    if (graph) {
+      graphFor(storeWrapper).forkFrom(graph);
+    }
+
+    return Promise.resolve(cache);
   }
 
   /**
@@ -475,13 +508,58 @@ export default class JSONAPICache implements Cache {
    * preferring instead to merge at the Store level, which will
    * utilize this method to merge the caches.
    *
+   * Every resource, request document and relationship the fork
+   * has modified replaces the state held by this cache, and
+   * the associated changes are notified. Resources the fork
+   * unloaded are unloaded from this cache as well.
+   *
    * @method merge
    * @param {Cache} cache
    * @public
    * @returns Promise<void>
    */
   merge(cache: Cache): Promise<void> {
-    throw new Error(`Not Implemented`);
+    assert(
+      `Expected to merge a Cache that was forked from this Cache`,
+      cache instanceof JSONAPICache && cache.__parent === this
+    );
+    const storeWrapper = this.__storeWrapper;
+
+    // apply the unloads made in the fork, unless the fork has since loaded the resource again
+    cache.__unloaded!.forEach((identifier) => {
+      if (!cache.__cache.has(identifier) && this.__cache.has(identifier)) {
+        this.unloadRecord(identifier);
+      }
+    });
+    cache.__unloaded!.clear();
+
+    cache.__cache.forEach((forked, identifier) => {
+      const existing = this.__cache.get(identifier);
+      const changedKeys = existing ? calculateChangedAttrs(existing, forked) : null;
+      this.__cache.set(identifier, copyResource(forked));
+
+      if (!existing) {
+        storeWrapper.notifyChange(identifier, 'added');
+        notifyAttributes(storeWrapper, identifier);
+      } else if (changedKeys!.length) {
+        notifyAttributes(storeWrapper, identifier, changedKeys!);
+      }
+      if (existing?.errors || forked.errors) {
+        storeWrapper.notifyChange(identifier, 'errors');
+      }
+      storeWrapper.notifyChange(identifier, 'state');
+    });
+
+    cache.__documents.forEach((doc, lid) => {
+      this.__documents.set(lid, doc);
+    });
+
+    const forkedGraph = peekGraph(cache.__storeWrapper);
+    if (forkedGraph) {
+      graphFor(storeWrapper).merge(forkedGraph);
+    }
+
+    return Promise.resolve();
   }
 
   /**
@@ -514,11 +592,53 @@ export default class JSONAPICache implements Cache {
    * }
    * ```
    *
+   * For this cache the `patch` of an `upsert` is a JSON:API
+   * resource object containing only the changed attributes and
+   * relationships. New records include every attribute and any
+   * relationship with a local value. Records deleted locally but
+   * not yet committed produce a `remove` without a patch.
+   *
    * @method diff
    * @public
    */
   diff(): Promise<Change[]> {
-    throw new Error(`Not Implemented`);
+    const changes: Change[] = [];
+    const graph = peekGraph(this.__storeWrapper);
+
+    this.__forEachResource((cached, identifier) => {
+      if (cached.isDeletionCommitted) {
+        return;
+      }
+
+      if (cached.isDeleted) {
+        // a record created and deleted locally has nothing to persist
+        if (!cached.isNew) {
+          changes.push({ identifier, op: 'remove' });
+        }
+        return;
+      }
+
+      const attributes = cached.isNew
+        ? Object.assign({}, cached.remoteAttrs, cached.inflightAttrs, cached.localAttrs)
+        : changedLocalAttrs(cached);
+      const relationships = graph ? changedRelationships(graph.peekNodeReadonly(identifier), cached.isNew) : null;
+
+      if (!cached.isNew && !attributes && !relationships) {
+        return;
+      }
+
+      const { type, id, lid } = identifier;
+      const patch: JsonApiResource = { type, id, lid };
+      if (attributes) {
+        patch.attributes = attributes;
+      }
+      if (relationships) {
+        patch.relationships = relationships;
+      }
+      changes.push({ identifier, op: 'upsert', patch });
+    });
+
+    return Promise.resolve(changes);
   }
 
   // SSR Support
@@ -529,12 +649,80 @@ export default class JSONAPICache implements Cache {
    * which may be fed back into a new instance of the same Cache
    * via `cache.hydrate`.
    *
+   * The stream emits JSON compatible chunks, the first of which
+   * describes the format version. It is followed by every known
+   * identifier, the remote state of every resource and every
+   * cached request document.
+   *
+   * ```ts
+   * const stream = await store.cache.dump();
+   * const chunks = [];
+   * for await (const chunk of stream) {
+   *   chunks.push(chunk);
+   * }
+   * shoebox.put('ember-data', JSON.stringify(chunks));
+   * ```
+   *
+   * Local (unpersisted) changes to resources are only included
+   * when `options.includeLocalState` is `true`.
+   *
    * @method dump
+   * @param {object} [options]
    * @returns {Promise<ReadableStream>}
    * @public
    */
-  dump(): Promise<ReadableStream<unknown>> {
-    throw new Error(`Not Implemented`);
+  dump(options?: DumpOptions): Promise<ReadableStream<unknown>> {
+    const includeLocalState = options?.includeLocalState === true;
+    const storeWrapper = this.__storeWrapper;
+    const graph = peekGraph(storeWrapper);
+    const chunks: DumpChunk[] = [{ kind: 'meta', version: DUMP_VERSION, includeLocalState }];
+
+    storeWrapper.identifierCache._cache.lids.forEach((identifier) => {
+      chunks.push({ kind: 'identifier', identifier: serializeIdentifier(identifier) });
+    });
+
+    const locals: DumpChunk[] = [];
+    this.__forEachResource((cached, identifier) => {
+      if (cached.isDeletionCommitted) {
+        return;
+      }
+      const node = graph?.peekNodeReadonly(identifier);
+
+      if (!cached.isNew) {
+        chunks.push(dumpResource(identifier, cached, node));
+      }
+
+      if (includeLocalState) {
+        const attributes = Object.assign({}, cached.inflightAttrs, cached.localAttrs);
+        const relationships = changedRelationships(node, cached.isNew);
+        if (cached.isNew || cached.isDeleted || cached.errors || relationships || Object.keys(attributes).length > 0) {
+          locals.push({
+            kind: 'local',
+            identifier: serializeIdentifier(identifier),
+            attributes,
+            relationships: serializeRelationships(relationships),
+            isNew: cached.isNew,
+            isDeleted: cached.isDeleted,
+            errors: cached.errors,
+          });
+        }
+      }
+    });
+
+    allDocuments(this).forEach((doc, lid) => {
+      chunks.push(dumpDocument(lid, doc));
+    });
+
+    chunks.push(...locals);
+
+    return Promise.resolve(
+      new ReadableStream<unknown>({
+        start(controller) {
+          chunks.forEach((chunk) => controller.enqueue(chunk));
+          controller.close();
+        },
+      })
+    );
   }
 
   /**
@@ -549,13 +737,144 @@ export default class JSONAPICache implements Cache {
    * behavior supports optimizing pre/fetching of data for route transitions
    * via data-only SSR modes.
    *
+   * Chunks may be supplied either as the objects emitted by `dump`
+   * or as their JSON serialized strings. Hydration only updates the
+   * cache, no requests are issued.
+   *
    * @method hydrate
    * @param {ReadableStream} stream
    * @returns {Promise<void>}
    * @public
    */
-  hydrate(stream: ReadableStream<unknown>): Promise<void> {
-    throw new Error('Not Implemented');
+  async hydrate(stream: ReadableStream<unknown>): Promise<void> {
+    const reader = stream.getReader();
+    let hasMeta = false;
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      const chunk = (typeof value === 'string' ? JSON.parse(value) : value) as DumpChunk;
+
+      if (!hasMeta) {
+        assert(
+          `Expected the stream to begin with a dump of version ${DUMP_VERSION}, but received ${JSON.stringify(chunk)}`,
+          chunk.kind === 'meta' && chunk.version === DUMP_VERSION
+        );
+        hasMeta = true;
+        continue;
+      }
+
+      this._hydrateChunk(chunk);
+    }
+  }
+
+  /**
+   * Serialize the remote state of a single resource in the
+   * format emitted by `dump`, or `null` if there is none.
+   *
+   * @method _dumpResource
+   * @internal
+   * @param {StableRecordIdentifier} identifier
+   * @returns {DumpChunk | null}
+   */
+  _dumpResource(identifier: StableRecordIdentifier): ResourceChunk | null {
+    const cached = this.__safePeek(identifier, false);
+    if (!cached || cached.isNew || cached.isDeletionCommitted || !cached.remoteAttrs) {
+      return null;
+    }
+    return dumpResource(identifier, cached, peekGraph(this.__storeWrapper)?.peekNodeReadonly(identifier));
+  }
+
+  /**
+   * Serialize a single request document in the format emitted
+   * by `dump`, or `null` if it is not cached.
+   *
+   * @method _dumpDocument
+   * @internal
+   * @param {string} lid
+   * @returns {DumpChunk | null}
+   */
+  _dumpDocument(lid: string): DocumentChunk | null {
+    const doc = this.peekRequest({ lid });
+    return doc ? dumpDocument(lid, doc) : null;
+  }
+
+  _hydrateChunk(chunk: DumpChunk): void {
+    const storeWrapper = this.__storeWrapper;
+    const { identifierCache } = storeWrapper;
+
+    switch (chunk.kind) {
+      case 'identifier':
+        identifierCache.getOrCreateRecordIdentifier(chunk.identifier);
+        break;
+      case 'resource': {
+        const identifier = identifierCache.getOrCreateRecordIdentifier(chunk.resource as ExistingResourceObject);
+        const wasEmpty = cacheIsEmpty(this.__safePeek(identifier, false));
+        this.upsert(identifier, chunk.resource, storeWrapper.hasRecord(identifier));
+        markLoadedFields(this.__peekMutable(identifier), chunk.fields, wasEmpty);
+        break;
+      }
+      case 'document': {
+        const { content } = chunk;
+        const data = Array.isArray(content.data)
+          ? content.data.map((resource) => identifierCache.getOrCreateRecordIdentifier(resource))
+          : content.data
+          ? identifierCache.getOrCreateRecordIdentifier(content.data)
+          : null;
+        const doc = {
+          request: deserializeRequest(chunk.request),
+          response: deserializeResponse(chunk.response),
+          content: Object.assign({}, content, { data }),
+        } as StructuredDocument<ResourceDocument>;
+        this.__documents.set(chunk.lid, doc);
+        break;
+      }
+      case 'local': {
+        const identifier = identifierCache.getOrCreateRecordIdentifier(chunk.identifier);
+        let cached = this.__safePeekMutable(identifier);
+        if (!cached) {
+          cached = this._createCache(identifier);
+          cached.isNew = chunk.isNew;
+          storeWrapper.notifyChange(identifier, 'added');
+        }
+        Object.keys(chunk.attributes).forEach((key) => {
+          this.setAttr(identifier, key, chunk.attributes[key]);
+        });
+        if (chunk.relationships) {
+          const graph = graphFor(storeWrapper);
+          Object.keys(chunk.relationships).forEach((field) => {
+            const value = chunk.relationships![field];
+            graph.update(
+              Array.isArray(value)
+                ? {
+                    op: 'replaceRelatedRecords',
+                    record: identifier,
+                    field,
+                    value: value.map((resource) => identifierCache.getOrCreateRecordIdentifier(resource)),
+                  }
+                : {
+                    op: 'replaceRelatedRecord',
+                    record: identifier,
+                    field,
+                    value: value ? identifierCache.getOrCreateRecordIdentifier(value) : null,
+                  },
+              false
+            );
+          });
+        }
+        cached.isDeleted = chunk.isDeleted;
+        if (chunk.errors) {
+          cached.errors = chunk.errors;
+          storeWrapper.notifyChange(identifier, 'errors');
+        }
+        storeWrapper.notifyChange(identifier, 'state');
+        break;
+      }
+      default:
+        assert(`Unexpected chunk in stream: ${JSON.stringify(chunk)}`);
+    }
   }
 
   // Resource Support
@@ -654,7 +973,7 @@ export default class JSONAPICache implements Cache {
    * @param identifier
    */
   willCommit(identifier: StableRecordIdentifier): void {
-    const cached = this.__peek(identifier, false);
+    const cached = this.__peekMutable(identifier);
     cached.inflightAttrs = cached.localAttrs;
     cached.localAttrs = null;
   }
@@ -669,7 +988,7 @@ export default class JSONAPICache implements Cache {
    * @param data
    */
   didCommit(identifier: StableRecordIdentifier, data: JsonApiResource | null): void {
-    const cached = this.__peek(identifier, false);
+    const cached = this.__peekMutable(identifier);
     if (cached.isDeleted) {
       graphFor(this.__storeWrapper).push({
         op: 'deleteRecord',
@@ -737,7 +1056,7 @@ export default class JSONAPICache implements Cache {
    * @param errors
    */
   commitWasRejected(identifier: StableRecordIdentifier, errors?: JsonApiValidationError[] | undefined): void {
-    const cached = this.__peek(identifier, false);
+    const cached = this.__peekMutable(identifier);
     if (cached.inflightAttrs) {
       let keys = Object.keys(cached.inflightAttrs);
       if (keys.length > 0) {
@@ -768,6 +1087,9 @@ export default class JSONAPICache implements Cache {
    */
   unloadRecord(identifier: StableRecordIdentifier): void {
     const storeWrapper = this.__storeWrapper;
+    // forks must not read through to the parent for a resource they unloaded
+    this.__unloaded?.add(identifier);
+
     // TODO this is necessary because
     // we maintain memebership inside InstanceCache
     // for peekAll, so even though we haven't created
@@ -866,7 +1188,7 @@ export default class JSONAPICache implements Cache {
    * @param value
    */
   setAttr(identifier: StableRecordIdentifier, attr: string, value: unknown): void {
-    const cached = this.__peek(identifier, false);
+    const cached = this.__peekMutable(identifier);
     const existing =
       cached.inflightAttrs && attr in cached.inflightAttrs
         ? cached.inflightAttrs[attr]
@@ -928,7 +1250,7 @@ export default class JSONAPICache implements Cache {
    * @returns {string[]} the names of fields that were restored
    */
   rollbackAttrs(identifier: StableRecordIdentifier): string[] {
-    const cached = this.__peek(identifier, false);
+    const cached = this.__peekMutable(identifier);
     let dirtyKeys: string[] | undefined;
     cached.isDeleted = false;
 
@@ -995,7 +1317,7 @@ export default class JSONAPICache implements Cache {
    * @param isDeleted {boolean}
    */
   setIsDeleted(identifier: StableRecordIdentifier, isDeleted: boolean): void {
-    const cached = this.__peek(identifier, false);
+    const cached = this.__peekMutable(identifier);
     cached.isDeleted = isDeleted;
     if (cached.isNew) {
       // TODO can we delete this since we will do this in unload?
@@ -1033,6 +1355,29 @@ export default class JSONAPICache implements Cache {
     return cached ? cached.remoteAttrs === null && cached.inflightAttrs === null && cached.localAttrs === null : true;
   }
 
+  /**
+   * Query the cache for whether the given field of a resource has been
+   * loaded.
+   *
+   * Resources received by `put` in response to a request for sparse
+   * fieldsets, such as `/api/users?fields[user]=name`, only have the
+   * requested fields loaded until a later response includes the
+   * others or omits the sparse fieldset for their type.
+   *
+   * @method isFieldLoaded
+   * @public
+   * @param identifier
+   * @param field
+   * @returns {boolean}
+   */
+  isFieldLoaded(identifier: StableRecordIdentifier, field: string): boolean {
+    const cached = this.__safePeek(identifier, false);
+    if (!recordIsLoaded(cached)) {
+      return false;
+    }
+    return !cached!.loadedFields || cached!.loadedFields.has(field);
+  }
+
   /**
    * Query the cache for whether a given resource was created locally and not
    * yet persisted.
@@ -1087,6 +1432,7 @@ export default class JSONAPICache implements Cache {
     assert(`Expected no resource data to yet exist in the cache`, !this.__cache.has(identifier));
     const cache = makeCache();
     this.__cache.set(identifier, cache);
+    this.__unloaded?.delete(identifier);
     return cache;
   }
 
@@ -1105,6 +1451,72 @@ export default class JSONAPICache implements Cache {
     if (!resource && allowDestroyed) {
       resource = this.__destroyedCache.get(identifier);
     }
+    if (!resource && this.__parent && !this.__unloaded!.has(identifier)) {
+      resource = this.__parent.__safePeek(identifier, allowDestroyed);
+    }
+    return resource;
+  }
+
+  /**
+   * Iterate every resource known to this cache, including those
+   * a fork has only read from its parent.
+   *
+   * @method __forEachResource
+   * @param {Function} cb
+   * @internal
+   */
+  __forEachResource(cb: (cached: CachedResource, identifier: StableRecordIdentifier) => void): void {
+    this.__cache.forEach(cb);
+    if (this.__parent) {
+      this.__parent.__forEachResource((cached, identifier) => {
+        if (!this.__cache.has(identifier) && !this.__unloaded!.has(identifier)) {
+          cb(cached, identifier);
+        }
+      });
+    }
+  }
+
+  /**
+   * Peek whether we have cached resource data matching the identifier
+   * in preparation for mutating it, without asserting if the resource
+   * data is missing.
+   *
+   * For a fork, resource data that has only been read from the parent
+   * is copied into the fork first so that the mutation remains local.
+   *
+   * @method __safePeekMutable
+   * @param {StableRecordIdentifier} identifier
+   * @internal
+   * @returns {CachedResource | undefined}
+   */
+  __safePeekMutable(identifier: StableRecordIdentifier): CachedResource | undefined {
+    let resource = this.__cache.get(identifier);
+    if (!resource && this.__parent && !this.__unloaded!.has(identifier)) {
+      const parentResource = this.__parent.__safePeek(identifier, false);
+      if (parentResource) {
+        resource = copyResource(parentResource);
+        this.__cache.set(identifier, resource);
+      }
+    }
+    return resource;
+  }
+
+  /**
+   * Peek the cached resource data matching the identifier in
+   * preparation for mutating it.
+   * Asserts if the resource data is missing.
+   *
+   * @method __peekMutable
+   * @param {StableRecordIdentifier} identifier
+   * @internal
+   * @returns {CachedResource}
+   */
+  __peekMutable(identifier: StableRecordIdentifier): CachedResource {
+    let resource = this.__safePeekMutable(identifier);
+    assert(
+      `Expected Cache to have a resource entry for the identifier ${String(identifier)} but none was found`,
+      resource
+    );
     return resource;
   }
 
@@ -1217,6 +1629,318 @@ function calculateChangedKeys(cached: CachedResource, updates?: AttributesHash)
   return changedKeys;
 }
 
+function copyDict<T>(dict: Dict<T> | null): Dict<T> | null {
+  return dict ? Object.assign(Object.create(null), dict) : null;
+}
+
+function copyResource(cached: CachedResource): CachedResource {
+  return {
+    remoteAttrs: copyDict(cached.remoteAttrs),
+    localAttrs: copyDict(cached.localAttrs),
+    inflightAttrs: copyDict(cached.inflightAttrs),
+    changes: copyDict(cached.changes),
+    errors: cached.errors ? cached.errors.slice() : null,
+    isNew: cached.isNew,
+    isDeleted: cached.isDeleted,
+    isDeletionCommitted: cached.isDeletionCommitted,
+    loadedFields: cached.loadedFields ? new Set(cached.loadedFields) : null,
+  };
+}
+
+function currentAttrs(cached: CachedResource): Dict<unknown> {
+  return Object.assign(Object.create(null), cached.remoteAttrs, cached.inflightAttrs, cached.localAttrs);
+}
+
+function calculateChangedAttrs(original: CachedResource, updated: CachedResource): string[] {
+  const before = currentAttrs(original);
+  const after = currentAttrs(updated);
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changedKeys: string[] = [];
+
+  keys.forEach((key) => {
+    if (before[key] !== after[key]) {
+      changedKeys.push(key);
+    }
+  });
+
+  return changedKeys;
+}
+
+export const DUMP_VERSION = 2;
+
+type SerializedIdentifier = { type: string; id: string | null; lid: string };
+type SerializedHeaders = [string, string][];
+
+interface SerializedRequest {
+  url?: string;
+  method?: string;
+  op?: string;
+  cacheOptions?: unknown;
+  headers?: SerializedHeaders;
+}
+
+interface SerializedResponse {
+  ok: boolean;
+  redirected: boolean;
+  status: number;
+  statusText: string;
+  type: string;
+  url: string;
+  headers: SerializedHeaders;
+}
+
+/*
+ * The format emitted by `dump` and consumed by `hydrate`.
+ *
+ * Every chunk is JSON compatible. Changes to this format
+ * MUST increment `DUMP_VERSION`.
+ */
+// `fields` lists the loaded fields of a resource for which only sparse fieldsets were loaded
+export type ResourceChunk = { kind: 'resource'; resource: JsonApiResource; fields?: string[] };
+export type DocumentChunk = {
+  kind: 'document';
+  lid: string;
+  request: SerializedRequest | null;
+  response: SerializedResponse | null;
+  content: Omit<ResourceDocument, 'data'> & { data?: SerializedIdentifier | SerializedIdentifier[] | null };
+};
+export type DumpChunk =
+  | { kind: 'meta'; version: number; includeLocalState: boolean }
+  | { kind: 'identifier'; identifier: SerializedIdentifier }
+  | ResourceChunk
+  | DocumentChunk
+  | {
+      kind: 'local';
+      identifier: SerializedIdentifier;
+      attributes: Dict<unknown>;
+      relationships: Dict<SerializedIdentifier | SerializedIdentifier[] | null> | null;
+      isNew: boolean;
+      isDeleted: boolean;
+      errors: JsonApiValidationError[] | null;
+    };
+
+function serializeIdentifier(identifier: StableRecordIdentifier): SerializedIdentifier {
+  return { type: identifier.type, id: identifier.id, lid: identifier.lid };
+}
+
+function serializeHeaders(headers: Headers | undefined): SerializedHeaders {
+  const entries: SerializedHeaders = [];
+  headers?.forEach((value, key) => {
+    entries.push([key, value]);
+  });
+  return entries;
+}
+
+function serializeRequest(request: StructuredDocument<unknown>['request']): SerializedRequest | null {
+  if (!request) {
+    return null;
+  }
+  const serialized: SerializedRequest = { url: request.url, method: request.method };
+  const { op, cacheOptions } = request as { op?: string; cacheOptions?: unknown };
+  if (op) {
+    serialized.op = op;
+  }
+  if (cacheOptions) {
+    serialized.cacheOptions = cacheOptions;
+  }
+  if (request.headers) {
+    serialized.headers = serializeHeaders(request.headers);
+  }
+  return serialized;
+}
+
+function serializeResponse(response: StructuredDocument<unknown>['response']): SerializedResponse | null {
+  if (!response) {
+    return null;
+  }
+  const { ok, redirected, status, statusText, type, url, headers } = response;
+  return { ok, redirected, status, statusText, type, url, headers: serializeHeaders(headers) };
+}
+
+function deserializeRequest(request: SerializedRequest | null): RequestInfo | undefined {
+  if (!request) {
+    return undefined;
+  }
+  const { headers } = request;
+  return Object.assign({}, request, { headers: headers ? new Headers(headers) : undefined }) as RequestInfo;
+}
+
+function deserializeResponse(response: SerializedResponse | null): ResponseInfo | null {
+  if (!response) {
+    return null;
+  }
+  return Object.assign({}, response, { headers: new Headers(response.headers) }) as unknown as ResponseInfo;
+}
+
+function serializeContent(content: unknown): DocumentChunk['content'] {
+  const serialized = Object.assign({}, content) as DocumentChunk['content'];
+  const { data } = content as ResourceDataDocument;
+  if (Array.isArray(data)) {
+    serialized.data = data.map(serializeIdentifier);
+  } else if (data) {
+    serialized.data = serializeIdentifier(data);
+  }
+  return serialized;
+}
+
+function serializeRelationships(
+  relationships: Dict<SingleResourceRelationship | CollectionResourceRelationship> | null
+): Dict<SerializedIdentifier | SerializedIdentifier[] | null> | null {
+  if (!relationships) {
+    return null;
+  }
+  const serialized: Dict<SerializedIdentifier | SerializedIdentifier[] | null> = {};
+  Object.keys(relationships).forEach((key) => {
+    const { data } = relationships[key]!;
+    serialized[key] = Array.isArray(data)
+      ? data.map((identifier) => serializeIdentifier(identifier as StableRecordIdentifier))
+      : data
+      ? serializeIdentifier(data as StableRecordIdentifier)
+      : null;
+  });
+  return serialized;
+}
+
+function remoteRelationships(
+  node: Dict<ImplicitRelationship | ManyRelationship | BelongsToRelationship> | undefined
+): Dict<SingleResourceRelationship | CollectionResourceRelationship> {
+  const relationships: Dict<SingleResourceRelationship | CollectionResourceRelationship> = {};
+  if (!node) {
+    return relationships;
+  }
+
+  Object.keys(node).forEach((key) => {
+    const rel = node[key]!;
+    if (rel.definition.isImplicit) {
+      return;
+    }
+    const { remoteState, links, meta, state } = rel as ManyRelationship | BelongsToRelationship;
+    const payload: SingleResourceRelationship | CollectionResourceRelationship = {};
+
+    if (state.hasReceivedData) {
+      payload.data = Array.isArray(remoteState)
+        ? remoteState.map(serializeIdentifier)
+        : remoteState
+        ? serializeIdentifier(remoteState)
+        : null;
+    }
+    if (links) {
+      payload.links = links;
+    }
+    if (meta) {
+      payload.meta = meta;
+    }
+    if (Object.keys(payload).length) {
+      relationships[key] = payload;
+    }
+  });
+
+  return relationships;
+}
+
+function dumpResource(
+  identifier: StableRecordIdentifier,
+  cached: CachedResource,
+  node: Dict<ImplicitRelationship | ManyRelationship | BelongsToRelationship> | undefined
+): ResourceChunk {
+  const chunk: ResourceChunk = {
+    kind: 'resource',
+    resource: {
+      type: identifier.type,
+      id: identifier.id,
+      lid: identifier.lid,
+      attributes: Object.assign({}, cached.remoteAttrs),
+      relationships: remoteRelationships(node),
+    },
+  };
+  if (cached.loadedFields) {
+    chunk.fields = Array.from(cached.loadedFields);
+  }
+  return chunk;
+}
+
+/*
+ * The key a request's document is cached under. This must match the key
+ * the CacheHandler looks documents up by: `cacheOptions.key` if the request
+ * has one, else its url.
+ */
+function getDocumentKey(request: StructuredDocument<unknown>['request']): string | null {
+  const key = (request as { cacheOptions?: { key?: string } } | undefined)?.cacheOptions?.key;
+  return key || request?.url || null;
+}
+
+function dumpDocument(lid: string, doc: StructuredDocument<ResourceDocument>): DocumentChunk {
+  return {
+    kind: 'document',
+    lid,
+    request: serializeRequest(doc.request),
+    response: serializeResponse(doc.response),
+    content: serializeContent(doc.content),
+  };
+}
+
+function allDocuments(cache: JSONAPICache): Map<string, StructuredDocument<ResourceDocument>> {
+  const documents = cache.__parent ? allDocuments(cache.__parent) : new Map();
+  cache.__documents.forEach((doc, lid) => documents.set(lid, doc));
+  return documents;
+}
+
+function changedLocalAttrs(cached: CachedResource): Dict<unknown> | null {
+  const { localAttrs } = cached;
+  if (!localAttrs) {
+    return null;
+  }
+  const original = Object.assign({}, cached.remoteAttrs, cached.inflightAttrs);
+  let attributes: Dict<unknown> | null = null;
+
+  Object.keys(localAttrs).forEach((key) => {
+    if (original[key] !== localAttrs[key]) {
+      attributes = attributes || {};
+      attributes[key] = localAttrs[key];
+    }
+  });
+
+  return attributes;
+}
+
+function changedRelationships(
+  node: Dict<ImplicitRelationship | ManyRelationship | BelongsToRelationship> | undefined,
+  isNew: boolean
+): Dict<SingleResourceRelationship | CollectionResourceRelationship> | null {
+  if (!node) {
+    return null;
+  }
+  let relationships: Dict<SingleResourceRelationship | CollectionResourceRelationship> | null = null;
+
+  Object.keys(node).forEach((key) => {
+    const rel = node[key]!;
+    if (rel.definition.isImplicit) {
+      return;
+    }
+
+    if (!rel.definition.isCollection) {
+      const { localState, remoteState } = rel as BelongsToRelationship;
+      if (isNew ? localState !== null : localState !== remoteState) {
+        relationships = relationships || {};
+        relationships[key] = { data: localState };
+      }
+      return;
+    }
+
+    const { localState, remoteState } = rel as ManyRelationship;
+    if (
+      isNew
+        ? localState.length > 0
+        : localState.length !== remoteState.length || localState.some((value, i) => value !== remoteState[i])
+    ) {
+      relationships = relationships || {};
+      relationships[key] = { data: localState.slice() };
+    }
+  });
+
+  return relationships;
+}
+
 function cacheIsEmpty(cached: CachedResource | undefined): boolean {
   return !cached || (cached.remoteAttrs === null && cached.inflightAttrs === null && cached.localAttrs === null);
 }
@@ -1327,10 +2051,22 @@ function patchLocalAttributes(cached: CachedResource): boolean {
   return hasAppliedPatch;
 }
 
+// resources received without a sparse fieldset have all of their fields loaded
+function markLoadedFields(cached: CachedResource, fieldset: string[] | undefined, wasEmpty: boolean): void {
+  if (!fieldset) {
+    cached.loadedFields = null;
+  } else if (cached.loadedFields) {
+    fieldset.forEach((field) => cached.loadedFields!.add(field));
+  } else if (wasEmpty) {
+    cached.loadedFields = new Set(fieldset);
+  }
+}
+
 function putOne(
   cache: JSONAPICache,
   identifiers: IdentifierCache,
-  resource: ExistingResourceObject
+  resource: ExistingResourceObject,
+  fields: Dict<string[]> | null
 ): StableExistingRecordIdentifier {
   let identifier: StableRecordIdentifier | undefined = identifiers.peekRecordIdentifier(resource);
 
@@ -1339,7 +2075,9 @@ function putOne(
   } else {
     identifier = identifiers.getOrCreateRecordIdentifier(resource);
   }
+  const wasEmpty = cacheIsEmpty(cache.__safePeek(identifier, false));
   cache.upsert(identifier, resource, cache.__storeWrapper.hasRecord(identifier));
+  markLoadedFields(cache.__peekMutable(identifier), fields?.[identifier.type], wasEmpty);
   // even if the identifier was not "existing" before, it is now
   return identifier as StableExistingRecordIdentifier;
 }
@@ -1350,7 +2088,7 @@ function putOne(
   */
 function _directlyRelatedIdentifiersIterable(storeWrapper: CacheStoreWrapper, originating: StableRecordIdentifier) {
   const graph = peekGraph(storeWrapper);
-  const initializedRelationships = graph?.identifiers.get(originating);
+  const initializedRelationships = graph?.peekNodeReadonly(originating);
 
   if (!initializedRelationships) {
     return EMPTY_ITERATOR;
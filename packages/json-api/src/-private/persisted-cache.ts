@@ -0,0 +1,447 @@
+/**
+ * @module @ember-data/json-api
+ */
+import { reportError } from '@ember-data/store/-private';
+import type {
+  CollectionResourceDataDocument,
+  ResourceDataDocument,
+  ResourceDocument,
+  ResourceErrorDocument,
+  ResourceMetaDocument,
+  SingleResourceDataDocument,
+  StructuredDocument,
+} from '@ember-data/types/cache/document';
+import type { StableDocumentIdentifier } from '@ember-data/types/cache/identifier';
+import type { MergeOperation } from '@ember-data/types/q/cache';
+import type { V2CacheStoreWrapper } from '@ember-data/types/q/cache-store-wrapper';
+import type {
+  CollectionResourceDocument,
+  ExistingResourceObject,
+  JsonApiDocument,
+  SingleResourceDocument,
+} from '@ember-data/types/q/ember-data-json-api';
+import type { StableRecordIdentifier } from '@ember-data/types/q/identifier';
+import type { JsonApiResource } from '@ember-data/types/q/record-data-json-api';
+
+import JSONAPICache, { DocumentChunk, DUMP_VERSION, ResourceChunk } from './cache';
+
+export interface PersistedEntry {
+  /* `resource:<lid>` or `document:<lid>` */
+  key: string;
+  version: number;
+  /* when the entry was last written, in ms since the epoch */
+  updatedAt: number;
+  /* when the entry was last written or read, in ms since the epoch */
+  accessedAt: number;
+  chunk: ResourceChunk | DocumentChunk;
+}
+
+export interface PersistedCacheStorage {
+  getAll(): Promise<PersistedEntry[]>;
+  put(entries: PersistedEntry[]): Promise<void>;
+  delete(keys: string[]): Promise<void>;
+}
+
+export interface PersistedCacheOptions {
+  storage?: PersistedCacheStorage;
+  ttl?: number;
+  maxEntries?: number;
+  onStorageError?: (error: unknown) => void;
+}
+
+type EntryTimes = Pick<PersistedEntry, 'updatedAt' | 'accessedAt'>;
+interface DirtyEntry {
+  identifier: StableRecordIdentifier | null;
+  // entries which were only read keep their update time
+  isUpdate: boolean;
+}
+
+const IDB_STORE = 'entries';
+
+function resourceKey(identifier: StableRecordIdentifier): string {
+  return `resource:${identifier.lid}`;
+}
+
+function documentKey(lid: string): string {
+  return `document:${lid}`;
+}
+
+/**
+ * A PersistedCacheStorage which keeps entries in memory, they are
+ * lost when the application is reloaded.
+ *
+ * @class MemoryCacheStorage
+ * @public
+ */
+export class MemoryCacheStorage implements PersistedCacheStorage {
+  declare _entries: Map<string, PersistedEntry>;
+
+  constructor() {
+    this._entries = new Map();
+  }
+
+  getAll(): Promise<PersistedEntry[]> {
+    return Promise.resolve([...this._entries.values()]);
+  }
+
+  put(entries: PersistedEntry[]): Promise<void> {
+    entries.forEach((entry) => this._entries.set(entry.key, entry));
+    return Promise.resolve();
+  }
+
+  delete(keys: string[]): Promise<void> {
+    keys.forEach((key) => this._entries.delete(key));
+    return Promise.resolve();
+  }
+}
+
+/**
+ * A PersistedCacheStorage which writes entries to IndexedDB so
+ * that they survive the application being reloaded.
+ *
+ * ```ts
+ * new PersistedCache(wrapper, { storage: new IndexedDBCacheStorage('my-app-cache') });
+ * ```
+ *
+ * @class IndexedDBCacheStorage
+ * @public
+ */
+export class IndexedDBCacheStorage implements PersistedCacheStorage {
+  declare name: string;
+  declare _db: Promise<IDBDatabase> | null;
+
+  constructor(name = 'ember-data-cache') {
+    this.name = name;
+    this._db = null;
+  }
+
+  getAll(): Promise<PersistedEntry[]> {
+    return this._transact('readonly', (store) => store.getAll() as IDBRequest<PersistedEntry[]>);
+  }
+
+  put(entries: PersistedEntry[]): Promise<void> {
+    return this._transact('readwrite', (store) => {
+      entries.forEach((entry) => store.put(entry));
+    });
+  }
+
+  delete(keys: string[]): Promise<void> {
+    return this._transact('readwrite', (store) => {
+      keys.forEach((key) => store.delete(key));
+    });
+  }
+
+  _open(): Promise<IDBDatabase> {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.name, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(IDB_STORE, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this._db;
+  }
+
+  async _transact<T>(mode: IDBTransactionMode, fn: (store: IDBObjectStore) => IDBRequest<T> | void): Promise<T> {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(IDB_STORE, mode);
+      const request = fn(transaction.objectStore(IDB_STORE));
+      transaction.oncomplete = () => resolve(request ? request.result : (undefined as T));
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+}
+
+/**
+  A JSON:API Cache which persists the remote state of resources
+  and request documents, so that the last known data is available
+  immediately when the application is reloaded.
+
+  ```js
+  import { PersistedCache, IndexedDBCacheStorage } from '@ember-data/json-api';
+  import Store from '@ember-data/store';
+
+  export default class extends Store {
+    createCache(wrapper) {
+      this.persistedCache = new PersistedCache(wrapper, {
+        storage: new IndexedDBCacheStorage(),
+        ttl: 7 * 24 * 60 * 60 * 1000,
+        maxEntries: 5000,
+      });
+      return this.persistedCache;
+    }
+  }
+  ```
+
+  The cache restores itself from `storage` when it is created, which
+  happens the first time `store.cache` is accessed, and `restored`
+  resolves once it has. Awaiting it before the first
+  render, for instance in the application route's `beforeModel`, lets
+  `store.request` resolve from the restored documents while the
+  `CacheHandler` reloads them in the background according to the
+  configured lifetimes.
+
+  Changes are written incrementally: only the resources and documents
+  which were added or updated since the last write are persisted,
+  batched once per microtask. Local (unpersisted) changes are never
+  written. Unloading a record frees memory without removing its
+  persisted state; use `clear()` to remove everything, for instance
+  when the user logs out.
+
+  The following options are available
+
+  - `storage` where entries are persisted, defaults to a
+     `MemoryCacheStorage`. Use an `IndexedDBCacheStorage` to keep
+     data across reloads.
+  - `ttl` the number of milliseconds after its last update that an
+     entry is discarded instead of restored
+  - `maxEntries` the number of entries to keep, the least recently
+     used entries are evicted once there are more
+  - `onStorageError` called when `storage` fails to write or remove
+     entries in the background, by default the error is rethrown
+     asynchronously. The in-memory state of the cache is not affected.
+
+  A restored document is discarded if any of the resources it
+  contains was not restored.
+
+  @class PersistedCache
+  @extends Cache
+  @public
+ */
+export class PersistedCache extends JSONAPICache {
+  declare storage: PersistedCacheStorage;
+  declare ttl: number | null;
+  declare maxEntries: number | null;
+  declare onStorageError: (error: unknown) => void;
+  /**
+   * Resolves once the cache has been restored from storage. If
+   * reading from storage fails it rejects with the error, and the
+   * cache starts empty. A failure to remove the entries discarded
+   * while restoring is passed to `onStorageError` instead.
+   *
+   * @property restored
+   * @type {Promise<void>}
+   * @public
+   */
+  declare restored: Promise<void>;
+  declare __entries: Map<string, EntryTimes>;
+  declare __dirty: Map<string, DirtyEntry>;
+  declare __isRestoring: boolean;
+  declare __writing: Promise<void>;
+
+  constructor(storeWrapper: V2CacheStoreWrapper, options: PersistedCacheOptions = {}) {
+    super(storeWrapper);
+    this.storage = options.storage || new MemoryCacheStorage();
+    this.ttl = options.ttl ?? null;
+    this.maxEntries = options.maxEntries ?? null;
+    this.onStorageError = options.onStorageError || reportError;
+    this.__entries = new Map();
+    this.__dirty = new Map();
+    this.__isRestoring = false;
+    this.__writing = Promise.resolve();
+    this.restored = this._restore();
+    // a cache which fails to read from storage starts empty, the failure
+    // is exposed via `restored` which the application may not await
+    this.restored.catch(() => {});
+  }
+
+  put<T extends SingleResourceDocument>(doc: StructuredDocument<T>): SingleResourceDataDocument;
+  put<T extends CollectionResourceDocument>(doc: StructuredDocument<T>): CollectionResourceDataDocument;
+  put<T extends ResourceMetaDocument | ResourceErrorDocument>(
+    doc: StructuredDocument<T>
+  ): ResourceMetaDocument | ResourceErrorDocument;
+  put(doc: StructuredDocument<JsonApiDocument>): ResourceDocument {
+    const result = super.put(doc as StructuredDocument<SingleResourceDocument>);
+    if (result.lid) {
+      this.__markDirty(documentKey(result.lid), null, true);
+    }
+    return result;
+  }
+
+  upsert(identifier: StableRecordIdentifier, data: JsonApiResource, calculateChanges?: boolean): void | string[] {
+    const changedKeys = super.upsert(identifier, data, calculateChanges);
+    this.__markDirty(resourceKey(identifier), identifier, true);
+    return changedKeys;
+  }
+
+  patch(op: MergeOperation): void {
+    super.patch(op);
+    if (op.op === 'mergeIdentifiers') {
+      this.__markDirty(resourceKey(op.record), op.record, true);
+      this.__markDirty(resourceKey(op.value), op.value, true);
+    }
+  }
+
+  didCommit(identifier: StableRecordIdentifier, data: JsonApiResource | null): void {
+    super.didCommit(identifier, data);
+    this.__markDirty(resourceKey(identifier), identifier, true);
+  }
+
+  peekRequest(identifier: StableDocumentIdentifier): StructuredDocument<ResourceDocument> | null {
+    const doc = super.peekRequest(identifier);
+    const key = documentKey(identifier.lid);
+    if (doc && !this.__isRestoring && this.__entries.has(key)) {
+      // reading a document keeps it and its resources from being evicted
+      this.__markDirty(key, null, false);
+      const { data } = doc.content as ResourceDataDocument;
+      const members = Array.isArray(data) ? data : data ? [data] : [];
+      members.forEach((member) => this.__markDirty(resourceKey(member), member, false));
+    }
+    return doc;
+  }
+
+  /**
+   * Write the changes made since the last write to storage,
+   * resolving once they have been written.
+   *
+   * Changes are written automatically, this is useful to ensure
+   * they have been before the application is closed.
+   *
+   * @method persist
+   * @public
+   * @returns {Promise<void>}
+   */
+  persist(): Promise<void> {
+    const dirty = this.__dirty;
+    this.__dirty = new Map();
+    const write = this.__writing.then(() => this._write(dirty));
+    // the failure is the caller's to handle, later writes still run
+    this.__writing = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Remove every persisted entry from storage. The in-memory
+   * state of the cache is not affected.
+   *
+   * @method clear
+   * @public
+   * @returns {Promise<void>}
+   */
+  clear(): Promise<void> {
+    this.__dirty.clear();
+    const write = this.__writing.then(() => {
+      const keys = [...this.__entries.keys()];
+      this.__entries.clear();
+      return keys.length ? this.storage.delete(keys) : undefined;
+    });
+    // the failure is the caller's to handle, later writes still run
+    this.__writing = write.catch(() => {});
+    return write;
+  }
+
+  async _restore(): Promise<void> {
+    const entries = await this.storage.getAll();
+    const now = Date.now();
+    const { identifierCache } = this.__storeWrapper;
+    const discarded: string[] = [];
+    const resources: PersistedEntry[] = [];
+    const documents: PersistedEntry[] = [];
+
+    entries.forEach((entry) => {
+      if (entry.version !== DUMP_VERSION || (this.ttl !== null && now - entry.updatedAt > this.ttl)) {
+        discarded.push(entry.key);
+      } else {
+        (entry.chunk.kind === 'resource' ? resources : documents).push(entry);
+      }
+    });
+
+    this.__isRestoring = true;
+    try {
+      resources.forEach((entry) => {
+        const { resource } = entry.chunk as ResourceChunk;
+        const existing = identifierCache.peekRecordIdentifier(resource as ExistingResourceObject);
+        // data received during this session is newer than what was persisted
+        if (!existing || !this.__safePeek(existing, false)) {
+          this._hydrateChunk(entry.chunk);
+        }
+        this.__entries.set(entry.key, { updatedAt: entry.updatedAt, accessedAt: entry.accessedAt });
+      });
+
+      documents.forEach((entry) => {
+        const chunk = entry.chunk as DocumentChunk;
+        if (this.__documents.has(chunk.lid)) {
+          this.__entries.set(entry.key, { updatedAt: entry.updatedAt, accessedAt: entry.accessedAt });
+          return;
+        }
+        const { data } = chunk.content;
+        const members = Array.isArray(data) ? data : data ? [data] : [];
+        const isComplete = members.every((member) => {
+          const identifier = identifierCache.peekRecordIdentifier(member);
+          return identifier && this.__safePeek(identifier, false);
+        });
+        if (!isComplete) {
+          discarded.push(entry.key);
+          return;
+        }
+        this._hydrateChunk(chunk);
+        this.__entries.set(entry.key, { updatedAt: entry.updatedAt, accessedAt: entry.accessedAt });
+      });
+    } finally {
+      this.__isRestoring = false;
+    }
+
+    discarded.push(...this.__evict());
+    if (discarded.length) {
+      // the cache has been restored, failing to clean up storage does not undo that
+      await this.storage.delete(discarded).catch(this.onStorageError);
+    }
+  }
+
+  async _write(dirty: Map<string, DirtyEntry>): Promise<void> {
+    const now = Date.now();
+    const entries: PersistedEntry[] = [];
+    const removed: string[] = [];
+
+    dirty.forEach(({ identifier, isUpdate }, key) => {
+      const chunk = identifier ? this._dumpResource(identifier) : this._dumpDocument(key.slice('document:'.length));
+      const times = this.__entries.get(key);
+
+      if (!chunk) {
+        if (times) {
+          this.__entries.delete(key);
+          removed.push(key);
+        }
+        return;
+      }
+      const updatedAt = isUpdate || !times ? now : times.updatedAt;
+      this.__entries.set(key, { updatedAt, accessedAt: now });
+      entries.push({ key, version: DUMP_VERSION, updatedAt, accessedAt: now, chunk });
+    });
+
+    removed.push(...this.__evict());
+    if (entries.length) {
+      await this.storage.put(entries);
+    }
+    if (removed.length) {
+      await this.storage.delete(removed);
+    }
+  }
+
+  __evict(): string[] {
+    const { maxEntries } = this;
+    if (maxEntries === null || this.__entries.size <= maxEntries) {
+      return [];
+    }
+    const evicted = [...this.__entries.entries()]
+      .sort((a, b) => a[1].accessedAt - b[1].accessedAt)
+      .slice(0, this.__entries.size - maxEntries)
+      .map(([key]) => key);
+    evicted.forEach((key) => this.__entries.delete(key));
+    return evicted;
+  }
+
+  __markDirty(key: string, identifier: StableRecordIdentifier | null, isUpdate: boolean): void {
+    if (this.__isRestoring) {
+      return;
+    }
+    if (this.__dirty.size === 0) {
+      void Promise.resolve().then(() => this.persist().catch(this.onStorageError));
+    }
+    this.__dirty.set(key, { identifier, isUpdate: isUpdate || this.__dirty.get(key)?.isUpdate === true });
+  }
+}
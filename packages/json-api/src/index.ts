@@ -1,4 +1,5 @@
 export { default } from './-private/cache';
+export { PersistedCache, MemoryCacheStorage, IndexedDBCacheStorage } from './-private/persisted-cache';
 
 /**
   This package provides the default cache implementation used
@@ -0,0 +1,23 @@
+/**
+ * Request builders which produce requests for `store.request`
+ * for common [JSON:API](https://jsonapi.org) operations.
+ *
+ * ```ts
+ * import { setBuildURLConfig, findRecord } from '@ember-data/json-api/request';
+ *
+ * setBuildURLConfig({ host: 'https://api.example.com', namespace: 'api/v1' });
+ *
+ * const { content } = await store.request(findRecord('user', '1'));
+ * ```
+ *
+ * Each builder is a standalone function so that unused builders
+ * can be removed by tree-shaking.
+ *
+ * @module @ember-data/json-api/request
+ * @main @ember-data/json-api/request
+ */
+export { setBuildURLConfig, buildBaseURL, buildQueryParams, pluralize } from './-private/builders/-utils';
+export { findRecord } from './-private/builders/find-record';
+export { query } from './-private/builders/query';
+export { createRecord, updateRecord, deleteRecord } from './-private/builders/save-record';
+export { saveRecords } from './-private/builders/atomic';
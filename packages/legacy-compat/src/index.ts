@@ -6,3 +6,4 @@
   @main @ember-data/legacy-compat
 */
 export { LegacyNetworkHandler } from './legacy-network-handler/legacy-network-handler';
+export { SerializerHandler } from './legacy-network-handler/serializer-handler';
@@ -7,6 +7,7 @@ import { LOG_PAYLOADS } from '@ember-data/private-build-infra/debugging';
 import { DEPRECATE_V1_RECORD_DATA } from '@ember-data/private-build-infra/deprecations';
 import type { Handler, NextFn } from '@ember-data/request/-private/types';
 import type Store from '@ember-data/store';
+import { getNeededFields, hasUnloadedFields } from '@ember-data/store/-private';
 import type { StoreRequestContext, StoreRequestInfo } from '@ember-data/store/-private/cache-handler';
 import type ShimModelClass from '@ember-data/store/-private/legacy-model-support/shim-model-class';
 import type { Collection } from '@ember-data/store/-private/record-arrays/identifier-array';
@@ -269,7 +270,7 @@ function makeArray<T>(value: T | T[]): T[] {
 }
 
 const PRIMARY_ATTRIBUTE_KEY = 'base';
-function errorsHashToArray(errors: Record<string, string | string[]>): JsonApiValidationError[] {
+export function errorsHashToArray(errors: Record<string, string | string[]>): JsonApiValidationError[] {
   const out: JsonApiValidationError[] = [];
 
   if (errors) {
@@ -304,8 +305,11 @@ function findRecord<T>(context: StoreRequestContext): Promise<T> {
   };
   let promise: Promise<StableRecordIdentifier>;
 
-  // if not loaded start loading
-  if (!store._instanceCache.recordIsLoaded(identifier)) {
+  // if not loaded, or only sparse fieldsets have been loaded, start loading
+  if (
+    !store._instanceCache.recordIsLoaded(identifier) ||
+    hasUnloadedFields(store, identifier, getNeededFields(store, null))
+  ) {
     promise = store._fetchManager.fetchDataIfNeededForIdentifier(identifier, options, context.request);
 
     // Refetch if the reload option is passed
@@ -0,0 +1,121 @@
+/**
+  @module @ember-data/legacy-compat
+*/
+import { assert } from '@ember/debug';
+
+import type { Handler, NextFn, StructuredErrorDocument } from '@ember-data/request/-private/types';
+import type Store from '@ember-data/store';
+import type { StoreRequestContext } from '@ember-data/store/-private/cache-handler';
+import type ShimModelClass from '@ember-data/store/-private/legacy-model-support/shim-model-class';
+import type { MinimumSerializerInterface, RequestType } from '@ember-data/types/q/minimum-serializer-interface';
+
+import { payloadIsNotBlank } from './legacy-data-utils';
+import { errorsHashToArray } from './legacy-network-handler';
+import { normalizeResponseHelper } from './serializer-response';
+
+type SerializerWithExtractErrors = MinimumSerializerInterface & {
+  extractErrors?(store: Store, modelClass: ShimModelClass, payload: unknown, recordId: string | null): unknown;
+};
+
+/**
+ * A handler which normalizes the raw response to a request using
+ * the serializer for the request's primary type, allowing existing
+ * serializers to be used with `store.request` without an adapter.
+ *
+ * ```ts
+ * import { LegacyNetworkHandler, SerializerHandler } from '@ember-data/legacy-compat';
+ * import Fetch from '@ember-data/request/fetch';
+ *
+ * manager.use([LegacyNetworkHandler, SerializerHandler, Fetch]);
+ * ```
+ *
+ * Requests with both a `url` and an `op` are handled. The handlers
+ * after this one, such as `Fetch`, make the request, and the response
+ * is then passed to the `normalizeResponse` method of the serializer
+ * with the `op` as the `requestType`, which calls the matching
+ * `normalizeXResponse` method. The resulting JSON:API document is
+ * what the `CacheHandler` receives.
+ *
+ * ```ts
+ * const { content } = await store.request({
+ *   url: '/api/users',
+ *   method: 'GET',
+ *   op: 'query',
+ *   options: { type: 'user' },
+ * });
+ * ```
+ *
+ * The primary type is `options.type` when present and otherwise the
+ * type of the first of the request's `records`. Likewise the id given
+ * to the serializer is `options.id` or the id of the first record.
+ *
+ * Empty responses, such as a `204` for a deleted record, are passed
+ * along unchanged. As with an adapter's `InvalidError`, the payload of
+ * a `422` error is passed to the `extractErrors` method of the
+ * serializer, and the resulting errors replace the `content` of the
+ * error as a JSON:API `errors` document, allowing them to be applied
+ * to the records of the request. Other errors are passed along
+ * unchanged.
+ *
+ * @class SerializerHandler
+ * @public
+ */
+export const SerializerHandler: Handler = {
+  /**
+   * Normalizes the response to requests with both a `url` and an `op`,
+   * passing other requests along unchanged.
+   *
+   * @method request
+   * @public
+   * @param {StoreRequestContext} context
+   * @param {Function} next
+   * @return {Promise}
+   */
+  request<T>(context: StoreRequestContext, next: NextFn<T>): Promise<T> {
+    // requests without a url are left to the LegacyNetworkHandler
+    if (!context.request.url || !context.request.op) {
+      return next(context.request) as unknown as Promise<T>;
+    }
+    return normalizeResponse(context, next);
+  },
+};
+
+async function normalizeResponse<T>(context: StoreRequestContext, next: NextFn<T>): Promise<T> {
+  const { request } = context;
+  const { store, op, records, options } = request;
+  const type = (options?.type as string | undefined) || records?.[0]?.type;
+
+  assert(
+    `Expected the request for '${request.url!}' to specify its primary type via 'options.type' or its 'records' so that a serializer can be found for it`,
+    type
+  );
+  assert(`The SerializerHandler does not support '${op!}' requests`, op !== 'saveRecords');
+
+  const serializer = store.serializerFor(type) as SerializerWithExtractErrors;
+  assert(`No serializer was found for '${type}'`, serializer);
+  const id = (options?.id as string | undefined) ?? records?.[0]?.id ?? null;
+
+  let content: unknown;
+  try {
+    ({ content } = await next(request));
+  } catch (e: unknown) {
+    const error = e as Error & StructuredErrorDocument;
+    if (
+      error?.response?.status === 422 &&
+      payloadIsNotBlank(error.content) &&
+      typeof serializer.extractErrors === 'function'
+    ) {
+      const errorsHash = serializer.extractErrors(store, store.modelFor(type), error.content, id) as Record<
+        string,
+        string | string[]
+      >;
+      error.content = { errors: errorsHashToArray(errorsHash) };
+    }
+    throw error;
+  }
+  if (!payloadIsNotBlank(content)) {
+    return content as T;
+  }
+
+  return normalizeResponseHelper(serializer, store, store.modelFor(type), content, id, op as RequestType) as T;
+}
@@ -5,6 +5,7 @@ import { DEBUG } from '@ember-data/env';
 import { recordIdentifierFor } from '@ember-data/store';
 import { peekCache } from '@ember-data/store/-private';
 
+import { getDeepProxy, unwrapDeepProxy } from './deep-tracking';
 import { computedMacroWithOptionalParams } from './util';
 
 /**
@@ -15,8 +16,8 @@ import { computedMacroWithOptionalParams } from './util';
   `attr` defines an attribute on a [Model](/ember-data/release/classes/Model).
   By default, attributes are passed through as-is, however you can specify an
   optional type to have the value automatically transformed.
-  Ember Data ships with four basic transform types: `string`, `number`,
-  `boolean` and `date`. You can define your own transforms by subclassing
+  Ember Data ships with the transform types `string`, `number`, `boolean`,
+  `date`, `enum`, `json`, `array` and `decimal`. You can define your own transforms by subclassing
   [Transform](/ember-data/release/classes/Transform).
 
   Note that you cannot use `attr` to define an attribute of `id`.
@@ -58,6 +59,34 @@ import { computedMacroWithOptionalParams } from './util';
   }
   ```
 
+  - `deep`: Pass `true` to track edits made within an object or array value.
+
+  By default, changes are tracked by reference, so editing an object or array
+  value in place does not change the attribute. With `deep: true` the record
+  instead exposes a proxy for the value. Edits made through the proxy, however
+  deeply nested, set a new value for the attribute without altering the
+  original, so the record becomes dirty, `changedAttributes()` includes the
+  original and edited values, and `rollbackAttributes()` restores the original.
+  As edits are made to copies, the proxy cannot be frozen or sealed, and
+  `Object.freeze(user.settings)` throws a `TypeError`. Freezing the values
+  received from the API is fine.
+
+  ```app/models/user.js
+  import Model, { attr } from '@ember-data/model';
+
+  export default class UserModel extends Model {
+    @attr('string') username;
+    @attr({ deep: true }) settings;
+  }
+  ```
+
+  ```js
+  user.settings.notifications.email = false;
+
+  user.hasDirtyAttributes; // true
+  user.changedAttributes(); // { settings: [{ notifications: { email: true } }, { notifications: { email: false } }] }
+  ```
+
   The `options` hash is passed as second argument to a transforms'
   `serialize` and `deserialize` method. This allows to configure a
   transformation and adapt the corresponding value, based on the config:
@@ -127,7 +156,8 @@ function attr(type, options) {
       if (this.isDestroyed || this.isDestroying) {
         return;
       }
-      return peekCache(this).getAttr(recordIdentifierFor(this), key);
+      const value = peekCache(this).getAttr(recordIdentifierFor(this), key);
+      return options.deep === true ? getDeepProxy(this, key, value) : value;
     },
     set(key, value) {
       if (DEBUG) {
@@ -143,6 +173,9 @@ function attr(type, options) {
       );
       const identifier = recordIdentifierFor(this);
       const cache = peekCache(this);
+      if (options.deep === true) {
+        value = unwrapDeepProxy(value);
+      }
 
       let currentValue = cache.getAttr(identifier, key);
       if (currentValue !== value) {
@@ -157,7 +190,7 @@ function attr(type, options) {
         }
       }
 
-      return value;
+      return options.deep === true ? getDeepProxy(this, key, value) : value;
     },
   }).meta(meta);
 }
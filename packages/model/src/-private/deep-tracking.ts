@@ -0,0 +1,248 @@
+import { assert } from '@ember/debug';
+
+/*
+  Attributes declared with `attr(type, { deep: true })` hand out proxies for
+  object and array values. The proxies never write to the value they wrap.
+  Instead every nested edit copies the objects along the path to the edited
+  value and sets the copy as the new value of the attribute. The cache then
+  keeps the original as the remote state, giving `changedAttributes()` its
+  before/after pair and letting `rollbackAttributes()` restore the original.
+
+  Proxies read through to the current value of the attribute, so a proxy
+  which is held on to stays current after edits and rollbacks.
+*/
+type Trackable = Record<string | symbol, unknown> | unknown[];
+type TrackedRecord = Record<string, unknown>;
+
+interface RootState extends ProxyState {
+  record: TrackedRecord;
+  key: string;
+}
+
+interface ProxyState {
+  root: RootState;
+  path: string[];
+  target: Trackable;
+  children: Map<string, ProxyState>;
+  proxy: Trackable;
+  current(): unknown;
+}
+
+const PROXY_STATE = new WeakMap<object, ProxyState>();
+const ROOT_STATES = new WeakMap<TrackedRecord, Map<string, RootState>>();
+
+function isTrackable(value: unknown): value is Trackable {
+  if (Array.isArray(value)) {
+    return true;
+  }
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value) as object | null;
+  return proto === Object.prototype || proto === null;
+}
+
+function shallowCopy<T extends Trackable>(value: T): T {
+  return (
+    Array.isArray(value)
+      ? value.slice()
+      : Object.assign(Object.create(Object.getPrototypeOf(value) as object | null) as object, value)
+  ) as T;
+}
+
+function valueAt(value: unknown, path: string[]): unknown {
+  for (let i = 0; i < path.length; i++) {
+    if (!isTrackable(value)) {
+      return undefined;
+    }
+    value = value[path[i]];
+  }
+  return value;
+}
+
+function copyAlong(value: unknown, state: ProxyState, index: number, mutation: (copy: Trackable) => void): unknown {
+  assert(
+    `Cannot update the '${[state.root.key]
+      .concat(state.path)
+      .join('.')}' attribute, as it is no longer an object or array`,
+    isTrackable(value)
+  );
+  if (!isTrackable(value)) {
+    return value;
+  }
+  const copy = shallowCopy(value);
+  if (index === state.path.length) {
+    mutation(copy);
+  } else {
+    const field = state.path[index];
+    (copy as Record<string, unknown>)[field] = copyAlong(
+      (copy as Record<string, unknown>)[field],
+      state,
+      index + 1,
+      mutation
+    );
+  }
+  return copy;
+}
+
+// the current value wrapped by a proxy, or its last known value if it has since been removed
+function live(state: ProxyState): Trackable {
+  const value = state.current();
+  return isTrackable(value) ? value : state.target;
+}
+
+function mutate(state: ProxyState, mutation: (copy: Trackable) => void): void {
+  const { record, key } = state.root;
+  // assigning to the record runs the usual checks for setting an attribute
+  record[key] = copyAlong(state.root.current(), state, 0, mutation);
+}
+
+// the traps report the live value, so the proxy wraps an empty stand-in rather
+// than the value itself, whose being frozen or sealed would break the invariants
+// the engine checks the traps against
+function createStandIn(value: Trackable): Trackable {
+  return Array.isArray(value) ? [] : (Object.create(Object.getPrototypeOf(value) as object | null) as Trackable);
+}
+
+function createProxy(state: ProxyState): Trackable {
+  const proxy = new Proxy<Trackable>(createStandIn(state.target), {
+    get(_target, prop): unknown {
+      const value: unknown = Reflect.get(live(state), prop);
+      if (typeof prop === 'symbol' || !isTrackable(value)) {
+        return value;
+      }
+      let child = state.children.get(prop);
+      if (!child || child.target !== value) {
+        child = createChildState(state, prop, value);
+        state.children.set(prop, child);
+      }
+      return child.proxy;
+    },
+    set(_target, prop, value) {
+      mutate(state, (copy) => {
+        (copy as Record<string | symbol, unknown>)[prop] = unwrapDeepProxy(value);
+      });
+      return true;
+    },
+    deleteProperty(_target, prop) {
+      mutate(state, (copy) => {
+        delete (copy as Record<string | symbol, unknown>)[prop];
+      });
+      return true;
+    },
+    defineProperty(_target, prop, descriptor) {
+      mutate(state, (copy) => {
+        if ('value' in descriptor) {
+          descriptor = Object.assign({}, descriptor, { value: unwrapDeepProxy(descriptor.value as unknown) });
+        }
+        Reflect.defineProperty(copy, prop, descriptor);
+      });
+      return true;
+    },
+    has(_target, prop) {
+      return Reflect.has(live(state), prop);
+    },
+    ownKeys() {
+      return Reflect.ownKeys(live(state));
+    },
+    getOwnPropertyDescriptor(target, prop) {
+      const descriptor = Reflect.getOwnPropertyDescriptor(live(state), prop);
+      if (!descriptor) {
+        return descriptor;
+      }
+      // only the `length` of an array stand-in is non-configurable, and it is writable
+      if (prop === 'length' && Array.isArray(target)) {
+        return Object.assign(descriptor, { configurable: false, writable: true });
+      }
+      return Object.assign(descriptor, { configurable: true });
+    },
+    // edits are made to copies, so the wrapped value cannot be frozen or sealed
+    preventExtensions() {
+      return false;
+    },
+    setPrototypeOf() {
+      return false;
+    },
+  });
+  PROXY_STATE.set(proxy, state);
+  return proxy;
+}
+
+function createChildState(parent: ProxyState, prop: string, value: Trackable): ProxyState {
+  const state: ProxyState = {
+    root: parent.root,
+    path: parent.path.concat(prop),
+    target: value,
+    children: new Map(),
+    proxy: value,
+    current() {
+      return valueAt(state.root.current(), state.path);
+    },
+  };
+  state.proxy = createProxy(state);
+  return state;
+}
+
+/*
+  Returns a proxy tracking nested edits to the value of an attribute of the
+  record, or the value itself if it is not a plain object or array. The same
+  proxy is returned for as long as the value of the attribute is unchanged.
+*/
+export function getDeepProxy(record: TrackedRecord, key: string, value: unknown): unknown {
+  if (!isTrackable(value)) {
+    return value;
+  }
+  let states = ROOT_STATES.get(record);
+  if (!states) {
+    states = new Map();
+    ROOT_STATES.set(record, states);
+  }
+  const state = states.get(key);
+  if (state && state.target === value) {
+    return state.proxy;
+  }
+
+  const root = {
+    record,
+    key,
+    path: [],
+    target: value,
+    children: new Map(),
+    proxy: value,
+    current(): unknown {
+      // reading from the record entangles the reader with the attribute
+      const current = record[key];
+      const currentState = isTrackable(current) ? PROXY_STATE.get(current) : undefined;
+      return currentState ? currentState.target : current;
+    },
+  } as unknown as RootState;
+  root.root = root;
+  root.proxy = createProxy(root);
+  states.set(key, root);
+  return root.proxy;
+}
+
+/*
+  Replaces the proxies from `getDeepProxy` within a value with the current
+  values they wrap, copying only the objects and arrays which contain them.
+*/
+export function unwrapDeepProxy(value: unknown): unknown {
+  if (!isTrackable(value)) {
+    return value;
+  }
+  const state = PROXY_STATE.get(value);
+  if (state) {
+    return live(state);
+  }
+
+  let copy: Record<string, unknown> | null = null;
+  const source = value as Record<string, unknown>;
+  Object.keys(source).forEach((field) => {
+    const unwrapped = unwrapDeepProxy(source[field]);
+    if (unwrapped !== source[field]) {
+      copy = copy || shallowCopy(source);
+      copy[field] = unwrapped;
+    }
+  });
+  return copy || value;
+}
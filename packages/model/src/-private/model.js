@@ -297,6 +297,22 @@ class Model extends EmberObject {
     return this.currentState.isSaving;
   }
 
+  /**
+    If this property is `true` a save of the record could not reach
+    the server and is waiting to be sent, such as a write queued by the
+    `OfflineQueue` while offline. While pending sync the record is also
+    `isSaving` and keeps its local changes.
+
+    @property isPendingSync
+    @public
+    @type {Boolean}
+    @readOnly
+  */
+  @dependentKeyCompat
+  get isPendingSync() {
+    return this.currentState.isPendingSync;
+  }
+
   /**
     If this property is `true` the record is in the `deleted` state
     and has been marked for deletion. When `isDeleted` is true and
@@ -245,6 +245,7 @@ export default class RecordState {
             this.notify('isNew');
             this.notify('isDeleted');
             this.notify('isDirty');
+            this.notify('isPendingSync');
             break;
           case 'attributes':
             this.notify('isEmpty');
@@ -307,6 +308,11 @@ export default class RecordState {
 
   @tracked isSaving = false;
 
+  @tagged
+  get isPendingSync() {
+    return storeFor(this.record)!.getRequestStateService().isPendingSync(this.identifier);
+  }
+
   @tagged
   get isLoading() {
     return !this.isLoaded && this.pendingCount > 0 && this.fulfilledCount === 0;
@@ -17,7 +17,7 @@ export default {
   plugins: [
     // These are the modules that users should be able to import from your
     // addon. Anything not listed here may get optimized away.
-    addon.publicEntrypoints(['index.js', 'fetch.js']),
+    addon.publicEntrypoints(['index.js', 'fetch.js', 'dedupe.js', 'retry.js']),
 
     nodeResolve({ extensions: ['.ts'] }),
     babel({
@@ -2,7 +2,16 @@ import { DEBUG } from '@ember-data/env';
 
 import { deepFreeze } from './debug';
 import { createDeferred } from './future';
-import type { Deferred, GodContext, ImmutableHeaders, ImmutableRequestInfo, RequestInfo, ResponseInfo } from './types';
+import type {
+  Deferred,
+  GodContext,
+  ImmutableHeaders,
+  ImmutableRequestInfo,
+  ProgressCallback,
+  RequestInfo,
+  RequestProgress,
+  ResponseInfo,
+} from './types';
 
 export class ContextOwner {
   hasSetStream = false;
@@ -10,6 +19,8 @@ export class ContextOwner {
   hasSubscribers = false;
   stream: Deferred<ReadableStream | null> = createDeferred<ReadableStream | null>();
   response: ResponseInfo | null = null;
+  progressCallbacks: ProgressCallback[] | null = null;
+  progress: Partial<Record<RequestProgress['type'], RequestProgress>> = {};
   declare request: ImmutableRequestInfo;
   declare enhancedRequest: ImmutableRequestInfo;
   nextCalled: number = 0;
@@ -71,6 +82,25 @@ export class ContextOwner {
     this.controller.abort();
   }
 
+  onProgress(cb: ProgressCallback) {
+    this.progressCallbacks = this.progressCallbacks || [];
+    this.progressCallbacks.push(cb);
+    const { upload, download } = this.progress;
+    if (upload) {
+      cb(upload);
+    }
+    if (download) {
+      cb(download);
+    }
+  }
+
+  reportProgress(progress: RequestProgress) {
+    this.progress[progress.type] = progress;
+    if (this.progressCallbacks) {
+      this.progressCallbacks.forEach((cb) => cb(progress));
+    }
+  }
+
   setStream(stream: ReadableStream | Promise<ReadableStream | null> | null) {
     if (!this.hasSetStream) {
       this.hasSetStream = true;
@@ -138,5 +168,12 @@ export class Context {
   setResponse(response: ResponseInfo | Response | null) {
     this.#owner.setResponse(response);
   }
+  reportProgress(progress: RequestProgress) {
+    this.#owner.reportProgress(progress);
+  }
+  getRemainingTime(): number | null {
+    const { deadline } = this.#owner.god;
+    return typeof deadline === 'number' ? Math.max(deadline - Date.now(), 0) : null;
+  }
 }
 export type HandlerRequestContext = Context;
@@ -6,9 +6,11 @@ import type { ImmutableHeaders, RequestInfo } from './types';
 const ValidKeys = new Map<string, string | string[]>([
   ['records', 'array'],
   ['data', 'json'],
+  ['body', 'body'],
   ['disableTestWaiter', 'boolean'],
   ['options', 'object'],
   ['cacheOptions', 'object'],
+  ['timeout', 'number'],
   [
     'op',
     [
@@ -21,6 +23,7 @@ const ValidKeys = new Map<string, string | string[]>([
       'createRecord',
       'findBelongsTo',
       'findHasMany',
+      'saveRecords',
     ],
   ],
   ['store', 'object'],
@@ -269,15 +272,37 @@ function validateKey(key: string, value: unknown, errors: string[]) {
         errors.push(`InvalidValue: key ${key} should be a boolean, received ${typeof value}`);
       }
       return;
+    } else if (schema === 'number') {
+      if (typeof value !== 'number' || !(value >= 0)) {
+        errors.push(`InvalidValue: key ${key} should be a non-negative number, received ${niceTypeOf(value)}`);
+      }
+      return;
     } else if (schema === 'array') {
       if (!Array.isArray(value)) {
         errors.push(`InvalidValue: key ${key} should be an array, received ${typeof value}`);
       }
       return;
+    } else if (schema === 'body') {
+      if (value !== null && !isBodyInit(value)) {
+        errors.push(`InvalidValue: key ${key} should be a valid fetch body, received ${niceTypeOf(value)}`);
+      }
+      return;
     }
   }
 }
 
+function isBodyInit(value: unknown): boolean {
+  return (
+    typeof value === 'string' ||
+    value instanceof Blob ||
+    value instanceof ArrayBuffer ||
+    ArrayBuffer.isView(value) ||
+    value instanceof FormData ||
+    value instanceof URLSearchParams ||
+    value instanceof ReadableStream
+  );
+}
+
 const IgnoredKeys = new Set<string>([]);
 
 export function assertValidRequest(
@@ -1,7 +1,7 @@
 import { StructuredDocument } from '@ember-data/types/cache/document';
 
 import type { ContextOwner } from './context';
-import type { Deferred, DeferredFuture, Future } from './types';
+import type { Deferred, DeferredFuture, Future, ProgressCallback } from './types';
 
 const IS_FUTURE = Symbol('IS_FUTURE');
 
@@ -27,6 +27,8 @@ export function upgradePromise<T>(promise: Promise<StructuredDocument<T>>, futur
   (promise as Future<T>).abort = future.abort;
   // eslint-disable-next-line @typescript-eslint/unbound-method
   (promise as Future<T>).onFinalize = future.onFinalize;
+  // eslint-disable-next-line @typescript-eslint/unbound-method
+  (promise as Future<T>).onProgress = future.onProgress;
 
   return promise as Future<T>;
 }
@@ -45,6 +47,9 @@ export function createFuture<T>(owner: ContextOwner): DeferredFuture<T> {
     cbs = cbs || [];
     cbs.push(fn);
   };
+  promise.onProgress = (fn: ProgressCallback) => {
+    owner.onProgress(fn);
+  };
   promise[IS_FUTURE] = true;
   promise.getStream = () => {
     return owner.getStream();
@@ -85,6 +85,10 @@ interface RequestInfo extends FetchOptions {
   // options specifically intended for handlers
   // to utilize to process the request
   options?: Record<string, unknown>;
+
+  // the number of milliseconds after which the
+  // request is aborted and rejects with a TimeoutError
+  timeout?: number;
 }
 ```
 
@@ -105,6 +109,18 @@ interface Future<T> extends Promise<StructuredDocument<T>> {
   abort(): void;
 
   async getStream(): ReadableStream | null;
+
+  onProgress(cb: (progress: RequestProgress) => void): void;
+}
+```
+
+Handlers may report the progress of the request's upload or download via `context.reportProgress`, which is received by every callback registered with `future.onProgress`. The `Fetch` handler reports download progress while reading the response body.
+
+```ts
+interface RequestProgress {
+  type: 'upload' | 'download';
+  loaded: number;
+  total: number | null;
 }
 ```
 
@@ -168,6 +184,8 @@ interface RequestContext<T> {
 
   setStream(stream: ReadableStream | Promise<ReadableStream>): void;
   setResponse(response: Response | ResponseInfo): void;
+  reportProgress(progress: RequestProgress): void;
+  getRemainingTime(): number | null;
 }
 ```
 
@@ -190,6 +208,8 @@ const FetchHandler = {
 }
 ```
 
+`getRemainingTime` returns the number of milliseconds left before the request's `timeout` elapses, or `null` if the request has no timeout. Handlers which wait or retry should not plan work beyond this budget.
+
 Request handlers are registered by configuring the manager via `use`
 
 ```ts
@@ -246,6 +266,8 @@ In order to simplify the common case for handlers which decorate a request, if `
 
 Similarly, if `next` is called only a single time and neither `setStream` nor `getStream` was called, we automatically curry the stream from the future returned by `next` onto the future returned by the handler.
 
+Progress reported by handlers further along the chain is always reported to the `Future` returned by `next` and to the `Future` of the handler which called it.
+
 Finally, if the return value of a handler is a `Future`, we curry `content` and `errors` as well, thus enabling the simplest form `return next(<req>)`.
 
 In the case of the `Future` being returned, `Stream` proxying is automatic and immediate and does not wait for the `Future` to resolve.
@@ -322,8 +344,8 @@ import { DEBUG, TESTING } from '@ember-data/env';
 
 import { assertValidRequest } from './debug';
 import { upgradePromise } from './future';
-import { Future, GenericCreateArgs, Handler, RequestInfo } from './types';
-import { executeNextHandler } from './utils';
+import { Future, GenericCreateArgs, GodContext, Handler, RequestInfo } from './types';
+import { executeNextHandler, withTimeout } from './utils';
 /**
  * ```js
  * import RequestManager from '@ember-data/request';
@@ -474,6 +496,21 @@ export class RequestManager {
    *
    * Returns a Future that fulfills with a StructuredDocument
    *
+   * If the request has a `timeout` (in milliseconds), the request is
+   * aborted once it elapses and the Future rejects with an error
+   * document whose `name` is `'TimeoutError'`. Handlers may read the
+   * time remaining before the timeout via `context.getRemainingTime()`.
+   *
+   * ```ts
+   * try {
+   *   await manager.request({ url: '/users', timeout: 5000 });
+   * } catch (e) {
+   *   if (e.name === 'TimeoutError') {
+   *     // the request took longer than 5s
+   *   }
+   * }
+   * ```
+   *
    * @method request
    * @public
    * @param {RequestInfo} request
@@ -492,11 +529,17 @@ export class RequestManager {
     if (request.controller) {
       delete request.controller;
     }
-    let promise = executeNextHandler<T>(handlers, request, 0, {
+    const { timeout } = request;
+    const god: GodContext = {
       controller,
       response: null,
       stream: null,
-    });
+      deadline: typeof timeout === 'number' ? Date.now() + timeout : null,
+    };
+    let promise = executeNextHandler<T>(handlers, request, 0, god);
+    if (typeof timeout === 'number') {
+      promise = upgradePromise(withTimeout(promise, request, god, timeout), promise);
+    }
     if (TESTING) {
       if (!request.disableTestWaiter) {
         const { waitForPromise } = importSync('@ember/test-waiters') as {
@@ -3,6 +3,8 @@
  */
 interface Request {
   controller?: AbortController;
+  /* Returns the body of request, handlers which convert `data` into a body ignore it. */
+  body?: BodyInit | null;
   /* Returns the cache mode associated with request, which is a string indicating how the request will interact with the browser's cache when fetching. */
   cache?: RequestCache;
   /* Returns the credentials mode associated with request, which is a string indicating whether credentials will be sent with the request always, never, or only when sent to a same-origin URL. */
@@ -35,6 +37,7 @@ export interface GodContext {
   controller: AbortController;
   response: ResponseInfo | null;
   stream: ReadableStream | Promise<ReadableStream | null> | null;
+  deadline?: number | null;
 }
 
 export interface StructuredDataDocument<T> {
@@ -48,6 +51,10 @@ export interface StructuredErrorDocument extends Error {
   error: string | object;
   content?: unknown;
 }
+export interface TimeoutErrorDocument extends StructuredErrorDocument {
+  name: 'TimeoutError';
+  timeout: number;
+}
 
 export type Deferred<T> = {
   resolve(v: T): void;
@@ -92,8 +99,44 @@ export type Future<T> = Promise<StructuredDataDocument<T>> & {
    * @returns void
    */
   onFinalize(cb: () => void): void;
+
+  /**
+   * Run a callback each time a handler reports progress of the
+   * request's upload or download.
+   *
+   * ```ts
+   * const future = manager.request({ url: '/exports/large.json' });
+   *
+   * future.onProgress(({ type, loaded, total }) => {
+   *   if (type === 'download' && total) {
+   *     bar.value = loaded / total;
+   *   }
+   * });
+   * ```
+   *
+   * The callback receives `{ type, loaded, total }` where `type` is
+   * `'upload'` or `'download'`, `loaded` is the number of bytes sent or
+   * received so far and `total` is the expected number of bytes, or
+   * `null` while it is unknown.
+   *
+   * If progress was already reported the callback is immediately invoked
+   * with the latest progress of each type.
+   *
+   * @method onProgress
+   * @param cb the callback to run
+   * @public
+   * @returns void
+   */
+  onProgress(cb: ProgressCallback): void;
 };
 
+export interface RequestProgress {
+  type: 'upload' | 'download';
+  loaded: number;
+  total: number | null;
+}
+export type ProgressCallback = (progress: RequestProgress) => void;
+
 export type DeferredFuture<T> = {
   resolve(v: StructuredDataDocument<T>): void;
   reject(v: unknown): void;
@@ -112,10 +155,17 @@ export interface RequestInfo extends Request {
    * to utilize to process the request
    */
   options?: Record<string, unknown>;
+  /*
+   * the number of milliseconds after which the request
+   * is aborted and rejects with a TimeoutError
+   */
+  timeout?: number;
 }
 
 export interface ImmutableRequestInfo {
   readonly disableTestWaiter?: boolean;
+  /* Returns the body of request, handlers which convert `data` into a body ignore it. */
+  readonly body?: BodyInit | null;
   /* Returns the cache mode associated with request, which is a string indicating how the request will interact with the browser's cache when fetching. */
   readonly cache?: RequestCache;
   /* Returns the credentials mode associated with request, which is a string indicating whether credentials will be sent with the request always, never, or only when sent to a same-origin URL. */
@@ -152,6 +202,11 @@ export interface ImmutableRequestInfo {
    * to utilize to process the request
    */
   readonly options?: Record<string, unknown>;
+  /*
+   * the number of milliseconds after which the request
+   * is aborted and rejects with a TimeoutError
+   */
+  readonly timeout?: number;
 }
 
 export interface ResponseInfo {
@@ -8,13 +8,33 @@ import type {
   Future,
   GodContext,
   Handler,
+  ImmutableRequestInfo,
   RequestInfo,
   StructuredDataDocument,
   StructuredErrorDocument,
+  TimeoutErrorDocument,
 } from './types';
 
 export const STRUCTURED = Symbol('DOC');
 
+const DetachedControllers = new WeakSet<AbortController>();
+
+/*
+ * Creates an AbortController which a handler may pass to `next`
+ * via `request.controller` to issue a request whose lifetime the
+ * handler manages itself.
+ *
+ * Unlike other controllers passed to `next`, a detached controller
+ * is not aborted when the request which issued it is aborted, and
+ * the handlers it is passed to do not share the response or stream
+ * of the request which issued it.
+ */
+export function createDetachedController(): AbortController {
+  const controller = new AbortController();
+  DetachedControllers.add(controller);
+  return controller;
+}
+
 export function curryFuture<T>(owner: ContextOwner, inbound: Future<T>, outbound: DeferredFuture<T>): Future<T> {
   owner.setStream(inbound.getStream());
 
@@ -102,6 +122,44 @@ export function handleOutcome<T>(owner: ContextOwner, inbound: Promise<T>, outbo
   return outbound.promise;
 }
 
+/*
+ * Rejects with a TimeoutError once the request's timeout elapses, aborting
+ * its controller so that handlers stop work on it. The rejection does not
+ * wait on the handlers, so handlers which do not respect the signal cannot
+ * delay it.
+ */
+export function withTimeout<T>(
+  future: Future<T>,
+  request: RequestInfo,
+  god: GodContext,
+  timeout: number
+): Promise<StructuredDataDocument<T>> {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      const error = new Error(`The request timed out after ${timeout}ms`) as TimeoutErrorDocument;
+      error.name = 'TimeoutError';
+      error.timeout = timeout;
+      error[STRUCTURED] = true;
+      error.request = request as ImmutableRequestInfo;
+      error.response = god.response;
+      error.error = error.message;
+      god.controller.abort(error);
+      reject(error);
+    }, timeout);
+
+    future.then(
+      (doc) => {
+        clearTimeout(timer);
+        resolve(doc);
+      },
+      (error) => {
+        clearTimeout(timer);
+        reject(error);
+      }
+    );
+  });
+}
+
 export function executeNextHandler<T>(
   wares: Readonly<Handler[]>,
   request: RequestInfo,
@@ -118,7 +176,13 @@ export function executeNextHandler<T>(
 
   function next(r: RequestInfo): Future<T> {
     owner.nextCalled++;
-    return executeNextHandler(wares, r, i + 1, god);
+    const future =
+      r.controller && DetachedControllers.has(r.controller)
+        ? executeNextHandler<T>(wares, r, i + 1, { controller: r.controller, response: null, stream: null })
+        : executeNextHandler<T>(wares, r, i + 1, god);
+    // progress reported further down the chain is reported for this request as well
+    future.onProgress((progress) => owner.reportProgress(progress));
+    return future;
   }
 
   const context = new Context(owner);
@@ -147,3 +211,31 @@ export function executeNextHandler<T>(
 
   return handleOutcome(owner, outcome, future);
 }
+
+function serializeValue(key: string, value: unknown, params: string[]) {
+  if (value === undefined) {
+    return;
+  }
+  if (Array.isArray(value)) {
+    params.push(`${encodeURIComponent(key)}=${value.map((v) => encodeURIComponent(String(v))).join(',')}`);
+  } else if (value !== null && typeof value === 'object') {
+    Object.keys(value)
+      .sort()
+      .forEach((k) => serializeValue(`${key}[${k}]`, (value as Record<string, unknown>)[k], params));
+  } else {
+    params.push(`${encodeURIComponent(key)}=${encodeURIComponent(value === null ? '' : String(value))}`);
+  }
+}
+
+/*
+ * Keys are sorted so that the same data always produces the same url.
+ * Nested objects use bracket notation (`filter[name]=Chris`) and arrays
+ * are comma separated (`include=author,comments`).
+ */
+export function serializeQueryParams(data: Record<string, unknown>): string {
+  const params: string[] = [];
+  Object.keys(data)
+    .sort()
+    .forEach((key) => serializeValue(key, data[key], params));
+  return params.join('&');
+}
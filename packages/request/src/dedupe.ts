@@ -0,0 +1,190 @@
+/**
+ * A Handler which shares a single in-flight request among
+ * identical requests
+ *
+ * @module @ember-data/request/dedupe
+ * @main @ember-data/request/dedupe
+ */
+
+import type { Context } from './-private/context';
+import type {
+  Future,
+  ImmutableRequestInfo,
+  NextFn,
+  StructuredDataDocument,
+  StructuredErrorDocument,
+} from './-private/types';
+import { createDetachedController } from './-private/utils';
+
+export interface DedupeOptions {
+  methods?: string[];
+}
+
+interface InflightRequest {
+  controller: AbortController;
+  future: Future<unknown>;
+  callers: number;
+}
+
+/**
+ * A handler which shares one request among all callers making an
+ * identical request while it is in-flight.
+ *
+ * ```ts
+ * import Dedupe from '@ember-data/request/dedupe';
+ * import Fetch from '@ember-data/request/fetch';
+ *
+ * manager.use([new Dedupe(), Fetch]);
+ * ```
+ *
+ * Requests are identical when their method, url, headers, `data` and
+ * `body` match. Only `GET` requests are deduped unless other methods are
+ * configured via `new Dedupe({ methods: ['GET', 'OPTIONS'] })`. Requests
+ * whose body cannot be compared, such as `FormData` or a stream, are
+ * never deduped.
+ *
+ * Each caller receives its own `Future`. Aborting it rejects only that
+ * caller's request; the shared request is aborted once every caller
+ * waiting on it has aborted.
+ *
+ * The response and progress of the shared request are given to every
+ * caller, its stream is not.
+ *
+ * @class Dedupe
+ * @public
+ */
+export default class Dedupe {
+  declare methods: Set<string>;
+  declare _inflight: Map<string, InflightRequest>;
+
+  constructor(options: DedupeOptions = {}) {
+    this.methods = new Set(options.methods || ['GET']);
+    this._inflight = new Map();
+  }
+
+  request<T>(context: Context, next: NextFn<T>): Promise<T> | Future<T> {
+    const { request } = context;
+    const key = this._keyFor(request);
+
+    if (!key) {
+      return next(request);
+    }
+
+    const { signal } = request;
+    if (signal?.aborted) {
+      return Promise.reject<T>(new DOMException((signal.reason as string) || 'AbortError', 'AbortError'));
+    }
+
+    let inflight = this._inflight.get(key);
+    if (!inflight) {
+      const controller = createDetachedController();
+      const future = next(Object.assign({}, request, { controller, signal: controller.signal })) as Future<unknown>;
+      const entry: InflightRequest = { controller, future, callers: 0 };
+      const release = () => {
+        if (this._inflight.get(key) === entry) {
+          this._inflight.delete(key);
+        }
+      };
+      future.then(release, release);
+      this._inflight.set(key, entry);
+      inflight = entry;
+    } else {
+      // the caller which issued the shared request receives its progress via `next`
+      inflight.future.onProgress((progress) => context.reportProgress(progress));
+    }
+    const shared = inflight;
+    shared.callers++;
+
+    return new Promise<T>((resolve, reject) => {
+      let settled = false;
+
+      const onAbort = () => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        // the shared request is only aborted once nobody is waiting on it
+        if (--shared.callers === 0) {
+          if (this._inflight.get(key) === shared) {
+            this._inflight.delete(key);
+          }
+          shared.controller.abort(signal!.reason);
+        }
+        reject(new DOMException((signal!.reason as string) || 'AbortError', 'AbortError'));
+      };
+      signal?.addEventListener('abort', onAbort);
+
+      shared.future.then(
+        (doc: StructuredDataDocument<unknown>) => {
+          if (settled) {
+            return;
+          }
+          settled = true;
+          signal?.removeEventListener('abort', onAbort);
+          context.setResponse(doc.response);
+          resolve(doc.content as T);
+        },
+        (error: Error & StructuredErrorDocument) => {
+          if (settled) {
+            return;
+          }
+          settled = true;
+          signal?.removeEventListener('abort', onAbort);
+          context.setResponse(error.response);
+          reject(copyError(error));
+        }
+      );
+    });
+  }
+
+  _keyFor(request: ImmutableRequestInfo): string | null {
+    const method = request.method || 'GET';
+    if (!this.methods.has(method) || !request.url) {
+      return null;
+    }
+    const body = bodyKey(request.body);
+    if (body === null) {
+      return null;
+    }
+    const data = request.data ? JSON.stringify(request.data) : '';
+    return `${method}::${request.url}::${headersKey(request.headers)}::${data}::${body}`;
+  }
+}
+
+/* headers are sorted by name as the order they were set in does not matter */
+function headersKey(headers: ImmutableRequestInfo['headers']): string {
+  if (!headers) {
+    return '';
+  }
+  const entries: string[] = [];
+  headers.forEach((value, name) => {
+    entries.push(`${name}:${value}`);
+  });
+  return JSON.stringify(entries.sort());
+}
+
+/* returns null for bodies which cannot be compared without reading them */
+function bodyKey(body: ImmutableRequestInfo['body']): string | null {
+  if (body === undefined || body === null) {
+    return '';
+  }
+  if (typeof body === 'string') {
+    return body;
+  }
+  if (body instanceof URLSearchParams) {
+    return body.toString();
+  }
+  return null;
+}
+
+// every caller receives its own error as the RequestManager
+// decorates the error with the request of the caller
+function copyError(error: Error & StructuredErrorDocument): Error {
+  if (!error || typeof error !== 'object') {
+    return error;
+  }
+  const copy = Object.assign(new Error(error.message), error);
+  copy.name = error.name;
+  copy.stack = error.stack;
+  return copy;
+}
@@ -6,6 +6,8 @@
  */
 
 import type { Context } from './-private/context';
+import type { NextFn, StructuredErrorDocument } from './-private/types';
+import { serializeQueryParams } from './-private/utils';
 
 const _fetch: typeof fetch =
   typeof fetch !== 'undefined'
@@ -15,9 +17,12 @@ const _fetch: typeof fetch =
     : ((() => {
         throw new Error('No Fetch Implementation Found');
       }) as typeof fetch);
+const NO_CONTENT_STATUSES = new Set([204, 205, 304]);
+const QUERY_METHODS = new Set(['GET', 'HEAD']);
+
 /**
- * A basic handler which onverts a request into a
- * `fetch` call presuming the response to be `json`.
+ * A basic handler which converts a request into a
+ * `fetch` call.
  *
  * ```ts
  * import Fetch from '@ember-data/request/fetch';
@@ -25,16 +30,217 @@ const _fetch: typeof fetch =
  * manager.use([Fetch]);
  * ```
  *
+ * The response body is parsed based on its `Content-Type`
+ *
+ * - `application/json`, `application/vnd.api+json` and other `+json`
+ *    types are parsed as JSON
+ * - `text/*` types and responses without a `Content-Type` are read as text
+ * - anything else is read as a `Blob`
+ * - empty responses, such as those with status `204`, resolve with `null`
+ *
+ * Requests which opt in via `options.stream` also give the body to
+ * `future.getStream()`, and still resolve with the parsed content.
+ *
+ * ```ts
+ * const future = manager.request({ url: '/exports/users.csv', options: { stream: true } });
+ * const stream = await future.getStream();
+ * ```
+ *
+ * Responses with a non-2xx status reject with an error whose `content`
+ * is the parsed response body and whose `status` and `statusText` are
+ * those of the response.
+ *
+ * If the request has `data`, it is serialized into the query string for
+ * `GET` and `HEAD` requests and into a JSON body for all other methods.
+ *
+ * Download progress is reported to `future.onProgress` as the response
+ * body is read. Upload progress is reported when the request opts in via
+ * `options.uploadProgress` and the platform supports streaming request
+ * bodies, in which case the body is sent as a stream. Browsers only send
+ * streaming bodies over HTTP/2 or later, so only opt in for APIs served
+ * that way.
+ *
+ * ```ts
+ * const future = manager.request({
+ *   url: '/uploads',
+ *   method: 'POST',
+ *   body: file,
+ *   options: { uploadProgress: true },
+ * });
+ *
+ * future.onProgress(({ type, loaded, total }) => {});
+ * ```
+ *
  * @class Fetch
  * @public
  */
 const Fetch = {
-  async request(context: Context) {
-    const response = await _fetch(context.request.url!, context.request);
+  async request<T>(context: Context, next: NextFn<T>): Promise<T> {
+    const { request } = context;
+    const method = request.method || 'GET';
+    let url = request.url!;
+    const init: RequestInit = Object.assign({}, request) as RequestInit;
+
+    if (request.data) {
+      if (QUERY_METHODS.has(method)) {
+        const query = serializeQueryParams(request.data);
+        if (query) {
+          url += (url.includes('?') ? '&' : '?') + query;
+        }
+      } else {
+        const headers = request.headers ? request.headers.clone() : new Headers();
+        if (!headers.has('content-type')) {
+          headers.set('content-type', 'application/json; charset=utf-8');
+        }
+        init.headers = headers;
+        init.body = JSON.stringify(request.data);
+      }
+    }
+
+    if (request.options?.uploadProgress && init.body && supportsRequestStreams()) {
+      trackUpload(context, init);
+    }
+
+    const response = await _fetch(url, init);
     context.setResponse(response);
 
-    return response.json();
+    let tracked = trackDownload(context, response);
+    if (request.options?.stream && response.ok && tracked.body) {
+      // one branch of the body is streamed, the other is parsed
+      const [stream, body] = tracked.body.tee();
+      context.setStream(stream);
+      tracked = new Response(body, {
+        status: tracked.status,
+        statusText: tracked.statusText,
+        headers: tracked.headers,
+      });
+    }
+    const content = await parseContent(tracked);
+
+    if (!response.ok) {
+      const error = new Error(`[${response.status}] ${response.statusText} ${method} ${url}`) as Error &
+        StructuredErrorDocument & { status: number; statusText: string };
+      error.status = response.status;
+      error.statusText = response.statusText;
+      error.content = content;
+      throw error;
+    }
+
+    return content as T;
   },
 };
 
+let SUPPORTS_REQUEST_STREAMS: boolean | null = null;
+
+// a platform which supports streaming request bodies reads `duplex`, and does not
+// treat the stream as text by giving the request a Content-Type
+function supportsRequestStreams(): boolean {
+  if (SUPPORTS_REQUEST_STREAMS === null) {
+    let duplexAccessed = false;
+    try {
+      const hasContentType = new Request('http://localhost', {
+        body: new ReadableStream(),
+        method: 'POST',
+        get duplex() {
+          duplexAccessed = true;
+          return 'half';
+        },
+      } as RequestInit).headers.has('content-type');
+      SUPPORTS_REQUEST_STREAMS = duplexAccessed && !hasContentType;
+    } catch {
+      SUPPORTS_REQUEST_STREAMS = false;
+    }
+  }
+  return SUPPORTS_REQUEST_STREAMS;
+}
+
+function byteLengthOf(body: BodyInit): number | null {
+  if (typeof body === 'string') {
+    return new TextEncoder().encode(body).byteLength;
+  }
+  if (body instanceof Blob) {
+    return body.size;
+  }
+  if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+    return body.byteLength;
+  }
+  return null;
+}
+
+function progressTap(context: Context, type: 'upload' | 'download', total: number | null) {
+  let loaded = 0;
+  return new TransformStream<Uint8Array, Uint8Array>({
+    transform(chunk, controller) {
+      loaded += chunk.byteLength;
+      context.reportProgress({ type, loaded, total });
+      controller.enqueue(chunk);
+    },
+    flush() {
+      if (total === null) {
+        context.reportProgress({ type, loaded, total: loaded });
+      }
+    },
+  });
+}
+
+// only bodies whose size is known are streamed, others are sent without reporting progress
+function trackUpload(context: Context, init: RequestInit) {
+  const body = init.body!;
+  const total = byteLengthOf(body);
+  if (total === null) {
+    return;
+  }
+  const headers = new Headers(init.headers);
+  if (!headers.has('content-type')) {
+    if (typeof body === 'string') {
+      headers.set('content-type', 'text/plain;charset=UTF-8');
+    } else if (body instanceof Blob && body.type) {
+      headers.set('content-type', body.type);
+    }
+  }
+  init.headers = headers;
+  init.body = new Response(body).body!.pipeThrough(progressTap(context, 'upload', total));
+  (init as RequestInit & { duplex: 'half' }).duplex = 'half';
+}
+
+function trackDownload(context: Context, response: Response): Response {
+  const { body } = response;
+  if (
+    !body ||
+    NO_CONTENT_STATUSES.has(response.status) ||
+    typeof TransformStream === 'undefined' ||
+    typeof body.pipeThrough !== 'function'
+  ) {
+    return response;
+  }
+  const length = Number(response.headers.get('content-length') ?? NaN);
+  const total = Number.isNaN(length) ? null : length;
+  return new Response(body.pipeThrough(progressTap(context, 'download', total)), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
+}
+
+async function parseContent(response: Response): Promise<unknown> {
+  if (NO_CONTENT_STATUSES.has(response.status) || response.headers.get('content-length') === '0') {
+    return null;
+  }
+  const contentType = (response.headers.get('content-type') || '').toLowerCase();
+
+  if (isJSON(contentType)) {
+    const text = await response.text();
+    return text ? (JSON.parse(text) as unknown) : null;
+  }
+  if (!contentType || contentType.startsWith('text/')) {
+    return response.text();
+  }
+  return response.blob();
+}
+
+function isJSON(contentType: string): boolean {
+  const mediaType = contentType.split(';')[0].trim();
+  return mediaType === 'application/json' || (mediaType.startsWith('application/') && mediaType.endsWith('+json'));
+}
+
 export default Fetch;
@@ -1,2 +1,3 @@
 export { RequestManager as default } from './-private/manager';
 export { createDeferred } from './-private/future';
+export { serializeQueryParams } from './-private/utils';
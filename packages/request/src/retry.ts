@@ -0,0 +1,191 @@
+/**
+ * A Handler which retries requests that failed due to
+ * transient errors
+ *
+ * @module @ember-data/request/retry
+ * @main @ember-data/request/retry
+ */
+
+import type { Context } from './-private/context';
+import type { ImmutableRequestInfo, NextFn, ResponseInfo, StructuredErrorDocument } from './-private/types';
+
+export interface RetryOptions {
+  /* response statuses which should be retried, network errors are always retried */
+  statuses?: number[];
+  /* request methods which may be retried */
+  methods?: string[];
+  /* the maximum number of attempts, including the first */
+  maxAttempts?: number;
+  /* the delay in ms before the first retry */
+  baseDelay?: number;
+  /* the maximum delay in ms between attempts */
+  maxDelay?: number;
+  /* whether to randomize delays to avoid many clients retrying at once */
+  jitter?: boolean;
+  /* the delay in ms before the given retry, replacing the default exponential curve */
+  backoff?: (attempt: number) => number;
+  /* invoked before each retry */
+  onRetry?: (request: ImmutableRequestInfo, attempt: number, delay: number, error: RetryError) => void;
+}
+
+export type RetryResponseInfo = ResponseInfo & { attempts: number };
+export type RetryError = Error & StructuredErrorDocument & { attempts: number };
+
+const DEFAULT_STATUSES = [408, 429, 500, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * A handler which retries requests which failed due to network
+ * errors or a transient error status.
+ *
+ * ```ts
+ * import Retry from '@ember-data/request/retry';
+ * import Fetch from '@ember-data/request/fetch';
+ *
+ * manager.use([new Retry({ maxAttempts: 5 }), Fetch]);
+ * ```
+ *
+ * The following options are available
+ *
+ * - `statuses` the response statuses to retry, defaults to
+ *    `408`, `429`, `500`, `502`, `503` and `504`
+ * - `methods` the request methods which may be retried, defaults to the
+ *    idempotent methods `GET`, `HEAD`, `OPTIONS`, `PUT` and `DELETE`
+ * - `maxAttempts` defaults to `3`
+ * - `baseDelay` and `maxDelay` the delay before the first retry and the
+ *    maximum delay between attempts, defaults to `250` and `10_000`
+ * - `backoff` a function returning the delay for a given retry, replacing
+ *    the default curve which doubles the delay after each attempt
+ * - `jitter` whether to randomize each delay between `0` and the delay
+ *    given by the curve, defaults to `true`
+ * - `onRetry` invoked with the request, the attempt which failed, the
+ *    delay and the error before each retry
+ *
+ * When a response includes a `Retry-After` header its value is used
+ * as the delay instead. If it exceeds `maxDelay` the request is not
+ * retried.
+ *
+ * Aborting a request stops any further attempts, and a request with a
+ * `timeout` is not retried when the delay would exceed the time which
+ * remains before it elapses.
+ *
+ * The number of attempts made is reported as `attempts` on the response
+ * of the final document or on the error when the request failed.
+ *
+ * @class Retry
+ * @public
+ */
+export default class Retry {
+  declare statuses: Set<number>;
+  declare methods: Set<string>;
+  declare maxAttempts: number;
+  declare baseDelay: number;
+  declare maxDelay: number;
+  declare jitter: boolean;
+  declare backoff: ((attempt: number) => number) | null;
+  declare onRetry: RetryOptions['onRetry'] | null;
+
+  constructor(options: RetryOptions = {}) {
+    this.statuses = new Set(options.statuses || DEFAULT_STATUSES);
+    this.methods = new Set(options.methods || IDEMPOTENT_METHODS);
+    this.maxAttempts = options.maxAttempts ?? 3;
+    this.baseDelay = options.baseDelay ?? 250;
+    this.maxDelay = options.maxDelay ?? 10_000;
+    this.jitter = options.jitter ?? true;
+    this.backoff = options.backoff || null;
+    this.onRetry = options.onRetry || null;
+  }
+
+  async request<T>(context: Context, next: NextFn<T>): Promise<T> {
+    const { request } = context;
+    const canRetry = this.methods.has(request.method || 'GET');
+    let attempt = 0;
+
+    for (;;) {
+      attempt++;
+      try {
+        const doc = await next(request);
+        if (doc.response) {
+          context.setResponse(Object.assign({}, doc.response, { attempts: attempt }) as RetryResponseInfo);
+        }
+        return doc.content;
+      } catch (e) {
+        const error = e as RetryError;
+        let delay = canRetry && attempt < this.maxAttempts ? this._delayFor(attempt, error, request) : null;
+        // a retry which cannot start before the request's timeout elapses is not attempted
+        const remaining = context.getRemainingTime();
+        if (delay !== null && remaining !== null && delay >= remaining) {
+          delay = null;
+        }
+
+        if (delay === null) {
+          throw failed(context, error, attempt);
+        }
+
+        this.onRetry?.(request, attempt, delay, error);
+        try {
+          await wait(delay, request.signal);
+        } catch (abort) {
+          // the request was aborted while waiting to retry
+          throw failed(context, abort as RetryError, attempt);
+        }
+      }
+    }
+  }
+
+  _delayFor(attempt: number, error: RetryError, request: ImmutableRequestInfo): number | null {
+    if (request.signal?.aborted || error?.name === 'AbortError') {
+      return null;
+    }
+    const status = error?.response?.status;
+    // errors without a response, such as network errors, are retried
+    if (status && !this.statuses.has(status)) {
+      return null;
+    }
+
+    const retryAfter = parseRetryAfter(error.response?.headers?.get('retry-after'));
+    if (retryAfter !== null) {
+      return retryAfter > this.maxDelay ? null : retryAfter;
+    }
+
+    const delay = Math.min(this.backoff ? this.backoff(attempt) : this.baseDelay * 2 ** (attempt - 1), this.maxDelay);
+    return this.jitter ? Math.round(Math.random() * delay) : delay;
+  }
+}
+
+function parseRetryAfter(value: string | null | undefined): number | null {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+// reports the attempts made on the error which ends the request
+function failed(context: Context, error: RetryError, attempt: number): RetryError {
+  if (error && typeof error === 'object') {
+    error.attempts = attempt;
+    if (error.response) {
+      context.setResponse(error.response);
+    }
+  }
+  return error;
+}
+
+function wait(delay: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException((signal!.reason as string) || 'AbortError', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delay);
+    signal?.addEventListener('abort', onAbort);
+  });
+}
@@ -5,7 +5,11 @@
 export { default as EmbeddedRecordsMixin } from './-private/embedded-records-mixin';
 
 export { default as Transform } from './-private/transforms/transform';
+export { default as ArrayTransform } from './-private/transforms/array';
 export { default as BooleanTransform } from './-private/transforms/boolean';
 export { default as DateTransform } from './-private/transforms/date';
+export { default as DecimalTransform } from './-private/transforms/decimal';
+export { default as EnumTransform } from './-private/transforms/enum';
+export { default as JsonTransform } from './-private/transforms/json';
 export { default as NumberTransform } from './-private/transforms/number';
 export { default as StringTransform } from './-private/transforms/string';
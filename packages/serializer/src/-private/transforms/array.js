@@ -0,0 +1,65 @@
+/**
+  @module @ember-data/serializer
+*/
+import { assert } from '@ember/debug';
+
+/**
+  The `ArrayTransform` class is used to serialize and deserialize
+  attributes whose value is an array. This transform is used when
+  `array` is passed as the type parameter to the
+  [attr](/ember-data/release/functions/@ember-data%2Fmodel/attr) function.
+
+  Usage
+
+  ```app/models/post.js
+  import Model, { attr } from '@ember-data/model';
+
+  export default class PostModel extends Model {
+    @attr('string') title;
+    @attr('array') tags;
+  }
+  ```
+
+  The array is copied when it is serialized or deserialized. Any value
+  which is not an array fails an assertion.
+
+  By default `null` and `undefined` become an empty array. You can opt
+  into allowing `null` values via `attr('array', { allowNull: true })`
+
+  ```app/models/post.js
+  import Model, { attr } from '@ember-data/model';
+
+  export default class PostModel extends Model {
+    @attr('string') title;
+    @attr('array', { allowNull: true }) tags;
+  }
+  ```
+
+  @class ArrayTransform
+  @public
+ */
+export default class ArrayTransform {
+  deserialize(serialized, options) {
+    return toArray(serialized, options);
+  }
+
+  serialize(deserialized, options) {
+    return toArray(deserialized, options);
+  }
+
+  static create() {
+    return new this();
+  }
+}
+
+function toArray(value, options) {
+  if (value === null || value === undefined) {
+    return options?.allowNull === true ? null : [];
+  }
+
+  assert(
+    `Expected the value of an 'array' attribute to be an array, but received ${typeof value}`,
+    Array.isArray(value)
+  );
+  return Array.isArray(value) ? value.slice() : [value];
+}
@@ -1,6 +1,9 @@
 /**
   @module @ember-data/serializer
 */
+import { assert } from '@ember/debug';
+
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
 
 /**
  The `DateTransform` class is used to serialize and deserialize
@@ -19,14 +22,43 @@
   }
  ```
 
+ Dates without a time, such as birthdays, can be serialized and deserialized
+ as `YYYY-MM-DD` via `attr('date', { precision: 'day' })`. These are
+ deserialized to midnight in the local timezone rather than in UTC, so that
+ the day does not shift for users west of UTC. Strings which are not
+ formatted as `YYYY-MM-DD` fail an assertion.
+
+ ```app/models/user.js
+ import Model, { attr } from '@ember-data/model';
+
+ export default class UserModel extends Model {
+    @attr('string') name;
+    @attr('date', { precision: 'day' }) birthday;
+  }
+ ```
+
  @class DateTransform
   @public
  */
 
 export default class DateTransform {
-  deserialize(serialized) {
+  deserialize(serialized, options) {
     let type = typeof serialized;
 
+    if (type === 'string' && isDayPrecision(options)) {
+      let match = DATE_ONLY.exec(serialized);
+      assert(
+        `Expected the value of a 'date' attribute with { precision: 'day' } to be formatted as YYYY-MM-DD, but received '${serialized}'`,
+        match
+      );
+      if (match) {
+        let date = new Date(0);
+        date.setFullYear(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        date.setHours(0, 0, 0, 0);
+        return date;
+      }
+    }
+
     if (type === 'string') {
       let offset = serialized.indexOf('+');
 
@@ -46,8 +78,11 @@ export default class DateTransform {
     }
   }
 
-  serialize(date) {
+  serialize(date, options) {
     if (date instanceof Date && !isNaN(date)) {
+      if (isDayPrecision(options)) {
+        return `${pad(date.getFullYear(), 4)}-${pad(date.getMonth() + 1, 2)}-${pad(date.getDate(), 2)}`;
+      }
       return date.toISOString();
     } else {
       return null;
@@ -58,3 +93,16 @@ export default class DateTransform {
     return new this();
   }
 }
+
+function isDayPrecision(options) {
+  let precision = options?.precision;
+  assert(
+    `Expected the 'precision' option of a 'date' attribute to be 'day', but received '${precision}'`,
+    precision === undefined || precision === 'day'
+  );
+  return precision === 'day';
+}
+
+function pad(number, length) {
+  return String(number).padStart(length, '0');
+}
@@ -0,0 +1,143 @@
+/**
+  @module @ember-data/serializer
+*/
+import { assert } from '@ember/debug';
+
+/**
+  The `DecimalTransform` class is used to serialize and deserialize
+  decimal attributes, such as amounts of money, which APIs commonly
+  send as strings to avoid losing precision. This transform is used
+  when `decimal` is passed as the type parameter to the
+  [attr](/ember-data/release/functions/@ember-data%2Fmodel/attr) function.
+
+  Values are kept as strings so that no precision is lost, numeric
+  strings and numbers are both deserialized and serialized to numeric
+  strings such as `"1250.50"`. Any other value, as well as values in
+  exponent notation whose exponent is beyond `100` either way, fails an
+  assertion.
+
+  The number of digits after the decimal point can be fixed via the
+  `scale` option, in which case values are padded or rounded (half away
+  from zero) to that many digits.
+
+  Usage
+
+  ```app/models/invoice.js
+  import Model, { attr } from '@ember-data/model';
+
+  export default class InvoiceModel extends Model {
+    @attr('string') reference;
+    @attr('decimal', { scale: 2 }) total;
+  }
+  ```
+
+  `null`, `undefined` and blank strings are serialized and deserialized
+  as `null`.
+
+  @class DecimalTransform
+  @public
+ */
+export default class DecimalTransform {
+  deserialize(serialized, options) {
+    return toDecimal(serialized, getScale(options));
+  }
+
+  serialize(deserialized, options) {
+    return toDecimal(deserialized, getScale(options));
+  }
+
+  static create() {
+    return new this();
+  }
+}
+
+const DECIMAL = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+// bounds the digits added when expanding an exponent, like `scale`
+const MAX_EXPONENT = 100;
+
+function getScale(options) {
+  const scale = options?.scale;
+  if (scale === undefined || scale === null) {
+    return null;
+  }
+
+  assert(
+    `Expected the 'scale' option of a 'decimal' attribute to be an integer between 0 and 100, but received ${scale}`,
+    Number.isInteger(scale) && scale >= 0 && scale <= 100
+  );
+  return scale;
+}
+
+// normalizes the value to a plain decimal string without going through
+// floating point, so that strings keep every digit they were given
+function toDecimal(value, scale) {
+  if (value === null || value === undefined || (typeof value === 'string' && value.trim() === '')) {
+    return null;
+  }
+
+  const isNumeric = typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value));
+  const match = isNumeric ? DECIMAL.exec(String(value).trim()) : null;
+  assert(
+    `Expected the value of a 'decimal' attribute to be a number or a numeric string, but received ${JSON.stringify(
+      value
+    )}`,
+    match && (match[2] || match[3])
+  );
+  if (!match || !(match[2] || match[3])) {
+    return null;
+  }
+
+  const [, sign, integer = '', fraction = '', exponent] = match;
+  const shift = Number(exponent || 0);
+  assert(
+    `Expected the exponent of the value of a 'decimal' attribute to be between -${MAX_EXPONENT} and ${MAX_EXPONENT}, but received ${JSON.stringify(
+      value
+    )}`,
+    Math.abs(shift) <= MAX_EXPONENT
+  );
+  if (Math.abs(shift) > MAX_EXPONENT) {
+    return null;
+  }
+
+  let digits = integer + fraction;
+  let point = integer.length + shift;
+  if (point < 0) {
+    digits = '0'.repeat(-point) + digits;
+    point = 0;
+  }
+  digits = digits.padEnd(point, '0');
+
+  let decimals = digits.length - point;
+  if (scale !== null) {
+    if (decimals > scale) {
+      const roundUp = digits[point + scale] >= '5';
+      digits = digits.slice(0, point + scale);
+      if (roundUp) {
+        digits = increment(digits);
+      }
+    } else {
+      digits = digits.padEnd(point + scale, '0');
+    }
+    decimals = scale;
+  }
+
+  const whole = digits.slice(0, digits.length - decimals).replace(/^0+/, '') || '0';
+  const part = digits.slice(digits.length - decimals);
+  const isNegative = sign === '-' && /[1-9]/.test(digits);
+  return `${isNegative ? '-' : ''}${whole}${part ? `.${part}` : ''}`;
+}
+
+// adds one to the last digit of a string of digits
+function increment(digits) {
+  const chars = digits.split('');
+  let i = chars.length - 1;
+  while (i >= 0 && chars[i] === '9') {
+    chars[i--] = '0';
+  }
+  if (i < 0) {
+    chars.unshift('1');
+  } else {
+    chars[i] = String(Number(chars[i]) + 1);
+  }
+  return chars.join('');
+}
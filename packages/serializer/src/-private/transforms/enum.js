@@ -0,0 +1,63 @@
+/**
+  @module @ember-data/serializer
+*/
+import { assert } from '@ember/debug';
+
+/**
+  The `EnumTransform` class is used to serialize and deserialize
+  attributes whose value is one of a fixed set of values. This transform
+  is used when `enum` is passed as the type parameter to the
+  [attr](/ember-data/release/functions/@ember-data%2Fmodel/attr) function.
+
+  The allowed values are passed to `attr` as the `values` option.
+
+  Usage
+
+  ```app/models/post.js
+  import Model, { attr } from '@ember-data/model';
+
+  export default class PostModel extends Model {
+    @attr('string') title;
+    @attr('enum', { values: ['draft', 'published', 'archived'] }) status;
+  }
+  ```
+
+  `null` and `undefined` are serialized and deserialized as `null`. Any
+  other value which is not one of the allowed `values` fails an assertion.
+
+  @class EnumTransform
+  @public
+ */
+export default class EnumTransform {
+  deserialize(serialized, options) {
+    return checkValue(serialized, options);
+  }
+
+  serialize(deserialized, options) {
+    return checkValue(deserialized, options);
+  }
+
+  static create() {
+    return new this();
+  }
+}
+
+function checkValue(value, options) {
+  const values = options?.values;
+  assert(
+    `Expected the 'values' option of an 'enum' attribute to be an array of the allowed values`,
+    Array.isArray(values)
+  );
+
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  assert(
+    `Expected the value of an 'enum' attribute to be one of ${values
+      .map((allowed) => JSON.stringify(allowed))
+      .join(', ')}, but received ${JSON.stringify(value)}`,
+    values.includes(value)
+  );
+  return value;
+}
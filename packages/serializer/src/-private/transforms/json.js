@@ -0,0 +1,76 @@
+/**
+  @module @ember-data/serializer
+*/
+import { assert } from '@ember/debug';
+
+/**
+  The `JsonTransform` class is used to serialize and deserialize
+  attributes holding arbitrary JSON values, such as objects or arrays.
+  This transform is used when `json` is passed as the type parameter
+  to the [attr](/ember-data/release/functions/@ember-data%2Fmodel/attr)
+  function.
+
+  Usage
+
+  ```app/models/user.js
+  import Model, { attr } from '@ember-data/model';
+
+  export default class UserModel extends Model {
+    @attr('string') name;
+    @attr('json') preferences;
+  }
+  ```
+
+  By default the value is passed through as-is. If your API sends and
+  receives the value as a JSON encoded string, you can opt into parsing
+  and stringifying it via `attr('json', { stringify: true })`
+
+  ```app/models/user.js
+  import Model, { attr } from '@ember-data/model';
+
+  export default class UserModel extends Model {
+    @attr('string') name;
+    @attr('json', { stringify: true }) preferences;
+  }
+  ```
+
+  `null` and `undefined` are serialized and deserialized as `null`.
+
+  @class JsonTransform
+  @public
+ */
+export default class JsonTransform {
+  deserialize(serialized, options) {
+    if (serialized === null || serialized === undefined) {
+      return null;
+    }
+
+    if (options?.stringify === true) {
+      assert(
+        `Expected the value of a 'json' attribute with { stringify: true } to be a string, but received ${typeof serialized}`,
+        typeof serialized === 'string'
+      );
+      if (typeof serialized === 'string') {
+        try {
+          return JSON.parse(serialized);
+        } catch (e) {
+          assert(`Expected the value of a 'json' attribute to be valid JSON, but received '${serialized}'`);
+          return null;
+        }
+      }
+    }
+    return serialized;
+  }
+
+  serialize(deserialized, options) {
+    if (deserialized === null || deserialized === undefined) {
+      return null;
+    }
+
+    return options?.stringify === true ? JSON.stringify(deserialized) : deserialized;
+  }
+
+  static create() {
+    return new this();
+  }
+}
@@ -7,18 +7,34 @@ import type {
   StructuredErrorDocument,
 } from '@ember-data/request/-private/types';
 import type Store from '@ember-data/store';
-import { CollectionResourceDataDocument, ResourceDataDocument } from '@ember-data/types/cache/document';
-import type { StableRecordIdentifier } from '@ember-data/types/q/identifier';
+import {
+  CollectionResourceDataDocument,
+  ResourceDataDocument,
+  ResponseInfo,
+  StructuredDataDocument,
+} from '@ember-data/types/cache/document';
+import type { JsonApiDocument } from '@ember-data/types/q/ember-data-json-api';
+import type { ResourceData, StableRecordIdentifier } from '@ember-data/types/q/identifier';
+import type { JsonApiResource, JsonApiValidationError } from '@ember-data/types/q/record-data-json-api';
+
+import { getIncludePaths, hasUnloadedIncludes } from './utils/include-paths';
+import { getNeededFields, getSparseFields, hasUnloadedFields } from './utils/sparse-fields';
 
 export type HTTPMethod = 'GET' | 'OPTIONS' | 'POST' | 'PUT' | 'PATCH' | 'DELETE';
 
 export interface LifetimesService {
   isHardExpired(key: string, url: string, method: HTTPMethod): boolean;
   isSoftExpired(key: string, url: string, method: HTTPMethod): boolean;
+  // invoked once a request handled by the CacheHandler succeeds
+  didRequest?(
+    request: StoreRequestInfo,
+    response: ResponseInfo | Response | null | undefined,
+    key: string | null
+  ): void;
 }
 
 export interface StoreRequestInfo extends ImmutableRequestInfo {
-  cacheOptions?: { key?: string; reload?: boolean; backgroundReload?: boolean };
+  cacheOptions?: { key?: string; reload?: boolean; backgroundReload?: boolean; types?: string[] };
   store?: Store;
 
   op?:
@@ -30,7 +46,8 @@ export interface StoreRequestInfo extends ImmutableRequestInfo {
     | 'findBelongsTo'
     | 'findHasMany'
     | 'createRecord'
-    | 'deleteRecord';
+    | 'deleteRecord'
+    | 'saveRecords';
   records?: StableRecordIdentifier[];
 }
 
@@ -54,6 +71,7 @@ function getHydratedContent<T>(store: Store, request: ImmutableRequestInfo, docu
       managed = recordArrayManager.createArray({
         identifiers: document.data,
         doc: document as CollectionResourceDataDocument,
+        query: request,
       });
       recordArrayManager._keyedArrays.set(lid, managed);
     } else {
@@ -72,9 +90,11 @@ function calcShouldFetch(
   lid: string | null | undefined
 ): boolean {
   const { cacheOptions, url, method } = request;
-  return cacheOptions?.reload || !hasCachedValue || (store.lifetimes && lid && url && method)
-    ? store.lifetimes!.isHardExpired(lid as string, url as string, method as HTTPMethod)
-    : false;
+  return Boolean(
+    cacheOptions?.reload ||
+      !hasCachedValue ||
+      (store.lifetimes && lid && url && method ? store.lifetimes.isHardExpired(lid, url, method as HTTPMethod) : false)
+  );
 }
 
 function calcShouldBackgroundFetch(
@@ -86,15 +106,19 @@ function calcShouldBackgroundFetch(
   const { cacheOptions, url, method } = request;
   return (
     !willFetch &&
-    (cacheOptions?.backgroundReload || (store.lifetimes && lid && url && method)
-      ? store.lifetimes!.isSoftExpired(lid as string, url as string, method as HTTPMethod)
-      : false)
+    Boolean(
+      cacheOptions?.backgroundReload ||
+        (store.lifetimes && lid && url && method
+          ? store.lifetimes.isSoftExpired(lid, url, method as HTTPMethod)
+          : false)
+    )
   );
 }
 
 function fetchContentAndHydrate<T>(
   next: NextFn<T>,
   context: StoreRequestContext,
+  lid: string | null,
   shouldFetch: boolean,
   shouldBackgroundFetch: boolean
 ): Promise<T> {
@@ -102,6 +126,11 @@ function fetchContentAndHydrate<T>(
   return next(context.request).then(
     (document) => {
       const response = store.cache.put(document);
+      store.lifetimes?.didRequest?.(
+        context.request,
+        (document as unknown as StructuredDataDocument<unknown>).response,
+        lid
+      );
 
       if (shouldFetch) {
         return getHydratedContent(store, context.request, response as ResourceDataDocument);
@@ -117,25 +146,177 @@ function fetchContentAndHydrate<T>(
   ) as Promise<T>;
 }
 
+// a cached document is only a hit if its resources, and those along the
+// include paths of the request, are loaded with the fields the request needs
+function isComplete(store: Store, request: StoreRequestInfo, document: ResourceDataDocument): boolean {
+  const { data } = document;
+  if (!data) {
+    return true;
+  }
+  const needed = getNeededFields(store, getSparseFields(request));
+  const include = getIncludePaths(request);
+  const identifiers = Array.isArray(data) ? data : [data];
+  return !identifiers.some(
+    (identifier) =>
+      hasUnloadedFields(store, identifier, needed) ||
+      (include !== null && hasUnloadedIncludes(store, identifier, include, needed))
+  );
+}
+
+// the key a request's response is cached under, if it is cacheable
+export function getCacheKey(request: StoreRequestInfo): string | null {
+  const { cacheOptions, url, method } = request;
+  return cacheOptions?.key || (method === 'GET' && url) || null;
+}
+
+const MUTATION_OPS = new Set(['createRecord', 'updateRecord', 'deleteRecord', 'saveRecords']);
+
+function isMutation(request: StoreRequestInfo): boolean {
+  return Boolean(request.op && MUTATION_OPS.has(request.op) && request.records?.length);
+}
+
+type AtomicDocument = JsonApiDocument & {
+  'atomic:results'?: Array<{ data?: JsonApiResource | null } | null>;
+};
+
+const ATOMIC_POINTER = /^\/atomic:operations\/(\d+)(\/.*)?$/;
+
+function validationErrorsFor(
+  error: StructuredErrorDocument,
+  index: number,
+  isAtomic: boolean
+): JsonApiValidationError[] | undefined {
+  const content = error?.content as { errors?: JsonApiValidationError[] } | undefined;
+  if (!Array.isArray(content?.errors) || !content!.errors.length) {
+    return undefined;
+  }
+  if (!isAtomic) {
+    return content!.errors;
+  }
+
+  // errors for an atomic request point at the operation they belong to,
+  // e.g. `/atomic:operations/1/data/attributes/name`, which we rewrite to
+  // be relative to the record for that operation.
+  const errors: JsonApiValidationError[] = [];
+  content!.errors.forEach((error) => {
+    const match = ATOMIC_POINTER.exec(error.source?.pointer || '');
+    if (match && Number(match[1]) === index) {
+      errors.push(Object.assign({}, error, { source: { pointer: match[2] || '/data' } }));
+    }
+  });
+  return errors.length ? errors : undefined;
+}
+
+// pairs each record with the resource the response returned for it
+function resourcesFor(records: StableRecordIdentifier[], content: AtomicDocument | null | undefined) {
+  const resources: Array<JsonApiResource | null> = records.map(() => null);
+
+  if (Array.isArray(content?.['atomic:results'])) {
+    // results are in the same order as the operations, but a server may
+    // identify new records by the `lid` they were sent with instead.
+    content!['atomic:results'].forEach((result, index) => {
+      const resource = result?.data;
+      if (!resource) {
+        return;
+      }
+      const lidIndex = resource.lid ? records.findIndex((identifier) => identifier.lid === resource.lid) : -1;
+      const target = lidIndex !== -1 ? lidIndex : index;
+      if (target < records.length) {
+        resources[target] = resource;
+      }
+    });
+    return resources;
+  }
+
+  const data = content?.data as JsonApiResource | JsonApiResource[] | null | undefined;
+  records.forEach((identifier, index) => {
+    resources[index] = (Array.isArray(data) ? data[index] : index === 0 ? data : null) || null;
+  });
+  return resources;
+}
+
+function commitMutation(store: Store, request: StoreRequestInfo, content: AtomicDocument | null | undefined): void {
+  const records = request.records!;
+  const resources = resourcesFor(records, content);
+
+  store._join(() => {
+    records.forEach((identifier, index) => {
+      const resource = resources[index];
+      if (resource && !store.cache.isDeleted(identifier)) {
+        store.identifierCache.updateRecordIdentifier(identifier, resource as ResourceData);
+      }
+      store.cache.didCommit(identifier, resource);
+    });
+
+    if (content?.included) {
+      store._push({ data: null, included: content.included }, true);
+    }
+  });
+}
+
+function executeMutation<T>(context: StoreRequestContext, next: NextFn<T>): Promise<T> {
+  const { store } = context.request;
+  const records = context.request.records!;
+
+  records.forEach((identifier) => store.cache.willCommit(identifier));
+
+  const promise = next(context.request).then(
+    (document) => {
+      commitMutation(store, context.request, document.content as AtomicDocument | null | undefined);
+      store.lifetimes?.didRequest?.(
+        context.request,
+        (document as unknown as StructuredDataDocument<unknown>).response,
+        null
+      );
+
+      const saved = records.map((identifier) => store.peekRecord(identifier));
+      return (records.length === 1 ? saved[0] : saved) as T;
+    },
+    (error: StructuredErrorDocument) => {
+      const isAtomic = context.request.op === 'saveRecords';
+      store._join(() => {
+        records.forEach((identifier, index) =>
+          store.cache.commitWasRejected(identifier, validationErrorsFor(error, index, isAtomic))
+        );
+      });
+      throw error;
+    }
+  );
+
+  // track the save so that request state such as `isSaving` is correct
+  store
+    .getRequestStateService()
+    .enqueue(promise, {
+      data: records.map((identifier) => ({ op: 'saveRecord', recordIdentifier: identifier, options: undefined })),
+    })
+    .catch(() => {});
+
+  return promise;
+}
+
 export const CacheHandler: Handler = {
   request<T>(context: StoreRequestContext, next: NextFn<T>): Promise<T> | Future<T> {
     // if we are a legacy request, skip cache handling
     if (context.request.op && !context.request.url) {
       return next(context.request);
     }
+    if (isMutation(context.request)) {
+      return executeMutation(context, next);
+    }
     const { store } = context.request;
-    const { cacheOptions, url, method } = context.request;
-    const lid = cacheOptions?.key || (method === 'GET' && url) ? url : null;
+    const lid = getCacheKey(context.request);
     const peeked = lid ? store.cache.peekRequest({ lid }) : null;
+    const hasCachedValue =
+      !!peeked && ('error' in peeked || isComplete(store, context.request, peeked.content as ResourceDataDocument));
 
     // determine if we should skip cache
-    if (calcShouldFetch(store, context.request, !!peeked, lid)) {
-      return fetchContentAndHydrate(next, context, true, false);
+    if (calcShouldFetch(store, context.request, hasCachedValue, lid)) {
+      return fetchContentAndHydrate(next, context, lid, true, false);
     }
 
     // if we have not skipped cache, determine if we should update behind the scenes
     if (calcShouldBackgroundFetch(store, context.request, false, lid)) {
-      void fetchContentAndHydrate(next, context, false, true);
+      void fetchContentAndHydrate(next, context, lid, false, true);
     }
 
     if ('error' in peeked!) {
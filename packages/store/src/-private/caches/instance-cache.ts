@@ -127,6 +127,8 @@ export class InstanceCache {
   declare __cacheFor: (resource: RecordIdentifier) => Cache;
 
   declare __cacheManager: NonSingletonCacheManager;
+  // the identifiers a fork has unloaded, for applying the unloads when it is merged
+  declare _forkUnloads: Set<StableRecordIdentifier> | null;
   __instances: Caches = {
     record: new Map<StableRecordIdentifier, RecordInstance>(),
     resourceCache: new Map<StableRecordIdentifier, Cache>(),
@@ -135,6 +137,7 @@ export class InstanceCache {
 
   constructor(store: Store) {
     this.store = store;
+    this._forkUnloads = null;
 
     this._storeWrapper = new CacheStoreWrapper(this.store);
 
@@ -293,7 +296,11 @@ export class InstanceCache {
   getResourceCache(identifier: StableRecordIdentifier): Cache {
     if (!DEPRECATE_V1_RECORD_DATA) {
       const cache = this.store.cache;
-      setCacheFor(identifier, cache);
+      // identifiers are shared with the store a fork was created from
+      // so only that store may associate them with its cache
+      if (!this.store._forkedFrom) {
+        setCacheFor(identifier, cache);
+      }
 
       this.__instances.resourceCache.set(identifier, cache);
       return cache;
@@ -342,7 +349,9 @@ export class InstanceCache {
       cache = this.store.cache;
     }
 
-    setCacheFor(identifier, cache);
+    if (!this.store._forkedFrom) {
+      setCacheFor(identifier, cache);
+    }
 
     this.__instances.resourceCache.set(identifier, cache);
     if (LOG_INSTANCE_CACHE) {
@@ -365,7 +374,9 @@ export class InstanceCache {
   }
 
   recordIsLoaded(identifier: StableRecordIdentifier, filterDeleted: boolean = false) {
-    const cache = DEPRECATE_V1_RECORD_DATA ? this.__instances.resourceCache.get(identifier) : this.cache;
+    // forks always utilize a singleton cache
+    const cache =
+      DEPRECATE_V1_RECORD_DATA && !this.store._forkedFrom ? this.__instances.resourceCache.get(identifier) : this.cache;
     if (!cache) {
       return false;
     }
@@ -400,9 +411,11 @@ export class InstanceCache {
       }
     }
 
-    this.store.identifierCache.forgetRecordIdentifier(identifier);
     this.__instances.resourceCache.delete(identifier);
-    removeRecordDataFor(identifier);
+    if (!this.store._forkedFrom) {
+      this.store.identifierCache.forgetRecordIdentifier(identifier);
+      removeRecordDataFor(identifier);
+    }
     this.store._requestCache._clearEntries(identifier);
     if (LOG_INSTANCE_CACHE) {
       // eslint-disable-next-line no-console
@@ -426,6 +439,11 @@ export class InstanceCache {
       console.groupCollapsed(`InstanceCache: unloading record for ${String(identifier)}`);
     }
 
+    if (this.store._forkedFrom) {
+      this._forkUnloads = this._forkUnloads || new Set();
+      this._forkUnloads.add(identifier);
+    }
+
     // TODO is this join still necessary?
     this.store._join(() => {
       const record = this.__instances.record.get(identifier);
@@ -447,7 +465,9 @@ export class InstanceCache {
       if (cache) {
         cache.unloadRecord(identifier);
         this.__instances.resourceCache.delete(identifier);
-        removeRecordDataFor(identifier);
+        if (!this.store._forkedFrom) {
+          removeRecordDataFor(identifier);
+        }
         if (LOG_INSTANCE_CACHE) {
           // eslint-disable-next-line no-console
           console.log(`InstanceCache: destroyed cache for ${String(identifier)}`);
@@ -468,6 +488,17 @@ export class InstanceCache {
 
   clear(type?: string) {
     const cache = this.store.identifierCache._cache;
+    if (this.store._forkedFrom) {
+      // a fork only needs to release what it has materialized, the
+      // identifiers themselves belong to the store it was forked from
+      const identifiers = new Set([...this.__instances.record.keys(), ...this.__instances.resourceCache.keys()]);
+      identifiers.forEach((identifier) => {
+        if (type === undefined || identifier.type === type) {
+          this.unloadRecord(identifier);
+        }
+      });
+      return;
+    }
     if (type === undefined) {
       // it would be cool if we could just de-ref cache here
       // but probably would require WeakRef models to do so.
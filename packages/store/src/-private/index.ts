@@ -51,6 +51,13 @@ export {
   IDENTIFIER_ARRAY_TAG,
 } from './record-arrays/identifier-array';
 export { default as RecordArrayManager, fastPush } from './managers/record-array-manager';
+export { DefaultLifetimesService } from './lifetimes';
+export { OfflineQueue, MemoryQueueStorage, IndexedDBQueueStorage } from './offline-queue';
+export { SyncedCache } from './synced-cache';
+export { subscribeToEventSource, subscribeToWebSocket } from './push-operations';
+export { getRequestState, RequestState } from './request-state';
+export { getNeededFields, getSparseFields, hasUnloadedFields } from './utils/sparse-fields';
+export { default as reportError } from './utils/report-error';
 
 // leaked for private use / test use, should investigate removing
 export { _clearCaches } from './caches/instance-cache';
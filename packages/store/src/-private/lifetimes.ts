@@ -0,0 +1,300 @@
+/**
+  @module @ember-data/store
+*/
+import type { ResponseInfo, StructuredDocument } from '@ember-data/types/cache/document';
+import type { StableRecordIdentifier } from '@ember-data/types/q/identifier';
+import type { Dict } from '@ember-data/types/q/utils';
+
+import type { HTTPMethod, LifetimesService, StoreRequestInfo } from './cache-handler';
+import type Store from './store-service';
+
+export interface ExpirationRule {
+  /* milliseconds after which a cached request should be updated in the background */
+  soft?: number;
+  /* milliseconds after which a cached request must be refetched before use */
+  hard?: number;
+}
+
+export interface UrlExpirationRule extends ExpirationRule {
+  /* a url prefix or pattern the rule applies to */
+  url: string | RegExp;
+}
+
+export interface LifetimesConfig {
+  apiCacheSoftExpires: number;
+  apiCacheHardExpires: number;
+  urls?: UrlExpirationRule[];
+  types?: Dict<ExpirationRule>;
+  respectCacheHeaders?: boolean;
+}
+
+type Expiration = { soft: number; hard: number };
+
+const MUTATION_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+/**
+ * A LifetimesService for use with `store.lifetimes` which determines
+ * whether the cached result of a request should be reused, updated in the
+ * background, or refetched before use.
+ *
+ * ```ts
+ * import Store, { DefaultLifetimesService } from '@ember-data/store';
+ *
+ * export default class extends Store {
+ *   constructor(args) {
+ *     super(args);
+ *     this.lifetimes = new DefaultLifetimesService(this, {
+ *       apiCacheSoftExpires: 30_000, // 30s
+ *       apiCacheHardExpires: 300_000, // 5m
+ *       urls: [{ url: '/api/v1/feed', soft: 0, hard: 10_000 }],
+ *       types: { 'user-setting': { soft: 0, hard: 0 } },
+ *     });
+ *   }
+ * }
+ * ```
+ *
+ * The lifetime of a cached request is determined by the first of the
+ * following which applies:
+ *
+ * - a matching rule in `urls`. String rules match urls which begin with
+ *   the string, RegExp rules match urls the expression tests true for.
+ * - a rule in `types` for the type of the request's primary data. If the
+ *   primary data contains multiple types the shortest lifetime is used.
+ * - the `Cache-Control` (`max-age`, `stale-while-revalidate`, `no-cache`
+ *   and `no-store`) or `Expires` headers of the stored response, unless
+ *   `respectCacheHeaders` is `false`.
+ * - `apiCacheSoftExpires` and `apiCacheHardExpires`
+ *
+ * Age is measured from when the response was received, or from the
+ * `Date` header of the stored response for requests this service has
+ * not seen (such as those restored via `cache.hydrate`).
+ *
+ * Any successful `POST`, `PUT`, `PATCH` or `DELETE` request invalidates
+ * all cached requests whose primary data contains a type the mutation
+ * touched. Touched types are determined from `request.records` and
+ * `request.cacheOptions.types`, the latter may also be used to declare
+ * the types of a `GET` request whose primary data is empty.
+ *
+ * @class DefaultLifetimesService
+ * @public
+ */
+export class DefaultLifetimesService implements LifetimesService {
+  declare store: Store;
+  declare config: LifetimesConfig;
+  declare _received: Map<string, number>;
+  declare _types: Map<string, Set<string>>;
+  declare _version: number;
+  declare _versions: Map<string, number>;
+  declare _invalidated: Map<string, number>;
+
+  constructor(store: Store, config: LifetimesConfig) {
+    this.store = store;
+    this.config = config;
+    this._received = new Map();
+    this._types = new Map();
+    // invalidation is ordered by a counter rather than by time
+    // as a request and a mutation may complete within the same ms
+    this._version = 0;
+    this._versions = new Map();
+    this._invalidated = new Map();
+  }
+
+  /**
+   * Whether the cached request for `key` must be refetched before use.
+   *
+   * @method isHardExpired
+   * @public
+   * @param {string} key the cache key of the request
+   * @param {string} url
+   * @param {string} method
+   * @returns {boolean}
+   */
+  isHardExpired(key: string, url: string, method: HTTPMethod): boolean {
+    const doc = this.store.cache.peekRequest({ lid: key });
+    if (!doc) {
+      return true;
+    }
+    if (this._wasInvalidated(key, doc)) {
+      return true;
+    }
+    return Date.now() - this._receivedAt(key, doc) >= this._expirationFor(url, key, doc).hard;
+  }
+
+  /**
+   * Whether the cached request for `key` may be used but should be
+   * updated in the background.
+   *
+   * @method isSoftExpired
+   * @public
+   * @param {string} key the cache key of the request
+   * @param {string} url
+   * @param {string} method
+   * @returns {boolean}
+   */
+  isSoftExpired(key: string, url: string, method: HTTPMethod): boolean {
+    const doc = this.store.cache.peekRequest({ lid: key });
+    if (!doc) {
+      return true;
+    }
+    return Date.now() - this._receivedAt(key, doc) >= this._expirationFor(url, key, doc).soft;
+  }
+
+  /**
+   * Invoked by the CacheHandler when a request completes successfully.
+   *
+   * @method didRequest
+   * @public
+   * @param {StoreRequestInfo} request
+   * @param {ResponseInfo | null} response
+   * @param {string | null} key the cache key of the request, if any
+   */
+  didRequest(request: StoreRequestInfo, response: ResponseInfo | Response | null | undefined, key: string | null) {
+    const version = ++this._version;
+    const types = requestTypes(request);
+
+    if (request.method && MUTATION_METHODS.has(request.method)) {
+      types.forEach((type) => this._invalidated.set(type, version));
+    }
+
+    if (key) {
+      this._received.set(key, Date.now());
+      this._versions.set(key, version);
+      this._types.set(key, types);
+    }
+  }
+
+  /**
+   * Invalidate all cached requests containing the given type.
+   *
+   * @method invalidateType
+   * @public
+   * @param {string} type
+   */
+  invalidateType(type: string): void {
+    this._invalidated.set(type, ++this._version);
+  }
+
+  _receivedAt(key: string, doc: StructuredDocument<unknown>): number {
+    let received = this._received.get(key);
+    if (received === undefined) {
+      const date = doc.response?.headers?.get('date');
+      received = date ? Date.parse(date) : NaN;
+      // without a known time we treat the request as received now
+      if (isNaN(received)) {
+        received = Date.now();
+      }
+      this._received.set(key, received);
+    }
+    return received;
+  }
+
+  _typesFor(key: string, doc: StructuredDocument<unknown>): Set<string> {
+    const types = new Set(this._types.get(key));
+    const data = 'content' in doc ? (doc.content as { data?: unknown } | undefined)?.data : undefined;
+    if (Array.isArray(data)) {
+      (data as StableRecordIdentifier[]).forEach((identifier) => types.add(identifier.type));
+    } else if (data) {
+      types.add((data as StableRecordIdentifier).type);
+    }
+    return types;
+  }
+
+  _wasInvalidated(key: string, doc: StructuredDocument<unknown>): boolean {
+    if (!this._invalidated.size) {
+      return false;
+    }
+    // requests this service has not seen predate any invalidation
+    const version = this._versions.get(key) || 0;
+    for (const type of this._typesFor(key, doc)) {
+      const invalidated = this._invalidated.get(type);
+      if (invalidated !== undefined && invalidated > version) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  _expirationFor(url: string, key: string, doc: StructuredDocument<unknown>): Expiration {
+    const { config } = this;
+
+    const urlRule = config.urls?.find((rule) =>
+      typeof rule.url === 'string' ? url.startsWith(rule.url) : rule.url.test(url)
+    );
+    if (urlRule) {
+      return withDefaults(urlRule, config);
+    }
+
+    if (config.types) {
+      let expiration: Expiration | null = null;
+      this._typesFor(key, doc).forEach((type) => {
+        const rule = config.types![type];
+        if (rule) {
+          const forType = withDefaults(rule, config);
+          expiration = expiration
+            ? { soft: Math.min(expiration.soft, forType.soft), hard: Math.min(expiration.hard, forType.hard) }
+            : forType;
+        }
+      });
+      if (expiration) {
+        return expiration;
+      }
+    }
+
+    if (config.respectCacheHeaders !== false && doc.response?.headers) {
+      const expiration = expirationFromHeaders(doc.response.headers, this._receivedAt(key, doc));
+      if (expiration) {
+        return expiration;
+      }
+    }
+
+    return { soft: config.apiCacheSoftExpires, hard: config.apiCacheHardExpires };
+  }
+}
+
+function withDefaults(rule: ExpirationRule, config: LifetimesConfig): Expiration {
+  const hard = rule.hard ?? config.apiCacheHardExpires;
+  return { soft: Math.min(rule.soft ?? config.apiCacheSoftExpires, hard), hard };
+}
+
+function requestTypes(request: StoreRequestInfo): Set<string> {
+  const types = new Set<string>(request.cacheOptions?.types);
+  request.records?.forEach((identifier) => types.add(identifier.type));
+  return types;
+}
+
+function parseCacheControl(header: string): Dict<number | true> {
+  const directives: Dict<number | true> = {};
+  header.split(',').forEach((part) => {
+    const [name, value] = part.trim().split('=');
+    if (name) {
+      directives[name.toLowerCase()] = value === undefined ? true : Number(value);
+    }
+  });
+  return directives;
+}
+
+function expirationFromHeaders(headers: Headers, received: number): Expiration | null {
+  const cacheControl = headers.get('cache-control');
+  if (cacheControl) {
+    const directives = parseCacheControl(cacheControl);
+    if (directives['no-store'] || directives['no-cache']) {
+      return { soft: 0, hard: 0 };
+    }
+    const maxAge = directives['max-age'];
+    if (typeof maxAge === 'number' && !isNaN(maxAge)) {
+      const stale = directives['stale-while-revalidate'];
+      const soft = maxAge * 1000;
+      return { soft, hard: typeof stale === 'number' && !isNaN(stale) ? soft + stale * 1000 : soft };
+    }
+  }
+
+  const expires = headers.get('expires');
+  if (expires) {
+    const time = Date.parse(expires);
+    // an invalid date such as "0" means already expired
+    const lifetime = isNaN(time) ? 0 : Math.max(time - received, 0);
+    return { soft: lifetime, hard: lifetime };
+  }
+
+  return null;
+}
@@ -2,10 +2,12 @@ import { assert, deprecate } from '@ember/debug';
 
 import type { LocalRelationshipOperation } from '@ember-data/graph/-private/graph/-operations';
 import { StructuredDataDocument } from '@ember-data/request/-private/types';
+import type { DumpOptions } from '@ember-data/types/cache/cache';
 import { Change } from '@ember-data/types/cache/change';
 import { ResourceDocument, StructuredDocument } from '@ember-data/types/cache/document';
 import { StableDocumentIdentifier } from '@ember-data/types/cache/identifier';
 import type { Cache, CacheV1, ChangedAttributesHash, MergeOperation } from '@ember-data/types/q/cache';
+import type { V2CacheStoreWrapper } from '@ember-data/types/q/cache-store-wrapper';
 import type {
   CollectionResourceRelationship,
   JsonApiDocument,
@@ -18,6 +20,23 @@ import type { Dict } from '@ember-data/types/q/utils';
 import { isStableIdentifier } from '../caches/identifier-cache';
 import type Store from '../store-service';
 
+type FieldObserver = (identifier: StableRecordIdentifier, field: string) => void;
+let FIELD_OBSERVER: FieldObserver | null = null;
+
+/*
+ * Runs `fn`, calling `observer` with each attribute that is read
+ * from a cache while it runs.
+ */
+export function observeFieldReads<T>(observer: FieldObserver, fn: () => T): T {
+  const previous = FIELD_OBSERVER;
+  FIELD_OBSERVER = observer;
+  try {
+    return fn();
+  } finally {
+    FIELD_OBSERVER = previous;
+  }
+}
+
 export function legacyCachePut(
   store: Store,
   doc: StructuredDataDocument<JsonApiDocument> | { content: JsonApiDocument }
@@ -345,14 +364,15 @@ export class NonSingletonCacheManager implements Cache {
    *
    * @method fork
    * @public
+   * @param {CacheStoreWrapper} storeWrapper the wrapper for the Store which will own the fork
    * @returns Promise<Cache>
    */
-  fork(): Promise<Cache> {
+  fork(storeWrapper: V2CacheStoreWrapper): Promise<Cache> {
     const cache = this.#cache;
     if (this.#isDeprecated(cache)) {
       throw new Error(`Expected cache to implement fork`);
     }
-    return cache.fork();
+    return cache.fork(storeWrapper);
   }
 
   /**
@@ -425,15 +445,16 @@ export class NonSingletonCacheManager implements Cache {
    * via `cache.hydrate`.
    *
    * @method dump
+   * @param {object} [options]
    * @returns {Promise<ReadableStream>}
    * @public
    */
-  dump(): Promise<ReadableStream<unknown>> {
+  dump(options?: DumpOptions): Promise<ReadableStream<unknown>> {
     const cache = this.#cache;
     if (this.#isDeprecated(cache)) {
       throw new Error(`Expected cache to implement dump`);
     }
-    return cache.dump();
+    return cache.dump(options);
   }
 
   /**
@@ -623,6 +644,7 @@ export class NonSingletonCacheManager implements Cache {
       propertyName = identifier;
       identifier = this.#identifier;
     }
+    FIELD_OBSERVER?.(identifier, propertyName);
     const cache = this.#cache;
     return this.#isDeprecated(cache) ? cache.getAttr(propertyName) : cache.getAttr(identifier, propertyName);
   }
@@ -982,6 +1004,26 @@ export class NonSingletonCacheManager implements Cache {
       : cache.isEmpty(identifier || this.#identifier);
   }
 
+  /**
+   * Query the cache for whether the given field of a resource has been
+   * loaded.
+   *
+   * @method isFieldLoaded
+   * @public
+   * @param identifier
+   * @param field
+   * @returns {boolean}
+   */
+  isFieldLoaded(identifier: StableRecordIdentifier, field: string): boolean {
+    const cache = this.#cache;
+    if (this.#isDeprecated(cache)) {
+      return !this.isEmpty(identifier);
+    }
+    return typeof cache.isFieldLoaded === 'function'
+      ? cache.isFieldLoaded(identifier || this.#identifier, field)
+      : true;
+  }
+
   /**
    * Query the cache for whether a given resource was created locally and not
    * yet persisted.
@@ -1044,8 +1086,8 @@ export class SingletonCacheManager implements Cache {
     return this.#cache.peekRequest(identifier);
   }
 
-  fork(): Promise<Cache> {
-    return this.#cache.fork();
+  fork(storeWrapper: V2CacheStoreWrapper): Promise<Cache> {
+    return this.#cache.fork(storeWrapper);
   }
   merge(cache: Cache): Promise<void> {
     return this.#cache.merge(cache);
@@ -1053,8 +1095,8 @@ export class SingletonCacheManager implements Cache {
   diff(): Promise<Change[]> {
     return this.#cache.diff();
   }
-  dump(): Promise<ReadableStream<unknown>> {
-    return this.#cache.dump();
+  dump(options?: DumpOptions): Promise<ReadableStream<unknown>> {
+    return this.#cache.dump(options);
   }
   hydrate(stream: ReadableStream<unknown>): Promise<void> {
     return this.#cache.hydrate(stream);
@@ -1095,6 +1137,7 @@ export class SingletonCacheManager implements Cache {
   // =====
 
   getAttr(identifier: StableRecordIdentifier, propertyName: string): unknown {
+    FIELD_OBSERVER?.(identifier, propertyName);
     return this.#cache.getAttr(identifier, propertyName);
   }
 
@@ -1139,6 +1182,11 @@ export class SingletonCacheManager implements Cache {
     return this.#cache.isEmpty(identifier);
   }
 
+  isFieldLoaded(identifier: StableRecordIdentifier, field: string): boolean {
+    const cache = this.#cache;
+    return typeof cache.isFieldLoaded === 'function' ? cache.isFieldLoaded(identifier, field) : true;
+  }
+
   isNew(identifier: StableRecordIdentifier): boolean {
     return this.#cache.isNew(identifier);
   }
@@ -1,22 +1,28 @@
 /**
   @module @ember-data/store
 */
+// eslint-disable-next-line no-restricted-imports
+import { compare } from '@ember/utils';
+
 import { ImmutableRequestInfo } from '@ember-data/request/-private/types';
 import { addTransactionCB } from '@ember-data/tracking/-private';
-import type { CollectionResourceDocument } from '@ember-data/types/q/ember-data-json-api';
+import type { CollectionResourceDocument, PaginationLinks } from '@ember-data/types/q/ember-data-json-api';
 import type { StableRecordIdentifier } from '@ember-data/types/q/identifier';
+import type { RecordInstance } from '@ember-data/types/q/record-instance';
 import type { Dict } from '@ember-data/types/q/utils';
 
 import IdentifierArray, {
   Collection,
   CollectionCreateOptions,
+  FilteredArray,
   IDENTIFIER_ARRAY_TAG,
   NOTIFY,
   notifyArray,
   SOURCE,
 } from '../record-arrays/identifier-array';
 import type Store from '../store-service';
-import { CacheOperation, UnsubscribeToken } from './notification-manager';
+import { observeFieldReads } from './cache-manager';
+import { CacheOperation, NotificationType, UnsubscribeToken } from './notification-manager';
 
 const RecordArraysCache = new Map<StableRecordIdentifier, Set<Collection>>();
 const FAKE_ARR = {};
@@ -74,6 +80,19 @@ export function fastPush<T>(target: T[], source: T[]) {
 
 type ChangeSet = Map<StableRecordIdentifier, 'add' | 'del'>;
 
+export type FilterPredicate = (record: RecordInstance) => unknown;
+export type FilterSortBy = string | string[] | ((a: RecordInstance, b: RecordInstance) => number);
+
+interface FilterState {
+  array: FilteredArray;
+  type: string;
+  predicate: FilterPredicate;
+  sortBy: FilterSortBy | undefined;
+  // the attributes read by the predicate or the sort
+  fields: Set<string>;
+  subscriptions: Map<StableRecordIdentifier, UnsubscribeToken>;
+}
+
 /**
   @class RecordArrayManager
   @internal
@@ -89,6 +108,7 @@ class RecordArrayManager {
   declare _staged: Map<string, ChangeSet>;
   declare _subscription: UnsubscribeToken;
   declare _keyedArrays: Map<string, Collection>;
+  declare _filters: Map<string, Map<FilteredArray, FilterState>>;
 
   constructor(options: { store: Store }) {
     this.store = options.store;
@@ -98,6 +118,7 @@ class RecordArrayManager {
     this._managed = new Set();
     this._pending = new Map();
     this._staged = new Map();
+    this._filters = new Map();
     this._identifiers = RecordArraysCache;
 
     this._subscription = this.store.notifications.subscribe(
@@ -121,7 +142,12 @@ class RecordArrayManager {
       return;
     }
 
-    sync(array, pending);
+    const filter = this._filters.get(array.modelName!)?.get(array as FilteredArray);
+    if (filter) {
+      this._syncFilter(array, filter, pending);
+    } else {
+      sync(array, pending);
+    }
     this._pending.delete(array);
   }
 
@@ -166,6 +192,7 @@ class RecordArrayManager {
     query?: ImmutableRequestInfo | Dict<unknown>;
     identifiers?: StableRecordIdentifier[];
     doc?: CollectionResourceDocument;
+    isInfinite?: boolean;
   }): Collection {
     let options: CollectionCreateOptions = {
       type: config.type,
@@ -174,6 +201,7 @@ class RecordArrayManager {
       query: config.query || null,
       identifiers: config.identifiers || [],
       isLoaded: !!config.identifiers?.length,
+      isInfinite: config.isInfinite,
       allowMutation: false,
       store: this.store,
       manager: this,
@@ -187,6 +215,144 @@ class RecordArrayManager {
     return array;
   }
 
+  /**
+    Create a live array containing the records of the given type
+    for which the predicate returns a truthy value, optionally sorted.
+
+    @method filterArrayFor
+    @internal
+    @param {String} type
+    @param {Function} predicate
+    @param {String|Array|Function} sortBy
+    @return {RecordArray}
+  */
+  filterArrayFor(type: string, predicate: FilterPredicate, sortBy?: FilterSortBy): FilteredArray {
+    const live = this.liveArrayFor(type);
+    this._syncArray(live);
+
+    const array = new FilteredArray({
+      type,
+      identifiers: [],
+      store: this.store,
+      allowMutation: false,
+      manager: this,
+    });
+    const filter: FilterState = { array, type, predicate, sortBy, fields: new Set(), subscriptions: new Map() };
+    let filters = this._filters.get(type);
+    if (!filters) {
+      filters = new Map();
+      this._filters.set(type, filters);
+    }
+    filters.set(array, filter);
+
+    const identifiers = live[SOURCE].filter((identifier) => this._matchesFilter(filter, identifier));
+    fastPush(array[SOURCE], this._sortFiltered(filter, identifiers));
+
+    return array;
+  }
+
+  _removeFilter(array: FilteredArray) {
+    const filters = this._filters.get(array.modelName!);
+    const filter = filters?.get(array);
+    if (!filter) {
+      return;
+    }
+    filter.subscriptions.forEach((token) => this.store.notifications.unsubscribe(token));
+    filters!.delete(array);
+    this._pending.delete(array);
+  }
+
+  _matchesFilter(filter: FilterState, identifier: StableRecordIdentifier): boolean {
+    if (!filter.subscriptions.has(identifier)) {
+      filter.subscriptions.set(
+        identifier,
+        this.store.notifications.subscribe(
+          identifier,
+          (identifier: StableRecordIdentifier, type: NotificationType, key?: string) => {
+            if (type === 'attributes' && (!key || filter.fields.has(key))) {
+              this._filterChanged(filter, identifier);
+            }
+          }
+        )
+      );
+    }
+    const record = this.store._instanceCache.getRecord(identifier);
+    return Boolean(observeFieldReads(observerFor(filter), () => filter.predicate(record)));
+  }
+
+  _isFiltered(array: IdentifierArray): boolean {
+    return Boolean(array.modelName && this._filters.get(array.modelName)?.has(array as FilteredArray));
+  }
+
+  _filterChanged(filter: FilterState, identifier: StableRecordIdentifier) {
+    const { array } = filter;
+    let changes = this._pending.get(array);
+    if (!changes) {
+      changes = new Map();
+      this._pending.set(array, changes);
+    }
+    if (changes.get(identifier) !== 'del') {
+      changes.set(identifier, 'add');
+      this.dirtyArray(array, changes.size);
+    }
+  }
+
+  _syncFilter(array: IdentifierArray, filter: FilterState, changes: ChangeSet) {
+    const source = array[SOURCE];
+    const members = new Set(source);
+    changes.forEach((value, identifier) => {
+      if (value === 'add' && this._matchesFilter(filter, identifier)) {
+        members.add(identifier);
+        return;
+      }
+      members.delete(identifier);
+      if (value === 'del') {
+        const token = filter.subscriptions.get(identifier);
+        if (token) {
+          this.store.notifications.unsubscribe(token);
+          filter.subscriptions.delete(identifier);
+        }
+      }
+    });
+
+    const identifiers = this._sortFiltered(filter, Array.from(members));
+    source.length = 0;
+    fastPush(source, identifiers);
+  }
+
+  _sortFiltered(filter: FilterState, identifiers: StableRecordIdentifier[]): StableRecordIdentifier[] {
+    const { sortBy } = filter;
+    if (!sortBy) {
+      return identifiers;
+    }
+    const getRecord = (identifier: StableRecordIdentifier) => this.store._instanceCache.getRecord(identifier);
+
+    if (typeof sortBy === 'function') {
+      return observeFieldReads(observerFor(filter), () =>
+        identifiers.sort((a, b) => sortBy(getRecord(a), getRecord(b)))
+      );
+    }
+
+    // keys may be suffixed with `:desc` to sort in descending order
+    const keys = (Array.isArray(sortBy) ? sortBy : [sortBy]).map((key) => {
+      const [field, direction] = key.split(':');
+      filter.fields.add(field);
+      return { field, direction: direction === 'desc' ? -1 : 1 };
+    });
+    return identifiers.sort((a, b) => {
+      const recordA = getRecord(a) as Dict<unknown>;
+      const recordB = getRecord(b) as Dict<unknown>;
+      for (let i = 0; i < keys.length; i++) {
+        const { field, direction } = keys[i];
+        const result = compare(recordA[field], recordB[field]);
+        if (result !== 0) {
+          return result * direction;
+        }
+      }
+      return 0;
+    });
+  }
+
   dirtyArray(array: IdentifierArray, delta: number): void {
     if (array === FAKE_ARR) {
       return;
@@ -227,6 +393,18 @@ class RecordArrayManager {
       }
     }
 
+    const filters = this._filters.get(identifier.type);
+    if (filters) {
+      filters.forEach((filter, arr) => {
+        let changes = allPending.get(arr);
+        if (!changes) {
+          changes = new Map();
+          allPending.set(arr, changes);
+        }
+        pending.set(arr, changes);
+      });
+    }
+
     // during unloadAll we can ignore removes since we've already
     // cleared the array.
     if (liveArray && liveArray[SOURCE].length === 0 && isRemove) {
@@ -273,12 +451,41 @@ class RecordArrayManager {
     associate(array, identifiers);
   }
 
+  addToManagedArray(
+    array: Collection,
+    identifiers: StableRecordIdentifier[],
+    payload: { links: PaginationLinks | null; meta: Dict<unknown> | null },
+    prepend: boolean
+  ) {
+    this._syncArray(array);
+    const source = array[SOURCE];
+    const existing = new Set(source);
+    const added = identifiers.filter((identifier) => !existing.has(identifier));
+
+    if (prepend) {
+      const old = source.slice();
+      source.length = 0;
+      fastPush(source, added);
+      fastPush(source, old);
+    } else {
+      fastPush(source, added);
+    }
+
+    notifyArray(array);
+    array.meta = payload.meta || null;
+    array.links = payload.links || null;
+    array.isLoaded = true;
+
+    associate(array, added);
+  }
+
   identifierAdded(identifier: StableRecordIdentifier): void {
     let changeSets = this._getPendingFor(identifier, false);
     if (changeSets) {
       changeSets.forEach((changes, array) => {
         let existing = changes.get(identifier);
-        if (existing === 'del') {
+        // a filter re-evaluates the identifier, so changes for it never cancel out
+        if (existing === 'del' && !this._isFiltered(array)) {
           changes.delete(identifier);
         } else {
           changes.set(identifier, 'add');
@@ -294,7 +501,7 @@ class RecordArrayManager {
     if (changeSets) {
       changeSets.forEach((changes, array) => {
         let existing = changes.get(identifier);
-        if (existing === 'add') {
+        if (existing === 'add' && !this._isFiltered(array)) {
           changes.delete(identifier);
         } else {
           changes.set(identifier, 'del');
@@ -317,6 +524,7 @@ class RecordArrayManager {
 
   clear() {
     this._live.forEach((array) => array.destroy());
+    this._filters.forEach((filters) => filters.forEach((filter, array) => array.destroy()));
     this._managed.forEach((array) => array.destroy());
     this._managed.clear();
     RecordArraysCache.clear();
@@ -332,6 +540,14 @@ class RecordArrayManager {
   }
 }
 
+function observerFor(filter: FilterState) {
+  return (identifier: StableRecordIdentifier, field: string) => {
+    if (identifier.type === filter.type) {
+      filter.fields.add(field);
+    }
+  };
+}
+
 function associate(array: Collection, identifiers: StableRecordIdentifier[]) {
   for (let i = 0; i < identifiers.length; i++) {
     let identifier = identifiers[i];
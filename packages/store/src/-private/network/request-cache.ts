@@ -1,5 +1,11 @@
+/**
+  @module @ember-data/store
+*/
 import { assert } from '@ember/debug';
 
+import { DEBUG } from '@ember-data/env';
+import type { Future, StructuredDataDocument } from '@ember-data/request/-private/types';
+import type { StableDocumentIdentifier } from '@ember-data/types/cache/identifier';
 import type {
   FindRecordQuery,
   Operation,
@@ -9,7 +15,10 @@ import type {
 } from '@ember-data/types/q/fetch-manager';
 import type { RecordIdentifier, StableRecordIdentifier } from '@ember-data/types/q/identifier';
 
+import { getCacheKey, type StoreRequestInfo } from '../cache-handler';
+import { isStableIdentifier } from '../caches/identifier-cache';
 import Store from '../store-service';
+import reportError from '../utils/report-error';
 
 const Touching: unique symbol = Symbol('touching');
 export const RequestPromise: unique symbol = Symbol('promise');
@@ -25,10 +34,60 @@ function hasRecordIdentifier(op: Operation): op is RecordOperation {
   return 'recordIdentifier' in op;
 }
 
+export type RequestEventState = 'pending' | 'fulfilled' | 'rejected' | 'aborted';
+
+export interface RequestEvent {
+  state: RequestEventState;
+  request: StoreRequestInfo;
+  /* the key the response is cached under, `null` for requests which are not cached */
+  identifier: StableDocumentIdentifier | null;
+  records: StableRecordIdentifier[];
+  /* the document for a fulfilled request */
+  response?: StructuredDataDocument<unknown>;
+  /* the error for a rejected or aborted request */
+  error?: unknown;
+}
+
+export type RequestSubscription = (event: RequestEvent) => void;
+
+// the records a request names, either via `records` or the `record` of a legacy request
+function recordsForRequest(request: StoreRequestInfo): StableRecordIdentifier[] {
+  if (request.records) {
+    return request.records.slice();
+  }
+  const record = (request.data as { record?: unknown } | undefined)?.record;
+  return record && isStableIdentifier(record as object) ? [record as StableRecordIdentifier] : [];
+}
+
+function addRecords(records: StableRecordIdentifier[], data: unknown) {
+  const identifiers = Array.isArray(data) ? data : data ? [data] : [];
+  identifiers.forEach((identifier: StableRecordIdentifier) => {
+    if (isStableIdentifier(identifier) && !records.includes(identifier)) {
+      records.push(identifier);
+    }
+  });
+}
+
+// the op a request performs for the given identifier, a request may touch many identifiers
+function opFor(request: InternalRequest, identifier: RecordIdentifier): string {
+  const data = request.request.data instanceof Array ? request.request.data : [request.request.data as Operation];
+  const query = data.find((op) => hasRecordIdentifier(op) && op.recordIdentifier === identifier) || data[0];
+  return query.op;
+}
+
+/**
+ * The RequestStateService tracks the state of requests made by the
+ * store, and is available via `store.getRequestStateService()`.
+ *
+ * @class RequestStateService
+ * @public
+ */
 export default class RequestCache {
   _pending: { [lid: string]: InternalRequest[] } = Object.create(null);
   _done: Map<StableRecordIdentifier, InternalRequest[]> = new Map();
   _subscriptions: { [lid: string]: Function[] } = Object.create(null);
+  _requestSubscriptions: Map<object, RequestSubscription> = new Map();
+  _pendingSync: Set<StableRecordIdentifier> = new Set();
   _toFlush: InternalRequest[] = [];
   _store: Store;
 
@@ -41,52 +100,48 @@ export default class RequestCache {
   }
 
   enqueue<T>(promise: Promise<T>, queryRequest: Request): Promise<T> {
-    let query = queryRequest.data[0];
-    if (hasRecordIdentifier(query)) {
-      let lid = query.recordIdentifier.lid;
-      let type = query.op === 'saveRecord' ? ('mutation' as const) : ('query' as const);
+    const queries = queryRequest.data;
+    assert(`Expected a well formed  query`, queries.length && queries.every(hasRecordIdentifier));
+    const identifiers = (queries as RecordOperation[]).map((query) => query.recordIdentifier);
+    const type = queries[0].op === 'saveRecord' ? ('mutation' as const) : ('query' as const);
+    const request: InternalRequest = {
+      state: 'pending',
+      request: queryRequest,
+      type,
+    } as InternalRequest;
+    request[Touching] = identifiers;
+    request[RequestPromise] = promise;
+    identifiers.forEach(({ lid }) => {
       if (!this._pending[lid]) {
         this._pending[lid] = [];
       }
-      let request: InternalRequest = {
-        state: 'pending',
+      this._pending[lid].push(request);
+    });
+    this._triggerSubscriptions(request);
+
+    const finalize = (state: 'fulfilled' | 'rejected', data: unknown) => {
+      identifiers.forEach(({ lid }) => this._dequeue(lid, request));
+      let finalizedRequest = {
+        state,
         request: queryRequest,
         type,
+        response: { data },
       } as InternalRequest;
-      request[Touching] = [query.recordIdentifier];
-      request[RequestPromise] = promise;
-      this._pending[lid].push(request);
-      this._triggerSubscriptions(request);
-      return promise.then(
-        (result) => {
-          this._dequeue(lid, request);
-          let finalizedRequest = {
-            state: 'fulfilled',
-            request: queryRequest,
-            type,
-            response: { data: result },
-          } as InternalRequest;
-          finalizedRequest[Touching] = request[Touching];
-          this._addDone(finalizedRequest);
-          this._triggerSubscriptions(finalizedRequest);
-          return result;
-        },
-        (error) => {
-          this._dequeue(lid, request);
-          let finalizedRequest = {
-            state: 'rejected',
-            request: queryRequest,
-            type,
-            response: { data: error },
-          } as InternalRequest;
-          finalizedRequest[Touching] = request[Touching];
-          this._addDone(finalizedRequest);
-          this._triggerSubscriptions(finalizedRequest);
-          throw error;
-        }
-      );
-    }
-    assert(`Expected a well formed  query`);
+      finalizedRequest[Touching] = identifiers;
+      this._addDone(finalizedRequest);
+      this._triggerSubscriptions(finalizedRequest);
+    };
+
+    return promise.then(
+      (result) => {
+        finalize('fulfilled', result);
+        return result;
+      },
+      (error) => {
+        finalize('rejected', error);
+        throw error;
+      }
+    );
   }
 
   _triggerSubscriptions(req: InternalRequest): void {
@@ -124,21 +179,11 @@ export default class RequestCache {
 
   _addDone(request: InternalRequest) {
     request[Touching].forEach((identifier) => {
-      // TODO add support for multiple
-      let requestDataOp = request.request.data[0].op;
+      let requestDataOp = opFor(request, identifier);
       let requests = this._done.get(identifier);
 
       if (requests) {
-        requests = requests.filter((req) => {
-          // TODO add support for multiple
-          let data;
-          if (req.request.data instanceof Array) {
-            data = req.request.data[0];
-          } else {
-            data = req.request.data;
-          }
-          return data.op !== requestDataOp;
-        });
+        requests = requests.filter((req) => opFor(req, identifier) !== requestDataOp);
       }
       requests = requests || [];
       requests.push(request);
@@ -146,6 +191,88 @@ export default class RequestCache {
     });
   }
 
+  /**
+   * Subscribe to the lifecycle of every request made with `store.request`.
+   *
+   * ```js
+   * const token = store.getRequestStateService().subscribeForRequests((event) => {
+   *   if (event.state === 'pending') {
+   *     spinner.start(event.identifier?.lid);
+   *   } else {
+   *     spinner.stop(event.identifier?.lid);
+   *   }
+   * });
+   * ```
+   *
+   * The callback receives an event when a request starts (`pending`) and
+   * when it is `fulfilled`, `rejected` or `aborted`. Each event includes
+   * the `request`, the `identifier` its response is cached under (or
+   * `null` when the response is not cached) and the `records` the request
+   * touched. Fulfilled events additionally include the `response` document
+   * and the records of its primary data, while rejected and aborted
+   * events include the `error`. An error thrown by a callback is
+   * rethrown asynchronously and does not prevent other callbacks from
+   * being notified.
+   *
+   * @method subscribeForRequests
+   * @public
+   * @param {Function} callback
+   * @returns {Object} a token to pass to `unsubscribe`
+   */
+  subscribeForRequests(callback: RequestSubscription): object {
+    const token = DEBUG ? { _requestSubscription: callback } : {};
+    this._requestSubscriptions.set(token, callback);
+    return token;
+  }
+
+  /**
+   * Remove a subscription created with `subscribeForRequests`.
+   *
+   * @method unsubscribe
+   * @public
+   * @param {Object} token
+   */
+  unsubscribe(token: object): void {
+    this._requestSubscriptions.delete(token);
+  }
+
+  _trackRequest<T>(request: StoreRequestInfo, future: Future<T>): void {
+    if (!this._requestSubscriptions.size) {
+      return;
+    }
+    const key = getCacheKey(request);
+    const identifier = key ? { lid: key } : null;
+    const records = recordsForRequest(request);
+
+    this._notifyRequest({ state: 'pending', request, identifier, records });
+    future.then(
+      (response) => {
+        const fulfilledRecords = records.slice();
+        if (identifier) {
+          const document = this._store.cache.peekRequest(identifier);
+          if (document && 'content' in document) {
+            addRecords(fulfilledRecords, (document.content as { data?: unknown } | undefined)?.data);
+          }
+        }
+        this._notifyRequest({ state: 'fulfilled', request, identifier, records: fulfilledRecords, response });
+      },
+      (error: unknown) => {
+        const state = error instanceof Error && error.name === 'AbortError' ? 'aborted' : 'rejected';
+        this._notifyRequest({ state, request, identifier, records, error });
+      }
+    );
+  }
+
+  _notifyRequest(event: RequestEvent): void {
+    this._requestSubscriptions.forEach((callback) => {
+      try {
+        callback(event);
+      } catch (error) {
+        reportError(error);
+      }
+    });
+  }
+
   subscribeForRecord(identifier: RecordIdentifier, callback: (requestState: RequestState) => void) {
     if (!this._subscriptions[identifier.lid]) {
       this._subscriptions[identifier.lid] = [];
@@ -160,6 +287,30 @@ export default class RequestCache {
     return [];
   }
 
+  /**
+   * Whether a save of the record is waiting to be sent to the server,
+   * such as a write queued by the `OfflineQueue` while offline.
+   *
+   * @method isPendingSync
+   * @public
+   * @param {StableRecordIdentifier} identifier
+   * @returns {boolean}
+   */
+  isPendingSync(identifier: StableRecordIdentifier): boolean {
+    return this._pendingSync.has(identifier);
+  }
+
+  _setPendingSync(identifiers: StableRecordIdentifier[], isPendingSync: boolean): void {
+    identifiers.forEach((identifier) => {
+      if (isPendingSync) {
+        this._pendingSync.add(identifier);
+      } else {
+        this._pendingSync.delete(identifier);
+      }
+      this._store.notifications.notify(identifier, 'state');
+    });
+  }
+
   getLastRequestForRecord(identifier: RecordIdentifier): RequestState | null {
     let requests = this._done.get(identifier);
     if (requests) {
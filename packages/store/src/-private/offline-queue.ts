@@ -0,0 +1,502 @@
+/**
+  @module @ember-data/store
+*/
+import type { Future, NextFn, RequestInfo, StructuredErrorDocument } from '@ember-data/request/-private/types';
+
+import type { StoreRequestContext, StoreRequestInfo } from './cache-handler';
+import reportError from './utils/report-error';
+
+export interface SerializedRequest {
+  url: string;
+  method: string;
+  headers?: [string, string][];
+  data?: Record<string, unknown>;
+  body?: string;
+  options?: Record<string, unknown>;
+}
+
+export interface QueuedRequest {
+  /* ids increase in the order requests were queued */
+  id: number;
+  request: SerializedRequest;
+}
+
+export interface QueueStorage {
+  getAll(): Promise<QueuedRequest[]>;
+  put(entry: QueuedRequest): Promise<void>;
+  delete(id: number): Promise<void>;
+}
+
+export interface OfflineQueueOptions {
+  storage?: QueueStorage;
+  methods?: string[];
+  isOnline?: () => boolean;
+  onStorageError?: (error: unknown) => void;
+  retryDelay?: number;
+}
+
+interface Requester {
+  request(request: RequestInfo): Promise<unknown>;
+}
+
+interface QueueEntry extends QueuedRequest {
+  persisted: Promise<void>;
+  // only requests queued during this session have a caller waiting on them
+  caller: {
+    context: StoreRequestContext;
+    next: NextFn<unknown>;
+    resolve(value: unknown): void;
+    reject(error: unknown): void;
+  } | null;
+}
+
+const MUTATION_OPS = new Set(['createRecord', 'updateRecord', 'deleteRecord', 'saveRecords']);
+const REPLAY_KEY = 'offlineQueueId';
+const IDB_STORE = 'requests';
+const MAX_RETRY_DELAY = 60000;
+
+// a failure to reach the server, which `fetch` reports with a TypeError,
+// as opposed to an error response, a cancelled request or a bug in a handler
+function isNetworkError(error: unknown): boolean {
+  return error instanceof TypeError && !(error as unknown as StructuredErrorDocument).response?.status;
+}
+
+function serializeRequest(request: StoreRequestInfo): SerializedRequest {
+  const serialized: SerializedRequest = { url: request.url!, method: request.method! };
+  if (request.headers) {
+    serialized.headers = [...request.headers.entries()];
+  }
+  if (request.data) {
+    serialized.data = JSON.parse(JSON.stringify(request.data)) as Record<string, unknown>;
+  }
+  const { body } = request as { body?: unknown };
+  if (typeof body === 'string') {
+    serialized.body = body;
+  }
+  if (request.options) {
+    serialized.options = JSON.parse(JSON.stringify(request.options)) as Record<string, unknown>;
+  }
+  return serialized;
+}
+
+function deserializeRequest(entry: QueuedRequest): RequestInfo {
+  const { url, method, headers, data, body, options } = entry.request;
+  const request = { url, method, options: Object.assign({}, options, { [REPLAY_KEY]: entry.id }) } as RequestInfo;
+  if (headers) {
+    request.headers = new Headers(headers);
+  }
+  if (data) {
+    request.data = data;
+  }
+  if (body !== undefined) {
+    (request as { body?: string }).body = body;
+  }
+  return request;
+}
+
+function abortError(signal: AbortSignal): DOMException {
+  return new DOMException((signal.reason as string) || 'AbortError', 'AbortError');
+}
+
+/**
+ * A QueueStorage which keeps queued requests in memory, they are
+ * lost when the application is reloaded.
+ *
+ * @class MemoryQueueStorage
+ * @public
+ */
+export class MemoryQueueStorage implements QueueStorage {
+  declare _entries: Map<number, QueuedRequest>;
+
+  constructor() {
+    this._entries = new Map();
+  }
+
+  getAll(): Promise<QueuedRequest[]> {
+    return Promise.resolve([...this._entries.values()]);
+  }
+
+  put(entry: QueuedRequest): Promise<void> {
+    this._entries.set(entry.id, entry);
+    return Promise.resolve();
+  }
+
+  delete(id: number): Promise<void> {
+    this._entries.delete(id);
+    return Promise.resolve();
+  }
+}
+
+/**
+ * A QueueStorage which persists queued requests to IndexedDB so
+ * that they survive the application being reloaded.
+ *
+ * ```ts
+ * new OfflineQueue({ storage: new IndexedDBQueueStorage('my-app-writes') });
+ * ```
+ *
+ * @class IndexedDBQueueStorage
+ * @public
+ */
+export class IndexedDBQueueStorage implements QueueStorage {
+  declare name: string;
+  declare _db: Promise<IDBDatabase> | null;
+
+  constructor(name = 'ember-data-offline-queue') {
+    this.name = name;
+    this._db = null;
+  }
+
+  getAll(): Promise<QueuedRequest[]> {
+    return this._transact('readonly', (store) => store.getAll() as IDBRequest<QueuedRequest[]>);
+  }
+
+  put(entry: QueuedRequest): Promise<void> {
+    return this._transact('readwrite', (store) => store.put(entry)).then(() => {});
+  }
+
+  delete(id: number): Promise<void> {
+    return this._transact('readwrite', (store) => store.delete(id));
+  }
+
+  _open(): Promise<IDBDatabase> {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.name, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(IDB_STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this._db;
+  }
+
+  async _transact<T>(mode: IDBTransactionMode, fn: (store: IDBObjectStore) => IDBRequest<T>): Promise<T> {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(IDB_STORE, mode);
+      const request = fn(transaction.objectStore(IDB_STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+}
+
+/**
+ * A handler which queues writes that fail because the server could
+ * not be reached, and replays them in order once the application is
+ * back online.
+ *
+ * ```ts
+ * import Store, { OfflineQueue, IndexedDBQueueStorage } from '@ember-data/store';
+ * import RequestManager from '@ember-data/request';
+ * import Fetch from '@ember-data/request/fetch';
+ *
+ * export default class extends Store {
+ *   constructor(args) {
+ *     super(args);
+ *     const queue = new OfflineQueue({ storage: new IndexedDBQueueStorage() });
+ *     this.requestManager = new RequestManager();
+ *     this.requestManager.use([queue, Fetch]);
+ *     // replay writes queued before the application was reloaded
+ *     void queue.restore(this);
+ *   }
+ * }
+ * ```
+ *
+ * `POST`, `PUT`, `PATCH` and `DELETE` requests are queued when they fail
+ * without a response, such as when the device has no connectivity. Once
+ * a request is queued, later writes are queued behind it without being
+ * attempted so that the server receives writes in the order they were
+ * made. Aborted requests, requests which timed out and error responses
+ * are never queued.
+ *
+ * The following options are available
+ *
+ * - `storage` where queued requests are persisted, defaults to a
+ *    `MemoryQueueStorage`. Use an `IndexedDBQueueStorage` to keep
+ *    queued writes across reloads.
+ * - `methods` the request methods which may be queued
+ * - `isOnline` a function returning whether the application is online,
+ *    defaults to `navigator.onLine`. Writes made while offline are
+ *    queued without being attempted.
+ * - `onStorageError` called when `storage` fails to persist or remove
+ *    a queued request, by default the error is rethrown asynchronously.
+ *    The request remains queued for this session.
+ * - `retryDelay` the milliseconds to wait before replaying the queue
+ *    after a request fails to reach the server while the application
+ *    is online, defaults to `1000`. The delay doubles after each failed
+ *    replay, up to a minute.
+ *
+ * A request is considered to have failed to reach the server when the
+ * handler which sends it rejects with a `TypeError`, which is how `fetch`
+ * reports network failures.
+ *
+ * The queue is replayed when the window fires `online`, when `replay()`
+ * is called, and after `retryDelay` when a request fails to reach the
+ * server while `isOnline` reports the application as online, since the
+ * `online` event will not fire in that case. Replay stops at the first
+ * request which again fails to reach the server. Call `destroy()` to
+ * stop listening for the `online` event and cancel a scheduled replay
+ * once the queue is no longer used.
+ *
+ * While a write made with `store.request` is queued the promise for
+ * it remains pending, so the cache keeps its optimistic state, and
+ * `store.getRequestStateService().isPendingSync(identifier)` is `true`
+ * for the records it saves. Once replayed, the records are committed
+ * or rejected as if the request had succeeded or failed the first time.
+ *
+ * Requests made by `store.saveRecord` via the `LegacyNetworkHandler`
+ * commit or reject their records within that handler, and are not queued.
+ *
+ * @class OfflineQueue
+ * @public
+ */
+export class OfflineQueue {
+  declare storage: QueueStorage;
+  declare methods: Set<string>;
+  declare isOnline: () => boolean;
+  declare onStorageError: (error: unknown) => void;
+  declare retryDelay: number;
+  declare _queue: QueueEntry[];
+  declare _lastId: number;
+  declare _replaying: Promise<void> | null;
+  declare _sending: QueueEntry | null;
+  declare _requester: Requester | null;
+  declare _onOnline: () => void;
+  declare _retries: number;
+  declare _retryTimer: ReturnType<typeof setTimeout> | null;
+
+  constructor(options: OfflineQueueOptions = {}) {
+    this.storage = options.storage || new MemoryQueueStorage();
+    this.methods = new Set(options.methods || ['POST', 'PUT', 'PATCH', 'DELETE']);
+    this.isOnline = options.isOnline || (() => typeof navigator === 'undefined' || navigator.onLine !== false);
+    this.onStorageError = options.onStorageError || reportError;
+    this.retryDelay = options.retryDelay ?? 1000;
+    this._queue = [];
+    this._lastId = 0;
+    this._replaying = null;
+    this._sending = null;
+    this._requester = null;
+    this._retries = 0;
+    this._retryTimer = null;
+
+    this._onOnline = () => {
+      this.replay().catch(reportError);
+    };
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', this._onOnline);
+    }
+  }
+
+  /**
+   * Stop replaying the queue when the window fires `online`, and cancel
+   * a scheduled replay.
+   *
+   * @method destroy
+   * @public
+   */
+  destroy(): void {
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('online', this._onOnline);
+    }
+    this._cancelRetry();
+  }
+
+  request<T>(context: StoreRequestContext, next: NextFn<T>): Promise<T> | Future<T> {
+    const { request } = context;
+    // legacy requests without a url are fulfilled by the LegacyNetworkHandler
+    if (!request.url || !this.methods.has(request.method || 'GET') || request.options?.[REPLAY_KEY]) {
+      return next(request);
+    }
+
+    if (this._queue.length || !this.isOnline()) {
+      return this._enqueue(context, next);
+    }
+
+    return next(request).then(
+      (doc) => {
+        if (doc.response) {
+          context.setResponse(doc.response);
+        }
+        return doc.content;
+      },
+      (error: StructuredErrorDocument) => {
+        if (!isNetworkError(error)) {
+          throw error;
+        }
+        const queued = this._enqueue(context, next);
+        this._scheduleRetry();
+        return queued;
+      }
+    );
+  }
+
+  /**
+   * Replay the queued requests in order. Resolves once the queue is
+   * empty or a request fails to reach the server.
+   *
+   * @method replay
+   * @public
+   * @returns {Promise<void>}
+   */
+  replay(): Promise<void> {
+    if (!this._replaying) {
+      this._replaying = this._replayQueue().finally(() => {
+        this._replaying = null;
+      });
+    }
+    return this._replaying;
+  }
+
+  /**
+   * Load the requests queued before the application was reloaded from
+   * `storage`, and replay them.
+   *
+   * Restored requests are issued via `requester.request`, which is
+   * usually the store. They are queued ahead of any request queued
+   * since, and no longer carry the records they saved as those belonged
+   * to the previous session.
+   *
+   * @method restore
+   * @public
+   * @param {Store | RequestManager} requester
+   * @returns {Promise<void>}
+   */
+  async restore(requester: Requester): Promise<void> {
+    this._requester = requester;
+    const entries = await this.storage.getAll();
+    const queued = new Set(this._queue.map((entry) => entry.id));
+    const restored: QueueEntry[] = entries
+      .filter((entry) => !queued.has(entry.id))
+      .sort((a, b) => a.id - b.id)
+      .map((entry) => ({ id: entry.id, request: entry.request, persisted: Promise.resolve(), caller: null }));
+
+    restored.forEach((entry) => (this._lastId = Math.max(this._lastId, entry.id)));
+    this._queue.unshift(...restored);
+    if (this._queue.length && this.isOnline()) {
+      await this.replay();
+    }
+  }
+
+  _enqueue<T>(context: StoreRequestContext, next: NextFn<T>): Promise<T> {
+    const { request } = context;
+    // ids follow the clock so that they remain ordered across reloads
+    const id = (this._lastId = Math.max(Date.now(), this._lastId + 1));
+    const serialized = serializeRequest(request);
+
+    return new Promise<T>((resolve, reject) => {
+      const entry: QueueEntry = {
+        id,
+        request: serialized,
+        persisted: this.storage.put({ id, request: serialized }).catch(this.onStorageError),
+        caller: { context, next: next as NextFn<unknown>, resolve: resolve as (value: unknown) => void, reject },
+      };
+      this._queue.push(entry);
+      setPendingSync(request, true);
+
+      request.signal?.addEventListener('abort', () => {
+        // a request which is being replayed settles via its own signal
+        const index = this._queue.indexOf(entry);
+        if (index !== -1 && entry !== this._sending) {
+          this._queue.splice(index, 1);
+          void this._remove(entry).finally(() => {
+            setPendingSync(request, false);
+            reject(abortError(request.signal!));
+          });
+        }
+      });
+    });
+  }
+
+  async _replayQueue(): Promise<void> {
+    while (this._queue.length) {
+      const entry = this._queue[0];
+      let content: unknown;
+      let error: unknown;
+      let failed = false;
+
+      this._sending = entry;
+      try {
+        content = await this._send(entry);
+      } catch (e) {
+        if (isNetworkError(e)) {
+          this._scheduleRetry();
+          return;
+        }
+        error = e;
+        failed = true;
+      } finally {
+        this._sending = null;
+      }
+
+      this._queue.splice(this._queue.indexOf(entry), 1);
+      await this._remove(entry);
+
+      if (entry.caller) {
+        setPendingSync(entry.caller.context.request, false);
+        if (failed) {
+          entry.caller.reject(error);
+        } else {
+          entry.caller.resolve(content);
+        }
+      }
+    }
+    this._retries = 0;
+    this._cancelRetry();
+  }
+
+  // the `online` event does not fire when the server could not be reached
+  // while the application is online, so the queue is replayed with backoff
+  _scheduleRetry(): void {
+    if (this._retryTimer || !this.isOnline()) {
+      return;
+    }
+    const delay = Math.min(this.retryDelay * 2 ** this._retries++, MAX_RETRY_DELAY);
+    this._retryTimer = setTimeout(() => {
+      this._retryTimer = null;
+      this.replay().catch(reportError);
+    }, delay);
+  }
+
+  _cancelRetry(): void {
+    if (this._retryTimer) {
+      clearTimeout(this._retryTimer);
+      this._retryTimer = null;
+    }
+  }
+
+  async _send(entry: QueueEntry): Promise<unknown> {
+    if (entry.caller) {
+      const { context, next } = entry.caller;
+      const doc = await next(context.request);
+      if (doc.response) {
+        context.setResponse(doc.response);
+      }
+      return doc.content;
+    }
+    if (!this._requester) {
+      throw new Error(`Cannot replay a restored request before \`OfflineQueue.restore\` is called`);
+    }
+    return this._requester.request(deserializeRequest(entry));
+  }
+
+  async _remove(entry: QueueEntry): Promise<void> {
+    await entry.persisted;
+    try {
+      await this.storage.delete(entry.id);
+    } catch (error) {
+      this.onStorageError(error);
+    }
+  }
+}
+
+// records saved by a queued request made via `store.request` are pending sync
+function setPendingSync(request: StoreRequestInfo, isPendingSync: boolean) {
+  const { store, records, op } = request;
+  if (store && records && op && MUTATION_OPS.has(op)) {
+    store.getRequestStateService()._setPendingSync(records, isPendingSync);
+  }
+}
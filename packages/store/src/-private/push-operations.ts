@@ -0,0 +1,210 @@
+/**
+  @module @ember-data/store
+*/
+import { assert, warn } from '@ember/debug';
+
+import { importSync } from '@embroider/macros';
+
+import { HAS_GRAPH_PACKAGE } from '@ember-data/private-build-infra';
+import type {
+  CollectionResourceRelationship,
+  ExistingResourceIdentifierObject,
+  ExistingResourceObject,
+  SingleResourceRelationship,
+} from '@ember-data/types/q/ember-data-json-api';
+
+import type Store from './store-service';
+
+export interface OperationRef {
+  type: string;
+  id?: string;
+  lid?: string;
+  relationship?: string;
+}
+
+/*
+ * A JSON:API atomic operation describing a change made on the server.
+ *
+ * `add` and `update` upsert a resource, `update` with a `ref` naming a
+ * relationship replaces that relationship and `remove` deletes a resource.
+ */
+export type PushOperation =
+  | { op: 'add' | 'update'; data: ExistingResourceObject }
+  | {
+      op: 'update';
+      ref: OperationRef & { relationship: string };
+      data: ExistingResourceIdentifierObject | ExistingResourceIdentifierObject[] | null;
+    }
+  | { op: 'remove'; ref: OperationRef };
+
+type MessageListener = (event: { data: unknown }) => void;
+
+export interface MessageSource {
+  addEventListener(type: string, listener: MessageListener): void;
+  removeEventListener(type: string, listener: MessageListener): void;
+}
+
+export interface EventSourceOptions {
+  event?: string;
+}
+
+const OPS = new Set(['add', 'update', 'remove']);
+
+// applies a single operation within the active run
+export function applyOperation(store: Store, operation: PushOperation): void {
+  if (operation.op === 'remove') {
+    const { ref } = operation;
+    assert(
+      `Cannot remove members of the relationship '${ref.relationship!}', use an 'update' operation to replace it`,
+      !ref.relationship
+    );
+    const identifier = store.identifierCache.peekRecordIdentifier(ref as ExistingResourceIdentifierObject);
+    if (!identifier || store.cache.isEmpty(identifier)) {
+      return;
+    }
+    // unloading would discard changes the user has not saved yet
+    if (store.cache.hasChangedAttrs(identifier) || store.cache.isDeleted(identifier)) {
+      warn(`Skipped removing the ${identifier.type} with id '${identifier.id!}' as it has unsaved changes`, false, {
+        id: 'ember-data:push-operations.remove-unsaved',
+      });
+      return;
+    }
+    // remove the resource from the relationships of others before it is unloaded
+    if (HAS_GRAPH_PACKAGE) {
+      const peekGraph = (importSync('@ember-data/graph/-private') as typeof import('@ember-data/graph/-private'))
+        .peekGraph;
+      peekGraph(store)?.update({ op: 'deleteRecord', record: identifier, isNew: false }, true);
+    }
+    store._instanceCache.unloadRecord(identifier);
+    return;
+  }
+
+  if ('ref' in operation) {
+    const { type, id, lid, relationship } = operation.ref;
+    const identifier = store.identifierCache.peekRecordIdentifier({
+      type,
+      id,
+      lid,
+    } as ExistingResourceIdentifierObject);
+    // a relationship cannot be loaded for a resource which is not
+    if (identifier && !store.cache.isEmpty(identifier)) {
+      const value = { data: operation.data } as SingleResourceRelationship | CollectionResourceRelationship;
+      store._push({ data: { type, id: identifier.id!, relationships: { [relationship]: value } } });
+    }
+    return;
+  }
+
+  assert(`Expected the '${operation.op}' operation to have a resource as its data`, operation.data?.type);
+  store._push({ data: operation.data });
+}
+
+function isOperation(value: unknown): value is PushOperation {
+  return !!value && typeof value === 'object' && OPS.has((value as { op?: string }).op!);
+}
+
+function parse(data: string): unknown {
+  try {
+    return JSON.parse(data) as unknown;
+  } catch {
+    return null;
+  }
+}
+
+// frames which are not operations, such as heartbeats, are ignored
+function operationsFrom(data: unknown): PushOperation[] {
+  if (typeof data === 'string' && !data.trim()) {
+    return [];
+  }
+  const payload = typeof data === 'string' ? parse(data) : data;
+  const atomic =
+    payload && typeof payload === 'object' ? (payload as Record<string, unknown>)['atomic:operations'] : null;
+  const candidates: unknown[] = Array.isArray(payload) ? payload : Array.isArray(atomic) ? atomic : [payload];
+  const operations = candidates.filter(isOperation);
+
+  warn(
+    `Ignored ${candidates.length - operations.length} of the ${
+      candidates.length
+    } operations received as they are not valid operations`,
+    operations.length === candidates.length,
+    { id: 'ember-data:push-operations.invalid-operation' }
+  );
+  return operations;
+}
+
+function subscribe(store: Store, source: MessageSource, event: string): () => void {
+  const listener: MessageListener = (message) => {
+    const operations = operationsFrom(message.data);
+    if (operations.length) {
+      store.applyOperations(operations);
+    }
+  };
+  source.addEventListener(event, listener);
+
+  return () => source.removeEventListener(event, listener);
+}
+
+/**
+ * Apply the operations sent by the server over Server-Sent Events
+ * to the store, returning a function which stops listening.
+ *
+ * ```js
+ * import { subscribeToEventSource } from '@ember-data/store';
+ *
+ * const source = new EventSource('/api/changes');
+ * const unsubscribe = subscribeToEventSource(this.store, source);
+ * ```
+ *
+ * Each event should contain either an `atomic:operations` document,
+ * an array of operations or a single operation, see
+ * `store.applyOperations`. The operations of an event are applied
+ * together. Events which do not contain operations, such as
+ * heartbeats, are ignored.
+ *
+ * Events named `message` are handled unless `options.event` names
+ * another event type.
+ *
+ * @method subscribeToEventSource
+ * @public
+ * @static
+ * @for @ember-data/store
+ * @param {Store} store
+ * @param {EventSource} source
+ * @param {Object} [options]
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToEventSource(
+  store: Store,
+  source: MessageSource,
+  options: EventSourceOptions = {}
+): () => void {
+  return subscribe(store, source, options.event || 'message');
+}
+
+/**
+ * Apply the operations sent by the server over a WebSocket
+ * to the store, returning a function which stops listening.
+ *
+ * ```js
+ * import { subscribeToWebSocket } from '@ember-data/store';
+ *
+ * const socket = new WebSocket('wss://api.example.com/changes');
+ * const unsubscribe = subscribeToWebSocket(this.store, socket);
+ * ```
+ *
+ * Each message should contain either an `atomic:operations`
+ * document, an array of operations or a single operation as
+ * JSON, see `store.applyOperations`. The operations of a message
+ * are applied together. Messages which do not contain operations,
+ * such as heartbeats, are ignored.
+ *
+ * @method subscribeToWebSocket
+ * @public
+ * @static
+ * @for @ember-data/store
+ * @param {Store} store
+ * @param {WebSocket} socket
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToWebSocket(store: Store, socket: MessageSource): () => void {
+  return subscribe(store, socket, 'message');
+}
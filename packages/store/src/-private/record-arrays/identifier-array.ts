@@ -28,6 +28,7 @@ import type { StableRecordIdentifier } from '@ember-data/types/q/identifier';
 import type { RecordInstance } from '@ember-data/types/q/record-instance';
 import { Dict } from '@ember-data/types/q/utils';
 
+import type { StoreRequestInfo } from '../cache-handler';
 import { recordIdentifierFor } from '../caches/instance-cache';
 import type RecordArrayManager from '../managers/record-array-manager';
 import { PromiseArray, promiseArray } from '../proxies/promise-proxies';
@@ -594,15 +595,190 @@ if (DEPRECATE_SNAPSHOT_MODEL_CLASS_ACCESS) {
 export type CollectionCreateOptions = IdentifierArrayCreateOptions & {
   query: ImmutableRequestInfo | Dict<unknown> | null;
   isLoaded: boolean;
+  isInfinite?: boolean;
 };
 
+type PageLink = 'first' | 'prev' | 'next' | 'last';
+
+class PaginationState {
+  @tracked isLoading = false;
+  declare requests: Map<PageLink, Promise<Collection | null>>;
+
+  constructor() {
+    this.requests = new Map();
+  }
+}
+
+function hrefFor(links: Links | PaginationLinks | null, rel: PageLink): string | null {
+  const link = (links as PaginationLinks | null)?.[rel];
+  if (!link) {
+    return null;
+  }
+  return typeof link === 'string' ? link : link.href || null;
+}
+
+/**
+  A `Collection` is the `RecordArray` returned for a request such as
+  a query. When the response includes pagination `links` the collection
+  can load its neighboring pages.
+
+  @class Collection
+  @public
+  @extends RecordArray
+*/
 export class Collection extends IdentifierArray {
   query: ImmutableRequestInfo | Dict<unknown> | null = null;
+  declare isInfinite: boolean;
+  declare _pagination: PaginationState;
 
   constructor(options: CollectionCreateOptions) {
     super(options as IdentifierArrayCreateOptions);
     this.query = options.query || null;
     this.isLoaded = options.isLoaded || false;
+    this.isInfinite = options.isInfinite || false;
+    this._pagination = new PaginationState();
+  }
+
+  /**
+    Whether a page of this collection is currently being loaded by
+    `next`, `prev`, `first` or `last`.
+
+    @property isLoading
+    @public
+    @type Boolean
+  */
+  get isLoading(): boolean {
+    return this._pagination.isLoading;
+  }
+
+  /**
+    Loads the page referenced by `links.next`.
+
+    ```js
+    const page1 = await store.request(query('user', { page: { size: 10 } }));
+    const page2 = await page1.content.next();
+    ```
+
+    Resolves with a new `Collection` for the page, or with `null` when
+    there is no next page. For an infinite collection the records of the
+    page are instead appended to this collection, which is returned.
+
+    @method next
+    @public
+    @return {Promise<Collection | null>}
+  */
+  next(): Promise<Collection | null> {
+    return this._loadPage('next');
+  }
+
+  /**
+    Loads the page referenced by `links.prev`.
+
+    Resolves with a new `Collection` for the page, or with `null` when
+    there is no previous page. For an infinite collection the records of
+    the page are instead prepended to this collection, which is returned.
+
+    @method prev
+    @public
+    @return {Promise<Collection | null>}
+  */
+  prev(): Promise<Collection | null> {
+    return this._loadPage('prev');
+  }
+
+  /**
+    Loads the page referenced by `links.first`, resolving with a new
+    `Collection` for the page or with `null` when there is no such link.
+
+    @method first
+    @public
+    @return {Promise<Collection | null>}
+  */
+  first(): Promise<Collection | null> {
+    return this._loadPage('first');
+  }
+
+  /**
+    Loads the page referenced by `links.last`, resolving with a new
+    `Collection` for the page or with `null` when there is no such link.
+
+    @method last
+    @public
+    @return {Promise<Collection | null>}
+  */
+  last(): Promise<Collection | null> {
+    return this._loadPage('last');
+  }
+
+  /**
+    Creates an infinite collection starting with the records of this
+    collection. Each page loaded by `next` or `prev` on the infinite
+    collection is added to it, so that it always contains every page
+    loaded so far.
+
+    ```js
+    const feed = (await store.request(query('post'))).content.infinite();
+
+    await feed.next(); // the second page is appended to feed
+    feed.isLoading; // true while a page is loading
+    ```
+
+    @method infinite
+    @public
+    @return {Collection}
+  */
+  infinite(): Collection {
+    this._manager._syncArray(this);
+    const collection = this._manager.createArray({
+      type: this.modelName,
+      query: this.query || undefined,
+      identifiers: this[SOURCE].slice(),
+      isInfinite: true,
+    });
+    collection.links = this.links;
+    collection.meta = this.meta;
+    return collection;
+  }
+
+  _loadPage(rel: PageLink): Promise<Collection | null> {
+    const state = this._pagination;
+    const existing = state.requests.get(rel);
+    if (existing) {
+      return existing;
+    }
+    const url = hrefFor(this.links, rel);
+    if (!url) {
+      return Promise.resolve(null);
+    }
+
+    // reuse the headers of the original request, a legacy query has no headers
+    const query = this.query as ImmutableRequestInfo | null;
+    const request: StoreRequestInfo =
+      query && typeof query.url === 'string' && query.headers
+        ? { url, method: 'GET', headers: query.headers }
+        : { url, method: 'GET' };
+
+    const promise = this.store
+      .request<Collection>(request)
+      .then(({ content: page }) => {
+        if (!this.isInfinite || (rel !== 'next' && rel !== 'prev') || this.isDestroying || this.isDestroyed) {
+          return page;
+        }
+        // the infinite collection keeps the links for the pages at either end
+        const links = Object.assign({}, this.links, {
+          [rel]: (page.links as PaginationLinks | null)?.[rel] || null,
+        }) as PaginationLinks;
+        this._manager.addToManagedArray(this, page[SOURCE], { links, meta: page.meta }, rel === 'prev');
+        return this;
+      })
+      .finally(() => {
+        state.requests.delete(rel);
+        state.isLoading = state.requests.size > 0;
+      });
+
+    state.requests.set(rel, promise);
+    state.isLoading = true;
+    return promise;
   }
 
   _update(): PromiseArray<RecordInstance, Collection> | Promise<Collection> {
@@ -627,6 +803,19 @@ export class Collection extends IdentifierArray {
 }
 // trick the proxy "in" check
 Collection.prototype.query = null;
+Collection.prototype.isInfinite = false;
+Collection.prototype._pagination = null as unknown as PaginationState;
+
+/*
+  The live array returned by `store.filter`, its membership is
+  maintained by the RecordArrayManager.
+*/
+export class FilteredArray extends IdentifierArray {
+  destroy() {
+    super.destroy();
+    this._manager._removeFilter(this);
+  }
+}
 
 // Ensure instanceof works correctly
 //Object.setPrototypeOf(IdentifierArray.prototype, Array.prototype);
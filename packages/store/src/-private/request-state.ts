@@ -0,0 +1,210 @@
+/**
+  @module @ember-data/store
+*/
+import { tracked } from '@glimmer/tracking';
+
+import type { Future, RequestProgress, StructuredDataDocument } from '@ember-data/request/-private/types';
+
+const RequestStates = new WeakMap<Future<unknown>, RequestState<unknown>>();
+
+function isAbortError(error: unknown): boolean {
+  return error instanceof Error && error.name === 'AbortError';
+}
+
+/**
+ * The reactive state of a request, obtained via `getRequestState`.
+ *
+ * Every property is tracked, so templates and getters which read them
+ * update as the request progresses.
+ *
+ * @class RequestState
+ * @public
+ */
+export class RequestState<T> {
+  /**
+   * Whether the request has not yet settled.
+   *
+   * @property isPending
+   * @public
+   * @type {boolean}
+   */
+  @tracked isPending = true;
+  /**
+   * Whether the request completed successfully.
+   *
+   * @property isSuccess
+   * @public
+   * @type {boolean}
+   */
+  @tracked isSuccess = false;
+  /**
+   * Whether the request failed for a reason other than being aborted.
+   *
+   * @property isError
+   * @public
+   * @type {boolean}
+   */
+  @tracked isError = false;
+  /**
+   * Whether the request was aborted.
+   *
+   * @property isCancelled
+   * @public
+   * @type {boolean}
+   */
+  @tracked isCancelled = false;
+  /**
+   * The content of the response once the request succeeds.
+   *
+   * @property result
+   * @public
+   * @type {unknown}
+   */
+  @tracked result: T | null = null;
+  /**
+   * The error the request failed with, including the `AbortError`
+   * of a cancelled request.
+   *
+   * @property error
+   * @public
+   * @type {Error | null}
+   */
+  @tracked error: Error | null = null;
+
+  @tracked _loadedBytes = 0;
+  @tracked _totalBytes: number | null = null;
+  @tracked _isStreaming = false;
+
+  constructor(future: Future<T>) {
+    future.onProgress((progress: RequestProgress) => {
+      if (progress.type !== 'download') {
+        return;
+      }
+      this._loadedBytes = progress.loaded;
+      this._totalBytes = progress.total;
+      this._isStreaming = progress.total === null || progress.loaded < progress.total;
+    });
+
+    future.then(
+      (doc: StructuredDataDocument<T>) => {
+        this.result = doc.content;
+        this._settle(doc.response?.headers?.get('content-length'));
+        this.isSuccess = true;
+        this.isPending = false;
+      },
+      (error: Error & { response?: StructuredDataDocument<T>['response'] }) => {
+        this.error = error;
+        this._settle(error?.response?.headers?.get('content-length'));
+        if (isAbortError(error)) {
+          this.isCancelled = true;
+        } else {
+          this.isError = true;
+        }
+        this.isPending = false;
+      }
+    );
+  }
+
+  /**
+   * Whether the response body is currently being downloaded.
+   *
+   * @property isLoading
+   * @public
+   * @type {boolean}
+   */
+  get isLoading(): boolean {
+    return this._isStreaming;
+  }
+
+  /**
+   * The number of bytes of the response body received so far, as
+   * reported to `future.onProgress`.
+   *
+   * @property loadedBytes
+   * @public
+   * @type {number}
+   */
+  get loadedBytes(): number {
+    return this._loadedBytes;
+  }
+
+  /**
+   * The size of the response body in bytes, or `null` while it is unknown.
+   *
+   * @property totalBytes
+   * @public
+   * @type {number | null}
+   */
+  get totalBytes(): number | null {
+    return this._totalBytes;
+  }
+
+  /**
+   * The fraction of the response body received so far, from `0` to `1`,
+   * or `null` while the size of the body is unknown.
+   *
+   * @property progress
+   * @public
+   * @type {number | null}
+   */
+  get progress(): number | null {
+    const total = this.totalBytes;
+    if (total === null) {
+      return this.isPending ? null : 1;
+    }
+    return total === 0 ? 1 : Math.min(this.loadedBytes / total, 1);
+  }
+
+  _settle(contentLength: string | null | undefined) {
+    this._isStreaming = false;
+    if (this._totalBytes === null) {
+      const total = contentLength ? Number(contentLength) : NaN;
+      this._totalBytes = Number.isNaN(total) ? this._loadedBytes || null : total;
+    }
+  }
+}
+
+/**
+ * Returns the reactive `RequestState` of a request made with
+ * `store.request` or a `RequestManager`.
+ *
+ * ```js
+ * import { getRequestState } from '@ember-data/store';
+ *
+ * class extends Component {
+ *   request = this.store.request(query('user'));
+ *
+ *   get state() {
+ *     return getRequestState(this.request);
+ *   }
+ * }
+ * ```
+ *
+ * ```hbs
+ * {{#if this.state.isPending}}
+ *   Loading...
+ * {{else if this.state.isError}}
+ *   {{this.state.error.message}}
+ * {{else if this.state.isSuccess}}
+ *   {{#each this.state.result as |user|}}{{user.name}}{{/each}}
+ * {{/if}}
+ * ```
+ *
+ * The same `RequestState` is returned for every call with the same
+ * future.
+ *
+ * @method getRequestState
+ * @public
+ * @static
+ * @for @ember-data/store
+ * @param {Future} future
+ * @returns {RequestState}
+ */
+export function getRequestState<T>(future: Future<T>): RequestState<T> {
+  let state = RequestStates.get(future) as RequestState<T> | undefined;
+  if (!state) {
+    state = new RequestState(future);
+    RequestStates.set(future, state);
+  }
+  return state;
+}
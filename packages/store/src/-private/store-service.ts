@@ -64,9 +64,10 @@ import type ShimModelClass from './legacy-model-support/shim-model-class';
 import { getShimClass } from './legacy-model-support/shim-model-class';
 import { legacyCachePut, NonSingletonCacheManager, SingletonCacheManager } from './managers/cache-manager';
 import NotificationManager from './managers/notification-manager';
-import RecordArrayManager from './managers/record-array-manager';
+import RecordArrayManager, { type FilterPredicate, type FilterSortBy } from './managers/record-array-manager';
 import RequestCache, { RequestPromise } from './network/request-cache';
 import { PromiseArray, promiseArray, PromiseObject, promiseObject } from './proxies/promise-proxies';
+import { applyOperation, type PushOperation } from './push-operations';
 import IdentifierArray, { Collection } from './record-arrays/identifier-array';
 import coerceId, { ensureStringId } from './utils/coerce-id';
 import constructResource from './utils/construct-resource';
@@ -231,6 +232,17 @@ class Store {
    * }
    * ```
    *
+   * A configurable implementation is provided by `DefaultLifetimesService`.
+   *
+   * ```ts
+   * import { DefaultLifetimesService } from '@ember-data/store';
+   *
+   * store.lifetimes = new DefaultLifetimesService(store, {
+   *   apiCacheSoftExpires: 30_000,
+   *   apiCacheHardExpires: 300_000,
+   * });
+   * ```
+   *
    * @public
    * @property {LivetimesService|undefined} lifetimes
    */
@@ -246,6 +258,7 @@ class Store {
   declare _instanceCache: InstanceCache;
 
   declare _hasRegisteredCacheHandler: boolean;
+  declare _forkedFrom: Store | null;
   declare _cbs: { coalesce?: () => void; sync?: () => void; notify?: () => void } | null;
   declare _forceShim: boolean;
   declare _enableAsyncFlush: boolean | null;
@@ -263,6 +276,7 @@ class Store {
   constructor(createArgs?: Record<string, unknown>) {
     Object.assign(this, createArgs);
 
+    this._forkedFrom = null;
     this.identifierCache = new IdentifierCache();
 
     this.notifications = new NotificationManager(this);
@@ -366,6 +380,25 @@ class Store {
    * via the `POST` method `requestConfig.cacheOptions.key`
    * MUST be supplied for the document to be cached.
    *
+   * Requests with an `op` of `createRecord`, `updateRecord` or
+   * `deleteRecord` and the `records` being saved are treated as
+   * mutations: `cache.willCommit` is called for each record before
+   * the request is sent, `cache.didCommit` with the matching resource
+   * of the response document once it succeeds, and
+   * `cache.commitWasRejected` with the JSON:API `errors` of the
+   * response if it fails. The request resolves with the saved record,
+   * or with an array of records if more than one was saved.
+   *
+   * ```ts
+   * await store.request({
+   *   op: 'updateRecord',
+   *   records: [recordIdentifierFor(user)],
+   *   url: '/api/users/1',
+   *   method: 'PATCH',
+   *   data: { data: store.cache.peek(recordIdentifierFor(user)) },
+   * });
+   * ```
+   *
    * @method request
    * @param {StoreRequestInfo} requestConfig
    * @returns {Future}
@@ -402,6 +435,7 @@ class Store {
     }
 
     const future = this.requestManager.request<T>(Object.assign(requestConfig, opts));
+    this._requestCache._trackRequest(requestConfig, future);
 
     future.onFinalize(() => {
       if (LOG_REQUESTS) {
@@ -1922,6 +1956,49 @@ class Store {
     return this.recordArrayManager.liveArrayFor(type);
   }
 
+  /**
+    Returns a live array of the known records for a given type
+    for which the predicate returns a truthy value.
+
+    ```javascript
+    let unreadMessages = store.filter('message', (message) => !message.isRead, {
+      sortBy: ['sentAt:desc'],
+    });
+    ```
+
+    Like `peekAll` it will not make a request to the backend, but as
+    records of the type are added, removed or updated the array is
+    kept up to date. A record is checked against the predicate again
+    when one of the attributes the predicate read changes, so the
+    array does not need to be recomputed whenever any record changes.
+
+    `sortBy` may be a key or an array of keys, each optionally suffixed
+    with `:desc`, or a compare function receiving two records.
+
+    Call `destroy` on the array once it is no longer needed.
+
+    @method filter
+    @public
+    @param {String} modelName
+    @param {Function} predicate
+    @param {Object} options
+    @return {RecordArray}
+  */
+  filter(modelName: string, predicate: FilterPredicate, options: { sortBy?: FilterSortBy } = {}): IdentifierArray {
+    if (DEBUG) {
+      assertDestroyingStore(this, 'filter');
+    }
+    assert(`You need to pass a model name to the store's filter method`, modelName);
+    assert(
+      `Passing classes to store methods has been removed. Please pass a dasherized string instead of ${modelName}`,
+      typeof modelName === 'string'
+    );
+    assert(`You need to pass a predicate function to the store's filter method`, typeof predicate === 'function');
+
+    let type = normalizeModelName(modelName);
+    return this.recordArrayManager.filterArrayFor(type, predicate, options.sortBy);
+  }
+
   /**
     This method unloads all records in the store.
     It schedules unloading to happen during the next run loop.
@@ -2142,6 +2219,52 @@ class Store {
     return this._instanceCache.getRecord(pushed);
   }
 
+  /**
+    Apply changes made on the server, such as those received over
+    Server-Sent Events or a WebSocket, to the store.
+
+    Operations follow the JSON:API [Atomic Operations](https://jsonapi.org/ext/atomic/)
+    extension and are applied in order, with the resulting changes
+    notified together once all have been applied.
+
+    ```js
+    store.applyOperations([
+      // add or update a resource
+      { op: 'add', data: { type: 'post', id: '2', attributes: { title: 'Hello' } } },
+      { op: 'update', data: { type: 'post', id: '1', attributes: { title: 'Updated' } } },
+      // replace a relationship of a resource
+      {
+        op: 'update',
+        ref: { type: 'post', id: '1', relationship: 'author' },
+        data: { type: 'user', id: '3' },
+      },
+      // delete a resource
+      { op: 'remove', ref: { type: 'comment', id: '5' } },
+    ]);
+    ```
+
+    `add` and `update` upsert the resource as `store.push` would.
+    Replacing a relationship only applies to resources which are
+    loaded. A removed resource is removed from the relationships of
+    other records and unloaded, unless it has unsaved changes in which
+    case it is kept.
+
+    `subscribeToEventSource` and `subscribeToWebSocket` apply the
+    operations received from an `EventSource` or `WebSocket`.
+
+    @method applyOperations
+    @public
+    @param {Array} operations
+  */
+  applyOperations(operations: PushOperation[]): void {
+    if (DEBUG) {
+      assertDestroyingStore(this, 'applyOperations');
+    }
+    this._join(() => {
+      operations.forEach((operation) => applyOperation(this, operation));
+    });
+  }
+
   /**
     Push some data in the form of a json-api document into the store,
     without creating materialized records.
@@ -2388,6 +2511,96 @@ class Store {
     return cache;
   }
 
+  /**
+   * Create a fork of this Store.
+   *
+   * A fork shares the identifiers, schema, lifetimes and RequestManager
+   * of its parent but utilizes a copy-on-write fork of the parent's cache
+   * and hands out its own record instances. Changes made in the fork
+   * are not visible to the parent until they are merged back in via
+   * `store.merge(fork)`. To discard the changes, destroy the fork.
+   *
+   * ```ts
+   * const fork = await store.fork();
+   * const user = fork.peekRecord('user', '1');
+   * user.name = 'Chris';
+   *
+   * await store.merge(fork);
+   * fork.destroy();
+   * ```
+   *
+   * Forking is only supported when the Store utilizes a singleton
+   * Cache implementing the `fork` and `merge` APIs.
+   *
+   * @method fork
+   * @public
+   * @returns {Promise<Store>}
+   */
+  async fork(): Promise<Store> {
+    if (DEBUG) {
+      assertDestroyingStore(this, 'fork');
+    }
+    assert(
+      `Store.fork() is not supported when using the deprecated Store.createRecordDataFor hook`,
+      !this.createRecordDataFor
+    );
+    const createArgs = {};
+    const owner = getOwner(this);
+    if (owner) {
+      setOwner(createArgs, owner);
+    }
+    const fork = new (this.constructor as typeof Store)(createArgs);
+
+    // the fork shares the parent's request pipeline, so we
+    // ensure the CacheHandler is installed before handing it out
+    this._registerCacheHandler();
+    fork._hasRegisteredCacheHandler = true;
+    fork.requestManager = this.requestManager;
+    fork.lifetimes = this.lifetimes;
+    fork.identifierCache = this.identifierCache;
+    fork._schemaDefinitionService = this.getSchemaDefinitionService();
+    fork._forkedFrom = this;
+
+    fork._instanceCache.cache = await this.cache.fork(fork._instanceCache._storeWrapper);
+
+    return fork;
+  }
+
+  /**
+   * Merge the changes made in a fork of this Store back into this Store.
+   *
+   * Records materialized by this Store will be notified of any
+   * changes to their state, and records unloaded in the fork are
+   * unloaded from this Store. The fork remains usable, but changes made
+   * to it after the merge will need to be merged again.
+   *
+   * @method merge
+   * @public
+   * @param {Store} fork
+   * @returns {Promise<void>}
+   */
+  async merge(fork: Store): Promise<void> {
+    if (DEBUG) {
+      assertDestroyingStore(this, 'merge');
+    }
+    assert(`Expected the store being merged to be a fork of this store`, fork._forkedFrom === this);
+
+    const cache = this.cache;
+    const forkedCache = fork.cache;
+    let promise!: Promise<void>;
+    this._join(() => {
+      // records unloaded in the fork are unloaded here too, unless the fork loaded them again
+      fork._instanceCache._forkUnloads?.forEach((identifier) => {
+        if (forkedCache.isEmpty(identifier) && !cache.isEmpty(identifier)) {
+          this._instanceCache.unloadRecord(identifier);
+        }
+      });
+      fork._instanceCache._forkUnloads = null;
+      promise = cache.merge(forkedCache);
+    });
+    await promise;
+  }
+
   /**
    * [DEPRECATED] use Store.createCache
    *
@@ -2600,7 +2813,10 @@ class Store {
     }
 
     this.recordArrayManager.destroy();
-    this.identifierCache.destroy();
+    // identifiers are owned by the store the fork was created from
+    if (!this._forkedFrom) {
+      this.identifierCache.destroy();
+    }
 
     this.unloadAll();
     this.isDestroyed = true;
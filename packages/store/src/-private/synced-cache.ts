@@ -0,0 +1,315 @@
+/**
+  @module @ember-data/store
+*/
+import type { LocalRelationshipOperation } from '@ember-data/graph/-private/graph/-operations';
+import type { DumpOptions } from '@ember-data/types/cache/cache';
+import type { Change } from '@ember-data/types/cache/change';
+import type { ResourceDocument, StructuredDocument } from '@ember-data/types/cache/document';
+import type { StableDocumentIdentifier } from '@ember-data/types/cache/identifier';
+import type { Cache, ChangedAttributesHash, MergeOperation } from '@ember-data/types/q/cache';
+import type { V2CacheStoreWrapper } from '@ember-data/types/q/cache-store-wrapper';
+import type {
+  CollectionResourceRelationship,
+  ExistingResourceObject,
+  JsonApiDocument,
+  SingleResourceRelationship,
+} from '@ember-data/types/q/ember-data-json-api';
+import type { StableRecordIdentifier } from '@ember-data/types/q/identifier';
+import type { JsonApiResource, JsonApiValidationError } from '@ember-data/types/q/record-data-json-api';
+import type { Dict } from '@ember-data/types/q/utils';
+
+import type { CacheStoreWrapper } from './managers/cache-store-wrapper';
+import { getSparseFields } from './utils/sparse-fields';
+
+type SyncListener = (event: { data: unknown }) => void;
+
+/*
+ * The transport used to exchange changes between stores,
+ * a `BroadcastChannel` satisfies this interface.
+ */
+export interface SyncChannel {
+  postMessage(message: unknown): void;
+  addEventListener(type: 'message', listener: SyncListener): void;
+  removeEventListener(type: 'message', listener: SyncListener): void;
+}
+
+export interface SyncedCacheOptions {
+  channel?: SyncChannel;
+}
+
+/*
+ * Messages are JSON compatible and never contain lids, which
+ * are only meaningful to the store that generated them.
+ */
+export type SyncMessage =
+  | {
+      op: 'put';
+      content: { data: ExistingResourceObject | ExistingResourceObject[]; included?: ExistingResourceObject[] };
+    }
+  | { op: 'commit'; data: ExistingResourceObject; isDeleted: boolean };
+
+const DEFAULT_CHANNEL = 'ember-data';
+
+function serializeResource(resource: JsonApiResource): ExistingResourceObject {
+  const serialized = JSON.parse(JSON.stringify(resource)) as ExistingResourceObject & { lid?: string };
+  delete serialized.lid;
+  const { relationships } = serialized;
+  if (relationships) {
+    Object.keys(relationships).forEach((key) => {
+      const { data } = relationships[key] as { data?: { type: string; id: string; lid?: string }[] | null };
+      (Array.isArray(data) ? data : data ? [data] : []).forEach((member) => delete member.lid);
+    });
+  }
+  return serialized;
+}
+
+/**
+ * A Cache which wraps another Cache to keep the stores in other
+ * tabs of the application in sync with it.
+ *
+ * ```ts
+ * import Cache from '@ember-data/json-api';
+ * import Store, { SyncedCache } from '@ember-data/store';
+ *
+ * export default class extends Store {
+ *   createCache(wrapper) {
+ *     return new SyncedCache(new Cache(wrapper), wrapper);
+ *   }
+ * }
+ * ```
+ *
+ * The resources received by `cache.put` and the outcome of each
+ * `cache.didCommit` are broadcast as JSON:API resource documents.
+ * Stores receiving them apply the resources via `cache.put` and
+ * the resulting changes are notified via the NotificationManager
+ * as for any other update. Committed deletions are applied to
+ * resources the receiving store knows about.
+ *
+ * Only the remote state of resources is synchronized. Request
+ * documents, local changes and the contents of forks remain
+ * private to each store, and responses to requests for sparse
+ * fieldsets are not broadcast.
+ *
+ * The following options are available
+ *
+ * - `channel` the transport used to exchange changes, defaults to
+ *    a `BroadcastChannel` named `ember-data` which is closed by `close()`.
+ *
+ * @class SyncedCache
+ * @public
+ */
+export class SyncedCache implements Cache {
+  version: '2' = '2';
+
+  #cache: Cache;
+  #storeWrapper: V2CacheStoreWrapper;
+  #channel: SyncChannel;
+  #ownsChannel: boolean;
+  #listener: SyncListener;
+
+  constructor(cache: Cache, storeWrapper: V2CacheStoreWrapper, options: SyncedCacheOptions = {}) {
+    this.#cache = cache;
+    this.#storeWrapper = storeWrapper;
+    this.#ownsChannel = !options.channel;
+    this.#channel = options.channel || new BroadcastChannel(DEFAULT_CHANNEL);
+    this.#listener = (event) => this.#receive(event.data as SyncMessage);
+    this.#channel.addEventListener('message', this.#listener);
+  }
+
+  /**
+   * Stop sending and receiving changes. The channel is closed
+   * if it was created by the SyncedCache.
+   *
+   * @method close
+   * @public
+   */
+  close(): void {
+    this.#channel.removeEventListener('message', this.#listener);
+    if (this.#ownsChannel) {
+      (this.#channel as BroadcastChannel).close();
+    }
+  }
+
+  #receive(message: SyncMessage): void {
+    const cache = this.#cache;
+    // received changes are notified once they have all been applied
+    (this.#storeWrapper as unknown as CacheStoreWrapper)._store._join(() => {
+      if (message.op === 'put') {
+        cache.put({ content: message.content });
+        return;
+      }
+      if (!message.isDeleted) {
+        cache.put({ content: { data: message.data } });
+        return;
+      }
+      const identifier = this.#storeWrapper.identifierCache.peekRecordIdentifier(message.data);
+      if (identifier && cache.peek(identifier) && !cache.isDeletionCommitted(identifier)) {
+        cache.setIsDeleted(identifier, true);
+        cache.didCommit(identifier, null);
+      }
+    });
+  }
+
+  #broadcast(message: SyncMessage): void {
+    this.#channel.postMessage(message);
+  }
+
+  put<T>(doc: StructuredDocument<T>): ResourceDocument {
+    // the cache may replace the content with its own representation
+    const content = 'content' in doc ? (doc.content as JsonApiDocument | undefined) : undefined;
+    const data = content?.data;
+    const included = content?.included;
+    const result = this.#cache.put(doc);
+
+    // other stores could not tell which fields of the resources were loaded
+    if (data && !getSparseFields(doc.request)) {
+      this.#broadcast({
+        op: 'put',
+        content: {
+          data: Array.isArray(data) ? data.map(serializeResource) : serializeResource(data),
+          included: included?.map(serializeResource),
+        },
+      });
+    }
+    return result;
+  }
+
+  peek(identifier: StableRecordIdentifier): unknown;
+  peek(identifier: StableDocumentIdentifier): ResourceDocument | null;
+  peek(identifier: StableRecordIdentifier | StableDocumentIdentifier): unknown {
+    return this.#cache.peek(identifier);
+  }
+  peekRequest(identifier: StableDocumentIdentifier): StructuredDocument<ResourceDocument> | null {
+    return this.#cache.peekRequest(identifier);
+  }
+
+  fork(storeWrapper: V2CacheStoreWrapper): Promise<Cache> {
+    return this.#cache.fork(storeWrapper);
+  }
+  merge(cache: Cache): Promise<void> {
+    return this.#cache.merge(cache);
+  }
+  diff(): Promise<Change[]> {
+    return this.#cache.diff();
+  }
+  dump(options?: DumpOptions): Promise<ReadableStream<unknown>> {
+    return this.#cache.dump(options);
+  }
+  hydrate(stream: ReadableStream<unknown>): Promise<void> {
+    return this.#cache.hydrate(stream);
+  }
+
+  // Cache
+  // =====
+
+  upsert(identifier: StableRecordIdentifier, data: JsonApiResource, hasRecord: boolean): void | string[] {
+    return this.#cache.upsert(identifier, data, hasRecord);
+  }
+
+  patch(op: MergeOperation): void {
+    this.#cache.patch(op);
+  }
+
+  clientDidCreate(identifier: StableRecordIdentifier, options?: Dict<unknown>): Dict<unknown> {
+    return this.#cache.clientDidCreate(identifier, options);
+  }
+
+  willCommit(identifier: StableRecordIdentifier): void {
+    this.#cache.willCommit(identifier);
+  }
+
+  didCommit(identifier: StableRecordIdentifier, data: JsonApiResource | null): void {
+    const cache = this.#cache;
+    cache.didCommit(identifier, data);
+    if (!identifier.id) {
+      return;
+    }
+
+    const isDeleted = cache.isDeletionCommitted(identifier);
+    const resource: JsonApiResource = { type: identifier.type, id: identifier.id };
+    if (!isDeleted) {
+      // attributes changed locally while the save was in flight are not yet persisted
+      const attributes = Object.assign({}, (cache.peek(identifier) as JsonApiResource | null)?.attributes);
+      const changed = cache.changedAttrs(identifier);
+      Object.keys(changed).forEach((key) => (attributes[key] = changed[key][0]));
+      resource.attributes = attributes;
+      if (data?.relationships) {
+        resource.relationships = data.relationships;
+      }
+    }
+    this.#broadcast({ op: 'commit', data: serializeResource(resource), isDeleted });
+  }
+
+  commitWasRejected(identifier: StableRecordIdentifier, errors?: JsonApiValidationError[]): void {
+    this.#cache.commitWasRejected(identifier, errors);
+  }
+
+  unloadRecord(identifier: StableRecordIdentifier): void {
+    this.#cache.unloadRecord(identifier);
+  }
+
+  // Attrs
+  // =====
+
+  getAttr(identifier: StableRecordIdentifier, propertyName: string): unknown {
+    return this.#cache.getAttr(identifier, propertyName);
+  }
+
+  setAttr(identifier: StableRecordIdentifier, propertyName: string, value: unknown): void {
+    this.#cache.setAttr(identifier, propertyName, value);
+  }
+
+  changedAttrs(identifier: StableRecordIdentifier): ChangedAttributesHash {
+    return this.#cache.changedAttrs(identifier);
+  }
+
+  hasChangedAttrs(identifier: StableRecordIdentifier): boolean {
+    return this.#cache.hasChangedAttrs(identifier);
+  }
+
+  rollbackAttrs(identifier: StableRecordIdentifier): string[] {
+    return this.#cache.rollbackAttrs(identifier);
+  }
+
+  getRelationship(
+    identifier: StableRecordIdentifier,
+    propertyName: string
+  ): SingleResourceRelationship | CollectionResourceRelationship {
+    return this.#cache.getRelationship(identifier, propertyName);
+  }
+  mutate(mutation: LocalRelationshipOperation): void {
+    this.#cache.mutate(mutation);
+  }
+
+  // State
+  // =============
+
+  setIsDeleted(identifier: StableRecordIdentifier, isDeleted: boolean): void {
+    this.#cache.setIsDeleted(identifier, isDeleted);
+  }
+
+  getErrors(identifier: StableRecordIdentifier): JsonApiValidationError[] {
+    return this.#cache.getErrors(identifier);
+  }
+
+  isEmpty(identifier: StableRecordIdentifier): boolean {
+    return this.#cache.isEmpty(identifier);
+  }
+
+  isFieldLoaded(identifier: StableRecordIdentifier, field: string): boolean {
+    const cache = this.#cache;
+    return typeof cache.isFieldLoaded === 'function' ? cache.isFieldLoaded(identifier, field) : true;
+  }
+
+  isNew(identifier: StableRecordIdentifier): boolean {
+    return this.#cache.isNew(identifier);
+  }
+
+  isDeleted(identifier: StableRecordIdentifier): boolean {
+    return this.#cache.isDeleted(identifier);
+  }
+
+  isDeletionCommitted(identifier: StableRecordIdentifier): boolean {
+    return this.#cache.isDeletionCommitted(identifier);
+  }
+}
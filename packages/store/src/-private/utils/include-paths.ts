@@ -0,0 +1,72 @@
+import type { ImmutableRequestInfo } from '@ember-data/request/-private/types';
+import type { StableRecordIdentifier } from '@ember-data/types/q/identifier';
+
+import type Store from '../store-service';
+import type { NeededFields } from './sparse-fields';
+import { hasUnloadedFields } from './sparse-fields';
+
+/*
+ * The relationship paths requested by the `include` query param of the
+ * request's url, e.g. `include=comments.author,tags` becomes
+ * `[['comments', 'author'], ['tags']]`, or `null` if there are none.
+ */
+export function getIncludePaths(request: ImmutableRequestInfo | undefined): string[][] | null {
+  const url = request?.url;
+  const index = url ? url.indexOf('?') : -1;
+  if (index === -1) {
+    return null;
+  }
+
+  const include = new URLSearchParams(url!.slice(index + 1).split('#')[0]).get('include');
+  if (!include) {
+    return null;
+  }
+  return include
+    .split(',')
+    .filter(Boolean)
+    .map((path) => path.split('.'));
+}
+
+function hasUnloadedPath(
+  store: Store,
+  identifier: StableRecordIdentifier,
+  path: string[],
+  index: number,
+  needed: NeededFields
+): boolean {
+  if (index === path.length) {
+    return false;
+  }
+  const field = path[index];
+  // relationships which are not in the schema cannot be cached, and so cannot be checked
+  if (!store.getSchemaDefinitionService().relationshipsDefinitionFor(identifier)[field]) {
+    return false;
+  }
+
+  const { data } = store.cache.getRelationship(identifier, field);
+  // the membership of the relationship has never been received
+  if (data === undefined) {
+    return true;
+  }
+  // the cache hands out stable identifiers as the members of relationships
+  const related = (Array.isArray(data) ? data : data ? [data] : []) as StableRecordIdentifier[];
+  return related.some(
+    (member) =>
+      store.cache.isEmpty(member) ||
+      hasUnloadedFields(store, member, needed) ||
+      hasUnloadedPath(store, member, path, index + 1, needed)
+  );
+}
+
+/*
+ * Whether any resource along the include paths of a resource is missing or
+ * not loaded, including those missing fields their sparse fieldset needs.
+ */
+export function hasUnloadedIncludes(
+  store: Store,
+  identifier: StableRecordIdentifier,
+  paths: string[][],
+  needed: NeededFields
+): boolean {
+  return paths.some((path) => hasUnloadedPath(store, identifier, path, 0, needed));
+}
@@ -0,0 +1,9 @@
+/*
+ * Rethrows an error asynchronously so that it surfaces, e.g. via
+ * `window.onerror`, without interrupting the work which caught it.
+ */
+export default function reportError(error: unknown): void {
+  setTimeout(() => {
+    throw error;
+  }, 0);
+}
@@ -0,0 +1,63 @@
+import type { ImmutableRequestInfo } from '@ember-data/request/-private/types';
+import type { StableRecordIdentifier } from '@ember-data/types/q/identifier';
+import type { Dict } from '@ember-data/types/q/utils';
+
+import type Store from '../store-service';
+
+const SPARSE_FIELDSET = /^fields\[([^\]]+)\]$/;
+
+/*
+ * The sparse fieldsets requested by the `fields[TYPE]` query params
+ * of the request's url, keyed by type, or `null` if there are none.
+ */
+export function getSparseFields(request: ImmutableRequestInfo | undefined): Dict<string[]> | null {
+  const url = request?.url;
+  const index = url ? url.indexOf('?') : -1;
+  if (index === -1) {
+    return null;
+  }
+
+  let fields: Dict<string[]> | null = null;
+  new URLSearchParams(url!.slice(index + 1).split('#')[0]).forEach((value, key) => {
+    const match = SPARSE_FIELDSET.exec(key);
+    if (match) {
+      fields = fields || (Object.create(null) as Dict<string[]>);
+      fields[match[1]] = value ? value.split(',') : [];
+    }
+  });
+  return fields;
+}
+
+export type NeededFields = (type: string) => string[];
+
+/*
+ * Resolves the fields a request needs for resources of a type, those of its
+ * sparse fieldset or, for types without one, all of the fields in the schema.
+ * Create one per request, the fields in the schema are looked up once per type.
+ */
+export function getNeededFields(store: Store, fields: Dict<string[]> | null): NeededFields {
+  const resolved = new Map<string, string[]>();
+  return (type) => {
+    let needed = fields?.[type] || resolved.get(type);
+    if (!needed) {
+      const schema = store.getSchemaDefinitionService();
+      needed = Object.keys(schema.attributesDefinitionFor({ type })).concat(
+        Object.keys(schema.relationshipsDefinitionFor({ type }))
+      );
+      resolved.set(type, needed);
+    }
+    return needed;
+  };
+}
+
+/*
+ * Whether any of the fields a request needs for a resource are not loaded.
+ */
+export function hasUnloadedFields(store: Store, identifier: StableRecordIdentifier, needed: NeededFields): boolean {
+  const { cache } = store;
+  // caches which do not track fields have every field loaded
+  if (typeof cache.isFieldLoaded !== 'function') {
+    return false;
+  }
+  return needed(identifier.type).some((field) => !cache.isFieldLoaded!(identifier, field));
+}
@@ -152,4 +152,13 @@ export {
   setIdentifierResetMethod,
   recordIdentifierFor,
   storeFor,
+  DefaultLifetimesService,
+  OfflineQueue,
+  MemoryQueueStorage,
+  IndexedDBQueueStorage,
+  SyncedCache,
+  subscribeToEventSource,
+  subscribeToWebSocket,
+  getRequestState,
+  RequestState,
 } from './-private';
@@ -9,10 +9,13 @@ module.exports = {
     '@ember-data/deprecations',
     '@ember-data/experimental-preview-types',
     '@ember-data/json-api',
+    '@ember-data/json-api/request',
     '@ember-data/legacy-compat',
     '@ember-data/model',
     '@ember-data/request',
+    '@ember-data/request/dedupe',
     '@ember-data/request/fetch',
+    '@ember-data/request/retry',
     '@ember-data/serializer',
     '@ember-data/serializer/json',
     '@ember-data/serializer/json-api',
@@ -204,6 +207,7 @@ module.exports = {
     '(public) @ember-data/experimental-preview-types <Interface> Cache#isDeleted',
     '(public) @ember-data/experimental-preview-types <Interface> Cache#isDeletionCommitted',
     '(public) @ember-data/experimental-preview-types <Interface> Cache#isEmpty',
+    '(public) @ember-data/experimental-preview-types <Interface> Cache#isFieldLoaded',
     '(public) @ember-data/experimental-preview-types <Interface> Cache#isNew',
     '(public) @ember-data/experimental-preview-types <Interface> Cache#merge',
     '(public) @ember-data/experimental-preview-types <Interface> Cache#mutate',
@@ -238,6 +242,7 @@ module.exports = {
     '(public) @ember-data/json-api Cache#isDeleted',
     '(public) @ember-data/json-api Cache#isDeletionCommitted',
     '(public) @ember-data/json-api Cache#isEmpty',
+    '(public) @ember-data/json-api Cache#isFieldLoaded',
     '(public) @ember-data/json-api Cache#isNew',
     '(public) @ember-data/json-api Cache#merge',
     '(public) @ember-data/json-api Cache#mutate',
@@ -252,6 +257,20 @@ module.exports = {
     '(public) @ember-data/json-api Cache#upsert',
     '(public) @ember-data/json-api Cache#version',
     '(public) @ember-data/json-api Cache#willCommit',
+    '(public) @ember-data/json-api PersistedCache#clear',
+    '(public) @ember-data/json-api PersistedCache#persist',
+    '(public) @ember-data/json-api PersistedCache#restored',
+    '(public) @ember-data/json-api/request @ember-data/json-api/request#buildBaseURL',
+    '(public) @ember-data/json-api/request @ember-data/json-api/request#buildQueryParams',
+    '(public) @ember-data/json-api/request @ember-data/json-api/request#createRecord',
+    '(public) @ember-data/json-api/request @ember-data/json-api/request#deleteRecord',
+    '(public) @ember-data/json-api/request @ember-data/json-api/request#findRecord',
+    '(public) @ember-data/json-api/request @ember-data/json-api/request#pluralize',
+    '(public) @ember-data/json-api/request @ember-data/json-api/request#query',
+    '(public) @ember-data/json-api/request @ember-data/json-api/request#saveRecords',
+    '(public) @ember-data/json-api/request @ember-data/json-api/request#setBuildURLConfig',
+    '(public) @ember-data/json-api/request @ember-data/json-api/request#updateRecord',
+    '(public) @ember-data/legacy-compat SerializerHandler#request',
     '(public) @ember-data/legacy-compat SnapshotRecordArray#adapterOptions',
     '(public) @ember-data/legacy-compat SnapshotRecordArray#include',
     '(public) @ember-data/legacy-compat SnapshotRecordArray#length',
@@ -313,6 +332,7 @@ module.exports = {
     '(public) @ember-data/model Model#isLoaded',
     '(public) @ember-data/model Model#isLoading',
     '(public) @ember-data/model Model#isNew',
+    '(public) @ember-data/model Model#isPendingSync',
     '(public) @ember-data/model Model#isReloading',
     '(public) @ember-data/model Model#isSaving',
     '(public) @ember-data/model Model#isValid',
@@ -347,6 +367,7 @@ module.exports = {
     '(public) @ember-data/request Future#abort',
     '(public) @ember-data/request Future#getStream',
     '(public) @ember-data/request Future#onFinalize',
+    '(public) @ember-data/request Future#onProgress',
     '(public) @ember-data/serializer Serializer#normalize',
     '(public) @ember-data/serializer Serializer#normalizeResponse',
     '(public) @ember-data/serializer Serializer#serialize',
@@ -410,11 +431,14 @@ module.exports = {
     '(public) @ember-data/serializer/rest RESTSerializer#serializeIntoHash',
     '(public) @ember-data/serializer/rest RESTSerializer#serializePolymorphicType',
     '(public) @ember-data/store @ember-data/store#normalizeModelName',
+    '(public) @ember-data/store @ember-data/store#getRequestState',
     '(public) @ember-data/store @ember-data/store#recordIdentifierFor',
     '(public) @ember-data/store @ember-data/store#setIdentifierForgetMethod',
     '(public) @ember-data/store @ember-data/store#setIdentifierGenerationMethod',
     '(public) @ember-data/store @ember-data/store#setIdentifierResetMethod',
     '(public) @ember-data/store @ember-data/store#setIdentifierUpdateMethod',
+    '(public) @ember-data/store @ember-data/store#subscribeToEventSource',
+    '(public) @ember-data/store @ember-data/store#subscribeToWebSocket',
     '(public) @ember-data/store CacheManager#addToHasMany',
     '(public) @ember-data/store CacheManager#changedAttributes',
     '(public) @ember-data/store CacheManager#changedAttrs',
@@ -436,6 +460,7 @@ module.exports = {
     '(public) @ember-data/store CacheManager#isDeleted',
     '(public) @ember-data/store CacheManager#isDeletionCommitted',
     '(public) @ember-data/store CacheManager#isEmpty',
+    '(public) @ember-data/store CacheManager#isFieldLoaded',
     '(public) @ember-data/store CacheManager#isNew',
     '(public) @ember-data/store CacheManager#merge',
     '(public) @ember-data/store CacheManager#mutate',
@@ -470,6 +495,16 @@ module.exports = {
     '(public) @ember-data/store CacheStoreWrapper#recordDataFor',
     '(public) @ember-data/store CacheStoreWrapper#relationshipsDefinitionFor',
     '(public) @ember-data/store CacheStoreWrapper#setRecordId',
+    '(public) @ember-data/store Collection#first',
+    '(public) @ember-data/store Collection#infinite',
+    '(public) @ember-data/store Collection#isLoading',
+    '(public) @ember-data/store Collection#last',
+    '(public) @ember-data/store Collection#next',
+    '(public) @ember-data/store Collection#prev',
+    '(public) @ember-data/store DefaultLifetimesService#didRequest',
+    '(public) @ember-data/store DefaultLifetimesService#invalidateType',
+    '(public) @ember-data/store DefaultLifetimesService#isHardExpired',
+    '(public) @ember-data/store DefaultLifetimesService#isSoftExpired',
     '(public) @ember-data/store IdentifierCache#createIdentifierForNewRecord',
     '(public) @ember-data/store IdentifierCache#forgetRecordIdentifier',
     '(public) @ember-data/store IdentifierCache#getOrCreateRecordIdentifier',
@@ -483,6 +518,9 @@ module.exports = {
     '(public) @ember-data/store ManyArray#save',
     '(public) @ember-data/store NotificationManager#subscribe',
     '(public) @ember-data/store NotificationManager#unsubscribe',
+    '(public) @ember-data/store OfflineQueue#destroy',
+    '(public) @ember-data/store OfflineQueue#replay',
+    '(public) @ember-data/store OfflineQueue#restore',
     '(public) @ember-data/store RecordArray#isUpdating',
     '(public) @ember-data/store RecordArray#save',
     '(public) @ember-data/store RecordArray#type',
@@ -494,6 +532,19 @@ module.exports = {
     '(public) @ember-data/store RecordReference#reload',
     '(public) @ember-data/store RecordReference#remoteType',
     '(public) @ember-data/store RecordReference#value',
+    '(public) @ember-data/store RequestState#error',
+    '(public) @ember-data/store RequestState#isCancelled',
+    '(public) @ember-data/store RequestState#isError',
+    '(public) @ember-data/store RequestState#isLoading',
+    '(public) @ember-data/store RequestState#isPending',
+    '(public) @ember-data/store RequestState#isSuccess',
+    '(public) @ember-data/store RequestState#loadedBytes',
+    '(public) @ember-data/store RequestState#progress',
+    '(public) @ember-data/store RequestState#result',
+    '(public) @ember-data/store RequestState#totalBytes',
+    '(public) @ember-data/store RequestStateService#isPendingSync',
+    '(public) @ember-data/store RequestStateService#subscribeForRequests',
+    '(public) @ember-data/store RequestStateService#unsubscribe',
     '(public) @ember-data/store SchemaDefinitionService#attributesDefinitionFor',
     '(public) @ember-data/store SchemaDefinitionService#doesTypeExist',
     '(public) @ember-data/store SchemaDefinitionService#relationshipsDefinitionFor',
@@ -516,13 +567,16 @@ module.exports = {
     '(public) @ember-data/store StableRecordIdentifier#lid',
     '(public) @ember-data/store StableRecordIdentifier#type',
     '(public) @ember-data/store Store#adapterFor',
+    '(public) @ember-data/store Store#applyOperations',
     '(public) @ember-data/store Store#cache',
     '(public) @ember-data/store Store#createCache (hook)',
     '(public) @ember-data/store Store#createRecord',
     '(public) @ember-data/store Store#createRecordDataFor (hook)',
     '(public) @ember-data/store Store#deleteRecord',
+    '(public) @ember-data/store Store#filter',
     '(public) @ember-data/store Store#findAll',
     '(public) @ember-data/store Store#findRecord',
+    '(public) @ember-data/store Store#fork',
     '(public) @ember-data/store Store#getReference',
     '(public) @ember-data/store Store#getRequestStateService',
     '(public) @ember-data/store Store#getSchemaDefinitionService',
@@ -531,6 +585,7 @@ module.exports = {
     '(public) @ember-data/store Store#identifierCache',
     '(public) @ember-data/store Store#instantiateRecord (hook)',
     '(public) @ember-data/store Store#lifetimes',
+    '(public) @ember-data/store Store#merge',
     '(public) @ember-data/store Store#modelFor',
     '(public) @ember-data/store Store#normalize',
     '(public) @ember-data/store Store#notifications',
@@ -548,6 +603,7 @@ module.exports = {
     '(public) @ember-data/store Store#teardownRecord (hook)',
     '(public) @ember-data/store Store#unloadAll',
     '(public) @ember-data/store Store#unloadRecord',
+    '(public) @ember-data/store SyncedCache#close',
     '(public) @ember-data/tracking @ember-data/tracking#memoTransact',
     '(public) @ember-data/tracking @ember-data/tracking#transact',
     '(public) @ember-data/tracking @ember-data/tracking#untracked',
@@ -0,0 +1,256 @@
+import { module, test } from 'qunit';
+
+import { setupTest } from 'ember-qunit';
+
+import Cache from '@ember-data/json-api';
+import Store from '@ember-data/store';
+import type { NotificationType } from '@ember-data/store/-private/managers/notification-manager';
+import type { SingleResourceDataDocument, StructuredDocument } from '@ember-data/types/cache/document';
+import type { CacheStoreWrapper } from '@ember-data/types/q/cache-store-wrapper';
+import type { SingleResourceDocument } from '@ember-data/types/q/ember-data-json-api';
+import type { StableRecordIdentifier } from '@ember-data/types/q/identifier';
+import type { JsonApiResource } from '@ember-data/types/q/record-data-json-api';
+import type { AttributesSchema, RelationshipsSchema } from '@ember-data/types/q/record-data-schemas';
+
+type FakeRecord = { [key: string]: unknown; destroy: () => void };
+class TestStore extends Store {
+  createCache(wrapper: CacheStoreWrapper) {
+    return new Cache(wrapper);
+  }
+
+  instantiateRecord(identifier: StableRecordIdentifier) {
+    const { id, lid, type } = identifier;
+    const record: FakeRecord = { id, lid, type } as unknown as FakeRecord;
+    Object.assign(record, (this.cache.peek(identifier) as JsonApiResource).attributes);
+
+    let token = this.notifications.subscribe(
+      identifier,
+      (_: StableRecordIdentifier, kind: NotificationType, key?: string) => {
+        if (kind === 'attributes' && key) {
+          record[key] = this.cache.getAttr(identifier, key);
+        }
+      }
+    );
+
+    record.destroy = () => {
+      this.notifications.unsubscribe(token);
+    };
+
+    return record;
+  }
+
+  teardownRecord(record: FakeRecord) {
+    record.destroy();
+  }
+}
+
+type Schemas<T extends string> = Record<T, { attributes: AttributesSchema; relationships: RelationshipsSchema }>;
+class TestSchema<T extends string> {
+  declare schemas: Schemas<T>;
+  constructor(schemas: Schemas<T>) {
+    this.schemas = schemas;
+  }
+
+  attributesDefinitionFor(identifier: { type: T }): AttributesSchema {
+    return this.schemas[identifier.type]?.attributes || {};
+  }
+
+  relationshipsDefinitionFor(identifier: { type: T }): RelationshipsSchema {
+    return this.schemas[identifier.type]?.relationships || {};
+  }
+
+  doesTypeExist(type: string) {
+    return type === 'user';
+  }
+}
+
+function setupStore(store: Store) {
+  store.registerSchemaDefinitionService(
+    new TestSchema<'user'>({
+      user: {
+        attributes: {
+          name: { kind: 'attribute', name: 'name' },
+        },
+        relationships: {
+          bestFriend: {
+            kind: 'belongsTo',
+            type: 'user',
+            key: 'bestFriend',
+            name: 'bestFriend',
+            options: {
+              async: false,
+              inverse: 'bestFriend',
+            },
+          },
+        },
+      },
+    })
+  );
+
+  let responseDocument!: SingleResourceDataDocument;
+  store._run(() => {
+    responseDocument = store.cache.put({
+      content: {
+        data: {
+          type: 'user',
+          id: '1',
+          attributes: { name: 'Chris' },
+          relationships: {
+            bestFriend: { data: { type: 'user', id: '2' } },
+          },
+        },
+        included: [
+          {
+            type: 'user',
+            id: '2',
+            attributes: { name: 'Wesley' },
+            relationships: {
+              bestFriend: { data: { type: 'user', id: '1' } },
+            },
+          },
+          { type: 'user', id: '3', attributes: { name: 'Rey' } },
+        ],
+      },
+    } as StructuredDocument<SingleResourceDocument>) as SingleResourceDataDocument;
+  });
+
+  return responseDocument.data!;
+}
+
+module('Integration | @ember-data/json-api Cache.diff', function (hooks) {
+  setupTest(hooks);
+
+  hooks.beforeEach(function () {
+    this.owner.register('service:store', TestStore);
+  });
+
+  test('a clean cache produces no changes', async function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    setupStore(store);
+
+    const changes = await store.cache.diff();
+    assert.deepEqual(changes, [], 'there are no changes');
+  });
+
+  test('changed attributes produce a minimal upsert', async function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    const identifier = setupStore(store);
+
+    const user2 = store.identifierCache.getOrCreateRecordIdentifier({ type: 'user', id: '2' });
+
+    store.cache.setAttr(identifier, 'name', 'James');
+    store.cache.setAttr(user2, 'name', 'Wesley');
+
+    const changes = await store.cache.diff();
+    assert.deepEqual(
+      changes,
+      [
+        {
+          identifier,
+          op: 'upsert',
+          patch: { type: 'user', id: '1', lid: identifier.lid, attributes: { name: 'James' } },
+        },
+      ],
+      'only the changed attribute is included'
+    );
+  });
+
+  test('changed relationships produce a minimal upsert', async function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    const identifier = setupStore(store);
+    const user2 = store.identifierCache.getOrCreateRecordIdentifier({ type: 'user', id: '2' });
+    const user3 = store.identifierCache.getOrCreateRecordIdentifier({ type: 'user', id: '3' });
+
+    store._join(() => {
+      store.cache.mutate({ op: 'replaceRelatedRecord', record: user3, field: 'bestFriend', value: identifier });
+    });
+
+    const changes = await store.cache.diff();
+    assert.deepEqual(
+      changes,
+      [
+        {
+          identifier,
+          op: 'upsert',
+          patch: { type: 'user', id: '1', lid: identifier.lid, relationships: { bestFriend: { data: user3 } } },
+        },
+        {
+          identifier: user2,
+          op: 'upsert',
+          patch: { type: 'user', id: '2', lid: user2.lid, relationships: { bestFriend: { data: null } } },
+        },
+        {
+          identifier: user3,
+          op: 'upsert',
+          patch: { type: 'user', id: '3', lid: user3.lid, relationships: { bestFriend: { data: identifier } } },
+        },
+      ],
+      'both sides of the relationship are included'
+    );
+  });
+
+  test('new and deleted records are included', async function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    const identifier = setupStore(store);
+    const user3 = store.identifierCache.getOrCreateRecordIdentifier({ type: 'user', id: '3' });
+    const created = store.identifierCache.createIdentifierForNewRecord({ type: 'user' });
+    const discarded = store.identifierCache.createIdentifierForNewRecord({ type: 'user' });
+
+    store._join(() => {
+      store.cache.clientDidCreate(created, { name: 'Rose' });
+      store.cache.clientDidCreate(discarded, { name: 'Finn' });
+      store.cache.setIsDeleted(discarded, true);
+      store.cache.setIsDeleted(user3, true);
+      store.cache.mutate({ op: 'replaceRelatedRecord', record: created, field: 'bestFriend', value: identifier });
+    });
+
+    const changes = await store.cache.diff();
+    const removals = changes.filter((change) => change.op === 'remove');
+    const upserts = changes.filter((change) => change.op === 'upsert' && change.identifier === created);
+
+    assert.deepEqual(removals, [{ identifier: user3, op: 'remove' }], 'the deleted record is removed');
+    assert.deepEqual(
+      upserts,
+      [
+        {
+          identifier: created,
+          op: 'upsert',
+          patch: {
+            type: 'user',
+            id: null,
+            lid: created.lid,
+            attributes: { name: 'Rose' },
+            relationships: { bestFriend: { data: identifier } },
+          },
+        },
+      ],
+      'the new record is upserted with all of its state'
+    );
+    assert.false(
+      changes.some((change) => change.identifier === discarded),
+      'a record created and deleted locally is not included'
+    );
+  });
+
+  test('diffing a fork does not change what is merged', async function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    const identifier = setupStore(store);
+    const user3 = store.identifierCache.getOrCreateRecordIdentifier({ type: 'user', id: '3' });
+
+    const fork = await store.fork();
+    assert.deepEqual(await fork.cache.diff(), [], 'the fork has no changes');
+
+    store._join(() => {
+      store.cache.mutate({ op: 'replaceRelatedRecord', record: identifier, field: 'bestFriend', value: user3 });
+    });
+    await store.merge(fork);
+
+    assert.strictEqual(
+      store.cache.getRelationship(identifier, 'bestFriend').data,
+      user3,
+      'the relationships read by diff were not merged over the parent'
+    );
+
+    fork.destroy();
+  });
+});
@@ -0,0 +1,265 @@
+import { module, test } from 'qunit';
+
+import { setupTest } from 'ember-qunit';
+
+import Cache from '@ember-data/json-api';
+import Store from '@ember-data/store';
+import type { NotificationType } from '@ember-data/store/-private/managers/notification-manager';
+import type {
+  SingleResourceDataDocument,
+  StructuredDataDocument,
+  StructuredDocument,
+} from '@ember-data/types/cache/document';
+import type { CacheStoreWrapper } from '@ember-data/types/q/cache-store-wrapper';
+import type { SingleResourceDocument } from '@ember-data/types/q/ember-data-json-api';
+import type { StableRecordIdentifier } from '@ember-data/types/q/identifier';
+import type { JsonApiResource } from '@ember-data/types/q/record-data-json-api';
+import type { AttributesSchema, RelationshipsSchema } from '@ember-data/types/q/record-data-schemas';
+
+type FakeRecord = { [key: string]: unknown; destroy: () => void };
+class TestStore extends Store {
+  createCache(wrapper: CacheStoreWrapper) {
+    return new Cache(wrapper);
+  }
+
+  instantiateRecord(identifier: StableRecordIdentifier) {
+    const { id, lid, type } = identifier;
+    const record: FakeRecord = { id, lid, type } as unknown as FakeRecord;
+    Object.assign(record, (this.cache.peek(identifier) as JsonApiResource).attributes);
+
+    let token = this.notifications.subscribe(
+      identifier,
+      (_: StableRecordIdentifier, kind: NotificationType, key?: string) => {
+        if (kind === 'attributes' && key) {
+          record[key] = this.cache.getAttr(identifier, key);
+        }
+      }
+    );
+
+    record.destroy = () => {
+      this.notifications.unsubscribe(token);
+    };
+
+    return record;
+  }
+
+  teardownRecord(record: FakeRecord) {
+    record.destroy();
+  }
+}
+
+type Schemas<T extends string> = Record<T, { attributes: AttributesSchema; relationships: RelationshipsSchema }>;
+class TestSchema<T extends string> {
+  declare schemas: Schemas<T>;
+  constructor(schemas: Schemas<T>) {
+    this.schemas = schemas;
+  }
+
+  attributesDefinitionFor(identifier: { type: T }): AttributesSchema {
+    return this.schemas[identifier.type]?.attributes || {};
+  }
+
+  relationshipsDefinitionFor(identifier: { type: T }): RelationshipsSchema {
+    return this.schemas[identifier.type]?.relationships || {};
+  }
+
+  doesTypeExist(type: string) {
+    return type === 'user';
+  }
+}
+
+function registerSchema(store: Store) {
+  store.registerSchemaDefinitionService(
+    new TestSchema<'user'>({
+      user: {
+        attributes: {
+          name: { kind: 'attribute', name: 'name' },
+        },
+        relationships: {
+          bestFriend: {
+            kind: 'belongsTo',
+            type: 'user',
+            key: 'bestFriend',
+            name: 'bestFriend',
+            options: {
+              async: false,
+              inverse: 'bestFriend',
+            },
+          },
+        },
+      },
+    })
+  );
+}
+
+function setupStore(store: Store) {
+  registerSchema(store);
+
+  let responseDocument!: SingleResourceDataDocument;
+  store._run(() => {
+    responseDocument = store.cache.put({
+      request: { url: '/api/v1/users/1', method: 'GET' },
+      response: {
+        ok: true,
+        redirected: false,
+        status: 200,
+        statusText: 'OK',
+        type: 'basic',
+        url: '/api/v1/users/1',
+        headers: new Headers([['cache-control', 'max-age=60']]),
+      },
+      content: {
+        data: {
+          type: 'user',
+          id: '1',
+          attributes: { name: 'Chris' },
+          relationships: {
+            bestFriend: { data: { type: 'user', id: '2' } },
+          },
+        },
+        included: [
+          {
+            type: 'user',
+            id: '2',
+            attributes: { name: 'Wesley' },
+            relationships: {
+              bestFriend: { data: { type: 'user', id: '1' } },
+            },
+          },
+        ],
+        meta: { total: 1 },
+      },
+    } as unknown as StructuredDocument<SingleResourceDocument>) as SingleResourceDataDocument;
+  });
+
+  return responseDocument.data!;
+}
+
+async function roundTrip(stream: ReadableStream<unknown>): Promise<ReadableStream<unknown>> {
+  const reader = stream.getReader();
+  const chunks: string[] = [];
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(JSON.stringify(value));
+  }
+  const serialized = JSON.parse(JSON.stringify(chunks)) as string[];
+
+  return new ReadableStream<unknown>({
+    start(controller) {
+      serialized.forEach((chunk) => controller.enqueue(JSON.parse(chunk)));
+      controller.close();
+    },
+  });
+}
+
+module('Integration | @ember-data/json-api Cache.dump and Cache.hydrate', function (hooks) {
+  setupTest(hooks);
+
+  hooks.beforeEach(function () {
+    this.owner.register('service:store', TestStore);
+    this.owner.register('service:other-store', TestStore);
+  });
+
+  test('remote state round trips into a fresh store', async function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    const identifier = setupStore(store);
+    store.cache.setAttr(identifier, 'name', 'James');
+
+    const stream = await roundTrip(await store.cache.dump());
+
+    const otherStore = this.owner.lookup('service:other-store') as Store;
+    registerSchema(otherStore);
+    await otherStore.cache.hydrate(stream);
+
+    const user1 = otherStore.identifierCache.peekRecordIdentifier({ type: 'user', id: '1' })!;
+    const user2 = otherStore.identifierCache.peekRecordIdentifier({ type: 'user', id: '2' })!;
+
+    assert.strictEqual(user1.lid, identifier.lid, 'the identifier was restored with its lid');
+    assert.strictEqual(otherStore.cache.getAttr(user1, 'name'), 'Chris', 'the remote attribute was restored');
+    assert.false(otherStore.cache.hasChangedAttrs(user1), 'local state was not included');
+    assert.strictEqual(otherStore.cache.getRelationship(user1, 'bestFriend').data, user2, 'relationship restored');
+    assert.strictEqual(otherStore.cache.getRelationship(user2, 'bestFriend').data, user1, 'inverse restored');
+
+    const doc = otherStore.cache.peekRequest({ lid: '/api/v1/users/1' }) as StructuredDataDocument<unknown>;
+    assert.deepEqual(
+      doc.content,
+      { lid: '/api/v1/users/1', data: user1, meta: { total: 1 } },
+      'the request document was restored'
+    );
+    assert.strictEqual(doc.request?.method, 'GET', 'the request info was restored');
+    assert.strictEqual(doc.response?.headers.get('cache-control'), 'max-age=60', 'the response headers were restored');
+  });
+
+  test('local state is restored when opted in', async function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    const identifier = setupStore(store);
+    const created = store.identifierCache.createIdentifierForNewRecord({ type: 'user' });
+    store._join(() => {
+      store.cache.setAttr(identifier, 'name', 'James');
+      store.cache.clientDidCreate(created, { name: 'Rose' });
+      store.cache.mutate({ op: 'replaceRelatedRecord', record: created, field: 'bestFriend', value: identifier });
+    });
+
+    const stream = await roundTrip(await store.cache.dump({ includeLocalState: true }));
+
+    const otherStore = this.owner.lookup('service:other-store') as Store;
+    registerSchema(otherStore);
+    await otherStore.cache.hydrate(stream);
+
+    const user1 = otherStore.identifierCache.peekRecordIdentifier({ type: 'user', id: '1' })!;
+    const user2 = otherStore.identifierCache.peekRecordIdentifier({ type: 'user', id: '2' })!;
+    const newUser = otherStore.identifierCache.peekRecordIdentifier({ type: 'user', lid: created.lid })!;
+
+    assert.deepEqual(
+      otherStore.cache.changedAttrs(user1),
+      { name: ['Chris', 'James'] },
+      'the local attribute change was restored'
+    );
+    assert.true(otherStore.cache.isNew(newUser), 'the new record was restored');
+    assert.strictEqual(otherStore.cache.getAttr(newUser, 'name'), 'Rose', 'the new record attributes were restored');
+    assert.strictEqual(
+      otherStore.cache.getRelationship(newUser, 'bestFriend').data,
+      user1,
+      'the local relationship was restored'
+    );
+    assert.strictEqual(otherStore.cache.getRelationship(user2, 'bestFriend').data, null, 'the inverse was updated');
+  });
+
+  test('dumping a fork does not change what is merged', async function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    const identifier = setupStore(store);
+    const user2 = store.identifierCache.getOrCreateRecordIdentifier({ type: 'user', id: '2' });
+
+    const fork = await store.fork();
+    await roundTrip(await fork.cache.dump());
+
+    store._join(() => {
+      store.cache.mutate({ op: 'replaceRelatedRecord', record: identifier, field: 'bestFriend', value: null });
+    });
+    await store.merge(fork);
+
+    assert.strictEqual(
+      store.cache.getRelationship(identifier, 'bestFriend').data,
+      null,
+      'the relationships read by dump were not merged over the parent'
+    );
+    assert.strictEqual(store.cache.getRelationship(user2, 'bestFriend').data, null, 'the inverse was retained');
+
+    fork.destroy();
+  });
+
+  test('hydrate rejects an unknown format', async function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    const stream = new ReadableStream<unknown>({
+      start(controller) {
+        controller.enqueue({ kind: 'meta', version: 0 });
+        controller.close();
+      },
+    });
+
+    await assert.rejects(store.cache.hydrate(stream), /Expected the stream to begin with a dump of version 2/);
+  });
+});
@@ -0,0 +1,287 @@
+import { module, test } from 'qunit';
+
+import { setupTest } from 'ember-qunit';
+
+import Cache from '@ember-data/json-api';
+import Store from '@ember-data/store';
+import type { NotificationType } from '@ember-data/store/-private/managers/notification-manager';
+import type { SingleResourceDataDocument, StructuredDocument } from '@ember-data/types/cache/document';
+import type { CacheStoreWrapper } from '@ember-data/types/q/cache-store-wrapper';
+import type { SingleResourceDocument } from '@ember-data/types/q/ember-data-json-api';
+import type { StableRecordIdentifier } from '@ember-data/types/q/identifier';
+import type { JsonApiResource } from '@ember-data/types/q/record-data-json-api';
+import type { AttributesSchema, RelationshipsSchema } from '@ember-data/types/q/record-data-schemas';
+
+type FakeRecord = { [key: string]: unknown; destroy: () => void };
+class TestStore extends Store {
+  createCache(wrapper: CacheStoreWrapper) {
+    return new Cache(wrapper);
+  }
+
+  instantiateRecord(identifier: StableRecordIdentifier) {
+    const { id, lid, type } = identifier;
+    const record: FakeRecord = { id, lid, type } as unknown as FakeRecord;
+    Object.assign(record, (this.cache.peek(identifier) as JsonApiResource).attributes);
+
+    let token = this.notifications.subscribe(
+      identifier,
+      (_: StableRecordIdentifier, kind: NotificationType, key?: string) => {
+        if (kind === 'attributes' && key) {
+          record[key] = this.cache.getAttr(identifier, key);
+        }
+      }
+    );
+
+    record.destroy = () => {
+      this.notifications.unsubscribe(token);
+    };
+
+    return record;
+  }
+
+  teardownRecord(record: FakeRecord) {
+    record.destroy();
+  }
+}
+
+type Schemas<T extends string> = Record<T, { attributes: AttributesSchema; relationships: RelationshipsSchema }>;
+class TestSchema<T extends string> {
+  declare schemas: Schemas<T>;
+  constructor(schemas: Schemas<T>) {
+    this.schemas = schemas;
+  }
+
+  attributesDefinitionFor(identifier: { type: T }): AttributesSchema {
+    return this.schemas[identifier.type]?.attributes || {};
+  }
+
+  relationshipsDefinitionFor(identifier: { type: T }): RelationshipsSchema {
+    return this.schemas[identifier.type]?.relationships || {};
+  }
+
+  doesTypeExist(type: string) {
+    return type === 'user';
+  }
+}
+
+function setupStore(store: Store) {
+  store.registerSchemaDefinitionService(
+    new TestSchema<'user'>({
+      user: {
+        attributes: {
+          name: { kind: 'attribute', name: 'name' },
+        },
+        relationships: {
+          bestFriend: {
+            kind: 'belongsTo',
+            type: 'user',
+            key: 'bestFriend',
+            name: 'bestFriend',
+            options: {
+              async: false,
+              inverse: 'bestFriend',
+            },
+          },
+        },
+      },
+    })
+  );
+
+  let responseDocument!: SingleResourceDataDocument;
+  store._run(() => {
+    responseDocument = store.cache.put({
+      content: {
+        data: {
+          type: 'user',
+          id: '1',
+          attributes: { name: 'Chris' },
+          relationships: {
+            bestFriend: { data: { type: 'user', id: '2' } },
+          },
+        },
+        included: [
+          {
+            type: 'user',
+            id: '2',
+            attributes: { name: 'Wesley' },
+            relationships: {
+              bestFriend: { data: { type: 'user', id: '1' } },
+            },
+          },
+          { type: 'user', id: '3', attributes: { name: 'Rey' } },
+        ],
+      },
+    } as StructuredDocument<SingleResourceDocument>) as SingleResourceDataDocument;
+  });
+
+  return responseDocument.data!;
+}
+
+module('Integration | @ember-data/json-api Cache.fork', function (hooks) {
+  setupTest(hooks);
+
+  hooks.beforeEach(function () {
+    this.owner.register('service:store', TestStore);
+  });
+
+  test('a fork reads through to the parent and hands out its own records', async function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    const identifier = setupStore(store);
+    const record = store.peekRecord(identifier) as FakeRecord;
+
+    const fork = await store.fork();
+    const forkedRecord = fork.peekRecord(identifier) as FakeRecord;
+
+    assert.notStrictEqual(forkedRecord, record, 'the fork materializes its own record instance');
+    assert.strictEqual(forkedRecord.name, 'Chris', 'the fork reads the parent state');
+    assert.strictEqual(
+      fork.identifierCache.getOrCreateRecordIdentifier({ type: 'user', id: '1' }),
+      identifier,
+      'identifiers are shared'
+    );
+    assert.deepEqual(
+      fork.cache.getRelationship(identifier, 'bestFriend').data,
+      store.identifierCache.getOrCreateRecordIdentifier({ type: 'user', id: '2' }),
+      'the fork reads relationship state from the parent'
+    );
+
+    fork.destroy();
+  });
+
+  test('changes in a fork are isolated until merged', async function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    const identifier = setupStore(store);
+    const record = store.peekRecord(identifier) as FakeRecord;
+    const user2 = store.identifierCache.getOrCreateRecordIdentifier({ type: 'user', id: '2' });
+    const user3 = store.identifierCache.getOrCreateRecordIdentifier({ type: 'user', id: '3' });
+
+    const fork = await store.fork();
+    const forkedRecord = fork.peekRecord(identifier) as FakeRecord;
+
+    fork._join(() => {
+      fork.cache.setAttr(identifier, 'name', 'James');
+      fork.cache.mutate({ op: 'replaceRelatedRecord', record: identifier, field: 'bestFriend', value: user3 });
+    });
+
+    assert.strictEqual(forkedRecord.name, 'James', 'the forked record is updated');
+    assert.strictEqual(fork.cache.getRelationship(identifier, 'bestFriend').data, user3, 'fork relationship updated');
+    assert.strictEqual(record.name, 'Chris', 'the parent record is not updated');
+    assert.strictEqual(store.cache.getAttr(identifier, 'name'), 'Chris', 'the parent cache is not updated');
+    assert.false(store.cache.hasChangedAttrs(identifier), 'the parent has no dirty state');
+    assert.strictEqual(
+      store.cache.getRelationship(identifier, 'bestFriend').data,
+      user2,
+      'the parent relationship is not updated'
+    );
+    assert.strictEqual(
+      store.cache.getRelationship(user2, 'bestFriend').data,
+      identifier,
+      'the parent inverse relationship is not updated'
+    );
+
+    await store.merge(fork);
+
+    assert.strictEqual(record.name, 'James', 'the parent record is notified of the merged change');
+    assert.deepEqual(
+      store.cache.changedAttrs(identifier),
+      { name: ['Chris', 'James'] },
+      'the merged change is dirty state in the parent'
+    );
+    assert.strictEqual(store.cache.getRelationship(identifier, 'bestFriend').data, user3, 'relationship merged');
+    assert.strictEqual(store.cache.getRelationship(user2, 'bestFriend').data, null, 'inverse removal merged');
+    assert.strictEqual(store.cache.getRelationship(user3, 'bestFriend').data, identifier, 'inverse addition merged');
+
+    fork.destroy();
+  });
+
+  test('records created in a fork are added to the parent on merge', async function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    setupStore(store);
+
+    const fork = await store.fork();
+    const identifier = fork.identifierCache.createIdentifierForNewRecord({ type: 'user' });
+    fork._join(() => {
+      fork.cache.clientDidCreate(identifier, { name: 'Rose' });
+    });
+
+    assert.true(store.cache.isEmpty(identifier), 'the parent does not know about the new record');
+
+    await store.merge(fork);
+
+    assert.true(store.cache.isNew(identifier), 'the parent now has the new record');
+    assert.strictEqual(store.cache.getAttr(identifier, 'name'), 'Rose', 'the attributes were merged');
+
+    fork.destroy();
+  });
+
+  test('relationships the fork only read do not overwrite later changes to the parent', async function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    const identifier = setupStore(store);
+    const user2 = store.identifierCache.getOrCreateRecordIdentifier({ type: 'user', id: '2' });
+    const user3 = store.identifierCache.getOrCreateRecordIdentifier({ type: 'user', id: '3' });
+
+    const fork = await store.fork();
+    assert.strictEqual(
+      fork.cache.getRelationship(identifier, 'bestFriend').data,
+      user2,
+      'the fork reads the relationship'
+    );
+    fork._join(() => {
+      fork.cache.setAttr(identifier, 'name', 'James');
+    });
+
+    store._join(() => {
+      store.cache.mutate({ op: 'replaceRelatedRecord', record: identifier, field: 'bestFriend', value: user3 });
+    });
+    await store.merge(fork);
+
+    assert.strictEqual(store.cache.getAttr(identifier, 'name'), 'James', 'the attribute change was merged');
+    assert.strictEqual(
+      store.cache.getRelationship(identifier, 'bestFriend').data,
+      user3,
+      'the change the parent received after forking is retained'
+    );
+    assert.strictEqual(store.cache.getRelationship(user3, 'bestFriend').data, identifier, 'the inverse is retained');
+
+    fork.destroy();
+  });
+
+  test('records unloaded in a fork are unloaded from the parent on merge', async function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    setupStore(store);
+    const user3 = store.identifierCache.getOrCreateRecordIdentifier({ type: 'user', id: '3' });
+    store.peekRecord(user3);
+
+    const fork = await store.fork();
+    fork.unloadRecord(fork.peekRecord(user3)!);
+
+    assert.true(fork.cache.isEmpty(user3), 'the record is unloaded in the fork');
+    assert.false(store.cache.isEmpty(user3), 'the record is still loaded in the parent');
+
+    await store.merge(fork);
+
+    assert.true(store.cache.isEmpty(user3), 'the unload was merged');
+    assert.strictEqual(store.peekRecord(user3), null, 'the parent record was unloaded');
+
+    fork.destroy();
+  });
+
+  test('destroying a fork discards its changes', async function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    const identifier = setupStore(store);
+    const record = store.peekRecord(identifier) as FakeRecord;
+
+    const fork = await store.fork();
+    fork.peekRecord(identifier);
+    fork._join(() => {
+      fork.cache.setAttr(identifier, 'name', 'James');
+      fork.cache.setIsDeleted(identifier, true);
+    });
+    fork.destroy();
+
+    assert.strictEqual(record.name, 'Chris', 'the parent record is untouched');
+    assert.false(store.cache.isDeleted(identifier), 'the parent state is untouched');
+    assert.strictEqual(store.peekRecord(identifier), record, 'the parent record is still available');
+    assert.strictEqual(store.cache.getAttr(identifier, 'name'), 'Chris', 'the parent cache is untouched');
+  });
+});
@@ -0,0 +1,309 @@
+import { module, test } from 'qunit';
+
+import { setupTest } from 'ember-qunit';
+
+import { MemoryCacheStorage, PersistedCache } from '@ember-data/json-api';
+import type { PersistedCacheOptions, PersistedEntry } from '@ember-data/json-api/-private/persisted-cache';
+import Store from '@ember-data/store';
+import type { StructuredDataDocument, StructuredDocument } from '@ember-data/types/cache/document';
+import type { CacheStoreWrapper } from '@ember-data/types/q/cache-store-wrapper';
+import type { CollectionResourceDocument } from '@ember-data/types/q/ember-data-json-api';
+import type { StableRecordIdentifier } from '@ember-data/types/q/identifier';
+import type { JsonApiResource } from '@ember-data/types/q/record-data-json-api';
+import type { AttributesSchema, RelationshipsSchema } from '@ember-data/types/q/record-data-schemas';
+
+type FakeRecord = { [key: string]: unknown };
+class TestStore extends Store {
+  declare cacheOptions: PersistedCacheOptions;
+  declare persistedCache: PersistedCache;
+
+  createCache(wrapper: CacheStoreWrapper) {
+    this.persistedCache = new PersistedCache(wrapper, this.cacheOptions);
+    return this.persistedCache;
+  }
+
+  instantiateRecord(identifier: StableRecordIdentifier) {
+    const { id, lid, type } = identifier;
+    const record: FakeRecord = { id, lid, type };
+    Object.assign(record, (this.cache.peek(identifier) as JsonApiResource).attributes);
+    return record;
+  }
+
+  teardownRecord() {}
+}
+
+class RecordingStorage extends MemoryCacheStorage {
+  declare writes: string[][];
+
+  constructor() {
+    super();
+    this.writes = [];
+  }
+
+  put(entries: PersistedEntry[]): Promise<void> {
+    this.writes.push(entries.map((entry) => entry.key));
+    return super.put(entries);
+  }
+}
+
+type Schemas<T extends string> = Record<T, { attributes: AttributesSchema; relationships: RelationshipsSchema }>;
+class TestSchema<T extends string> {
+  declare schemas: Schemas<T>;
+  constructor(schemas: Schemas<T>) {
+    this.schemas = schemas;
+  }
+
+  attributesDefinitionFor(identifier: { type: T }): AttributesSchema {
+    return this.schemas[identifier.type]?.attributes || {};
+  }
+
+  relationshipsDefinitionFor(identifier: { type: T }): RelationshipsSchema {
+    return this.schemas[identifier.type]?.relationships || {};
+  }
+
+  doesTypeExist(type: string) {
+    return type === 'user';
+  }
+}
+
+function setupStore(owner: { lookup(name: string): unknown }, name: string, options: PersistedCacheOptions) {
+  const store = owner.lookup(`service:${name}`) as TestStore;
+  store.cacheOptions = options;
+  store.registerSchemaDefinitionService(
+    new TestSchema<'user'>({
+      user: {
+        attributes: {
+          name: { kind: 'attribute', name: 'name' },
+        },
+        relationships: {
+          bestFriend: {
+            kind: 'belongsTo',
+            type: 'user',
+            key: 'bestFriend',
+            name: 'bestFriend',
+            options: {
+              async: false,
+              inverse: 'bestFriend',
+            },
+          },
+        },
+      },
+    })
+  );
+  return store;
+}
+
+function putUsers(store: Store, url: string, users: JsonApiResource[]) {
+  store._run(() => {
+    store.cache.put({
+      request: { url, method: 'GET' },
+      content: { data: users },
+    } as unknown as StructuredDocument<CollectionResourceDocument>);
+  });
+}
+
+function cacheFor(store: TestStore): PersistedCache {
+  // the cache is created on first access
+  return store.cache && store.persistedCache;
+}
+
+async function storedKeys(storage: MemoryCacheStorage): Promise<string[]> {
+  return (await storage.getAll()).map((entry) => entry.key).sort();
+}
+
+module('Integration | @ember-data/json-api PersistedCache', function (hooks) {
+  setupTest(hooks);
+
+  hooks.beforeEach(function () {
+    this.owner.register('service:store', TestStore);
+    this.owner.register('service:other-store', TestStore);
+  });
+
+  test('resources and documents are restored into a fresh store', async function (assert) {
+    const storage = new MemoryCacheStorage();
+    const store = setupStore(this.owner, 'store', { storage });
+    await cacheFor(store).restored;
+    putUsers(store, '/api/v1/users', [
+      {
+        type: 'user',
+        id: '1',
+        attributes: { name: 'Chris' },
+        relationships: { bestFriend: { data: { type: 'user', id: '2' } } },
+      },
+      { type: 'user', id: '2', attributes: { name: 'Wesley' } },
+    ]);
+    await cacheFor(store).persist();
+
+    const otherStore = setupStore(this.owner, 'other-store', { storage });
+    await cacheFor(otherStore).restored;
+
+    const user1 = otherStore.identifierCache.peekRecordIdentifier({ type: 'user', id: '1' })!;
+    const user2 = otherStore.identifierCache.peekRecordIdentifier({ type: 'user', id: '2' })!;
+    assert.strictEqual(otherStore.cache.getAttr(user1, 'name'), 'Chris', 'the resource was restored');
+    assert.strictEqual(otherStore.cache.getRelationship(user1, 'bestFriend').data, user2, 'relationship restored');
+
+    const doc = otherStore.cache.peekRequest({ lid: '/api/v1/users' }) as StructuredDataDocument<unknown>;
+    assert.deepEqual(doc.content, { lid: '/api/v1/users', data: [user1, user2] }, 'the document was restored');
+  });
+
+  test('documents are persisted under their cache key', async function (assert) {
+    const storage = new MemoryCacheStorage();
+    const store = setupStore(this.owner, 'store', { storage });
+    await cacheFor(store).restored;
+    store._run(() => {
+      store.cache.put({
+        request: { url: '/api/v1/users/me', method: 'GET', cacheOptions: { key: 'current-user' } },
+        content: { data: { type: 'user', id: '1', attributes: { name: 'Chris' } } },
+      } as unknown as StructuredDocument<CollectionResourceDocument>);
+    });
+    await cacheFor(store).persist();
+
+    const otherStore = setupStore(this.owner, 'other-store', { storage });
+    await cacheFor(otherStore).restored;
+
+    assert.ok(otherStore.cache.peekRequest({ lid: 'current-user' }), 'the document was restored under its key');
+    assert.strictEqual(otherStore.cache.peekRequest({ lid: '/api/v1/users/me' }), null, 'not under its url');
+  });
+
+  test('a failure to restore leaves the cache empty and rejects restored', async function (assert) {
+    const storage = new MemoryCacheStorage();
+    storage.getAll = () => Promise.reject(new Error('Storage Unavailable'));
+    const store = setupStore(this.owner, 'store', { storage });
+
+    await assert.rejects(cacheFor(store).restored, /Storage Unavailable/, 'restored rejects with the error');
+
+    putUsers(store, '/api/v1/users', [{ type: 'user', id: '1', attributes: { name: 'Chris' } }]);
+    await cacheFor(store).persist();
+    const user1 = store.identifierCache.peekRecordIdentifier({ type: 'user', id: '1' })!;
+    assert.strictEqual(store.cache.getAttr(user1, 'name'), 'Chris', 'the cache is usable');
+    assert.deepEqual(
+      [...storage._entries.keys()].sort(),
+      ['document:/api/v1/users', `resource:${user1.lid}`],
+      'new entries are persisted'
+    );
+  });
+
+  test('a failure to remove discarded entries is reported and does not fail the restore', async function (assert) {
+    const storage = new MemoryCacheStorage();
+    const store = setupStore(this.owner, 'store', { storage });
+    await cacheFor(store).restored;
+    putUsers(store, '/api/v1/users', [{ type: 'user', id: '1', attributes: { name: 'Chris' } }]);
+    await cacheFor(store).persist();
+
+    const errors: unknown[] = [];
+    storage.delete = () => Promise.reject(new Error('Storage Unavailable'));
+    const otherStore = setupStore(this.owner, 'other-store', {
+      storage,
+      maxEntries: 1,
+      onStorageError: (error) => errors.push(error),
+    });
+    await cacheFor(otherStore).restored;
+
+    const user1 = otherStore.identifierCache.peekRecordIdentifier({ type: 'user', id: '1' })!;
+    assert.strictEqual(otherStore.cache.getAttr(user1, 'name'), 'Chris', 'the cache was restored');
+    assert.deepEqual(
+      errors.map((error) => (error as Error).message),
+      ['Storage Unavailable'],
+      'the failure to remove the evicted entry is reported'
+    );
+  });
+
+  test('a failure to write changes is reported', async function (assert) {
+    const errors: unknown[] = [];
+    const storage = new MemoryCacheStorage();
+    storage.put = () => Promise.reject(new Error('QuotaExceededError'));
+    const store = setupStore(this.owner, 'store', { storage, onStorageError: (error) => errors.push(error) });
+    await cacheFor(store).restored;
+
+    putUsers(store, '/api/v1/users', [{ type: 'user', id: '1', attributes: { name: 'Chris' } }]);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    const user1 = store.identifierCache.peekRecordIdentifier({ type: 'user', id: '1' })!;
+    assert.strictEqual(store.cache.getAttr(user1, 'name'), 'Chris', 'the in-memory state is not affected');
+    assert.deepEqual(
+      errors.map((error) => (error as Error).message),
+      ['QuotaExceededError'],
+      'the failure to write is reported'
+    );
+  });
+
+  test('only changed entries are written', async function (assert) {
+    const storage = new RecordingStorage();
+    const store = setupStore(this.owner, 'store', { storage });
+    await cacheFor(store).restored;
+    putUsers(store, '/api/v1/users', [
+      { type: 'user', id: '1', attributes: { name: 'Chris' } },
+      { type: 'user', id: '2', attributes: { name: 'Wesley' } },
+    ]);
+    await cacheFor(store).persist();
+    const user1 = store.identifierCache.peekRecordIdentifier({ type: 'user', id: '1' })!;
+
+    store._run(() => {
+      store.cache.upsert(user1, { type: 'user', id: '1', attributes: { name: 'James' } }, true);
+    });
+    await cacheFor(store).persist();
+
+    assert.strictEqual(storage.writes.length, 2, 'changes are written in batches');
+    assert.deepEqual(storage.writes[1], [`resource:${user1.lid}`], 'only the updated resource was written');
+    const entry = (await storage.getAll()).find((e) => e.key === `resource:${user1.lid}`)!;
+    assert.strictEqual(
+      (entry.chunk as { resource: JsonApiResource }).resource.attributes!.name,
+      'James',
+      'the update was persisted'
+    );
+  });
+
+  test('entries older than the ttl are discarded', async function (assert) {
+    const storage = new MemoryCacheStorage();
+    const store = setupStore(this.owner, 'store', { storage });
+    await cacheFor(store).restored;
+    putUsers(store, '/api/v1/users', [{ type: 'user', id: '1', attributes: { name: 'Chris' } }]);
+    await cacheFor(store).persist();
+
+    const entries = await storage.getAll();
+    entries.forEach((entry) => (entry.updatedAt -= 120_000));
+    await storage.put(entries);
+
+    const otherStore = setupStore(this.owner, 'other-store', { storage, ttl: 60_000 });
+    await cacheFor(otherStore).restored;
+
+    assert.strictEqual(
+      otherStore.identifierCache.peekRecordIdentifier({ type: 'user', id: '1' }),
+      undefined,
+      'the expired resource was not restored'
+    );
+    assert.strictEqual(otherStore.cache.peekRequest({ lid: '/api/v1/users' }), null, 'the document was not restored');
+    assert.deepEqual(await storedKeys(storage), [], 'the expired entries were removed from storage');
+  });
+
+  test('the least recently used entries are evicted beyond maxEntries', async function (assert) {
+    const storage = new MemoryCacheStorage();
+    const store = setupStore(this.owner, 'store', { storage, maxEntries: 4 });
+    await cacheFor(store).restored;
+    putUsers(store, '/api/v1/users/1', [{ type: 'user', id: '1', attributes: { name: 'Chris' } }]);
+    await cacheFor(store).persist();
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    putUsers(store, '/api/v1/users/2', [{ type: 'user', id: '2', attributes: { name: 'Wesley' } }]);
+    await cacheFor(store).persist();
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    // reading the first document makes the second the least recently used
+    store.cache.peekRequest({ lid: '/api/v1/users/1' });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    putUsers(store, '/api/v1/users/3', [{ type: 'user', id: '3', attributes: { name: 'Rebecca' } }]);
+    await cacheFor(store).persist();
+
+    const user1 = store.identifierCache.peekRecordIdentifier({ type: 'user', id: '1' })!;
+    const user3 = store.identifierCache.peekRecordIdentifier({ type: 'user', id: '3' })!;
+    assert.deepEqual(
+      await storedKeys(storage),
+      ['document:/api/v1/users/1', 'document:/api/v1/users/3', `resource:${user1.lid}`, `resource:${user3.lid}`].sort(),
+      'the least recently used entries were evicted'
+    );
+    assert.strictEqual(
+      store.cache.getAttr(store.identifierCache.peekRecordIdentifier({ type: 'user', id: '2' })!, 'name'),
+      'Wesley',
+      'evicted entries remain in memory'
+    );
+  });
+});
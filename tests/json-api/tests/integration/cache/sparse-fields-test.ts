@@ -0,0 +1,192 @@
+import { module, test } from 'qunit';
+
+import { setupTest } from 'ember-qunit';
+
+import Cache from '@ember-data/json-api';
+import RequestManager from '@ember-data/request';
+import type { Context } from '@ember-data/request/-private/context';
+import type { Future, Handler } from '@ember-data/request/-private/types';
+import Store from '@ember-data/store';
+import { getNeededFields } from '@ember-data/store/-private';
+import type { StructuredDocument } from '@ember-data/types/cache/document';
+import type { CacheStoreWrapper } from '@ember-data/types/q/cache-store-wrapper';
+import type { JsonApiDocument } from '@ember-data/types/q/ember-data-json-api';
+import type { StableRecordIdentifier } from '@ember-data/types/q/identifier';
+import type { JsonApiResource } from '@ember-data/types/q/record-data-json-api';
+import type { AttributesSchema, RelationshipsSchema } from '@ember-data/types/q/record-data-schemas';
+
+type FakeRecord = { [key: string]: unknown };
+class TestStore extends Store {
+  declare requests: string[];
+
+  constructor(args: Record<string, unknown>) {
+    super(args);
+    const requests: string[] = (this.requests = []);
+    const handler: Handler = {
+      // @ts-expect-error
+      async request<T>(context: Context): Promise<T> | Future<T> {
+        await Promise.resolve();
+        requests.push(context.request.url as string);
+        return { data: { type: 'user', id: '1', attributes: { name: 'Chris', email: 'chris@example.com' } } } as T;
+      },
+    };
+    this.requestManager = new RequestManager();
+    this.requestManager.use([handler]);
+  }
+
+  createCache(wrapper: CacheStoreWrapper) {
+    return new Cache(wrapper);
+  }
+
+  instantiateRecord(identifier: StableRecordIdentifier) {
+    const { id, lid, type } = identifier;
+    const record: FakeRecord = { id, lid, type };
+    Object.assign(record, (this.cache.peek(identifier) as JsonApiResource).attributes);
+    return record;
+  }
+
+  teardownRecord() {}
+}
+
+type Schemas<T extends string> = Record<T, { attributes: AttributesSchema; relationships: RelationshipsSchema }>;
+class TestSchema<T extends string> {
+  declare schemas: Schemas<T>;
+  constructor(schemas: Schemas<T>) {
+    this.schemas = schemas;
+  }
+
+  attributesDefinitionFor(identifier: { type: T }): AttributesSchema {
+    return this.schemas[identifier.type]?.attributes || {};
+  }
+
+  relationshipsDefinitionFor(identifier: { type: T }): RelationshipsSchema {
+    return this.schemas[identifier.type]?.relationships || {};
+  }
+
+  doesTypeExist(type: string) {
+    return type === 'user' || type === 'pet';
+  }
+}
+
+function setupStore(owner: { lookup(name: string): unknown }, name = 'store') {
+  const store = owner.lookup(`service:${name}`) as TestStore;
+  store.registerSchemaDefinitionService(
+    new TestSchema<'user' | 'pet'>({
+      user: {
+        attributes: {
+          name: { kind: 'attribute', name: 'name' },
+          email: { kind: 'attribute', name: 'email' },
+        },
+        relationships: {},
+      },
+      pet: {
+        attributes: {
+          name: { kind: 'attribute', name: 'name' },
+        },
+        relationships: {},
+      },
+    })
+  );
+  return store;
+}
+
+function put(store: Store, url: string | null, content: JsonApiDocument) {
+  store._run(() => {
+    store.cache.put({ request: url ? { url } : undefined, content } as unknown as StructuredDocument<JsonApiDocument>);
+  });
+}
+
+module('Integration | @ember-data/json-api Cache sparse fieldsets', function (hooks) {
+  setupTest(hooks);
+
+  hooks.beforeEach(function () {
+    this.owner.register('service:store', TestStore);
+    this.owner.register('service:other-store', TestStore);
+  });
+
+  test('only the fields of a sparse fieldset are loaded', function (assert) {
+    const store = setupStore(this.owner);
+    put(store, '/users/1?fields[user]=name&include=pets', {
+      data: { type: 'user', id: '1', attributes: { name: 'Chris' } },
+      included: [{ type: 'pet', id: '1', attributes: { name: 'Shen' } }],
+    });
+    const user = store.identifierCache.peekRecordIdentifier({ type: 'user', id: '1' })!;
+    const pet = store.identifierCache.peekRecordIdentifier({ type: 'pet', id: '1' })!;
+
+    assert.true(store.cache.isFieldLoaded!(user, 'name'), 'the requested field is loaded');
+    assert.false(store.cache.isFieldLoaded!(user, 'email'), 'other fields are not loaded');
+    assert.true(store.cache.isFieldLoaded!(pet, 'name'), 'types without a sparse fieldset are fully loaded');
+    assert.false(
+      store.cache.isFieldLoaded!(store.identifierCache.getOrCreateRecordIdentifier({ type: 'pet', id: '2' }), 'name'),
+      'fields of resources which are not loaded are not loaded'
+    );
+  });
+
+  test('later responses load the missing fields', function (assert) {
+    const store = setupStore(this.owner);
+    put(store, '/users/1?fields[user]=name', { data: { type: 'user', id: '1', attributes: { name: 'Chris' } } });
+    const user = store.identifierCache.peekRecordIdentifier({ type: 'user', id: '1' })!;
+
+    put(store, '/users/1?fields%5Buser%5D=email', {
+      data: { type: 'user', id: '1', attributes: { email: 'chris@example.com' } },
+    });
+    assert.true(store.cache.isFieldLoaded!(user, 'name'), 'previously loaded fields remain loaded');
+    assert.true(store.cache.isFieldLoaded!(user, 'email'), 'the newly requested field is loaded');
+    assert.false(store.cache.isFieldLoaded!(user, 'nickname'), 'fields which were never requested are not loaded');
+
+    put(store, null, { data: { type: 'user', id: '1', attributes: { name: 'Chris' } } });
+    assert.true(store.cache.isFieldLoaded!(user, 'nickname'), 'a response without a sparse fieldset loads all fields');
+
+    put(store, '/users/1?fields[user]=name', { data: { type: 'user', id: '1', attributes: { name: 'Chris' } } });
+    assert.true(store.cache.isFieldLoaded!(user, 'email'), 'a fully loaded resource remains fully loaded');
+  });
+
+  test('the loaded fields are retained by dump and hydrate', async function (assert) {
+    const store = setupStore(this.owner);
+    put(store, '/users/1?fields[user]=name', { data: { type: 'user', id: '1', attributes: { name: 'Chris' } } });
+
+    const otherStore = setupStore(this.owner, 'other-store');
+    await otherStore.cache.hydrate(await store.cache.dump());
+    const user = otherStore.identifierCache.peekRecordIdentifier({ type: 'user', id: '1' })!;
+
+    assert.true(otherStore.cache.isFieldLoaded!(user, 'name'), 'the loaded field was restored');
+    assert.false(otherStore.cache.isFieldLoaded!(user, 'email'), 'the unloaded field remains unloaded');
+  });
+
+  test('a cached response is a miss when the request needs fields which are not loaded', async function (assert) {
+    const store = setupStore(this.owner);
+    const cacheOptions = { key: 'user:1' };
+
+    await store.request({ url: '/users/1?fields[user]=name', method: 'GET', cacheOptions });
+    await store.request({ url: '/users/1?fields[user]=name', method: 'GET', cacheOptions });
+    assert.deepEqual(store.requests, ['/users/1?fields[user]=name'], 'the loaded fields are a cache hit');
+
+    await store.request({ url: '/users/1', method: 'GET', cacheOptions });
+    assert.deepEqual(
+      store.requests,
+      ['/users/1?fields[user]=name', '/users/1'],
+      'a request for all fields is a cache miss'
+    );
+
+    await store.request({ url: '/users/1?fields[user]=name', method: 'GET', cacheOptions });
+    assert.strictEqual(store.requests.length, 2, 'fully loaded resources are a cache hit');
+  });
+
+  test('the fields a request needs are looked up in the schema once per type', function (assert) {
+    const store = setupStore(this.owner);
+    const schema = store.getSchemaDefinitionService();
+    const types: string[] = [];
+    // eslint-disable-next-line @typescript-eslint/unbound-method
+    const attributesDefinitionFor = schema.attributesDefinitionFor;
+    schema.attributesDefinitionFor = (identifier) => {
+      types.push(identifier.type);
+      return attributesDefinitionFor.call(schema, identifier);
+    };
+
+    const needed = getNeededFields(store, { pet: ['name'] });
+    assert.deepEqual(needed('user'), ['name', 'email'], 'types without a sparse fieldset need every field');
+    assert.deepEqual(needed('user'), ['name', 'email'], 'the fields are reused');
+    assert.deepEqual(needed('pet'), ['name'], 'types with a sparse fieldset need its fields');
+    assert.deepEqual(types, ['user'], 'the schema was consulted once');
+  });
+});
@@ -0,0 +1,191 @@
+import type { TestContext } from '@ember/test-helpers';
+
+import { module, test } from 'qunit';
+
+import { setupTest } from 'ember-qunit';
+
+import Cache from '@ember-data/json-api';
+import {
+  buildBaseURL,
+  createRecord,
+  deleteRecord,
+  findRecord,
+  query,
+  setBuildURLConfig,
+  updateRecord,
+} from '@ember-data/json-api/request';
+import Store, { recordIdentifierFor } from '@ember-data/store';
+import type { CacheStoreWrapper } from '@ember-data/types/q/cache-store-wrapper';
+import type { StableRecordIdentifier } from '@ember-data/types/q/identifier';
+import type { AttributesSchema, RelationshipsSchema } from '@ember-data/types/q/record-data-schemas';
+import testInDebug from '@ember-data/unpublished-test-infra/test-support/test-in-debug';
+
+class TestStore extends Store {
+  createCache(wrapper: CacheStoreWrapper) {
+    return new Cache(wrapper);
+  }
+
+  instantiateRecord(identifier: StableRecordIdentifier) {
+    const { id, lid, type } = identifier;
+    return { id, lid, type };
+  }
+
+  teardownRecord() {}
+}
+
+const UserSchema = {
+  attributesDefinitionFor(): AttributesSchema {
+    return {
+      name: { kind: 'attribute', name: 'name' },
+      email: { kind: 'attribute', name: 'email' },
+    } as unknown as AttributesSchema;
+  },
+  relationshipsDefinitionFor(): RelationshipsSchema {
+    return {};
+  },
+  doesTypeExist(type: string) {
+    return type === 'user';
+  },
+};
+
+module('Integration | @ember-data/json-api/request builders', function (hooks) {
+  setupTest(hooks);
+
+  hooks.beforeEach(function () {
+    this.owner.register('service:store', TestStore);
+  });
+
+  hooks.afterEach(function () {
+    setBuildURLConfig({ host: '', namespace: '', pathForType: undefined, plurals: undefined });
+  });
+
+  test('urls are built from the shared config', function (assert) {
+    assert.strictEqual(buildBaseURL('user'), '/users', 'no host or namespace');
+    assert.strictEqual(buildBaseURL('company', '1'), '/companies/1', 'types are pluralized');
+
+    setBuildURLConfig({ host: 'https://api.example.com/', namespace: '/api/v1', plurals: { person: 'people' } });
+
+    assert.strictEqual(buildBaseURL('person', '1'), 'https://api.example.com/api/v1/people/1', 'config is used');
+    assert.strictEqual(
+      buildBaseURL('person', '1', { host: '', namespace: 'v2', resourcePath: 'humans' }),
+      '/v2/humans/1',
+      'options override the config'
+    );
+
+    setBuildURLConfig({ host: null, namespace: null, pathForType: (type) => `${type}-list` });
+    assert.strictEqual(buildBaseURL('user', 'a b'), '/user-list/a%20b', 'pathForType is used and ids are encoded');
+  });
+
+  test('findRecord', function (assert) {
+    const request = findRecord('user', '1', { include: ['friends', 'pets'], reload: true });
+
+    assert.strictEqual(request.url, '/users/1?include=friends,pets', 'url is correct');
+    assert.strictEqual(request.method, 'GET', 'method is correct');
+    assert.strictEqual(request.op, 'findRecord', 'op is correct');
+    assert.strictEqual(request.headers?.get('accept'), 'application/vnd.api+json', 'headers are correct');
+    assert.deepEqual(request.cacheOptions, { reload: true }, 'cacheOptions are correct');
+
+    assert.strictEqual(findRecord({ type: 'user', id: '2' }).url, '/users/2', 'an identifier may be given');
+    assert.strictEqual(findRecord({ type: 'user', id: '2' }).cacheOptions, undefined, 'no cacheOptions by default');
+  });
+
+  test('query', function (assert) {
+    const request = query('user', { page: { size: 10, offset: 0 }, filter: { name: 'Chris' }, include: 'friends' });
+
+    assert.strictEqual(
+      request.url,
+      '/users?filter%5Bname%5D=Chris&include=friends&page%5Boffset%5D=0&page%5Bsize%5D=10',
+      'params are serialized with sorted keys'
+    );
+    assert.strictEqual(request.method, 'GET', 'method is correct');
+    assert.strictEqual(request.op, 'query', 'op is correct');
+    assert.strictEqual(query('user').url, '/users', 'params are optional');
+  });
+
+  test('sparse fieldsets', function (assert) {
+    assert.strictEqual(
+      findRecord('user', '1', { fields: { user: ['name', 'pets'], pet: 'name' } }).url,
+      '/users/1?fields%5Bpet%5D=name&fields%5Buser%5D=name,pets',
+      'findRecord passes fields through'
+    );
+    assert.strictEqual(
+      query('user', { include: 'pets' }, { fields: { user: ['name'] } }).url,
+      '/users?fields%5Buser%5D=name&include=pets',
+      'query passes fields through'
+    );
+  });
+
+  test('createRecord, updateRecord and deleteRecord', function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    store.registerSchemaDefinitionService(UserSchema);
+    const newIdentifier = store.identifierCache.createIdentifierForNewRecord({ type: 'user' });
+    store.cache.clientDidCreate(newIdentifier, { name: 'Chris' });
+    const identifier = store.identifierCache.getOrCreateRecordIdentifier({ type: 'user', id: '1' });
+    store.cache.upsert(
+      identifier,
+      { type: 'user', id: '1', attributes: { name: 'Chris', email: 'c@example.com' } },
+      false
+    );
+    store.cache.setAttr(identifier, 'name', 'James');
+
+    const create = createRecord(newIdentifier, { store });
+    assert.strictEqual(create.url, '/users', 'create url is correct');
+    assert.strictEqual(create.method, 'POST', 'create method is correct');
+    assert.strictEqual(create.op, 'createRecord', 'create op is correct');
+    assert.deepEqual(create.records, [newIdentifier], 'create records are correct');
+    assert.strictEqual(create.headers?.get('content-type'), 'application/vnd.api+json', 'create headers are correct');
+    assert.deepEqual(
+      create.data,
+      { data: { type: 'user', lid: newIdentifier.lid, attributes: { name: 'Chris' }, relationships: {} } },
+      'create data is the serialized record'
+    );
+
+    const update = updateRecord(identifier, { store });
+    assert.strictEqual(update.url, '/users/1', 'update url is correct');
+    assert.strictEqual(update.method, 'PATCH', 'update method is correct');
+    assert.strictEqual(update.op, 'updateRecord', 'update op is correct');
+    assert.deepEqual(update.records, [identifier], 'update records are correct');
+    assert.deepEqual(
+      update.data,
+      { data: { type: 'user', id: '1', attributes: { name: 'James' }, relationships: {} } },
+      'update data contains the changed attributes'
+    );
+
+    const put = updateRecord(identifier, { store, patch: false });
+    assert.strictEqual(put.method, 'PUT', 'PUT may be used');
+    assert.deepEqual(
+      put.data,
+      { data: { type: 'user', id: '1', attributes: { name: 'James', email: 'c@example.com' }, relationships: {} } },
+      'PUT data contains every attribute'
+    );
+
+    const remove = deleteRecord(identifier);
+    assert.strictEqual(remove.url, '/users/1', 'delete url is correct');
+    assert.strictEqual(remove.method, 'DELETE', 'delete method is correct');
+    assert.strictEqual(remove.op, 'deleteRecord', 'delete op is correct');
+    assert.deepEqual(remove.records, [identifier], 'delete records are correct');
+  });
+
+  test('createRecord and updateRecord serialize a record from the cache of its store', function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    store.registerSchemaDefinitionService(UserSchema);
+    const record = store.push({ data: { type: 'user', id: '1', attributes: { name: 'Chris' } } });
+    const identifier = recordIdentifierFor(record);
+    store.cache.setAttr(identifier, 'name', 'James');
+
+    assert.deepEqual(
+      updateRecord(record).data,
+      { data: { type: 'user', id: '1', attributes: { name: 'James' }, relationships: {} } },
+      'the store is found from the record'
+    );
+  });
+
+  testInDebug('identifiers need the store to be given', async function (this: TestContext, assert: Assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    const identifier = store.identifierCache.getOrCreateRecordIdentifier({ type: 'user', id: '1' });
+
+    await assert.expectAssertion(() => {
+      updateRecord(identifier);
+    }, /Expected the store of the record to be given via 'options.store'/);
+  });
+});
@@ -0,0 +1,116 @@
+import { module, test } from 'qunit';
+
+import { setupTest } from 'ember-qunit';
+
+import Model, { attr } from '@ember-data/model';
+import RequestManager from '@ember-data/request';
+import type { Context } from '@ember-data/request/-private/context';
+import type { Future, Handler } from '@ember-data/request/-private/types';
+import Store from '@ember-data/store';
+import type { Collection } from '@ember-data/store/-private/record-arrays/identifier-array';
+
+class User extends Model {
+  @attr declare name: string;
+}
+type UserRecord = Model & { name: string };
+
+function pageFor(page: number) {
+  const links: Record<string, string | null> = {
+    self: `/users?page=${page}`,
+    first: '/users?page=1',
+    last: '/users?page=3',
+    prev: page > 1 ? `/users?page=${page - 1}` : null,
+    next: page < 3 ? `/users?page=${page + 1}` : null,
+  };
+  return {
+    data: [{ type: 'user', id: String(page), attributes: { name: `User ${page}` } }],
+    links,
+    meta: { page },
+  };
+}
+
+class TestStore extends Store {
+  declare requests: Context['request'][];
+
+  constructor(args: Record<string, unknown>) {
+    super(args);
+    const requests: Context['request'][] = (this.requests = []);
+    const handler: Handler = {
+      // @ts-expect-error
+      async request<T>(context: Context): Promise<T> | Future<T> {
+        requests.push(context.request);
+        await Promise.resolve();
+        const page = Number(/page=(\d+)/.exec(context.request.url!)![1]);
+        return pageFor(page) as T;
+      },
+    };
+    this.requestManager = new RequestManager();
+    this.requestManager.use([handler]);
+  }
+}
+
+function namesOf(collection: Collection) {
+  return collection.map((record) => (record as unknown as UserRecord).name);
+}
+
+module('Integration | Record Arrays | Collection pagination', function (hooks) {
+  setupTest(hooks);
+
+  hooks.beforeEach(function () {
+    this.owner.register('model:user', User);
+    this.owner.register('service:store', TestStore);
+  });
+
+  test('next, prev, first and last load the linked pages', async function (assert) {
+    const store = this.owner.lookup('service:store') as TestStore;
+    const headers = new Headers([['Accept', 'application/vnd.api+json']]) as never;
+    const { content: page2 } = await store.request<Collection>({ url: '/users?page=2', method: 'GET', headers });
+
+    const page3 = await page2.next();
+    assert.deepEqual(namesOf(page3!), ['User 3'], 'next loads the next page');
+    assert.strictEqual(store.requests[1].headers?.get('accept'), 'application/vnd.api+json', 'headers are reused');
+    assert.strictEqual(await page3!.next(), null, 'there is no page after the last page');
+
+    const page1 = await page2.prev();
+    assert.deepEqual(namesOf(page1!), ['User 1'], 'prev loads the previous page');
+    assert.deepEqual(page1!.meta, { page: 1 }, 'the page has its own meta');
+
+    assert.deepEqual(namesOf((await page3!.first())!), ['User 1'], 'first loads the first page');
+    assert.deepEqual(namesOf((await page1!.last())!), ['User 3'], 'last loads the last page');
+    assert.deepEqual(namesOf(page2), ['User 2'], 'the original page is unchanged');
+  });
+
+  test('concurrent calls share the same request', async function (assert) {
+    const store = this.owner.lookup('service:store') as TestStore;
+    const { content: page1 } = await store.request<Collection>({ url: '/users?page=1', method: 'GET' });
+
+    const first = page1.next();
+    const second = page1.next();
+    assert.true(page1.isLoading, 'the collection is loading');
+    assert.strictEqual(first, second, 'the same promise is returned');
+
+    await first;
+    assert.false(page1.isLoading, 'the collection is no longer loading');
+    assert.strictEqual(store.requests.length, 2, 'only one request was made for the next page');
+  });
+
+  test('an infinite collection accumulates the pages it loads', async function (assert) {
+    const store = this.owner.lookup('service:store') as TestStore;
+    const { content: page2 } = await store.request<Collection>({ url: '/users?page=2', method: 'GET' });
+    const feed = page2.infinite();
+
+    assert.deepEqual(namesOf(feed), ['User 2'], 'the infinite collection starts with the page');
+
+    const loading = feed.next();
+    assert.true(feed.isLoading, 'the infinite collection is loading');
+    assert.strictEqual(await loading, feed, 'the infinite collection is returned');
+    assert.false(feed.isLoading, 'the infinite collection is no longer loading');
+    assert.deepEqual(namesOf(feed), ['User 2', 'User 3'], 'the next page is appended');
+
+    await feed.prev();
+    assert.deepEqual(namesOf(feed), ['User 1', 'User 2', 'User 3'], 'the previous page is prepended');
+    assert.strictEqual(feed.links?.['next'], null, 'there are no further pages');
+    assert.strictEqual(await feed.next(), null, 'next resolves with null at the end');
+    assert.deepEqual(namesOf(page2), ['User 2'], 'the original page is unchanged');
+  });
+});
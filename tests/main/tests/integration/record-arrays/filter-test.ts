@@ -0,0 +1,109 @@
+import { settled } from '@ember/test-helpers';
+
+import { module, test } from 'qunit';
+
+import { setupTest } from 'ember-qunit';
+
+import Model, { attr } from '@ember-data/model';
+import type Store from '@ember-data/store';
+
+class Person extends Model {
+  @attr declare name: string;
+  @attr declare age: number;
+  @attr declare city: string;
+}
+type PersonRecord = Model & { name: string; age: number; city: string };
+
+function namesOf(array: unknown[]) {
+  return array.map((record) => (record as PersonRecord).name);
+}
+
+module('Integration | Record Arrays | store.filter', function (hooks) {
+  setupTest(hooks);
+
+  hooks.beforeEach(function () {
+    this.owner.register('model:person', Person);
+    const store = this.owner.lookup('service:store') as Store;
+    store.push({
+      data: [
+        { type: 'person', id: '1', attributes: { name: 'Chris', age: 30, city: 'Portland' } },
+        { type: 'person', id: '2', attributes: { name: 'Rebecca', age: 17, city: 'Portland' } },
+        { type: 'person', id: '3', attributes: { name: 'James', age: 45, city: 'Seattle' } },
+      ],
+    });
+  });
+
+  test('it contains the matching records, sorted', function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    const adults = store.filter('person', (person: PersonRecord) => person.age >= 18, { sortBy: 'age:desc' });
+    const everyone = store.filter('person', () => true, { sortBy: ['city', 'name'] });
+
+    assert.deepEqual(namesOf(adults), ['James', 'Chris'], 'the matching records are sorted');
+    assert.deepEqual(namesOf(everyone), ['Chris', 'Rebecca', 'James'], 'records are sorted by many keys');
+  });
+
+  test('it updates as records are added, changed and removed', async function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    const adults = store.filter('person', (person: PersonRecord) => person.age >= 18, { sortBy: 'name' });
+
+    store.push({ data: { type: 'person', id: '4', attributes: { name: 'Alex', age: 21, city: 'Austin' } } });
+    store.createRecord('person', { name: 'Zoe', age: 8 });
+    await settled();
+    assert.deepEqual(namesOf(adults), ['Alex', 'Chris', 'James'], 'new matching records are added');
+
+    const rebecca = store.peekRecord('person', '2') as PersonRecord;
+    rebecca.age = 18;
+    await settled();
+    assert.deepEqual(namesOf(adults), ['Alex', 'Chris', 'James', 'Rebecca'], 'records which now match are added');
+
+    const chris = store.peekRecord('person', '1') as PersonRecord;
+    chris.name = 'Aaron';
+    await settled();
+    assert.deepEqual(namesOf(adults), ['Aaron', 'Alex', 'James', 'Rebecca'], 'the sort is updated');
+
+    (store.peekRecord('person', '3') as PersonRecord).age = 12;
+    store.unloadRecord(store.peekRecord('person', '4')!);
+    await settled();
+    assert.deepEqual(namesOf(adults), ['Aaron', 'Rebecca'], 'records are removed');
+  });
+
+  test('only changes to the fields which were read re-evaluate the predicate', async function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    let calls = 0;
+    const adults = store.filter('person', (person: PersonRecord) => {
+      calls++;
+      return person.age >= 18;
+    });
+    assert.strictEqual(adults.length, 2, 'the array is populated');
+    calls = 0;
+
+    const chris = store.peekRecord('person', '1') as PersonRecord;
+    chris.city = 'Denver';
+    await settled();
+    assert.strictEqual(adults.length, 2, 'the array is unchanged');
+    assert.strictEqual(calls, 0, 'the predicate was not re-run for a field it did not read');
+
+    chris.age = 12;
+    await settled();
+    assert.strictEqual(adults.length, 1, 'the array is updated');
+    assert.strictEqual(calls, 1, 'the predicate was re-run for the changed record');
+  });
+
+  test('a destroyed filter stops updating', async function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    let calls = 0;
+    const adults = store.filter('person', (person: PersonRecord) => {
+      calls++;
+      return person.age >= 18;
+    });
+    adults.destroy();
+    calls = 0;
+
+    (store.peekRecord('person', '1') as PersonRecord).age = 12;
+    store.push({ data: { type: 'person', id: '4', attributes: { name: 'Alex', age: 21 } } });
+    await settled();
+
+    assert.strictEqual(adults.length, 0, 'the array is empty');
+    assert.strictEqual(calls, 0, 'the predicate is no longer run');
+  });
+});
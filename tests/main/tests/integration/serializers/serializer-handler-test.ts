@@ -0,0 +1,159 @@
+import { module, test } from 'qunit';
+
+import { setupTest } from 'ember-qunit';
+
+import { LegacyNetworkHandler, SerializerHandler } from '@ember-data/legacy-compat';
+import Model, { attr, belongsTo } from '@ember-data/model';
+import RequestManager from '@ember-data/request';
+import type { Context } from '@ember-data/request/-private/context';
+import type { Future, Handler } from '@ember-data/request/-private/types';
+import RESTSerializer from '@ember-data/serializer/rest';
+import Store, { recordIdentifierFor } from '@ember-data/store';
+
+class User extends Model {
+  @attr declare name: string;
+  @belongsTo('company', { async: false, inverse: null }) declare company: unknown;
+}
+type UserRecord = Model & { name: string; company: CompanyRecord | null };
+
+class Company extends Model {
+  @attr declare name: string;
+}
+type CompanyRecord = Model & { name: string };
+
+type Responder = (context: Context) => unknown;
+
+class TestStore extends Store {
+  declare responders: Responder[];
+
+  constructor(args: Record<string, unknown>) {
+    super(args);
+    const responders: Responder[] = (this.responders = []);
+    const handler: Handler = {
+      // @ts-expect-error
+      async request<T>(context: Context): Promise<T> | Future<T> {
+        await Promise.resolve();
+        return responders.shift()!(context) as T;
+      },
+    };
+    this.requestManager = new RequestManager();
+    this.requestManager.use([LegacyNetworkHandler, SerializerHandler, handler]);
+  }
+}
+
+module('Integration | Serializers | SerializerHandler', function (hooks) {
+  setupTest(hooks);
+
+  hooks.beforeEach(function () {
+    this.owner.register('model:user', User);
+    this.owner.register('model:company', Company);
+    this.owner.register('serializer:application', RESTSerializer);
+    this.owner.register('service:store', TestStore);
+  });
+
+  test('responses are normalized by the serializer for options.type', async function (assert) {
+    const store = this.owner.lookup('service:store') as TestStore;
+    store.responders.push(() => ({
+      users: [
+        { id: '1', name: 'Chris', company: '1' },
+        { id: '2', name: 'James', company: null },
+      ],
+      companies: [{ id: '1', name: 'Ember' }],
+    }));
+
+    const { content } = await store.request<UserRecord[]>({
+      url: '/api/users',
+      method: 'GET',
+      op: 'query',
+      options: { type: 'user' },
+    });
+
+    assert.deepEqual(
+      content.map((user) => user.name),
+      ['Chris', 'James'],
+      'the primary data was normalized'
+    );
+    assert.strictEqual(content[0].company?.name, 'Ember', 'the sideloaded resources were normalized');
+  });
+
+  test('the primary type and id are taken from the records of the request', async function (assert) {
+    const store = this.owner.lookup('service:store') as TestStore;
+    const user = store.push({
+      data: { type: 'user', id: '1', attributes: { name: 'Chris' } },
+    }) as unknown as UserRecord;
+    user.name = 'James';
+
+    store.responders.push(() => ({ user: { id: '1', name: 'James Thoburn' } }));
+    const { content } = await store.request<UserRecord>({
+      url: '/api/users/1',
+      method: 'PUT',
+      op: 'updateRecord',
+      records: [recordIdentifierFor(user)],
+    });
+
+    assert.strictEqual(content, user, 'we receive the saved record');
+    assert.strictEqual(user.name, 'James Thoburn', 'the normalized response was committed');
+    assert.false(user.hasDirtyAttributes, 'the record is no longer dirty');
+  });
+
+  test('the payload of an invalid response is passed to extractErrors', async function (assert) {
+    class UserSerializer extends RESTSerializer {
+      extractErrors(store: Store, typeClass: unknown, payload: { problems: Record<string, string[]> }) {
+        return payload.problems;
+      }
+    }
+    this.owner.register('serializer:user', UserSerializer);
+    const store = this.owner.lookup('service:store') as TestStore;
+    const user = store.push({
+      data: { type: 'user', id: '1', attributes: { name: 'Chris' } },
+    }) as unknown as UserRecord & { errors: { errorsFor(name: string): { message: string }[] } };
+    user.name = '';
+
+    store.responders.push((context) => {
+      context.setResponse(new Response(null, { status: 422, statusText: 'Unprocessable Entity' }));
+      throw Object.assign(new Error('Invalid'), { content: { problems: { name: ['is required'] } } });
+    });
+
+    try {
+      await store.request({
+        url: '/api/users/1',
+        method: 'PUT',
+        op: 'updateRecord',
+        records: [recordIdentifierFor(user)],
+      });
+      assert.ok(false, 'the request should reject');
+    } catch (e: unknown) {
+      assert.deepEqual(
+        (e as { content: unknown }).content,
+        {
+          errors: [{ title: 'Invalid Attribute', detail: 'is required', source: { pointer: '/data/attributes/name' } }],
+        },
+        'the errors were converted to a JSON:API errors document'
+      );
+    }
+    assert.false(user.isValid, 'the record is invalid');
+    assert.deepEqual(
+      user.errors.errorsFor('name').map((error) => error.message),
+      ['is required'],
+      'the errors were applied to the record'
+    );
+  });
+
+  test('empty responses are not normalized', async function (assert) {
+    const store = this.owner.lookup('service:store') as TestStore;
+    const user = store.push({
+      data: { type: 'user', id: '1', attributes: { name: 'Chris' } },
+    }) as unknown as UserRecord;
+    user.deleteRecord();
+
+    store.responders.push(() => null);
+    await store.request({
+      url: '/api/users/1',
+      method: 'DELETE',
+      op: 'deleteRecord',
+      records: [recordIdentifierFor(user)],
+    });
+    assert.true(user.isDeleted, 'the deletion was committed');
+    assert.false(user.isSaving, 'the record is no longer saving');
+  });
+});
@@ -0,0 +1,200 @@
+import type { TestContext } from '@ember/test-helpers';
+
+import { module, test } from 'qunit';
+
+import { setupTest } from 'ember-qunit';
+
+import Model, { attr, belongsTo, hasMany } from '@ember-data/model';
+import type Store from '@ember-data/store';
+import { subscribeToEventSource, subscribeToWebSocket } from '@ember-data/store';
+import type { MessageSource } from '@ember-data/store/-private/push-operations';
+import testInDebug from '@ember-data/unpublished-test-infra/test-support/test-in-debug';
+
+class Post extends Model {
+  @attr declare title: string;
+  @belongsTo('user', { async: false, inverse: null }) declare author: User | null;
+  @hasMany('comment', { async: false, inverse: 'post' }) declare comments: Comment[];
+}
+
+class Comment extends Model {
+  @attr declare body: string;
+  @belongsTo('post', { async: false, inverse: 'comments' }) declare post: Post | null;
+}
+
+class User extends Model {
+  @attr declare name: string;
+}
+
+module('Integration | Store | applyOperations', function (hooks) {
+  setupTest(hooks);
+
+  hooks.beforeEach(function () {
+    this.owner.register('model:post', Post);
+    this.owner.register('model:comment', Comment);
+    this.owner.register('model:user', User);
+  });
+
+  test('add and update upsert resources', function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    store.push({ data: { type: 'post', id: '1', attributes: { title: 'Hello' } } });
+
+    store.applyOperations([
+      { op: 'add', data: { type: 'post', id: '2', attributes: { title: 'New' } } },
+      { op: 'update', data: { type: 'post', id: '1', attributes: { title: 'Updated' } } },
+    ]);
+
+    assert.strictEqual((store.peekRecord('post', '2') as unknown as Post).title, 'New', 'the resource was added');
+    assert.strictEqual((store.peekRecord('post', '1') as unknown as Post).title, 'Updated', 'the resource was updated');
+  });
+
+  test('update with a relationship ref replaces the relationship', function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    const post = store.push({
+      data: {
+        type: 'post',
+        id: '1',
+        attributes: { title: 'Hello' },
+        relationships: { author: { data: { type: 'user', id: '1' } } },
+      },
+      included: [
+        { type: 'user', id: '1', attributes: { name: 'Chris' } },
+        { type: 'user', id: '2', attributes: { name: 'James' } },
+      ],
+    }) as unknown as Post;
+
+    store.applyOperations([
+      { op: 'update', ref: { type: 'post', id: '1', relationship: 'author' }, data: { type: 'user', id: '2' } },
+      // resources which are not loaded are not updated
+      { op: 'update', ref: { type: 'post', id: '3', relationship: 'author' }, data: null },
+    ]);
+
+    assert.strictEqual(post.author?.name, 'James', 'the relationship was replaced');
+    assert.strictEqual(post.title, 'Hello', 'the attributes are unchanged');
+    assert.strictEqual(store.peekRecord('post', '3'), null, 'the unloaded resource was not created');
+  });
+
+  test('remove unloads the resource and removes it from relationships', function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    const post = store.push({
+      data: {
+        type: 'post',
+        id: '1',
+        attributes: { title: 'Hello' },
+        relationships: {
+          comments: {
+            data: [
+              { type: 'comment', id: '1' },
+              { type: 'comment', id: '2' },
+            ],
+          },
+        },
+      },
+      included: [
+        { type: 'comment', id: '1', attributes: { body: 'First' } },
+        { type: 'comment', id: '2', attributes: { body: 'Second' } },
+      ],
+    }) as unknown as Post;
+    const comments = store.peekAll('comment');
+    assert.strictEqual(comments.length, 2, 'precond - the comments are loaded');
+
+    store.applyOperations([
+      { op: 'remove', ref: { type: 'comment', id: '1' } },
+      { op: 'remove', ref: { type: 'comment', id: '99' } },
+    ]);
+
+    assert.strictEqual(store.peekRecord('comment', '1'), null, 'the resource was unloaded');
+    assert.deepEqual(
+      post.comments.map((comment) => comment.body),
+      ['Second'],
+      'the resource was removed from the relationship'
+    );
+    assert.strictEqual(comments.length, 1, 'the resource was removed from live arrays');
+  });
+
+  testInDebug('remove keeps resources with unsaved changes', async function (this: TestContext, assert: Assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    const user = store.push({ data: { type: 'user', id: '1', attributes: { name: 'Chris' } } }) as unknown as User;
+    user.name = 'James';
+
+    await assert.expectWarning(() => {
+      store.applyOperations([{ op: 'remove', ref: { type: 'user', id: '1' } }]);
+    }, /Skipped removing the user with id '1' as it has unsaved changes/);
+
+    assert.strictEqual(store.peekRecord('user', '1') as unknown as User, user, 'the resource was not unloaded');
+    assert.strictEqual(user.name, 'James', 'the unsaved changes were kept');
+  });
+
+  testInDebug('invalid frames are ignored', async function (this: TestContext, assert: Assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    const socket = new EventTarget() as unknown as MessageSource & EventTarget;
+    const unsubscribe = subscribeToWebSocket(store, socket);
+
+    await assert.expectNoWarning(() => {
+      socket.dispatchEvent(new MessageEvent('message', { data: '' }));
+    });
+
+    await assert.expectWarning(
+      () => {
+        ['not json', 'null', '{}', JSON.stringify([{ op: 'ping' }])].forEach((data) => {
+          socket.dispatchEvent(new MessageEvent('message', { data }));
+        });
+      },
+      { id: 'ember-data:push-operations.invalid-operation', count: 4, until: '5.0' }
+    );
+
+    await assert.expectWarning(() => {
+      socket.dispatchEvent(
+        new MessageEvent('message', {
+          data: JSON.stringify([{ op: 'add', data: { type: 'user', id: '1', attributes: { name: 'Chris' } } }, null]),
+        })
+      );
+    }, /Ignored 1 of the 2 operations received/);
+    assert.strictEqual(
+      (store.peekRecord('user', '1') as unknown as User).name,
+      'Chris',
+      'the valid operations of a frame are applied'
+    );
+
+    unsubscribe();
+  });
+
+  test('operations received over a WebSocket or EventSource are applied', function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    const socket = new EventTarget() as unknown as MessageSource & EventTarget;
+    const source = new EventTarget() as unknown as MessageSource & EventTarget;
+
+    const unsubscribeSocket = subscribeToWebSocket(store, socket);
+    const unsubscribeSource = subscribeToEventSource(store, source, { event: 'changes' });
+
+    socket.dispatchEvent(
+      new MessageEvent('message', {
+        data: JSON.stringify({
+          'atomic:operations': [{ op: 'add', data: { type: 'user', id: '1', attributes: { name: 'Chris' } } }],
+        }),
+      })
+    );
+    assert.strictEqual(
+      (store.peekRecord('user', '1') as unknown as User).name,
+      'Chris',
+      'the WebSocket operations were applied'
+    );
+
+    source.dispatchEvent(
+      new MessageEvent('changes', {
+        data: JSON.stringify([{ op: 'update', data: { type: 'user', id: '1', attributes: { name: 'James' } } }]),
+      })
+    );
+    assert.strictEqual(
+      (store.peekRecord('user', '1') as unknown as User).name,
+      'James',
+      'the EventSource operations were applied'
+    );
+
+    unsubscribeSocket();
+    unsubscribeSource();
+    socket.dispatchEvent(
+      new MessageEvent('message', { data: JSON.stringify({ op: 'remove', ref: { type: 'user', id: '1' } }) })
+    );
+    assert.notStrictEqual(store.peekRecord('user', '1'), null, 'operations are not applied after unsubscribing');
+  });
+});
@@ -0,0 +1,118 @@
+import { module, test } from 'qunit';
+
+import { setupTest } from 'ember-qunit';
+
+import Model, { attr, belongsTo, hasMany } from '@ember-data/model';
+import RequestManager from '@ember-data/request';
+import type { Context } from '@ember-data/request/-private/context';
+import type { Future, Handler } from '@ember-data/request/-private/types';
+import Store from '@ember-data/store';
+
+class Post extends Model {
+  @attr declare title: string;
+  @hasMany('comment', { async: false, inverse: 'post' }) declare comments: unknown;
+}
+
+class Comment extends Model {
+  @attr declare body: string;
+  @belongsTo('post', { async: false, inverse: 'comments' }) declare post: unknown;
+  @belongsTo('user', { async: false, inverse: null }) declare author: unknown;
+}
+
+class User extends Model {
+  @attr declare name: string;
+}
+
+const POST = {
+  data: {
+    type: 'post',
+    id: '1',
+    attributes: { title: 'Hello' },
+    relationships: { comments: { data: [{ type: 'comment', id: '1' }] } },
+  },
+  included: [
+    {
+      type: 'comment',
+      id: '1',
+      attributes: { body: 'First' },
+      relationships: {
+        post: { data: { type: 'post', id: '1' } },
+        author: { data: { type: 'user', id: '1' } },
+      },
+    },
+    { type: 'user', id: '1', attributes: { name: 'Chris' } },
+  ],
+};
+
+class TestStore extends Store {
+  declare requests: string[];
+  declare responses: unknown[];
+
+  constructor(args: Record<string, unknown>) {
+    super(args);
+    const requests: string[] = (this.requests = []);
+    const responses: unknown[] = (this.responses = []);
+    const handler: Handler = {
+      // @ts-expect-error
+      async request<T>(context: Context): Promise<T> | Future<T> {
+        await Promise.resolve();
+        requests.push(context.request.url!);
+        return (responses.shift() || POST) as T;
+      },
+    };
+    this.requestManager = new RequestManager();
+    this.requestManager.use([handler]);
+  }
+}
+
+module('Integration | Store | include aware caching', function (hooks) {
+  setupTest(hooks);
+
+  hooks.beforeEach(function () {
+    this.owner.register('model:post', Post);
+    this.owner.register('model:comment', Comment);
+    this.owner.register('model:user', User);
+    this.owner.register('service:store', TestStore);
+  });
+
+  test('a cached response is a miss once a resource along its include paths is unloaded', async function (assert) {
+    const store = this.owner.lookup('service:store') as TestStore;
+    const url = '/posts/1?include=comments.author';
+
+    await store.request({ url, method: 'GET' });
+    await store.request({ url, method: 'GET' });
+    assert.strictEqual(store.requests.length, 1, 'the included resources are loaded, so the request is a cache hit');
+
+    store.unloadRecord(store.peekRecord('user', '1')!);
+    await store.request({ url, method: 'GET' });
+    assert.strictEqual(store.requests.length, 2, 'the unloaded author is a cache miss');
+    assert.notStrictEqual(store.peekRecord('user', '1'), null, 'the author was loaded again');
+  });
+
+  test('a cached response is a miss when an included relationship was never received', async function (assert) {
+    const store = this.owner.lookup('service:store') as TestStore;
+    const cacheOptions = { key: 'post:1' };
+
+    store.responses.push({
+      data: {
+        type: 'post',
+        id: '1',
+        attributes: { title: 'Hello' },
+        relationships: { comments: { links: { related: '/posts/1/comments' } } },
+      },
+    });
+    await store.request({ url: '/posts/1', method: 'GET', cacheOptions });
+    await store.request({ url: '/posts/1', method: 'GET', cacheOptions });
+    assert.strictEqual(store.requests.length, 1, 'a request without include is a cache hit');
+
+    await store.request({ url: '/posts/1?include=comments', method: 'GET', cacheOptions });
+    assert.deepEqual(
+      store.requests,
+      ['/posts/1', '/posts/1?include=comments'],
+      'the comments were never received, so the request is a cache miss'
+    );
+
+    await store.request({ url: '/posts/1?include=comments.author', method: 'GET', cacheOptions });
+    assert.strictEqual(store.requests.length, 2, 'the included graph is complete, so the request is a cache hit');
+  });
+});
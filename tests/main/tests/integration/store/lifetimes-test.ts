@@ -0,0 +1,179 @@
+import { module, test } from 'qunit';
+
+import { setupTest } from 'ember-qunit';
+
+import Model, { attr } from '@ember-data/model';
+import RequestManager from '@ember-data/request';
+import type { Context } from '@ember-data/request/-private/context';
+import type { Future, Handler } from '@ember-data/request/-private/types';
+import type Store from '@ember-data/store';
+import { DefaultLifetimesService } from '@ember-data/store';
+import type { StructuredDocument } from '@ember-data/types/cache/document';
+import type { SingleResourceDocument } from '@ember-data/types/q/ember-data-json-api';
+
+class User extends Model {
+  @attr declare name: string;
+}
+
+class Post extends Model {
+  @attr declare title: string;
+}
+
+function putDocument(store: Store, url: string, type: string, headers: [string, string][] = []) {
+  store._run(() => {
+    store.cache.put({
+      request: { url, method: 'GET' },
+      response: {
+        ok: true,
+        redirected: false,
+        status: 200,
+        statusText: 'OK',
+        type: 'basic',
+        url,
+        headers: new Headers(headers),
+      },
+      content: {
+        data: { type, id: '1', attributes: {} },
+      },
+    } as unknown as StructuredDocument<SingleResourceDocument>);
+  });
+}
+
+function secondsAgo(seconds: number): string {
+  return new Date(Date.now() - seconds * 1000).toUTCString();
+}
+
+module('Integration | Store | DefaultLifetimesService', function (hooks) {
+  setupTest(hooks);
+
+  hooks.beforeEach(function () {
+    this.owner.register('model:user', User);
+    this.owner.register('model:post', Post);
+  });
+
+  test('requests without a cached document are hard expired', function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    const lifetimes = new DefaultLifetimesService(store, { apiCacheSoftExpires: 60_000, apiCacheHardExpires: 60_000 });
+
+    assert.true(lifetimes.isHardExpired('/users/1', '/users/1', 'GET'), 'hard expired');
+    assert.true(lifetimes.isSoftExpired('/users/1', '/users/1', 'GET'), 'soft expired');
+  });
+
+  test('the default lifetimes apply when no other rule does', function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    putDocument(store, '/users/1', 'user');
+    putDocument(store, '/posts/1', 'post');
+
+    let lifetimes = new DefaultLifetimesService(store, { apiCacheSoftExpires: 0, apiCacheHardExpires: 60_000 });
+    lifetimes.didRequest({ url: '/users/1', method: 'GET' }, null, '/users/1');
+
+    assert.false(lifetimes.isHardExpired('/users/1', '/users/1', 'GET'), 'not hard expired');
+    assert.true(lifetimes.isSoftExpired('/users/1', '/users/1', 'GET'), 'soft expired');
+
+    lifetimes = new DefaultLifetimesService(store, { apiCacheSoftExpires: 0, apiCacheHardExpires: 0 });
+    assert.true(lifetimes.isHardExpired('/posts/1', '/posts/1', 'GET'), 'hard expired');
+  });
+
+  test('url rules take precedence over type rules', function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    putDocument(store, '/api/feed/1', 'post');
+    putDocument(store, '/api/posts/1', 'post');
+    putDocument(store, '/api/users/1', 'user');
+
+    const lifetimes = new DefaultLifetimesService(store, {
+      apiCacheSoftExpires: 60_000,
+      apiCacheHardExpires: 60_000,
+      urls: [{ url: '/api/feed', soft: 0, hard: 0 }],
+      types: { post: { soft: 0 } },
+    });
+
+    assert.true(lifetimes.isHardExpired('/api/feed/1', '/api/feed/1', 'GET'), 'the url rule applies');
+    assert.false(lifetimes.isHardExpired('/api/posts/1', '/api/posts/1', 'GET'), 'the type rule hard default applies');
+    assert.true(lifetimes.isSoftExpired('/api/posts/1', '/api/posts/1', 'GET'), 'the type rule applies');
+    assert.false(lifetimes.isSoftExpired('/api/users/1', '/api/users/1', 'GET'), 'the defaults apply');
+  });
+
+  test('Cache-Control and Expires headers of the stored response are respected', function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    putDocument(store, '/users/1', 'user', [
+      ['date', secondsAgo(120)],
+      ['cache-control', 'max-age=60'],
+    ]);
+    putDocument(store, '/users/2', 'user', [
+      ['date', secondsAgo(120)],
+      ['cache-control', 'max-age=60, stale-while-revalidate=300'],
+    ]);
+    putDocument(store, '/users/3', 'user', [['cache-control', 'no-cache']]);
+    putDocument(store, '/users/4', 'user', [['expires', new Date(Date.now() + 60_000).toUTCString()]]);
+
+    const lifetimes = new DefaultLifetimesService(store, { apiCacheSoftExpires: 0, apiCacheHardExpires: 0 });
+
+    assert.true(lifetimes.isHardExpired('/users/1', '/users/1', 'GET'), 'max-age has elapsed');
+    assert.false(lifetimes.isHardExpired('/users/2', '/users/2', 'GET'), 'stale-while-revalidate has not elapsed');
+    assert.true(lifetimes.isSoftExpired('/users/2', '/users/2', 'GET'), 'max-age has elapsed');
+    assert.true(lifetimes.isHardExpired('/users/3', '/users/3', 'GET'), 'no-cache is always expired');
+    assert.false(lifetimes.isHardExpired('/users/4', '/users/4', 'GET'), 'expires is in the future');
+    assert.false(lifetimes.isSoftExpired('/users/4', '/users/4', 'GET'), 'expires is in the future');
+  });
+
+  test('headers are ignored when respectCacheHeaders is false', function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    putDocument(store, '/users/1', 'user', [['cache-control', 'no-store']]);
+
+    const lifetimes = new DefaultLifetimesService(store, {
+      apiCacheSoftExpires: 60_000,
+      apiCacheHardExpires: 60_000,
+      respectCacheHeaders: false,
+    });
+
+    assert.false(lifetimes.isHardExpired('/users/1', '/users/1', 'GET'), 'not expired');
+  });
+
+  test('mutations invalidate cached requests for the types they touch', function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    putDocument(store, '/users/1', 'user');
+    putDocument(store, '/posts/1', 'post');
+    putDocument(store, '/stats', 'user');
+
+    const lifetimes = new DefaultLifetimesService(store, { apiCacheSoftExpires: 60_000, apiCacheHardExpires: 60_000 });
+    lifetimes.didRequest({ url: '/users/1', method: 'GET' }, null, '/users/1');
+    lifetimes.didRequest({ url: '/posts/1', method: 'GET' }, null, '/posts/1');
+    lifetimes.didRequest({ url: '/stats', method: 'GET', cacheOptions: { types: ['post'] } }, null, '/stats');
+
+    assert.false(lifetimes.isHardExpired('/users/1', '/users/1', 'GET'), 'not expired before the mutation');
+
+    const identifier = store.identifierCache.getOrCreateRecordIdentifier({ type: 'post', id: '2' });
+    lifetimes.didRequest({ url: '/posts/2', method: 'PATCH', records: [identifier] }, null, null);
+
+    assert.false(lifetimes.isHardExpired('/users/1', '/users/1', 'GET'), 'other types are not invalidated');
+    assert.true(lifetimes.isHardExpired('/posts/1', '/posts/1', 'GET'), 'the mutated type is invalidated');
+    assert.true(lifetimes.isHardExpired('/stats', '/stats', 'GET'), 'declared types are invalidated');
+
+    lifetimes.didRequest({ url: '/posts/1', method: 'GET' }, null, '/posts/1');
+    assert.false(lifetimes.isHardExpired('/posts/1', '/posts/1', 'GET'), 'a refetch is no longer invalidated');
+  });
+
+  test('documents are cached and expired under the cacheOptions.key of the request', async function (assert) {
+    const store = this.owner.lookup('service:store') as Store;
+    const requests: string[] = [];
+    const handler: Handler = {
+      // @ts-expect-error
+      async request<T>(context: Context): Promise<T> | Future<T> {
+        await Promise.resolve();
+        requests.push(context.request.url!);
+        return { data: { type: 'user', id: '1', attributes: { name: 'Chris' } } } as T;
+      },
+    };
+    store.requestManager = new RequestManager();
+    store.requestManager.use([handler]);
+    store.lifetimes = new DefaultLifetimesService(store, { apiCacheSoftExpires: 60_000, apiCacheHardExpires: 60_000 });
+    const cacheOptions = { key: 'current-user' };
+
+    await store.request({ url: '/users/me', method: 'GET', cacheOptions });
+    assert.ok(store.cache.peekRequest({ lid: 'current-user' }), 'the document is cached under the key');
+    assert.strictEqual(store.cache.peekRequest({ lid: '/users/me' }), null, 'the document is not cached under the url');
+
+    await store.request({ url: '/users/me?v=2', method: 'GET', cacheOptions });
+    assert.deepEqual(requests, ['/users/me'], 'a request with the same key is a cache hit');
+  });
+});
@@ -0,0 +1,274 @@
+import { settled } from '@ember/test-helpers';
+
+import { module, test } from 'qunit';
+
+import { setupTest } from 'ember-qunit';
+
+import Model, { attr } from '@ember-data/model';
+import RequestManager from '@ember-data/request';
+import type { Context } from '@ember-data/request/-private/context';
+import type { Future, Handler } from '@ember-data/request/-private/types';
+import Store, { MemoryQueueStorage, OfflineQueue, recordIdentifierFor } from '@ember-data/store';
+
+class User extends Model {
+  @attr declare name: string;
+}
+type UserRecord = Model & { name: string; isPendingSync: boolean };
+
+class TestStore extends Store {
+  declare online: boolean;
+  declare sent: Context['request'][];
+  declare queue: OfflineQueue;
+  declare handler: Handler;
+
+  constructor(args: Record<string, unknown>) {
+    super(args);
+    this.online = false;
+    const store = this;
+    const sent: Context['request'][] = (this.sent = []);
+    const handler: Handler = (this.handler = {
+      // @ts-expect-error
+      async request<T>(context: Context): Promise<T> | Future<T> {
+        await Promise.resolve();
+        if (!store.online) {
+          throw new TypeError('Failed to fetch');
+        }
+        sent.push(context.request);
+        const { url, data } = context.request;
+        const id = url!.split('/')[2] || String(sent.length);
+        return { data: { type: 'user', id, attributes: (data as { name?: string }) || {} } } as T;
+      },
+    });
+    this.queue = new OfflineQueue({ isOnline: () => true });
+    this.requestManager = new RequestManager();
+    this.requestManager.use([this.queue, handler]);
+  }
+
+  destroy() {
+    this.queue.destroy();
+    super.destroy();
+  }
+}
+
+function updateUser(store: Store, user: UserRecord) {
+  return store.request<UserRecord>({
+    op: 'updateRecord',
+    records: [recordIdentifierFor(user)],
+    url: `/users/${user.id}`,
+    method: 'PATCH',
+    data: { name: user.name },
+  });
+}
+
+module('Integration | Store | OfflineQueue', function (hooks) {
+  setupTest(hooks);
+
+  hooks.beforeEach(function () {
+    this.owner.register('model:user', User);
+    this.owner.register('service:store', TestStore);
+  });
+
+  test('a write which cannot reach the server is queued and replayed', async function (assert) {
+    const store = this.owner.lookup('service:store') as TestStore;
+    const user = store.push({ data: { type: 'user', id: '1', attributes: { name: 'Chris' } } }) as UserRecord;
+    user.name = 'James';
+
+    let saved = false;
+    const request = updateUser(store, user).then(() => (saved = true));
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    assert.false(saved, 'the save is still pending');
+    assert.true(user.isPendingSync, 'the record is pending sync');
+    assert.true(user.isSaving, 'the record is saving');
+    assert.false(user.isError, 'the record is not in an error state');
+    assert.strictEqual(user.name, 'James', 'the record keeps its local state');
+    assert.true(
+      store.getRequestStateService().isPendingSync(recordIdentifierFor(user)),
+      'the request state service reports the record as pending sync'
+    );
+
+    store.online = true;
+    await store.queue.replay();
+    await request;
+    await settled();
+
+    assert.true(saved, 'the save completed');
+    assert.strictEqual(store.sent.length, 1, 'the write was sent');
+    assert.false(user.isPendingSync, 'the record is no longer pending sync');
+    assert.false(user.isSaving, 'the record is no longer saving');
+    assert.false(user.hasDirtyAttributes, 'the record was committed');
+  });
+
+  test('a write which fails to reach the server while online is replayed after a delay', async function (assert) {
+    const store = this.owner.lookup('service:store') as TestStore;
+    store.queue.destroy();
+    store.queue = new OfflineQueue({ isOnline: () => true, retryDelay: 5 });
+    store.requestManager = new RequestManager();
+    store.requestManager.use([store.queue, store.handler]);
+    const user = store.push({ data: { type: 'user', id: '1', attributes: { name: 'Chris' } } }) as UserRecord;
+    user.name = 'James';
+
+    const request = updateUser(store, user);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.strictEqual(store.sent.length, 0, 'the write is queued');
+    assert.true(user.isPendingSync, 'the record is pending sync');
+
+    // the server can be reached again without the window firing `online`
+    store.online = true;
+    await request;
+
+    assert.strictEqual(store.sent.length, 1, 'the queue was replayed without calling replay');
+    assert.strictEqual(store.queue._queue.length, 0, 'the queue is empty');
+    assert.false(user.isPendingSync, 'the record is no longer pending sync');
+  });
+
+  test('writes are replayed in the order they were made', async function (assert) {
+    const store = this.owner.lookup('service:store') as TestStore;
+    const [user1, user2] = store.push({
+      data: [
+        { type: 'user', id: '1', attributes: { name: 'Chris' } },
+        { type: 'user', id: '2', attributes: { name: 'Rebecca' } },
+      ],
+    }) as UserRecord[];
+
+    user1.name = 'James';
+    const request1 = updateUser(store, user1);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    // the server can be reached again, but the first write has not been replayed
+    store.online = true;
+    user2.name = 'Wesley';
+    const request2 = updateUser(store, user2);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.strictEqual(store.sent.length, 0, 'a write made behind a queued write is queued');
+    assert.true(user2.isPendingSync, 'the second record is pending sync');
+
+    await store.queue.replay();
+    await Promise.all([request1, request2]);
+
+    assert.deepEqual(
+      store.sent.map((request) => request.url),
+      ['/users/1', '/users/2'],
+      'the writes were sent in order'
+    );
+  });
+
+  test('the queue is replayed when the window is online until it is destroyed', function (assert) {
+    const store = this.owner.lookup('service:store') as TestStore;
+    const queue = new OfflineQueue();
+    let replays = 0;
+    queue.replay = () => {
+      replays++;
+      return Promise.resolve();
+    };
+
+    window.dispatchEvent(new Event('online'));
+    assert.strictEqual(replays, 1, 'the queue was replayed');
+
+    queue.destroy();
+    window.dispatchEvent(new Event('online'));
+    assert.strictEqual(replays, 1, 'the queue is no longer replayed');
+    assert.strictEqual(store.sent.length, 0, 'nothing was sent');
+  });
+
+  test('errors which are not network failures are not queued', async function (assert) {
+    const store = this.owner.lookup('service:store') as TestStore;
+    const queue = new OfflineQueue({ isOnline: () => true });
+    const handler: Handler = {
+      // @ts-expect-error
+      async request<T>(): Promise<T> | Future<T> {
+        await Promise.resolve();
+        throw new Error('Handler Failed');
+      },
+    };
+    const manager = new RequestManager();
+    manager.use([queue, handler]);
+
+    await assert.rejects(manager.request({ url: '/users', method: 'POST', data: { name: 'Chris' } }), /Handler Failed/);
+    assert.strictEqual(queue._queue.length, 0, 'the write was not queued');
+    assert.strictEqual(store.sent.length, 0, 'nothing was sent');
+    queue.destroy();
+  });
+
+  test('a failure to persist a queued write is reported', async function (assert) {
+    const store = this.owner.lookup('service:store') as TestStore;
+    const errors: unknown[] = [];
+    const storage = new MemoryQueueStorage();
+    storage.put = () => Promise.reject(new Error('QuotaExceededError'));
+    storage.delete = () => Promise.reject(new Error('Storage Unavailable'));
+    store.queue.destroy();
+    store.queue = new OfflineQueue({ storage, isOnline: () => true, onStorageError: (error) => errors.push(error) });
+    store.requestManager = new RequestManager();
+    store.requestManager.use([
+      store.queue,
+      {
+        // @ts-expect-error
+        async request<T>(context: Context): Promise<T> | Future<T> {
+          await Promise.resolve();
+          if (!store.online) {
+            throw new TypeError('Failed to fetch');
+          }
+          store.sent.push(context.request);
+          return { data: null } as T;
+        },
+      },
+    ]);
+
+    const request = store.request({ url: '/users', method: 'POST', data: { name: 'Chris' } });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.deepEqual(
+      errors.map((error) => (error as Error).message),
+      ['QuotaExceededError'],
+      'the failure to persist is reported'
+    );
+
+    store.online = true;
+    await store.queue.replay();
+    await request;
+
+    assert.strictEqual(store.sent.length, 1, 'the write is still replayed');
+    assert.deepEqual(
+      errors.map((error) => (error as Error).message),
+      ['QuotaExceededError', 'Storage Unavailable'],
+      'the failure to remove is reported'
+    );
+  });
+
+  test('queued writes are persisted and can be restored', async function (assert) {
+    const store = this.owner.lookup('service:store') as TestStore;
+    const storage = new MemoryQueueStorage();
+    const queue = new OfflineQueue({ storage, isOnline: () => true });
+    const handler: Handler = {
+      // @ts-expect-error
+      async request<T>(): Promise<T> | Future<T> {
+        await Promise.resolve();
+        throw new TypeError('Failed to fetch');
+      },
+    };
+    const manager = new RequestManager();
+    manager.use([queue, handler]);
+    // this session ends before the write is replayed
+    void manager.request({ url: '/users', method: 'POST', data: { name: 'Chris' }, disableTestWaiter: true });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    const entries = await storage.getAll();
+    assert.strictEqual(entries.length, 1, 'the write was persisted');
+    assert.deepEqual(
+      entries[0].request,
+      { url: '/users', method: 'POST', data: { name: 'Chris' } },
+      'the request was serialized'
+    );
+
+    // a new session restores the queue from the same storage
+    store.online = true;
+    const restored = new OfflineQueue({ storage, isOnline: () => true });
+    await restored.restore(store);
+
+    assert.strictEqual(store.sent.length, 1, 'the restored write was sent');
+    assert.strictEqual(store.sent[0].url, '/users', 'the restored write has its url');
+    assert.deepEqual(store.sent[0].data, { name: 'Chris' }, 'the restored write has its data');
+    assert.strictEqual((await storage.getAll()).length, 0, 'the write was removed from storage');
+    queue.destroy();
+    restored.destroy();
+  });
+});
@@ -0,0 +1,176 @@
+import { module, test } from 'qunit';
+
+import { setupTest } from 'ember-qunit';
+
+import Model, { attr } from '@ember-data/model';
+import RequestManager from '@ember-data/request';
+import type { Context } from '@ember-data/request/-private/context';
+import type { Future, Handler } from '@ember-data/request/-private/types';
+import Store, { recordIdentifierFor } from '@ember-data/store';
+import type { RequestEvent } from '@ember-data/store/-private/network/request-cache';
+
+class User extends Model {
+  @attr declare name: string;
+}
+
+type Responder = (context: Context) => unknown;
+
+class TestStore extends Store {
+  declare responders: Responder[];
+
+  constructor(args: Record<string, unknown>) {
+    super(args);
+    const responders: Responder[] = (this.responders = []);
+    const handler: Handler = {
+      // @ts-expect-error
+      async request<T>(context: Context): Promise<T> | Future<T> {
+        await Promise.resolve();
+        return responders.shift()!(context) as T;
+      },
+    };
+    this.requestManager = new RequestManager();
+    this.requestManager.use([handler]);
+  }
+}
+
+module('Integration | Store | request events', function (hooks) {
+  setupTest(hooks);
+
+  hooks.beforeEach(function () {
+    this.owner.register('model:user', User);
+    this.owner.register('service:store', TestStore);
+  });
+
+  test('a fulfilled request notifies with its cache key and records', async function (assert) {
+    const store = this.owner.lookup('service:store') as TestStore;
+    const events: RequestEvent[] = [];
+    store.getRequestStateService().subscribeForRequests((event) => events.push(event));
+
+    store.responders.push(() => ({
+      data: [
+        { type: 'user', id: '1', attributes: { name: 'Chris' } },
+        { type: 'user', id: '2', attributes: { name: 'James' } },
+      ],
+    }));
+    const future = store.request({ url: '/users', method: 'GET' });
+
+    assert.deepEqual(
+      events.map((event) => event.state),
+      ['pending'],
+      'the pending event is sent when the request starts'
+    );
+    assert.deepEqual(events[0].identifier, { lid: '/users' }, 'the event has the cache key');
+    assert.deepEqual(events[0].records, [], 'no records are known yet');
+
+    await future;
+
+    assert.deepEqual(
+      events.map((event) => event.state),
+      ['pending', 'fulfilled'],
+      'the fulfilled event is sent'
+    );
+    assert.deepEqual(
+      events[1].records,
+      [
+        store.identifierCache.getOrCreateRecordIdentifier({ type: 'user', id: '1' }),
+        store.identifierCache.getOrCreateRecordIdentifier({ type: 'user', id: '2' }),
+      ],
+      'the records of the response are included'
+    );
+    assert.ok(events[1].response, 'the response document is included');
+  });
+
+  test('a subscriber which throws does not prevent other subscribers from being notified', async function (assert) {
+    const store = this.owner.lookup('service:store') as TestStore;
+    const events: RequestEvent[] = [];
+    const errors: unknown[] = [];
+    store.getRequestStateService().subscribeForRequests(() => {
+      throw new Error('subscriber failed');
+    });
+    store.getRequestStateService().subscribeForRequests((event) => events.push(event));
+
+    const onerror = window.onerror;
+    window.onerror = (_message, _source, _line, _column, error) => {
+      errors.push(error);
+      return true;
+    };
+    try {
+      store.responders.push(() => ({ data: { type: 'user', id: '1', attributes: { name: 'Chris' } } }));
+      await store.request({ url: '/users/1', method: 'GET' });
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    } finally {
+      window.onerror = onerror;
+    }
+
+    assert.deepEqual(
+      events.map((event) => event.state),
+      ['pending', 'fulfilled'],
+      'the other subscriber is notified'
+    );
+    assert.deepEqual(
+      errors.map((error) => (error as Error).message),
+      ['subscriber failed', 'subscriber failed'],
+      'the errors are reported'
+    );
+  });
+
+  test('rejected and aborted requests notify with the records they touched', async function (assert) {
+    const store = this.owner.lookup('service:store') as TestStore;
+    const events: RequestEvent[] = [];
+    store.getRequestStateService().subscribeForRequests((event) => events.push(event));
+    const user = store.push({ data: { type: 'user', id: '1', attributes: { name: 'Chris' } } });
+    const identifier = recordIdentifierFor(user);
+
+    store.responders.push(() => {
+      throw new Error('Unprocessable Entity');
+    });
+    await store
+      .request({ op: 'updateRecord', records: [identifier], url: '/users/1', method: 'PATCH' })
+      .catch(() => {});
+
+    assert.deepEqual(
+      events.map((event) => event.state),
+      ['pending', 'rejected'],
+      'the rejected event is sent'
+    );
+    assert.strictEqual(events[1].identifier, null, 'a mutation has no cache key');
+    assert.deepEqual(events[1].records, [identifier], 'the records of the request are included');
+    assert.strictEqual((events[1].error as Error).message, 'Unprocessable Entity', 'the error is included');
+
+    store.responders.push(
+      (context) =>
+        new Promise((resolve, reject) => {
+          const signal = context.request.signal!;
+          const abort = () => reject(new DOMException('The user aborted a request.', 'AbortError'));
+          if (signal.aborted) {
+            abort();
+          } else {
+            signal.addEventListener('abort', abort);
+          }
+        })
+    );
+    const future = store.request({ url: '/users/1', method: 'GET' });
+    await Promise.resolve();
+    future.abort();
+    await future.catch(() => {});
+
+    assert.deepEqual(
+      events.map((event) => event.state),
+      ['pending', 'rejected', 'pending', 'aborted'],
+      'the aborted event is sent'
+    );
+  });
+
+  test('unsubscribe stops notifications', async function (assert) {
+    const store = this.owner.lookup('service:store') as TestStore;
+    const events: RequestEvent[] = [];
+    const service = store.getRequestStateService();
+    const token = service.subscribeForRequests((event) => events.push(event));
+    service.unsubscribe(token);
+
+    store.responders.push(() => ({ data: [] }));
+    await store.request({ url: '/users', method: 'GET' });
+
+    assert.strictEqual(events.length, 0, 'no events were sent');
+  });
+});
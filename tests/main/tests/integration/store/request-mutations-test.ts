@@ -0,0 +1,254 @@
+import { module, test } from 'qunit';
+
+import { setupTest } from 'ember-qunit';
+
+import { saveRecords } from '@ember-data/json-api/request';
+import Model, { attr, belongsTo, hasMany } from '@ember-data/model';
+import RequestManager from '@ember-data/request';
+import type { Context } from '@ember-data/request/-private/context';
+import type { Future, Handler } from '@ember-data/request/-private/types';
+import Store, { recordIdentifierFor } from '@ember-data/store';
+
+class User extends Model {
+  @attr declare name: string;
+}
+type UserRecord = Model & { name: string };
+
+class Post extends Model {
+  @attr declare title: string;
+  @hasMany('comment', { async: false, inverse: 'post' }) declare comments: unknown;
+}
+type PostRecord = Model & { title: string; comments: CommentRecord[] };
+
+class Comment extends Model {
+  @attr declare body: string;
+  @belongsTo('post', { async: false, inverse: 'comments' }) declare post: unknown;
+}
+type CommentRecord = Model & { body: string; post: PostRecord | null };
+
+type Responder = (context: Context) => unknown;
+
+class TestStore extends Store {
+  declare responders: Responder[];
+
+  constructor(args: Record<string, unknown>) {
+    super(args);
+    const responders: Responder[] = (this.responders = []);
+    const handler: Handler = {
+      // @ts-expect-error
+      async request<T>(context: Context): Promise<T> | Future<T> {
+        await Promise.resolve();
+        return responders.shift()!(context) as T;
+      },
+    };
+    this.requestManager = new RequestManager();
+    this.requestManager.use([handler]);
+  }
+}
+
+module('Integration | Store | request mutations', function (hooks) {
+  setupTest(hooks);
+
+  hooks.beforeEach(function () {
+    this.owner.register('model:user', User);
+    this.owner.register('model:post', Post);
+    this.owner.register('model:comment', Comment);
+    this.owner.register('service:store', TestStore);
+  });
+
+  test('updateRecord commits the response to the cache', async function (assert) {
+    const store = this.owner.lookup('service:store') as TestStore;
+    const user = store.push({
+      data: { type: 'user', id: '1', attributes: { name: 'Chris' } },
+    }) as unknown as UserRecord;
+    const identifier = recordIdentifierFor(user);
+    user.name = 'James';
+
+    store.responders.push((context) => {
+      assert.true(user.isSaving, 'the record is saving while the request is in flight');
+      assert.strictEqual(context.request.method, 'PATCH', 'the request is sent');
+      return { data: { type: 'user', id: '1', attributes: { name: 'James Thoburn' } } };
+    });
+
+    const { content } = await store.request<UserRecord>({
+      op: 'updateRecord',
+      records: [identifier],
+      url: '/users/1',
+      method: 'PATCH',
+    });
+
+    assert.strictEqual(content, user, 'we receive the saved record');
+    assert.false(user.isSaving, 'the record is no longer saving');
+    assert.false(user.hasDirtyAttributes, 'the record is no longer dirty');
+    assert.strictEqual(user.name, 'James Thoburn', 'the response was committed');
+  });
+
+  test('createRecord assigns the id from the response', async function (assert) {
+    const store = this.owner.lookup('service:store') as TestStore;
+    const user = store.createRecord('user', { name: 'Chris' }) as unknown as UserRecord;
+
+    store.responders.push(() => ({ data: { type: 'user', id: '1', attributes: { name: 'Chris' } } }));
+
+    await store.request({
+      op: 'createRecord',
+      records: [recordIdentifierFor(user)],
+      url: '/users',
+      method: 'POST',
+    });
+
+    assert.strictEqual(user.id, '1', 'the record has the id from the response');
+    assert.false(user.isNew, 'the record is no longer new');
+    assert.strictEqual(store.peekRecord('user', '1'), user, 'the record can be found by id');
+  });
+
+  test('deleteRecord commits the deletion', async function (assert) {
+    const store = this.owner.lookup('service:store') as TestStore;
+    const user = store.push({
+      data: { type: 'user', id: '1', attributes: { name: 'Chris' } },
+    }) as unknown as UserRecord;
+    const identifier = recordIdentifierFor(user);
+    user.deleteRecord();
+
+    store.responders.push(() => null);
+
+    await store.request({ op: 'deleteRecord', records: [identifier], url: '/users/1', method: 'DELETE' });
+
+    assert.true(store.cache.isDeletionCommitted(identifier), 'the deletion was committed');
+  });
+
+  test('a rejected mutation passes the errors to the cache', async function (assert) {
+    const store = this.owner.lookup('service:store') as TestStore;
+    const user = store.push({
+      data: { type: 'user', id: '1', attributes: { name: 'Chris' } },
+    }) as unknown as UserRecord;
+    user.name = '';
+
+    store.responders.push(() => {
+      const error = new Error('Unprocessable Entity') as Error & { content: unknown };
+      error.content = {
+        errors: [{ title: 'Invalid', detail: 'name is required', source: { pointer: '/data/attributes/name' } }],
+      };
+      throw error;
+    });
+
+    try {
+      await store.request({
+        op: 'updateRecord',
+        records: [recordIdentifierFor(user)],
+        url: '/users/1',
+        method: 'PATCH',
+      });
+      assert.ok(false, 'the request should reject');
+    } catch (e) {
+      assert.strictEqual((e as Error).message, 'Unprocessable Entity', 'the request rejects');
+    }
+
+    assert.false(user.isSaving, 'the record is no longer saving');
+    assert.false(user.isValid, 'the record is invalid');
+    assert.strictEqual(user.errors.errorsFor('name')[0]?.message, 'name is required', 'the errors were applied');
+    assert.true(user.hasDirtyAttributes, 'the local changes are kept');
+  });
+
+  test('saveRecords saves many records in one atomic request', async function (assert) {
+    const store = this.owner.lookup('service:store') as TestStore;
+    const author = store.push({
+      data: { type: 'user', id: '1', attributes: { name: 'Chris' } },
+    }) as unknown as UserRecord;
+    const post = store.createRecord('post', { title: 'Hello' }) as unknown as PostRecord;
+    const comment = store.createRecord('comment', { body: 'First!', post }) as unknown as CommentRecord;
+    const postIdentifier = recordIdentifierFor(post);
+    const commentIdentifier = recordIdentifierFor(comment);
+    author.name = 'James';
+
+    const request = saveRecords(store.cache, [post, comment, author]);
+    assert.strictEqual(request.url, '/operations', 'the url is correct');
+    assert.strictEqual(request.op, 'saveRecords', 'the op is correct');
+    assert.strictEqual(
+      request.headers?.get('content-type'),
+      'application/vnd.api+json;ext="https://jsonapi.org/ext/atomic"',
+      'the atomic extension is used'
+    );
+    assert.deepEqual(
+      request.data,
+      {
+        'atomic:operations': [
+          {
+            op: 'add',
+            data: {
+              type: 'post',
+              lid: postIdentifier.lid,
+              attributes: { title: 'Hello' },
+              relationships: { comments: { data: [{ type: 'comment', lid: commentIdentifier.lid }] } },
+            },
+          },
+          {
+            op: 'add',
+            data: {
+              type: 'comment',
+              lid: commentIdentifier.lid,
+              attributes: { body: 'First!' },
+              relationships: { post: { data: { type: 'post', lid: postIdentifier.lid } } },
+            },
+          },
+          { op: 'update', data: { type: 'user', id: '1', attributes: { name: 'James' }, relationships: {} } },
+        ],
+      },
+      'the operations are serialized'
+    );
+
+    store.responders.push(() => {
+      assert.true(post.isSaving, 'the post is saving');
+      assert.true(comment.isSaving, 'the comment is saving');
+      assert.true(author.isSaving, 'the author is saving');
+      // results are returned out of order, new records are matched by their lid
+      return {
+        'atomic:results': [
+          { data: { type: 'comment', id: '2', lid: commentIdentifier.lid, attributes: { body: 'First!' } } },
+          { data: { type: 'post', id: '1', lid: postIdentifier.lid, attributes: { title: 'Hello' } } },
+          { data: { type: 'user', id: '1', attributes: { name: 'James' } } },
+        ],
+      };
+    });
+
+    const { content } = await store.request<unknown[]>(request);
+
+    assert.true(
+      content.length === 3 && content[0] === post && content[1] === comment && content[2] === author,
+      'we receive the saved records'
+    );
+    assert.strictEqual(post.id, '1', 'the post has its id');
+    assert.strictEqual(comment.id, '2', 'the comment has its id');
+    assert.false(post.isNew, 'the post is no longer new');
+    assert.false(comment.isNew, 'the comment is no longer new');
+    assert.false(author.hasDirtyAttributes, 'the author is no longer dirty');
+    assert.strictEqual(comment.post, post, 'the relationship is kept');
+    assert.strictEqual(store.peekRecord('comment', '2'), comment, 'the comment can be found by id');
+  });
+
+  test('a rejected atomic request applies errors to the record of each operation', async function (assert) {
+    const store = this.owner.lookup('service:store') as TestStore;
+    const post = store.createRecord('post', { title: 'Hello' }) as unknown as PostRecord;
+    const comment = store.createRecord('comment', { body: '', post }) as unknown as CommentRecord;
+
+    store.responders.push(() => {
+      const error = new Error('Unprocessable Entity') as Error & { content: unknown };
+      error.content = {
+        errors: [
+          {
+            title: 'Invalid',
+            detail: 'body is required',
+            source: { pointer: '/atomic:operations/1/data/attributes/body' },
+          },
+        ],
+      };
+      throw error;
+    });
+
+    await store.request(saveRecords(store.cache, [post, comment])).catch(() => {});
+
+    assert.true(post.isNew, 'the post is still new');
+    assert.true(post.isValid, 'the post is valid');
+    assert.false(comment.isValid, 'the comment is invalid');
+    assert.strictEqual(comment.errors.errorsFor('body')[0]?.message, 'body is required', 'the errors were applied');
+  });
+});
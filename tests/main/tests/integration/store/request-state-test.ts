@@ -0,0 +1,100 @@
+import { module, test } from 'qunit';
+
+import RequestManager from '@ember-data/request';
+import type { Context } from '@ember-data/request/-private/context';
+import type { Future, Handler } from '@ember-data/request/-private/types';
+import { getRequestState } from '@ember-data/store';
+
+const CHUNKS = ['{"data":', '[1,2,3]', '}'];
+const BODY = CHUNKS.join('');
+
+function setupManager() {
+  const manager = new RequestManager();
+  const handler: Handler = {
+    // @ts-expect-error
+    async request<T>(context: Context): Promise<T> | Future<T> {
+      if (context.request.url === '/error') {
+        await Promise.resolve();
+        throw new Error('Not Found');
+      }
+      if (context.request.url === '/slow') {
+        return new Promise<T>((resolve, reject) => {
+          context.request.signal!.addEventListener('abort', () => {
+            reject(new DOMException('The user aborted a request.', 'AbortError'));
+          });
+        });
+      }
+      context.setResponse(new Response(BODY, { headers: { 'content-length': String(BODY.length) } }));
+      let loaded = 0;
+      for (const chunk of CHUNKS) {
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        loaded += chunk.length;
+        context.reportProgress({ type: 'download', loaded, total: BODY.length });
+      }
+      return JSON.parse(BODY) as T;
+    },
+  };
+  manager.use([handler]);
+  return manager;
+}
+
+module('Integration | Store | getRequestState', function () {
+  test('it reflects a successful request', async function (assert) {
+    const manager = setupManager();
+    const future = manager.request({ url: '/users' });
+    const state = getRequestState(future);
+
+    assert.strictEqual(getRequestState(future), state, 'the same state is returned for a future');
+    assert.true(state.isPending, 'the request is pending');
+    assert.false(state.isSuccess, 'the request has not succeeded');
+    assert.strictEqual(state.loadedBytes, 0, 'no bytes have been loaded');
+    assert.strictEqual(state.progress, null, 'the progress is unknown');
+
+    await new Promise((resolve) => future.onProgress(resolve));
+    assert.true(state.isLoading, 'the body is loading');
+    assert.strictEqual(state.loadedBytes, CHUNKS[0].length, 'the first chunk was downloaded');
+    assert.strictEqual(state.totalBytes, BODY.length, 'the total is known while loading');
+
+    await future;
+    await Promise.resolve();
+
+    assert.false(state.isPending, 'the request is no longer pending');
+    assert.true(state.isSuccess, 'the request succeeded');
+    assert.false(state.isError, 'the request did not error');
+    assert.deepEqual(state.result, { data: [1, 2, 3] }, 'we receive the result');
+    assert.strictEqual(state.loadedBytes, BODY.length, 'the body was downloaded');
+    assert.strictEqual(state.totalBytes, BODY.length, 'the total comes from the Content-Length');
+    assert.strictEqual(state.progress, 1, 'the download is complete');
+    assert.false(state.isLoading, 'the body is no longer loading');
+  });
+
+  test('it reflects a failed request', async function (assert) {
+    const manager = setupManager();
+    const future = manager.request({ url: '/error' });
+    const state = getRequestState(future);
+
+    await future.catch(() => {});
+    await Promise.resolve();
+
+    assert.false(state.isPending, 'the request is no longer pending');
+    assert.true(state.isError, 'the request errored');
+    assert.false(state.isCancelled, 'the request was not cancelled');
+    assert.strictEqual(state.error?.message, 'Not Found', 'we receive the error');
+    assert.strictEqual(state.result, null, 'there is no result');
+  });
+
+  test('it reflects a cancelled request', async function (assert) {
+    const manager = setupManager();
+    const future = manager.request({ url: '/slow' });
+    const state = getRequestState(future);
+
+    future.abort();
+    await future.catch(() => {});
+    await Promise.resolve();
+
+    assert.false(state.isPending, 'the request is no longer pending');
+    assert.true(state.isCancelled, 'the request was cancelled');
+    assert.false(state.isError, 'a cancelled request is not an error');
+    assert.strictEqual(state.error?.name, 'AbortError', 'we receive the abort error');
+  });
+});
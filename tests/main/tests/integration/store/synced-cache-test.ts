@@ -0,0 +1,200 @@
+import { module, test } from 'qunit';
+
+import { setupTest } from 'ember-qunit';
+
+import Cache from '@ember-data/json-api';
+import Model, { attr } from '@ember-data/model';
+import RequestManager from '@ember-data/request';
+import type { Future, Handler } from '@ember-data/request/-private/types';
+import Store, { recordIdentifierFor, SyncedCache } from '@ember-data/store';
+import type { SyncChannel } from '@ember-data/store/-private/synced-cache';
+import type { CacheStoreWrapper } from '@ember-data/types/q/cache-store-wrapper';
+
+class User extends Model {
+  @attr declare name: string;
+}
+type UserRecord = Model & { name: string };
+
+type Listener = (event: { data: unknown }) => void;
+
+// delivers messages to every other channel on the same bus, as a BroadcastChannel would
+class LocalChannel implements SyncChannel {
+  declare bus: Set<LocalChannel>;
+  declare listeners: Set<Listener>;
+
+  constructor(bus: Set<LocalChannel>) {
+    this.bus = bus;
+    this.listeners = new Set();
+    bus.add(this);
+  }
+
+  postMessage(message: unknown) {
+    const data = JSON.stringify(message);
+    this.bus.forEach((channel) => {
+      if (channel !== this) {
+        channel.listeners.forEach((listener) => listener({ data: JSON.parse(data) as unknown }));
+      }
+    });
+  }
+
+  addEventListener(_type: 'message', listener: Listener) {
+    this.listeners.add(listener);
+  }
+
+  removeEventListener(_type: 'message', listener: Listener) {
+    this.listeners.delete(listener);
+  }
+}
+
+let bus: Set<LocalChannel>;
+
+class TestStore extends Store {
+  declare responses: unknown[];
+  declare syncedCache: SyncedCache;
+
+  constructor(args: Record<string, unknown>) {
+    super(args);
+    const responses: unknown[] = (this.responses = []);
+    const handler: Handler = {
+      // @ts-expect-error
+      async request<T>(): Promise<T> | Future<T> {
+        await Promise.resolve();
+        return responses.shift() as T;
+      },
+    };
+    this.requestManager = new RequestManager();
+    this.requestManager.use([handler]);
+  }
+
+  createCache(wrapper: CacheStoreWrapper) {
+    this.syncedCache = new SyncedCache(new Cache(wrapper), wrapper, { channel: new LocalChannel(bus) });
+    return this.syncedCache;
+  }
+}
+
+function setupStores(owner: { lookup(name: string): unknown }): [TestStore, TestStore] {
+  const store = owner.lookup('service:store') as TestStore;
+  const otherStore = owner.lookup('service:other-store') as TestStore;
+  // caches are created on first access, and must exist to exchange changes
+  return [store.cache && store, otherStore.cache && otherStore];
+}
+
+module('Integration | Store | SyncedCache', function (hooks) {
+  setupTest(hooks);
+
+  hooks.beforeEach(function () {
+    bus = new Set();
+    this.owner.register('model:user', User);
+    this.owner.register('service:store', TestStore);
+    this.owner.register('service:other-store', TestStore);
+  });
+
+  test('resources received by one store are synced to the other', async function (assert) {
+    const [store, otherStore] = setupStores(this.owner);
+
+    store.responses.push({ data: { type: 'user', id: '1', attributes: { name: 'Chris' } } });
+    await store.request({ url: '/users/1', method: 'GET' });
+
+    const user = otherStore.peekRecord('user', '1') as UserRecord | null;
+    assert.strictEqual(user?.name, 'Chris', 'the other store received the resource');
+    assert.strictEqual(otherStore.cache.peekRequest({ lid: '/users/1' }), null, 'request documents are not synced');
+  });
+
+  test('saved changes are synced to the other store', async function (assert) {
+    const [store, otherStore] = setupStores(this.owner);
+    const user = store.push({ data: { type: 'user', id: '1', attributes: { name: 'Chris' } } }) as UserRecord;
+    const otherUser = otherStore.peekRecord('user', '1') as UserRecord;
+    assert.strictEqual(otherUser.name, 'Chris', 'the pushed resource was synced');
+
+    user.name = 'James';
+    assert.strictEqual(otherUser.name, 'Chris', 'local changes are not synced');
+
+    store.responses.push({ data: { type: 'user', id: '1' } });
+    await store.request({
+      op: 'updateRecord',
+      records: [recordIdentifierFor(user)],
+      url: '/users/1',
+      method: 'PATCH',
+    });
+
+    assert.strictEqual(otherUser.name, 'James', 'the saved change was synced');
+    assert.false(otherUser.hasDirtyAttributes, 'the change is part of the remote state');
+  });
+
+  test('committed deletions are synced to the other store', async function (assert) {
+    const [store, otherStore] = setupStores(this.owner);
+    const user = store.push({ data: { type: 'user', id: '1', attributes: { name: 'Chris' } } }) as UserRecord;
+    const identifier = otherStore.identifierCache.peekRecordIdentifier({ type: 'user', id: '1' })!;
+
+    user.deleteRecord();
+    store.responses.push(null);
+    await store.request({
+      op: 'deleteRecord',
+      records: [recordIdentifierFor(user)],
+      url: '/users/1',
+      method: 'DELETE',
+    });
+
+    assert.true(otherStore.cache.isDeletionCommitted(identifier), 'the deletion was synced');
+  });
+
+  test('received changes are applied within a store run', async function (assert) {
+    const [store, otherStore] = setupStores(this.owner);
+    const runs: boolean[] = [];
+    // eslint-disable-next-line @typescript-eslint/unbound-method
+    const { setIsDeleted } = Cache.prototype;
+    Cache.prototype.setIsDeleted = function (...args: Parameters<Cache['setIsDeleted']>) {
+      runs.push(Boolean(otherStore._cbs));
+      return setIsDeleted.apply(this, args);
+    };
+
+    try {
+      const user = store.push({ data: { type: 'user', id: '1', attributes: { name: 'Chris' } } }) as UserRecord;
+      user.deleteRecord();
+      store.responses.push(null);
+      await store.request({
+        op: 'deleteRecord',
+        records: [recordIdentifierFor(user)],
+        url: '/users/1',
+        method: 'DELETE',
+      });
+    } finally {
+      Cache.prototype.setIsDeleted = setIsDeleted;
+    }
+
+    assert.true(runs.includes(true), 'the received deletion was applied within a run of the other store');
+  });
+
+  test('close closes the BroadcastChannel it created', function (assert) {
+    const [store] = setupStores(this.owner);
+    // eslint-disable-next-line @typescript-eslint/unbound-method
+    const { close } = BroadcastChannel.prototype;
+    let closed = 0;
+    BroadcastChannel.prototype.close = function () {
+      closed++;
+      return close.call(this);
+    };
+
+    try {
+      const wrapper = (store as unknown as { _instanceCache: { _storeWrapper: CacheStoreWrapper } })._instanceCache
+        ._storeWrapper;
+      new SyncedCache(new Cache(wrapper), wrapper).close();
+      assert.strictEqual(closed, 1, 'the channel created by the cache was closed');
+
+      store.syncedCache.close();
+      assert.strictEqual(closed, 1, 'a channel which was given is not closed');
+    } finally {
+      BroadcastChannel.prototype.close = close;
+    }
+  });
+
+  test('close stops syncing', async function (assert) {
+    const [store, otherStore] = setupStores(this.owner);
+    otherStore.syncedCache.close();
+
+    store.push({ data: { type: 'user', id: '1', attributes: { name: 'Chris' } } });
+    await Promise.resolve();
+
+    assert.strictEqual(otherStore.peekRecord('user', '1'), null, 'the resource was not synced');
+  });
+});
@@ -0,0 +1,138 @@
+import { module, test } from 'qunit';
+
+import { setupTest } from 'ember-qunit';
+
+import Model, { attr } from '@ember-data/model';
+import testInDebug from '@ember-data/unpublished-test-infra/test-support/test-in-debug';
+
+module('unit/model/attr | deep tracking', function (hooks) {
+  setupTest(hooks);
+
+  let store;
+  hooks.beforeEach(function () {
+    class User extends Model {
+      @attr('string') name;
+      @attr({ deep: true }) settings;
+      @attr() profile;
+    }
+    this.owner.register('model:user', User);
+    store = this.owner.lookup('service:store');
+  });
+
+  function pushUser() {
+    return store.push({
+      data: {
+        type: 'user',
+        id: '1',
+        attributes: {
+          name: 'Chris',
+          settings: { theme: 'dark', notifications: { email: true }, tags: ['a'] },
+          profile: { bio: 'Hello' },
+        },
+      },
+    });
+  }
+
+  test('nested edits dirty the attribute without altering the original value', async function (assert) {
+    const user = pushUser();
+    const original = store.cache.getAttr(store.identifierCache.getOrCreateRecordIdentifier(user), 'settings');
+    const { settings } = user;
+
+    assert.strictEqual(user.settings, settings, 'the same proxy is returned while the value is unchanged');
+    assert.true(Array.isArray(settings.tags), 'arrays remain arrays');
+
+    settings.notifications.email = false;
+    settings.tags.push('b');
+
+    assert.true(user.hasDirtyAttributes, 'the record is dirty');
+    assert.false(settings.notifications.email, 'the proxy reflects the nested edit');
+    assert.deepEqual([...settings.tags], ['a', 'b'], 'the proxy reflects the array edit');
+    assert.deepEqual(
+      original,
+      { theme: 'dark', notifications: { email: true }, tags: ['a'] },
+      'the original value was not altered'
+    );
+    assert.deepEqual(
+      user.changedAttributes(),
+      {
+        settings: [
+          { theme: 'dark', notifications: { email: true }, tags: ['a'] },
+          { theme: 'dark', notifications: { email: false }, tags: ['a', 'b'] },
+        ],
+      },
+      'we have the original and edited values'
+    );
+  });
+
+  test('rollbackAttributes restores the original value', async function (assert) {
+    const user = pushUser();
+    const { settings } = user;
+
+    delete settings.theme;
+    settings.tags.splice(0, 1);
+    assert.false('theme' in settings, 'the property was deleted');
+
+    user.rollbackAttributes();
+
+    assert.false(user.hasDirtyAttributes, 'the record is clean');
+    assert.deepEqual(user.changedAttributes(), {}, 'there are no changes');
+    assert.strictEqual(settings.theme, 'dark', 'a proxy which is held on to reflects the rollback');
+    assert.deepEqual(JSON.parse(JSON.stringify(user.settings)), {
+      theme: 'dark',
+      notifications: { email: true },
+      tags: ['a'],
+    });
+  });
+
+  test('deep tracking is opt-in', async function (assert) {
+    const user = pushUser();
+
+    user.profile.bio = 'Goodbye';
+    assert.false(user.hasDirtyAttributes, 'in place edits of other attributes are not tracked');
+  });
+
+  test('proxies can be assigned back to the record', async function (assert) {
+    const user = pushUser();
+
+    // eslint-disable-next-line no-self-assign
+    user.settings = user.settings;
+    assert.false(user.hasDirtyAttributes, 'assigning the unchanged value does not dirty the record');
+
+    user.settings = { theme: 'light', copied: user.settings.notifications };
+    assert.deepEqual(
+      user.changedAttributes().settings[1],
+      { theme: 'light', copied: { email: true } },
+      'proxies are unwrapped when assigned'
+    );
+  });
+
+  test('frozen values can be edited', async function (assert) {
+    const settings = Object.freeze({ theme: 'dark', tags: Object.freeze(['a']) });
+    const user = store.push({ data: { type: 'user', id: '1', attributes: { settings } } });
+
+    user.settings.theme = 'light';
+    user.settings.tags.push('b');
+
+    assert.deepEqual(Object.keys(user.settings), ['theme', 'tags'], 'the keys can be read');
+    assert.strictEqual(user.settings.theme, 'light', 'the edit is reflected');
+    assert.deepEqual([...user.settings.tags], ['a', 'b'], 'the array edit is reflected');
+    assert.deepEqual(settings, { theme: 'dark', tags: ['a'] }, 'the frozen value was not altered');
+  });
+
+  test('the proxy cannot be frozen', async function (assert) {
+    const user = pushUser();
+
+    assert.throws(() => Object.freeze(user.settings), TypeError, 'freezing the proxy throws');
+    assert.false(Object.isFrozen(user.settings), 'the proxy is not frozen');
+  });
+
+  testInDebug('nested edits of deleted records assert', async function (assert) {
+    const user = pushUser();
+    const { settings } = user;
+    user.deleteRecord();
+
+    await assert.expectAssertion(() => {
+      settings.theme = 'light';
+    }, /Attempted to set 'settings' on the deleted record/);
+  });
+});
@@ -0,0 +1,51 @@
+import { module, test } from 'qunit';
+
+import { setupTest } from 'ember-qunit';
+
+import testInDebug from '@ember-data/unpublished-test-infra/test-support/test-in-debug';
+
+module('unit/transform - ArrayTransform', function (hooks) {
+  setupTest(hooks);
+
+  test('#serialize', async function (assert) {
+    const transform = this.owner.lookup('transform:array');
+    const value = ['a', 'b'];
+
+    assert.deepEqual(transform.serialize(null, {}), [], 'we serialize null to an empty array');
+    assert.deepEqual(transform.serialize(undefined, {}), [], 'we serialize undefined to an empty array');
+    assert.strictEqual(
+      transform.serialize(null, { allowNull: true }),
+      null,
+      '{ allowNull: true } - we serialize null to null'
+    );
+
+    const serialized = transform.serialize(value, {});
+    assert.deepEqual(serialized, ['a', 'b'], 'we serialize arrays');
+    assert.notStrictEqual(serialized, value, 'the array is copied');
+  });
+
+  test('#deserialize', async function (assert) {
+    const transform = this.owner.lookup('transform:array');
+    const value = [1, 2];
+
+    assert.deepEqual(transform.deserialize(null, {}), [], 'we deserialize null to an empty array');
+    assert.deepEqual(transform.deserialize(undefined, {}), [], 'we deserialize undefined to an empty array');
+    assert.strictEqual(
+      transform.deserialize(undefined, { allowNull: true }),
+      null,
+      '{ allowNull: true } - we deserialize undefined to null'
+    );
+
+    const deserialized = transform.deserialize(value, {});
+    assert.deepEqual(deserialized, [1, 2], 'we deserialize arrays');
+    assert.notStrictEqual(deserialized, value, 'the array is copied');
+  });
+
+  testInDebug('values which are not arrays assert', async function (assert) {
+    const transform = this.owner.lookup('transform:array');
+
+    assert.expectAssertion(() => {
+      transform.deserialize('a,b', {});
+    }, `Expected the value of an 'array' attribute to be an array, but received string`);
+  });
+});
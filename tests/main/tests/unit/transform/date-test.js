@@ -2,6 +2,8 @@ import { module, test } from 'qunit';
 
 import { setupTest } from 'ember-qunit';
 
+import testInDebug from '@ember-data/unpublished-test-infra/test-support/test-in-debug';
+
 module('unit/transform - DateTransform', function (hooks) {
   setupTest(hooks);
   const dateString = '2015-01-01T00:00:00.000Z';
@@ -34,4 +36,43 @@ module('unit/transform - DateTransform', function (hooks) {
     assert.strictEqual(transform.deserialize(null), null);
     assert.strictEqual(transform.deserialize(undefined), undefined);
   });
+
+  test('#serialize with { precision: "day" }', async function (assert) {
+    const transform = this.owner.lookup('transform:date');
+    const options = { precision: 'day' };
+
+    assert.strictEqual(transform.serialize(null, options), null);
+    assert.strictEqual(
+      transform.serialize(new Date(2015, 0, 1, 23, 30), options),
+      '2015-01-01',
+      'we use the local day'
+    );
+    assert.strictEqual(transform.serialize(new Date(2015, 11, 31), options), '2015-12-31');
+  });
+
+  test('#deserialize with { precision: "day" }', async function (assert) {
+    const transform = this.owner.lookup('transform:date');
+    const options = { precision: 'day' };
+    const deserialized = transform.deserialize('2015-01-01', options);
+
+    assert.strictEqual(deserialized.getFullYear(), 2015);
+    assert.strictEqual(deserialized.getMonth(), 0);
+    assert.strictEqual(deserialized.getDate(), 1, 'the day does not shift in the local timezone');
+    assert.strictEqual(deserialized.getHours(), 0, 'we deserialize to local midnight');
+    assert.strictEqual(transform.serialize(deserialized, options), '2015-01-01', 'the day round trips');
+
+    assert.strictEqual(transform.deserialize(null, options), null);
+    assert.strictEqual(transform.deserialize(undefined, options), undefined);
+  });
+
+  testInDebug('invalid day precision values assert', async function (assert) {
+    const transform = this.owner.lookup('transform:date');
+
+    assert.expectAssertion(() => {
+      transform.deserialize(dateString, { precision: 'day' });
+    }, `Expected the value of a 'date' attribute with { precision: 'day' } to be formatted as YYYY-MM-DD, but received '${dateString}'`);
+    assert.expectAssertion(() => {
+      transform.serialize(date, { precision: 'hour' });
+    }, `Expected the 'precision' option of a 'date' attribute to be 'day', but received 'hour'`);
+  });
 });
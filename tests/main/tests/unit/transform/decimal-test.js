@@ -0,0 +1,80 @@
+import { module, test } from 'qunit';
+
+import { setupTest } from 'ember-qunit';
+
+import testInDebug from '@ember-data/unpublished-test-infra/test-support/test-in-debug';
+
+module('unit/transform - DecimalTransform', function (hooks) {
+  setupTest(hooks);
+
+  test('#serialize', async function (assert) {
+    const transform = this.owner.lookup('transform:decimal');
+
+    assert.strictEqual(transform.serialize(null, {}), null, 'we serialize null to null');
+    assert.strictEqual(transform.serialize(undefined, {}), null, 'we serialize undefined to null');
+    assert.strictEqual(transform.serialize(1.5, {}), '1.5', 'we serialize numbers to strings');
+    assert.strictEqual(transform.serialize(1.5, { scale: 2 }), '1.50', '{ scale: 2 } - we serialize with two digits');
+    assert.strictEqual(transform.serialize(1.256, { scale: 2 }), '1.26', '{ scale: 2 } - we round to two digits');
+    assert.strictEqual(transform.serialize('1.5', { scale: 2 }), '1.50', 'we serialize numeric strings');
+  });
+
+  test('#deserialize', async function (assert) {
+    const transform = this.owner.lookup('transform:decimal');
+
+    assert.strictEqual(transform.deserialize(null, {}), null, 'we deserialize null to null');
+    assert.strictEqual(transform.deserialize(undefined, {}), null, 'we deserialize undefined to null');
+    assert.strictEqual(transform.deserialize('', {}), null, 'we deserialize empty strings to null');
+    assert.strictEqual(transform.deserialize('10.25', {}), '10.25', 'we deserialize numeric strings as-is');
+    assert.strictEqual(transform.deserialize(10.25, {}), '10.25', 'we deserialize numbers to strings');
+    assert.strictEqual(transform.deserialize(1e-7, {}), '0.0000001', 'we deserialize numbers without an exponent');
+    assert.strictEqual(transform.deserialize('10.256', { scale: 2 }), '10.26', '{ scale: 2 } - we round to two digits');
+    assert.strictEqual(transform.deserialize('10', { scale: 2 }), '10.00', '{ scale: 2 } - we pad to two digits');
+  });
+
+  test('values keep their precision', async function (assert) {
+    const transform = this.owner.lookup('transform:decimal');
+
+    assert.strictEqual(
+      transform.deserialize('12345678901234567890.123456789', {}),
+      '12345678901234567890.123456789',
+      'digits beyond the precision of a number are kept'
+    );
+    assert.strictEqual(transform.deserialize('0.1', { scale: 20 }), '0.10000000000000000000', 'padding is exact');
+    assert.strictEqual(transform.deserialize('1.005', { scale: 2 }), '1.01', 'rounding is decimal');
+    assert.strictEqual(transform.deserialize('-1.995', { scale: 2 }), '-2.00', 'we round half away from zero');
+    assert.strictEqual(transform.deserialize('9.999', { scale: 2 }), '10.00', 'rounding carries');
+    assert.strictEqual(transform.deserialize('-0.001', { scale: 2 }), '0.00', 'we do not produce a negative zero');
+  });
+
+  testInDebug('values which are not numeric assert', async function (assert) {
+    const transform = this.owner.lookup('transform:decimal');
+
+    assert.expectAssertion(() => {
+      transform.deserialize('ten', {});
+    }, `Expected the value of a 'decimal' attribute to be a number or a numeric string, but received "ten"`);
+    assert.expectAssertion(() => {
+      transform.serialize(true, {});
+    }, /but received true/);
+  });
+
+  testInDebug('exponents beyond 100 assert', async function (assert) {
+    const transform = this.owner.lookup('transform:decimal');
+
+    assert.strictEqual(transform.deserialize('1e100', {}), `1${'0'.repeat(100)}`, 'an exponent of 100 is expanded');
+    assert.strictEqual(transform.deserialize('1e-100', {}), `0.${'0'.repeat(99)}1`, 'an exponent of -100 is expanded');
+    assert.expectAssertion(() => {
+      transform.deserialize('1e-1000000000', {});
+    }, /Expected the exponent of the value of a 'decimal' attribute to be between -100 and 100/);
+    assert.expectAssertion(() => {
+      transform.deserialize('1e500000000', {});
+    }, /but received "1e500000000"/);
+  });
+
+  testInDebug('the scale option must be an integer', async function (assert) {
+    const transform = this.owner.lookup('transform:decimal');
+
+    assert.expectAssertion(() => {
+      transform.serialize(1, { scale: 1.5 });
+    }, /Expected the 'scale' option of a 'decimal' attribute to be an integer between 0 and 100/);
+  });
+});
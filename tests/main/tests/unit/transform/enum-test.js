@@ -0,0 +1,46 @@
+import { module, test } from 'qunit';
+
+import { setupTest } from 'ember-qunit';
+
+import testInDebug from '@ember-data/unpublished-test-infra/test-support/test-in-debug';
+
+module('unit/transform - EnumTransform', function (hooks) {
+  setupTest(hooks);
+  const options = { values: ['draft', 'published', 0] };
+
+  test('#serialize', async function (assert) {
+    const transform = this.owner.lookup('transform:enum');
+
+    assert.strictEqual(transform.serialize(null, options), null, 'we serialize null to null');
+    assert.strictEqual(transform.serialize(undefined, options), null, 'we serialize undefined to null');
+    assert.strictEqual(transform.serialize('draft', options), 'draft', 'we serialize allowed values as-is');
+    assert.strictEqual(transform.serialize(0, options), 0, 'allowed values need not be strings');
+  });
+
+  test('#deserialize', async function (assert) {
+    const transform = this.owner.lookup('transform:enum');
+
+    assert.strictEqual(transform.deserialize(null, options), null, 'we deserialize null to null');
+    assert.strictEqual(transform.deserialize(undefined, options), null, 'we deserialize undefined to null');
+    assert.strictEqual(transform.deserialize('published', options), 'published', 'we deserialize allowed values as-is');
+  });
+
+  testInDebug('values which are not allowed assert', async function (assert) {
+    const transform = this.owner.lookup('transform:enum');
+
+    assert.expectAssertion(() => {
+      transform.deserialize('deleted', options);
+    }, `Expected the value of an 'enum' attribute to be one of "draft", "published", 0, but received "deleted"`);
+    assert.expectAssertion(() => {
+      transform.serialize('0', options);
+    }, /but received "0"/);
+  });
+
+  testInDebug('the values option is required', async function (assert) {
+    const transform = this.owner.lookup('transform:enum');
+
+    assert.expectAssertion(() => {
+      transform.deserialize('draft', {});
+    }, /Expected the 'values' option of an 'enum' attribute to be an array/);
+  });
+});
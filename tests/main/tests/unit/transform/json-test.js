@@ -0,0 +1,53 @@
+import { module, test } from 'qunit';
+
+import { setupTest } from 'ember-qunit';
+
+import testInDebug from '@ember-data/unpublished-test-infra/test-support/test-in-debug';
+
+module('unit/transform - JsonTransform', function (hooks) {
+  setupTest(hooks);
+  const value = { theme: 'dark', tags: ['a', 'b'] };
+
+  test('#serialize', async function (assert) {
+    const transform = this.owner.lookup('transform:json');
+
+    assert.strictEqual(transform.serialize(null, {}), null, 'we serialize null to null');
+    assert.strictEqual(transform.serialize(undefined, {}), null, 'we serialize undefined to null');
+    assert.strictEqual(transform.serialize(value, {}), value, 'we serialize values as-is');
+    assert.strictEqual(
+      transform.serialize(value, { stringify: true }),
+      '{"theme":"dark","tags":["a","b"]}',
+      '{ stringify: true } - we serialize values to JSON strings'
+    );
+    assert.strictEqual(
+      transform.serialize(null, { stringify: true }),
+      null,
+      '{ stringify: true } - we serialize null to null'
+    );
+  });
+
+  test('#deserialize', async function (assert) {
+    const transform = this.owner.lookup('transform:json');
+
+    assert.strictEqual(transform.deserialize(null, {}), null, 'we deserialize null to null');
+    assert.strictEqual(transform.deserialize(undefined, {}), null, 'we deserialize undefined to null');
+    assert.strictEqual(transform.deserialize(value, {}), value, 'we deserialize values as-is');
+    assert.strictEqual(transform.deserialize('{"a":1}', {}), '{"a":1}', 'we do not parse strings by default');
+    assert.deepEqual(
+      transform.deserialize('{"theme":"dark","tags":["a","b"]}', { stringify: true }),
+      value,
+      '{ stringify: true } - we parse JSON strings'
+    );
+  });
+
+  testInDebug('invalid JSON strings assert', async function (assert) {
+    const transform = this.owner.lookup('transform:json');
+
+    assert.expectAssertion(() => {
+      transform.deserialize('{theme:', { stringify: true });
+    }, `Expected the value of a 'json' attribute to be valid JSON, but received '{theme:'`);
+    assert.expectAssertion(() => {
+      transform.deserialize(value, { stringify: true });
+    }, `with { stringify: true } to be a string, but received object`);
+  });
+});
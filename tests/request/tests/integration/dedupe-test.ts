@@ -0,0 +1,197 @@
+import { module, test } from 'qunit';
+
+import RequestManager from '@ember-data/request';
+import type { Context } from '@ember-data/request/-private/context';
+import type { Future, Handler } from '@ember-data/request/-private/types';
+import Dedupe from '@ember-data/request/dedupe';
+
+type Pending = { context: Context; resolve: (value: unknown) => void; reject: (error: unknown) => void };
+
+function setupManager(dedupe = new Dedupe()) {
+  const pending: Pending[] = [];
+  const manager = new RequestManager();
+  const handler: Handler = {
+    request<T>(context: Context): Promise<T> | Future<T> {
+      return new Promise<T>((resolve, reject) => {
+        pending.push({ context, resolve: resolve as (value: unknown) => void, reject });
+      });
+    },
+  };
+  manager.use([dedupe, handler]);
+  return { manager, pending };
+}
+
+// resolves the requests which are still pending so no test waiters remain
+function settle(pending: Pending[], futures: Future<unknown>[]) {
+  pending.forEach((request) => request.resolve(null));
+  return Promise.allSettled(futures);
+}
+
+const RESPONSE = {
+  headers: new Headers() as never,
+  ok: true,
+  redirected: false,
+  status: 200,
+  statusText: 'OK',
+  type: 'basic',
+  url: '/users/1',
+};
+
+module('RequestManager | Dedupe', function () {
+  test('identical requests share a single request', async function (assert) {
+    const { manager, pending } = setupManager();
+
+    const future1 = manager.request({ url: '/users/1' });
+    const future2 = manager.request({ url: '/users/1', method: 'GET' });
+
+    assert.strictEqual(pending.length, 1, 'only one request was made');
+
+    pending[0].context.setResponse(RESPONSE);
+    pending[0].resolve({ data: { type: 'user', id: '1' } });
+    const [doc1, doc2] = await Promise.all([future1, future2]);
+
+    assert.deepEqual(doc1.content, { data: { type: 'user', id: '1' } }, 'the first caller receives the content');
+    assert.deepEqual(doc2.content, { data: { type: 'user', id: '1' } }, 'the second caller receives the content');
+    assert.strictEqual(doc1.response?.status, 200, 'the first caller receives the response');
+    assert.strictEqual(doc2.response?.status, 200, 'the second caller receives the response');
+    assert.strictEqual(doc2.request.url, '/users/1', 'each caller receives its own request');
+
+    const future3 = manager.request({ url: '/users/1' });
+    assert.strictEqual(pending.length, 2, 'a request made after completion is not deduped');
+    await settle(pending, [future3]);
+  });
+
+  test('requests with a different method, url or data are not deduped', async function (assert) {
+    const { manager, pending } = setupManager();
+
+    const futures = [
+      manager.request({ url: '/users/1' }),
+      manager.request({ url: '/users/2' }),
+      manager.request({ url: '/users', data: { page: 1 } }),
+      manager.request({ url: '/users', data: { page: 2 } }),
+      manager.request({ url: '/users', method: 'POST', data: { name: 'Chris' } }),
+      manager.request({ url: '/users', method: 'POST', data: { name: 'Chris' } }),
+    ];
+
+    assert.strictEqual(pending.length, 6, 'each request was made');
+    await settle(pending, futures);
+  });
+
+  test('requests with different headers or bodies are not deduped', async function (assert) {
+    const { manager, pending } = setupManager(new Dedupe({ methods: ['GET', 'POST'] }));
+
+    const futures = [
+      manager.request({ url: '/users', headers: new Headers({ Authorization: 'Bearer a' }) }),
+      manager.request({ url: '/users', headers: new Headers({ Authorization: 'Bearer b' }) }),
+      manager.request({ url: '/users', headers: new Headers({ Accept: 'text/csv' }) }),
+      manager.request({ url: '/users', method: 'POST', body: '{"name":"Chris"}' }),
+      manager.request({ url: '/users', method: 'POST', body: '{"name":"James"}' }),
+    ];
+    assert.strictEqual(pending.length, 5, 'each request was made');
+
+    futures.push(
+      manager.request({ url: '/users', method: 'POST', body: '{"name":"Chris"}' }),
+      manager.request({ url: '/users', headers: new Headers({ Authorization: 'Bearer a' }) })
+    );
+    assert.strictEqual(pending.length, 5, 'requests with the same headers and body are deduped');
+
+    const form = new FormData();
+    futures.push(
+      manager.request({ url: '/uploads', method: 'POST', body: form }),
+      manager.request({ url: '/uploads', method: 'POST', body: form })
+    );
+    assert.strictEqual(pending.length, 7, 'requests with bodies which cannot be compared are not deduped');
+
+    await settle(pending, futures);
+  });
+
+  test('additional methods may be deduped', async function (assert) {
+    const { manager, pending } = setupManager(new Dedupe({ methods: ['GET', 'OPTIONS'] }));
+
+    const futures = [
+      manager.request({ url: '/users', method: 'OPTIONS' }),
+      manager.request({ url: '/users', method: 'OPTIONS' }),
+    ];
+
+    assert.strictEqual(pending.length, 1, 'only one request was made');
+    await settle(pending, futures);
+  });
+
+  test('aborting one caller does not abort the others', async function (assert) {
+    const { manager, pending } = setupManager();
+
+    const future1 = manager.request({ url: '/users/1' });
+    const future2 = manager.request({ url: '/users/1' });
+    const { signal } = pending[0].context.request;
+
+    future1.abort();
+
+    try {
+      await future1;
+      assert.ok(false, 'the aborted caller should reject');
+    } catch (e) {
+      assert.strictEqual((e as Error).name, 'AbortError', 'the aborted caller rejects');
+    }
+    assert.false(signal!.aborted, 'the shared request is not aborted');
+
+    pending[0].resolve({ data: null });
+    const doc = await future2;
+
+    assert.deepEqual(doc.content, { data: null }, 'the remaining caller receives the content');
+  });
+
+  test('the shared request is aborted once every caller has aborted', async function (assert) {
+    const { manager, pending } = setupManager();
+
+    const future1 = manager.request({ url: '/users/1' });
+    const future2 = manager.request({ url: '/users/1' });
+    const { signal } = pending[0].context.request;
+
+    future1.abort();
+    future2.abort();
+
+    assert.true(signal!.aborted, 'the shared request is aborted');
+    await Promise.allSettled([future1, future2]);
+
+    const future3 = manager.request({ url: '/users/1' });
+    assert.strictEqual(pending.length, 2, 'a new request is made after the shared request was aborted');
+    await settle(pending, [future3]);
+  });
+
+  test('errors are given to every caller', async function (assert) {
+    const { manager, pending } = setupManager();
+
+    const future1 = manager.request({ url: '/users/1' });
+    const future2 = manager.request({ url: '/users/1' });
+
+    pending[0].reject(new Error('Not Found'));
+    const [result1, result2] = await Promise.allSettled([future1, future2]);
+
+    assert.strictEqual(result1.status, 'rejected', 'the first caller rejects');
+    assert.strictEqual(result2.status, 'rejected', 'the second caller rejects');
+    const error1 = (result1 as PromiseRejectedResult).reason as Error;
+    const error2 = (result2 as PromiseRejectedResult).reason as Error;
+    assert.strictEqual(error1.message, 'Not Found', 'the first caller receives the error');
+    assert.strictEqual(error2.message, 'Not Found', 'the second caller receives the error');
+    assert.notStrictEqual(error1, error2, 'each caller receives its own error');
+  });
+
+  test('every caller receives the progress of the shared request', async function (assert) {
+    const { manager, pending } = setupManager();
+
+    const future1 = manager.request({ url: '/users/1' });
+    const future2 = manager.request({ url: '/users/1' });
+    const progress1: number[] = [];
+    const progress2: number[] = [];
+    future1.onProgress(({ loaded }) => progress1.push(loaded));
+    future2.onProgress(({ loaded }) => progress2.push(loaded));
+
+    pending[0].context.reportProgress({ type: 'download', loaded: 5, total: 10 });
+    pending[0].context.reportProgress({ type: 'download', loaded: 10, total: 10 });
+    pending[0].resolve(null);
+    await Promise.all([future1, future2]);
+
+    assert.deepEqual(progress1, [5, 10], 'the first caller receives the progress');
+    assert.deepEqual(progress2, [5, 10], 'the second caller receives the progress');
+  });
+});
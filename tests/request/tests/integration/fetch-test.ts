@@ -0,0 +1,85 @@
+import { module, test } from 'qunit';
+
+import RequestManager from '@ember-data/request';
+import type { StructuredErrorDocument } from '@ember-data/request/-private/types';
+import Fetch from '@ember-data/request/fetch';
+
+module('RequestManager | Fetch', function () {
+  test('JSON responses are parsed', async function (assert) {
+    const manager = new RequestManager();
+    manager.use([Fetch]);
+
+    const doc = await manager.request({ url: '../assets/demo-fetch.json' });
+
+    assert.deepEqual(doc.content, { data: { type: 'example', id: '1' } }, 'we receive the parsed content');
+    assert.strictEqual(doc.response?.status, 200, 'we receive the response');
+  });
+
+  test('text responses are read as text', async function (assert) {
+    const manager = new RequestManager();
+    manager.use([Fetch]);
+
+    const doc = await manager.request({ url: '../assets/demo-fetch.txt' });
+
+    assert.strictEqual(doc.content, 'Hello World\n', 'we receive the text');
+  });
+
+  test('the body is available as a stream when requested', async function (assert) {
+    const manager = new RequestManager();
+    manager.use([Fetch]);
+
+    const future = manager.request({ url: '../assets/demo-fetch.txt', options: { stream: true } });
+    const stream = await future.getStream();
+
+    assert.true(stream instanceof ReadableStream, 'we receive the stream');
+    const text = await new Response(stream).text();
+    assert.strictEqual(text, 'Hello World\n', 'the stream contains the body');
+
+    const doc = await future;
+    assert.strictEqual(doc.content, 'Hello World\n', 'we still receive the content');
+  });
+
+  test('the body is not available as a stream unless requested', async function (assert) {
+    const manager = new RequestManager();
+    manager.use([Fetch]);
+
+    const future = manager.request({ url: '../assets/demo-fetch.txt' });
+    const stream = await future.getStream();
+
+    assert.strictEqual(stream, null, 'we receive no stream');
+    const doc = await future;
+    assert.strictEqual(doc.content, 'Hello World\n', 'we receive the content');
+  });
+
+  test('data is serialized into the query string of GET requests', async function (assert) {
+    const manager = new RequestManager();
+    manager.use([Fetch]);
+
+    const doc = await manager.request({
+      url: '../assets/demo-fetch.json',
+      data: { include: ['author', 'comments'], filter: { name: 'Chris' }, page: 1 },
+    });
+
+    assert.true(
+      doc.response!.url.endsWith('?filter%5Bname%5D=Chris&include=author,comments&page=1'),
+      'the query string is built from the sorted data'
+    );
+  });
+
+  test('non-2xx responses reject with a StructuredErrorDocument', async function (assert) {
+    const manager = new RequestManager();
+    manager.use([Fetch]);
+
+    try {
+      await manager.request({ url: '../assets/does-not-exist.json' });
+      assert.ok(false, 'the request should reject');
+    } catch (e) {
+      const error = e as StructuredErrorDocument & { status: number };
+      assert.true(error instanceof Error, 'we receive an error');
+      assert.strictEqual(error.status, 404, 'the error has the status');
+      assert.strictEqual(error.response?.status, 404, 'the error has the response');
+      assert.strictEqual(error.request.url, '../assets/does-not-exist.json', 'the error has the request');
+      assert.true('content' in error, 'the error has the parsed body');
+    }
+  });
+});
@@ -0,0 +1,73 @@
+import { module, test } from 'qunit';
+
+import RequestManager from '@ember-data/request';
+import type { Context } from '@ember-data/request/-private/context';
+import type { Future, Handler, NextFn, RequestProgress } from '@ember-data/request/-private/types';
+import Fetch from '@ember-data/request/fetch';
+
+module('RequestManager | Progress', function () {
+  test('progress reported by a handler is received by onProgress', async function (assert) {
+    const manager = new RequestManager();
+    const decorator: Handler = {
+      // @ts-expect-error
+      async request<T>(context: Context, next: NextFn<T>): Promise<T> | Future<T> {
+        return (await next(context.request)).content;
+      },
+    };
+    const handler: Handler = {
+      // @ts-expect-error
+      async request<T>(context: Context): Promise<T> | Future<T> {
+        context.reportProgress({ type: 'upload', loaded: 4, total: 4 });
+        await Promise.resolve();
+        context.reportProgress({ type: 'download', loaded: 2, total: 6 });
+        await Promise.resolve();
+        context.reportProgress({ type: 'download', loaded: 6, total: 6 });
+        return 'done' as T;
+      },
+    };
+    manager.use([decorator, handler]);
+
+    const future = manager.request({ url: '/exports/large.json' });
+    const progress: RequestProgress[] = [];
+    future.onProgress((p) => progress.push(p));
+    await future;
+
+    assert.deepEqual(
+      progress,
+      [
+        { type: 'upload', loaded: 4, total: 4 },
+        { type: 'download', loaded: 2, total: 6 },
+        { type: 'download', loaded: 6, total: 6 },
+      ],
+      'progress is received through the handlers which called next'
+    );
+
+    const replayed: RequestProgress[] = [];
+    future.onProgress((p) => replayed.push(p));
+    assert.deepEqual(
+      replayed,
+      [
+        { type: 'upload', loaded: 4, total: 4 },
+        { type: 'download', loaded: 6, total: 6 },
+      ],
+      'a late subscriber receives the latest progress of each type'
+    );
+  });
+
+  test('Fetch reports download progress', async function (assert) {
+    const manager = new RequestManager();
+    manager.use([Fetch]);
+
+    const future = manager.request({ url: '../assets/demo-fetch.json' });
+    const progress: RequestProgress[] = [];
+    future.onProgress((p) => progress.push(p));
+    const doc = await future;
+
+    assert.deepEqual(doc.content, { data: { type: 'example', id: '1' } }, 'we receive the parsed content');
+    assert.true(progress.length > 0, 'progress was reported');
+    const last = progress[progress.length - 1];
+    assert.strictEqual(last.type, 'download', 'the progress is for the download');
+    assert.true(last.loaded > 0, 'bytes were loaded');
+    assert.strictEqual(last.loaded, last.total, 'the download completed');
+  });
+});
@@ -0,0 +1,146 @@
+import { module, test } from 'qunit';
+
+import RequestManager from '@ember-data/request';
+import type { Context } from '@ember-data/request/-private/context';
+import type { Future, Handler } from '@ember-data/request/-private/types';
+import type { RetryError, RetryOptions, RetryResponseInfo } from '@ember-data/request/retry';
+import Retry from '@ember-data/request/retry';
+
+function response(status: number, headers: [string, string][] = []) {
+  return {
+    headers: new Headers(headers) as never,
+    ok: status < 400,
+    redirected: false,
+    status,
+    statusText: '',
+    type: 'basic',
+    url: '/users/1',
+  };
+}
+
+// responds with each of the given statuses in turn, a status of 0 is a network error
+function setupManager(statuses: number[], options: RetryOptions = {}, headers: [string, string][] = []) {
+  const attempts: Context[] = [];
+  const manager = new RequestManager();
+  const handler: Handler = {
+    // @ts-expect-error
+    async request<T>(context: Context): Promise<T> | Future<T> {
+      attempts.push(context);
+      const status = statuses[attempts.length - 1];
+      await Promise.resolve();
+      if (status === 0) {
+        throw new TypeError('Failed to fetch');
+      }
+      context.setResponse(response(status, headers));
+      if (status >= 400) {
+        throw new Error(`Request failed with status ${status}`);
+      }
+      return { data: null } as T;
+    },
+  };
+  manager.use([new Retry(Object.assign({ baseDelay: 0, jitter: false }, options)), handler]);
+  return { manager, attempts };
+}
+
+module('RequestManager | Retry', function () {
+  test('transient errors are retried until the request succeeds', async function (assert) {
+    const { manager, attempts } = setupManager([503, 0, 200]);
+
+    const doc = await manager.request({ url: '/users/1' });
+
+    assert.strictEqual(attempts.length, 3, 'the request was attempted three times');
+    assert.deepEqual(doc.content, { data: null }, 'we receive the content');
+    assert.strictEqual(doc.response?.status, 200, 'we receive the final response');
+    assert.strictEqual((doc.response as RetryResponseInfo).attempts, 3, 'the attempts are reported');
+  });
+
+  test('the request fails once maxAttempts is reached', async function (assert) {
+    const { manager, attempts } = setupManager([502, 502, 502, 200], { maxAttempts: 3 });
+
+    try {
+      await manager.request({ url: '/users/1' });
+      assert.ok(false, 'the request should fail');
+    } catch (e) {
+      assert.strictEqual((e as RetryError).attempts, 3, 'the attempts are reported');
+      assert.strictEqual((e as RetryError).response?.status, 502, 'we receive the final response');
+    }
+    assert.strictEqual(attempts.length, 3, 'the request was attempted three times');
+  });
+
+  test('only the configured statuses and methods are retried', async function (assert) {
+    let { manager, attempts } = setupManager([404, 200]);
+    await manager.request({ url: '/users/1' }).catch(() => {});
+    assert.strictEqual(attempts.length, 1, 'a 404 is not retried');
+
+    ({ manager, attempts } = setupManager([503, 200]));
+    await manager.request({ url: '/users', method: 'POST' }).catch(() => {});
+    assert.strictEqual(attempts.length, 1, 'a POST is not retried');
+
+    ({ manager, attempts } = setupManager([404, 200], { statuses: [404], methods: ['POST'] }));
+    await manager.request({ url: '/users', method: 'POST' });
+    assert.strictEqual(attempts.length, 2, 'configured statuses and methods are retried');
+  });
+
+  test('the backoff curve and onRetry are used', async function (assert) {
+    const delays: number[] = [];
+    const { manager } = setupManager([503, 503, 200], {
+      backoff: (attempt) => attempt * 2,
+      onRetry: (request, attempt, delay) => {
+        assert.strictEqual(request.url, '/users/1', 'we receive the request');
+        delays.push(delay);
+      },
+    });
+
+    await manager.request({ url: '/users/1' });
+
+    assert.deepEqual(delays, [2, 4], 'the delays follow the backoff curve');
+  });
+
+  test('Retry-After is respected', async function (assert) {
+    const delays: number[] = [];
+    let { manager, attempts } = setupManager(
+      [429, 200],
+      { baseDelay: 5_000, onRetry: (request, attempt, delay) => delays.push(delay) },
+      [['retry-after', '0']]
+    );
+    await manager.request({ url: '/users/1' });
+    assert.deepEqual(delays, [0], 'the Retry-After delay is used');
+
+    ({ manager, attempts } = setupManager([429, 200], { maxDelay: 1_000 }, [['retry-after', '120']]));
+    await manager.request({ url: '/users/1' }).catch(() => {});
+    assert.strictEqual(attempts.length, 1, 'a Retry-After beyond maxDelay is not retried');
+  });
+
+  test('aborting stops any further attempts', async function (assert) {
+    const { manager, attempts } = setupManager([503, 200], { baseDelay: 1_000 });
+
+    const future = manager.request({ url: '/users/1' });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    future.abort();
+
+    try {
+      await future;
+      assert.ok(false, 'the request should be aborted');
+    } catch (e) {
+      assert.strictEqual((e as Error).name, 'AbortError', 'the request is aborted');
+      assert.strictEqual((e as RetryError).attempts, 1, 'the attempts made are reported');
+    }
+    assert.strictEqual(attempts.length, 1, 'no further attempts were made');
+  });
+
+  test('a retry which would exceed the timeout is not attempted', async function (assert) {
+    const { manager, attempts } = setupManager([503, 200], { baseDelay: 1_000 });
+
+    try {
+      await manager.request({ url: '/users/1', timeout: 500 });
+      assert.ok(false, 'the request should fail');
+    } catch (e) {
+      assert.strictEqual((e as RetryError).response?.status, 503, 'we receive the error of the attempt');
+    }
+    assert.strictEqual(attempts.length, 1, 'no further attempts were made');
+
+    const retried = setupManager([503, 200], { baseDelay: 10 });
+    await retried.manager.request({ url: '/users/1', timeout: 500 });
+    assert.strictEqual(retried.attempts.length, 2, 'a retry within the timeout is attempted');
+  });
+});
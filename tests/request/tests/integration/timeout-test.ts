@@ -0,0 +1,79 @@
+import { module, test } from 'qunit';
+
+import RequestManager from '@ember-data/request';
+import type { Context } from '@ember-data/request/-private/context';
+import type { Future, Handler, NextFn, TimeoutErrorDocument } from '@ember-data/request/-private/types';
+
+module('RequestManager | Timeout', function () {
+  test('a request which exceeds its timeout rejects with a TimeoutError', async function (assert) {
+    const manager = new RequestManager();
+    let signal: AbortSignal | undefined;
+    const handler: Handler = {
+      request<T>(context: Context): Promise<T> | Future<T> {
+        signal = context.request.signal;
+        // never settles, so the timeout must not wait on the handler
+        return new Promise<T>(() => {});
+      },
+    };
+    manager.use([handler]);
+
+    try {
+      await manager.request({ url: '/users', timeout: 10 });
+      assert.ok(false, 'the request should reject');
+    } catch (e) {
+      const error = e as TimeoutErrorDocument;
+      assert.true(error instanceof Error, 'we receive an error');
+      assert.strictEqual(error.name, 'TimeoutError', 'the error is a TimeoutError');
+      assert.strictEqual(error.timeout, 10, 'the error has the timeout');
+      assert.strictEqual(error.request.url, '/users', 'the error has the request');
+      assert.strictEqual(error.response, null, 'the error has the response');
+    }
+    assert.true(signal?.aborted, 'the request was aborted');
+  });
+
+  test('a request which completes within its timeout resolves', async function (assert) {
+    const manager = new RequestManager();
+    const handler: Handler = {
+      // @ts-expect-error
+      async request<T>(): Promise<T> | Future<T> {
+        await Promise.resolve();
+        return 'done' as T;
+      },
+    };
+    manager.use([handler]);
+
+    const doc = await manager.request({ url: '/users', timeout: 1000 });
+
+    assert.strictEqual(doc.content, 'done', 'we receive the content');
+  });
+
+  test('handlers can read the remaining time', async function (assert) {
+    const manager = new RequestManager();
+    const remaining: Array<number | null> = [];
+    const handler1: Handler = {
+      // @ts-expect-error
+      async request<T>(context: Context, next: NextFn<T>): Promise<T> | Future<T> {
+        remaining.push(context.getRemainingTime());
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        return (await next(context.request)).content;
+      },
+    };
+    const handler2: Handler = {
+      // @ts-expect-error
+      async request<T>(context: Context): Promise<T> | Future<T> {
+        remaining.push(context.getRemainingTime());
+        await Promise.resolve();
+        return 'done' as T;
+      },
+    };
+    manager.use([handler1, handler2]);
+
+    await manager.request({ url: '/users', timeout: 1000 });
+    assert.true(remaining[0]! <= 1000 && remaining[0]! > 900, 'the first handler has the full budget');
+    assert.true(remaining[1]! <= remaining[0]! - 20, 'the next handler has the remaining budget');
+
+    remaining.length = 0;
+    await manager.request({ url: '/users' });
+    assert.deepEqual(remaining, [null, null], 'there is no budget without a timeout');
+  });
+});